@@ -2,44 +2,86 @@
 // IMPORTS & DEPENDENCIES
 // ============================================================================
 
-const { createClient } = require('@supabase/supabase-js');  // Supabase client library
+const path = require('path');                               // Path utilities for file paths
 require('dotenv').config();                                 // Load environment variables from .env file
+const { createSupabaseAdapter } = require('./storage/supabase-adapter'); // Supabase client
+const { createLocalAdapter } = require('./storage/local-adapter');       // JSON file / in-memory store
 
 // ============================================================================
 // DATABASE CONFIGURATION
 // ============================================================================
-// Initializes Supabase client for server-side database operations
+// Selects the storage driver used by every route
 
 /**
- * Creates a Supabase client instance using service role credentials
- * Service role key provides elevated permissions for backend operations
- * Used for all database queries, inserts, updates, and deletes
- * 
- * Environment Variables Required:
- * - SUPABASE_URL: The Supabase project URL
- *   Unique URL for your Supabase project instance
- *   Format: https://projectid.supabase.co
- * 
- * - SUPABASE_SERVICE_KEY: Service role key for server-side access
- *   Private key with full database access (keep secure - never expose to client)
- *   Used only in backend code for privileged operations
+ * Storage drivers, selected with the STORAGE_DRIVER environment variable
+ * All drivers expose the Supabase client interface (from(), auth, rpc()),
+ * so routes work unchanged whichever one is active.
+ *
+ * - supabase (default): Supabase project, see storage/supabase-adapter.js
+ *   Requires SUPABASE_URL and SUPABASE_SERVICE_KEY
+ *
+ * - file: Tables kept in a local JSON file, for running offline
+ *   STORAGE_FILE: JSON file path (default: data/local-db.json)
+ *
+ * - memory: Tables kept in memory and lost on restart, for automated tests
+ *
+ * file and memory start from STORAGE_SEED (default: storage/seed.json) when
+ * there is no saved data yet; set STORAGE_SEED=none to start empty.
+ * Offline there is no auth server: the bearer token is the user's email.
+ * That is why file and memory refuse to start in production (NODE_ENV=production
+ * or on Vercel).
+ *
+ * Routes read and write through the per-entity repositories in repositories/
+ * (events, comments, attendance, ratings, committee, expenses, notices),
+ * which are the only callers of this client for those tables. The local
+ * adapter implements the subset of the Supabase query builder the
+ * repositories and the remaining auth/admin routes use; a query that needs a
+ * builder method or rpc() function it does not have yet must add it there too.
  */
-const supabase = createClient(
-  process.env.SUPABASE_URL,              // Supabase project URL
-  process.env.SUPABASE_SERVICE_KEY       // Service role API key
-);
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+const IS_PRODUCTION = process.env.NODE_ENV === 'production' || Boolean(process.env.VERCEL);
+
+function createStorage() {
+  if (STORAGE_DRIVER !== 'supabase' && IS_PRODUCTION) {
+    throw new Error(`STORAGE_DRIVER "${STORAGE_DRIVER}" is for local development and tests only; use supabase in production`);
+  }
+
+  const seed = process.env.STORAGE_SEED === 'none'
+    ? null
+    : process.env.STORAGE_SEED || path.join(__dirname, 'storage', 'seed.json');
+
+  switch (STORAGE_DRIVER) {
+    case 'supabase':
+      return createSupabaseAdapter();
+    case 'file':
+      return createLocalAdapter({
+        file: process.env.STORAGE_FILE || path.join(__dirname, 'data', 'local-db.json'),
+        seed
+      });
+    case 'memory':
+      return createLocalAdapter({ seed });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected supabase, file or memory)`);
+  }
+}
+
+const supabase = createStorage();
+
+if (STORAGE_DRIVER !== 'supabase') {
+  console.log(`💾 Using ${STORAGE_DRIVER} storage driver`);
+}
 
 // ============================================================================
 // EXPORT
 // ============================================================================
 
 /**
- * Export the configured Supabase client for use across backend modules
+ * Export the configured storage client for use across backend modules
  * This instance can be imported and used in any backend file to:
  * - Query database tables
  * - Insert, update, and delete records
- * - Perform real-time subscriptions
- * - Access other Supabase services
+ * - Perform real-time subscriptions and access other Supabase services
+ *   (supabase driver only)
  * 
  * Usage Example:
  * const supabase = require('./db');
@@ -1229,20 +1229,45 @@ const cors = require('cors');                          // Enable Cross-Origin Re
 const supabase = require('./db');                      // Supabase database client
 const swaggerUi = require('swagger-ui-express');       // Swagger UI for API documentation
 const swaggerJsdoc = require('swagger-jsdoc');         // JSDoc to Swagger converter
-const fs = require('fs');                              // File System module for file operations
-const path = require('path');                          // Path utilities for file paths
 const authRoutes = require('./routes/auth');           // Organizer authentication routes
 const googleAuthRoutes = require('./routes/google-auth'); // Google authentication routes
+const twoFactorRoutes = require('./routes/two-factor'); // Two-factor authentication routes
 const organizerRoutes = require('./routes/organizer'); // Organizer management routes
+const adminRoutes = require('./routes/admin');         // Admin user role management routes
+const { attendEvent, getWaitlistPosition, promoteWaitlist } = require('./utils/waitlist'); // Capacity & waitlist helpers
+const eventRepository = require('./repositories/events');           // Events & their categories
+const attendanceRepository = require('./repositories/attendance'); // RSVPs
+const ratingRepository = require('./repositories/ratings');         // Star ratings & reviews
+const commentRepository = require('./repositories/comments');       // Comments, reactions & reports
+const { createTicket } = require('./utils/tickets');   // Signed check-in tickets
+const { buildCalendar } = require('./utils/ical');     // iCalendar (.ics) generation
+const { createCalendarToken, findCalendarTokenUser } = require('./utils/auth-tokens'); // Personal calendar feed addresses
+const { checkComment, getFilterConfig } = require('./utils/comment-filter'); // Word / link filter for comments
+const { requireAuth, optionalAuth, hasRole } = require('./middleware/auth'); // Bearer token auth & roles
+const { rateLimit, honeypot } = require('./middleware/abuse'); // Rate limits & honeypot fields
+const { validate, sendValidationErrors, ID } = require('./middleware/validate'); // Request schemas & field errors
+const { ApiError, requestId, errorEnvelope, errorHandler, notFoundHandler } = require('./middleware/errors'); // Shared error format
+const {                                                // Recurring event expansion
+  expandOccurrences, hasOccurrenceSince, isOccurrence, buildOccurrence, parseTimestamp
+} = require('./utils/recurrence');
 
 // ============================================================================
 // APP INITIALIZATION
 // ============================================================================
 
 const app = express();                                 // Create Express application
-app.use(cors());                                       // Enable CORS for all routes
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] })); // Enable CORS for all routes
+app.use(requestId());                                  // X-Request-Id for every request
+app.use(errorEnvelope());                              // { success, error, code, requestId } on every error
 app.use(express.json());                               // Parse JSON request bodies
 
+// Client IPs (for rate limits) come from X-Forwarded-For only behind a proxy:
+// TRUST_PROXY takes Express "trust proxy" values, e.g. 1 for one proxy hop
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : '');
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+}
+
 const PORT = 3000;                                     // Server port
 
 // ============================================================================
@@ -1255,9 +1280,15 @@ app.use('/api/auth', authRoutes);
 // Google Authentication Routes
 app.use('/api/auth/google', googleAuthRoutes);
 
+// Two-Factor Authentication Routes (organizers)
+app.use('/api/auth/2fa', twoFactorRoutes);
+
 // Organizer Management Routes
 app.use('/api/organizer', organizerRoutes);
 
+// Admin Routes (user roles, applications, settings)
+app.use('/api/admin', adminRoutes);
+
 // ============================================================================
 // SWAGGER DOCUMENTATION SETUP
 // ============================================================================
@@ -1276,6 +1307,54 @@ const swaggerOptions = {
         url: `http://localhost:${PORT}`,              // Server URL
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {                                 // Supabase access token
+          type: 'http',
+          scheme: 'bearer',
+        },
+      },
+      schemas: {
+        RatingScores: {                               // Optional 1-5 sub-scores of a rating
+          type: 'object',
+          properties: {
+            content: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+            venue: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+            organization: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+            value: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+          },
+        },
+        Error: {                                      // Body of every failed request (middleware/errors.js)
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', description: 'Message for people', example: 'Event not found' },
+            code: { type: 'string', description: 'Stable machine-readable code', example: 'NOT_FOUND' },
+            requestId: { type: 'string', description: 'Also sent as the X-Request-Id header' },
+          },
+        },
+        ValidationError: {                            // 400 body from middleware/validate.js
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', description: 'All messages joined' },
+            code: { type: 'string', example: 'VALIDATION_FAILED' },
+            requestId: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'member_name' },
+                  location: { type: 'string', enum: ['params', 'query', 'body'] },
+                  message: { type: 'string', example: 'Member name is required' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
   },
   apis: ['./index.js'],                               // Files to scan for JSDoc comments
 };
@@ -1284,81 +1363,364 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);      // Generate Swagger docum
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Serve Swagger UI
 
 // ============================================================================
-// FILE-BASED STORAGE PATHS
+// HELPER FUNCTIONS: EVENT LISTING
 // ============================================================================
-// These files store attendance and ratings data (instead of database)
 
-const ATTENDANCE_FILE = path.join(__dirname, 'attendance.json'); // Attendance records file
-const RATINGS_FILE = path.join(__dirname, 'ratings.json');       // Ratings records file
+const EVENT_STATUSES = ['upcoming', 'ongoing', 'ended'];      // Supported status filters
+const EVENT_SORT_FIELDS = ['start_time', 'event_title'];      // Supported sort fields
+const DEFAULT_PAGE_SIZE = 20;                                 // Events per page by default
+const MAX_PAGE_SIZE = 100;                                    // Upper bound for ?limit=
+const MAX_CALENDAR_EVENTS = 500;                              // Upper bound for the calendar feed
+const CALENDAR_PAST_DAYS = 30;                                // Calendar feeds start this many days back
+const EVENT_DETAIL_INCLUDES = ['attendees', 'ratings', 'comments']; // Lists GET /api/events/:eventId can expand
+const DETAIL_COMMENT_PAGE_SIZE = 20;                          // Comments returned with include=comments by default
+const MAX_DETAIL_COMMENT_PAGE_SIZE = 100;
+
+// Request schemas shared by the event routes (see middleware/validate.js)
+const EVENT_PARAMS = { eventId: { ...ID, label: 'Event id' } };
+const OCCURRENCE_QUERY = { occurrence: { type: 'date' } };
+const EVENT_LIST_QUERY = {
+  q: { type: 'string', maxLength: 200, label: 'Search' },
+  categories: { type: 'string', format: 'idList' },
+  ids: { type: 'string', format: 'idList', label: 'Ids' },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  status: { type: 'string', enum: EVENT_STATUSES },
+  sort: { type: 'string', enum: EVENT_SORT_FIELDS.flatMap((f) => [f, `-${f}`]) },
+  limit: { type: 'integer', min: 1 },
+  cursor: { type: 'string', maxLength: 200 }
+};
 
-// ============================================================================
-// HELPER FUNCTIONS: FILE OPERATIONS
-// ============================================================================
+/**
+ * Flatten the event_categories join into a simple categories array
+ * @param {Object} event - Event row with nested event_categories
+ * @returns {Object} Event with a categories array of { category_id, category_name }
+ */
+function withCategories(event) {
+  const categories = (event.event_categories || [])
+    .filter((ec) => ec && ec.category)
+    .map((ec) => ({
+      category_id: ec.category.category_id,
+      category_name: ec.category.category_name,
+    }));
+  return { ...event, categories };
+}
 
 /**
- * Read attendance data from JSON file
- * @returns {Array} Array of attendance records or empty array if error
+ * Encode a page position as an opaque cursor string
+ * @param {number} offset - Index of the first event on the next page
+ * @param {number} occurrences - How many of the events before it were occurrences of series
+ * @returns {string} URL-safe cursor
  */
-function readAttendance() {
+function encodeCursor(offset, occurrences = 0) {
+  return Buffer.from(JSON.stringify({ offset, occurrences })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the query string
+ * @returns {{offset: number, occurrences: number}|null} Position, or null if the cursor is invalid
+ */
+function decodeCursor(cursor) {
   try {
-    // Check if file exists, if not create empty array
-    if (!fs.existsSync(ATTENDANCE_FILE)) {
-      fs.writeFileSync(ATTENDANCE_FILE, '[]');
-    }
-    // Read file contents
-    const data = fs.readFileSync(ATTENDANCE_FILE, 'utf8');
-    // Parse JSON string to JavaScript object
-    return JSON.parse(data);
+    const { offset, occurrences = 0 } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = Number.isInteger(offset) && Number.isInteger(occurrences) && occurrences >= 0 && offset >= occurrences;
+    return valid ? { offset, occurrences } : null;
   } catch (error) {
-    console.error('Error reading attendance:', error);
-    return [];
+    return null;
   }
 }
 
 /**
- * Write attendance data to JSON file
- * @param {Array} attendance - Attendance records to save
+ * Parse a comma-separated list of integer ids (checked with format: 'idList')
+ * @param {string} value - Raw query value (e.g. "1,2,3")
+ * @returns {Array<number>} Distinct ids
  */
-function writeAttendance(attendance) {
-  try {
-    // Convert array to formatted JSON string (null, 2 = 2-space indentation)
-    fs.writeFileSync(ATTENDANCE_FILE, JSON.stringify(attendance, null, 2));
-  } catch (error) {
-    console.error('Error writing attendance:', error);
+function parseIdList(value) {
+  return [...new Set(String(value).split(',').map((id) => parseInt(id)))];
+}
+
+/**
+ * Turn the query string of GET /api/events (checked against EVENT_LIST_QUERY) into filters
+ * @param {Object} query - req.query
+ * @returns {Object|null} Filters, or null when the cursor is not one we issued
+ */
+function eventListFilters(query) {
+  const filters = {
+    search: null,
+    categoryIds: [],
+    eventIds: null,
+    from: null,
+    to: null,
+    status: null,
+    sortField: 'start_time',
+    ascending: true,
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0,
+    occurrenceOffset: 0,
+  };
+
+  if (query.q && String(query.q).trim()) {
+    // Characters with meaning in PostgREST filter syntax are replaced by spaces
+    filters.search = String(query.q).trim().replace(/[,()%*\\]/g, ' ');
   }
+
+  if (query.categories) filters.categoryIds = parseIdList(query.categories);
+  if (query.ids) filters.eventIds = parseIdList(query.ids);
+
+  for (const key of ['from', 'to']) {
+    if (query[key]) filters[key] = new Date(query[key]).toISOString();
+  }
+
+  if (query.status) filters.status = query.status.trim();
+
+  if (query.sort) {
+    const sort = query.sort.trim();
+    filters.sortField = sort.replace(/^-/, '');
+    filters.ascending = !sort.startsWith('-');
+  }
+
+  if (query.limit) filters.limit = Math.min(parseInt(query.limit), MAX_PAGE_SIZE);
+
+  if (query.cursor) {
+    const position = decodeCursor(query.cursor);
+    if (!position) return null;
+    filters.offset = position.offset;
+    filters.occurrenceOffset = position.occurrences;
+  }
+
+  return filters;
 }
 
+// ============================================================================
+// HELPER FUNCTIONS: RECURRING EVENTS
+// ============================================================================
+// A recurring event is one row (the series) with a recurrence_rule. Lists show
+// one entry per occurrence; attendance, ratings and comments are attached to an
+// occurrence through occurrence_start.
+
+const RECURRENCE_HORIZON_DAYS = 365;                          // How far ahead open-ended lists expand series
+
 /**
- * Read ratings data from JSON file
- * @returns {Array} Array of rating records or empty array if error
+ * Work out whether an event is upcoming, ongoing or ended
+ * @param {Object} event - Event (or occurrence) with start_time and end_time
+ * @param {Date} now - Current time
+ * @returns {string} One of EVENT_STATUSES
  */
-function readRatings() {
-  try {
-    // Check if file exists, if not create empty array
-    if (!fs.existsSync(RATINGS_FILE)) {
-      fs.writeFileSync(RATINGS_FILE, '[]');
-    }
-    // Read file contents
-    const data = fs.readFileSync(RATINGS_FILE, 'utf8');
-    // Parse JSON string to JavaScript object
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error reading ratings:', error);
-    return [];
+function eventStatus(event, now) {
+  if (parseTimestamp(event.start_time) > now) return 'upcoming';
+  if (parseTimestamp(event.end_time) < now) return 'ended';
+  return 'ongoing';
+}
+
+/**
+ * Build a comparator matching the ORDER BY used for database pages
+ * @param {Object} filters - Filters from eventListFilters
+ * @returns {Function} Array sort comparator
+ */
+function compareEvents(filters) {
+  const direction = filters.ascending ? 1 : -1;
+  return (a, b) => {
+    const primary = filters.sortField === 'event_title'
+      ? String(a.event_title || '').localeCompare(String(b.event_title || ''))
+      : parseTimestamp(a.start_time) - parseTimestamp(b.start_time);
+    if (primary !== 0) return primary * direction;
+    if (a.event_id !== b.event_id) return a.event_id - b.event_id;
+    return parseTimestamp(a.start_time) - parseTimestamp(b.start_time);
+  };
+}
+
+/**
+ * Expand a series into the occurrences that overlap the requested window
+ * Without ?from the window starts now (past occurrences are listed only when
+ * asked for), so the MAX_OCCURRENCES cap never hides upcoming occurrences of
+ * a long-running series. Without ?to it ends RECURRENCE_HORIZON_DAYS from now.
+ * @param {Object} series - Event row with a recurrence_rule
+ * @param {Object} filters - Filters from eventListFilters
+ * @param {Date} now - Current time
+ * @returns {Array} Occurrence objects
+ */
+function expandSeries(series, filters, now) {
+  const duration = parseTimestamp(series.end_time) - parseTimestamp(series.start_time);
+  // Occurrences that end on or after ?from (or now), i.e. start no earlier than that - duration
+  const windowStart = new Date((filters.from ? new Date(filters.from) : now).getTime() - duration);
+  const windowEnd = filters.to
+    ? new Date(filters.to)
+    : new Date(now.getTime() + RECURRENCE_HORIZON_DAYS * 86400000);
+
+  return expandOccurrences(series, windowStart, windowEnd).map((start) => buildOccurrence(series, start));
+}
+
+/**
+ * Count the single (non-recurring) events matching the filters per status
+ * @param {Object} filters - Filters from eventListFilters (status is ignored)
+ * @param {string} now - Current time as ISO string
+ * @returns {Promise<Object>} { upcoming, ongoing, ended }
+ */
+async function countSingleEvents(filters, now) {
+  const counts = {};
+  for (const status of EVENT_STATUSES) {
+    counts[status] = await eventRepository.countSingles({ ...filters, status }, now);
   }
+  return counts;
 }
 
 /**
- * Write ratings data to JSON file
- * @param {Array} ratings - Rating records to save
+ * Build one page of GET /api/events
+ * Single events are paged in the database. Occurrences of the matching series
+ * are expanded in memory and merged in; the cursor remembers how many of the
+ * earlier events were occurrences, so each page reads at most `limit` single
+ * events whatever its offset.
+ * @param {Array} series - Matching series rows (may be empty)
+ * @param {Object} filters - Filters from eventListFilters
+ * @param {string} now - Current time as ISO string
+ * @returns {Promise<Object>} { events, total, statusCounts, nextCursor }
  */
-function writeRatings(ratings) {
-  try {
-    // Convert array to formatted JSON string
-    fs.writeFileSync(RATINGS_FILE, JSON.stringify(ratings, null, 2));
-  } catch (error) {
-    console.error('Error writing ratings:', error);
+async function listEventPage(series, filters, now) {
+  const nowDate = new Date(now);
+  const compare = compareEvents(filters);
+  const occurrences = series.flatMap((s) => expandSeries(s, filters, nowDate));
+
+  // Count per status before the status filter is applied
+  const statusCounts = await countSingleEvents(filters, now);
+  occurrences.forEach((event) => {
+    statusCounts[eventStatus(event, nowDate)] += 1;
+  });
+
+  const matchingOccurrences = (filters.status
+    ? occurrences.filter((event) => eventStatus(event, nowDate) === filters.status)
+    : occurrences
+  ).sort(compare);
+
+  const singleOffset = filters.offset - filters.occurrenceOffset;
+  const { events: single, total: singleTotal } = await eventRepository.listSinglesPage(filters, now, {
+    sortField: filters.sortField,
+    ascending: filters.ascending,
+    offset: singleOffset,
+    limit: filters.limit
+  });
+
+  // Merge the two sorted lists until the page is full
+  const singles = single.map((event) => ({ ...event, occurrence_start: null }));
+  const page = [];
+  let s = 0;
+  let o = filters.occurrenceOffset;
+  while (page.length < filters.limit && (s < singles.length || o < matchingOccurrences.length)) {
+    const takeSingle = o >= matchingOccurrences.length
+      || (s < singles.length && compare(singles[s], matchingOccurrences[o]) <= 0);
+    page.push(takeSingle ? singles[s++] : matchingOccurrences[o++]);
   }
+
+  const total = singleTotal + matchingOccurrences.length;
+  const nextOffset = filters.offset + page.length;
+
+  return {
+    events: page.map(withCategories),
+    total,
+    statusCounts,
+    nextCursor: nextOffset < total ? encodeCursor(nextOffset, o) : null
+  };
+}
+
+/**
+ * Load an event and work out which occurrence a request refers to
+ * Single events always resolve to a null occurrence. Recurring events need a
+ * valid occurrence start when `required` is set (writes and per-user lookups);
+ * otherwise a missing occurrence means "the whole series".
+ * Throws an ApiError (404 NOT_FOUND, 400 INVALID_OCCURRENCE) that the route
+ * passes on to errorHandler().
+ * @param {number} eventId - Event identifier
+ * @param {string} rawOccurrence - Occurrence start from the body or query string
+ * @param {Object} [options] - { required: boolean }
+ * @returns {Promise<{event: Object, occurrence: string|null}>}
+ */
+async function resolveOccurrence(eventId, rawOccurrence, { required = true } = {}) {
+  const event = await eventRepository.findSchedule(eventId);
+
+  if (!event) {
+    throw new ApiError(404, 'NOT_FOUND', 'Event not found');
+  }
+
+  if (!event.recurrence_rule) {
+    return { event, occurrence: null };
+  }
+
+  if (!rawOccurrence) {
+    if (required) throw new ApiError(400, 'INVALID_OCCURRENCE', 'occurrence is required for recurring events');
+    return { event, occurrence: null };
+  }
+
+  const occurrenceStart = new Date(rawOccurrence);
+  if (isNaN(occurrenceStart.getTime()) || !isOccurrence(event, occurrenceStart)) {
+    throw new ApiError(400, 'INVALID_OCCURRENCE', 'occurrence is not a date of this event');
+  }
+
+  return { event, occurrence: occurrenceStart.toISOString() };
+}
+
+// ============================================================================
+// HELPER FUNCTIONS: ENGAGEMENT SUMMARIES
+// ============================================================================
+
+/**
+ * Split attendance rows into confirmed attendees and an ordered waitlist
+ * @param {Array} rows - Attendance records sorted by attendance_id (sign-up order)
+ * @returns {Object} { confirmed, waitlist } where waitlist entries carry a 1-based position
+ */
+function splitAttendance(rows) {
+  const confirmed = rows.filter((a) => a.status !== 'waitlisted');
+  const waitlist = rows
+    .filter((a) => a.status === 'waitlisted')
+    .map((a, index) => ({ ...a, position: index + 1 }));
+  return { confirmed, waitlist };
+}
+
+/**
+ * Summarize rating totals into an average, a total, a 1-5 star histogram and
+ * per-criterion averages (sub-scores are optional, so each has its own count)
+ * @param {Array} totals - Rows of ratingRepository.totals(), one per star value
+ * @returns {Object} { averageRating, totalRatings, distribution, criteria }
+ */
+function summarizeRatings(totals) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let totalRatings = 0;
+  let ratingSum = 0;
+  totals.forEach((t) => {
+    const ratings = Number(t.total);
+    if (distribution[t.rating] !== undefined) distribution[t.rating] += ratings;
+    totalRatings += ratings;
+    ratingSum += t.rating * ratings;
+  });
+
+  const averageRating = totalRatings > 0
+    ? parseFloat((ratingSum / totalRatings).toFixed(1))
+    : 0;
+
+  const criteria = {};
+  RATING_CRITERIA.forEach((criterion) => {
+    const scoreSum = totals.reduce((sum, t) => sum + Number(t[`score_${criterion}_sum`]), 0);
+    const scoreCount = totals.reduce((sum, t) => sum + Number(t[`score_${criterion}_count`]), 0);
+    criteria[criterion] = {
+      average: scoreCount > 0 ? parseFloat((scoreSum / scoreCount).toFixed(1)) : null,
+      count: scoreCount
+    };
+  });
+
+  return { averageRating, totalRatings, distribution, criteria };
+}
+
+// ============================================================================
+// HELPER FUNCTIONS: USERS
+// ============================================================================
+// Token checks and roles live in middleware/auth.js (requireAuth, optionalAuth)
+
+/**
+ * Name shown for a user on attendance lists and ratings
+ * @param {Object} user - req.user set by the auth middleware
+ * @returns {string} Full name, or the email when no name is set
+ */
+function getDisplayName(user) {
+  return user.full_name || user.email;
 }
 
 // ============================================================================
@@ -1390,26 +1752,16 @@ app.get('/', (req, res) => {
 
 /**
  * @swagger
- * /api/auth/check-organizer:
- *   post:
- *     summary: Check if a user is an organizer
- *     description: Verifies if a user has organizer role in the system
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the signed-in user
+ *     description: Returns the identity and role behind the bearer token. Replaces the email-based organizer checks, so roles cannot be looked up by email.
  *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
- *                 description: Email address to check
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Organizer status check result
+ *         description: Current user
  *         content:
  *           application/json:
  *             schema:
@@ -1417,27 +1769,24 @@ app.get('/', (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                   description: Request success status
  *                 isOrganizer:
  *                   type: boolean
- *                   description: True if user is organizer
- *                 message:
- *                   type: string
- *                   description: Success message
+ *                   description: True for organizers and admins
  *                 user:
  *                   type: object
  *                   properties:
- *                     name:
+ *                     id:
  *                       type: string
  *                     email:
  *                       type: string
+ *                     full_name:
+ *                       type: string
+ *                       nullable: true
  *                     role:
  *                       type: string
- *                 error:
- *                   type: string
- *                   description: Error message if failed
- *       400:
- *         description: Validation error
+ *                       enum: [user, committee, organizer, admin]
+ *       401:
+ *         description: Missing or invalid token
  *       500:
  *         description: Server error
  */
@@ -1449,26 +1798,16 @@ app.get('/', (req, res) => {
 
 /**
  * @swagger
- * /api/auth/google:
+ * /api/auth/google/google-callback:
  *   post:
- *     summary: Authenticate user with Google OAuth
- *     description: Verifies Google ID token and returns user information
+ *     summary: Create or link the profile of a Google user
+ *     description: Called after Google OAuth with the Supabase access token. The user is resolved from the token, not from the request body. A profile is created for new users and Google is recorded as linked for existing ones. If a different account already owns the email, the owner has to sign in with their password and link Google from there.
  *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - idToken
- *             properties:
- *               idToken:
- *                 type: string
- *                 description: Google ID token from client-side authentication
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Google authentication successful
+ *         description: Google login, registration or link successful
  *         content:
  *           application/json:
  *             schema:
@@ -1480,19 +1819,29 @@ app.get('/', (req, res) => {
  *                 user:
  *                   type: object
  *                   properties:
- *                     name:
+ *                     id:
  *                       type: string
  *                     email:
  *                       type: string
- *                     picture:
+ *                     full_name:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                     google_linked_at:
  *                       type: string
+ *                       format: date-time
+ *                 linked:
+ *                   type: boolean
+ *                   description: True when Google was just linked to an existing account
  *                 message:
  *                   type: string
- *                   example: Google authentication successful
+ *                   example: Google login successful
  *       400:
- *         description: Invalid token or missing fields
+ *         description: Session was not created with Google
  *       401:
- *         description: Authentication failed
+ *         description: Missing or invalid token
+ *       409:
+ *         description: Another account already uses this email
  *       500:
  *         description: Server error
  */
@@ -1506,78 +1855,628 @@ app.get('/', (req, res) => {
  * @swagger
  * /api/events:
  *   get:
- *     summary: Fetch all events with their categories
+ *     summary: Search, filter and paginate events with their categories
+ *     description: Recurring events are expanded into one entry per occurrence inside the from/to window (from now when no start is given, so past occurrences need from; up to a year ahead when no end is given). Occurrences share the series event_id and carry an occurrence_start.
  *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Free-text search over title, location and description
+ *       - in: query
+ *         name: categories
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category ids (events in any of them match)
+ *       - in: query
+ *         name: ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event ids to restrict the results to (e.g. saved events)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events that end on or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events that start on or before this time
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, ongoing, ended]
+ *         description: Only events in this state relative to the current time
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [start_time, -start_time, event_title, -event_title]
+ *           default: start_time
+ *         description: Sort field, prefix with "-" for descending order
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of events per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor returned as nextCursor by the previous page
  *     responses:
  *       200:
- *         description: List of all events with category information
+ *         description: One page of matching events with category information
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   event_id:
- *                     type: integer
- *                   event_title:
- *                     type: string
- *                   start_time:
- *                     type: string
- *                     format: date-time
- *                   end_time:
- *                     type: string
- *                     format: date-time
- *                   location:
- *                     type: string
- *                   categories:
- *                     type: array
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       event_id:
+ *                         type: integer
+ *                       event_title:
+ *                         type: string
+ *                       start_time:
+ *                         type: string
+ *                         format: date-time
+ *                       end_time:
+ *                         type: string
+ *                         format: date-time
+ *                       location:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       recurrence_rule:
+ *                         type: string
+ *                         nullable: true
+ *                         description: RRULE of the series (e.g. FREQ=WEEKLY;INTERVAL=1;COUNT=10), null for single events
+ *                       recurrence_tzid:
+ *                         type: string
+ *                         nullable: true
+ *                         description: IANA time zone the series repeats in (e.g. Europe/Berlin), so occurrences keep their local time across daylight saving changes; null repeats in UTC
+ *                       occurrence_start:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Identifies the occurrence for attendance, ratings and comments; null for single events
+ *                       categories:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             category_id:
+ *                               type: integer
+ *                             category_name:
+ *                               type: string
+ *                 total:
+ *                   type: integer
+ *                   description: Number of events matching the filters
+ *                 statusCounts:
+ *                   type: object
+ *                   description: Matching events per status, ignoring the status filter
+ *                   properties:
+ *                     upcoming:
+ *                       type: integer
+ *                     ongoing:
+ *                       type: integer
+ *                     ended:
+ *                       type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor for the next page, or null on the last page
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/events', validate({ query: EVENT_LIST_QUERY }), async (req, res, next) => {
+  try {
+    const filters = eventListFilters(req.query);
+    if (!filters) {
+      return sendValidationErrors(res, [{ field: 'cursor', location: 'query', message: 'Cursor is not valid' }]);
+    }
+
+    // Resolve category filter to event ids through the join table
+    if (filters.categoryIds.length > 0) {
+      const categoryEventIds = await eventRepository.listIdsInCategories(filters.categoryIds);
+      filters.eventIds = filters.eventIds
+        ? filters.eventIds.filter((id) => categoryEventIds.includes(id))
+        : categoryEventIds;
+    }
+
+    // Nothing can match an empty id list, skip the queries
+    if (filters.eventIds && filters.eventIds.length === 0) {
+      return res.json({
+        events: [],
+        total: 0,
+        statusCounts: { upcoming: 0, ongoing: 0, ended: 0 },
+        nextCursor: null
+      });
+    }
+
+    const now = new Date().toISOString();
+
+    // Recurring series matching the search and id filters are expanded in memory
+    const series = await eventRepository.listSeries(filters);
+
+    res.json(await listEventPage(series, filters, now));
+  } catch (err) {
+    console.error('Error fetching events:', err.message);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}:
+ *   get:
+ *     summary: Fetch a single event with categories and engagement data
+ *     description: Returns the event, its categories, attendance count, rating summary and comment count in one request. Lists can be expanded with the include parameter.
+ *     tags: [Events]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The event ID
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *         description: Comma-separated lists to expand (attendees, ratings, comments)
+ *       - in: query
+ *         name: commentLimit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Comments per page (with include=comments)
+ *       - in: query
+ *         name: commentOffset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Comments to skip (with include=comments)
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence start of a recurring event. Without it, engagement data covers the whole series.
+ *     responses:
+ *       200:
+ *         description: Event details with engagement data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 event:
+ *                   type: object
+ *                   description: Event fields with a categories array
+ *                 attendance:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       description: Confirmed attendees
+ *                     capacity:
+ *                       type: integer
+ *                       nullable: true
+ *                     waitlistCount:
+ *                       type: integer
+ *                     attendees:
+ *                       type: array
+ *                       description: Only present with include=attendees
+ *                       items:
+ *                         type: object
+ *                     waitlist:
+ *                       type: array
+ *                       description: Only present with include=attendees, in queue order
+ *                       items:
+ *                         type: object
+ *                 rating:
+ *                   type: object
+ *                   properties:
+ *                     averageRating:
+ *                       type: number
+ *                       format: float
+ *                     totalRatings:
+ *                       type: integer
+ *                     distribution:
+ *                       type: object
+ *                       description: Number of ratings per star value (1-5)
+ *                     criteria:
+ *                       type: object
+ *                       description: Average and count per sub-score criterion
+ *                     ratings:
+ *                       type: array
+ *                       description: Only present with include=ratings
+ *                       items:
+ *                         type: object
+ *                 comments:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       description: All visible comments and replies, not just this page
  *                     items:
+ *                       type: array
+ *                       description: Only present with include=comments; one page, newest first
+ *                       items:
+ *                         type: object
+ *                     limit:
+ *                       type: integer
+ *                       description: Only present with include=comments
+ *                     offset:
+ *                       type: integer
+ *                       description: Only present with include=comments
+ *                 userStatus:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Null unless a valid bearer token is sent
+ *                   properties:
+ *                     isAttending:
+ *                       type: boolean
+ *                     isWaitlisted:
+ *                       type: boolean
+ *                     waitlistPosition:
+ *                       type: integer
+ *                       nullable: true
+ *                     hasRated:
+ *                       type: boolean
+ *                     userRating:
+ *                       type: integer
+ *                       nullable: true
+ *                     userScores:
  *                       type: object
- *                       properties:
- *                         category_id:
- *                           type: integer
- *                         category_name:
- *                           type: string
+ *                       description: The caller's sub-scores per criterion (null when not scored)
+ *                     userReview:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid event ID, include value, occurrence or comment paging parameters
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
  */
-app.get('/api/events', async (req, res) => {
+app.get('/api/events/:eventId', optionalAuth, validate({
+  params: EVENT_PARAMS,
+  query: {
+    ...OCCURRENCE_QUERY,
+    include: { type: 'string', maxLength: 200 },
+    commentLimit: { type: 'integer', min: 1, max: MAX_DETAIL_COMMENT_PAGE_SIZE, label: 'Comment limit' },
+    commentOffset: { type: 'integer', min: 0, label: 'Comment offset' }
+  }
+}), async (req, res, next) => {
   try {
-    // Query events table from Supabase with related categories
-    const { data, error } = await supabase
-      .from('events')
-      .select(`
-        event_id, 
-        event_title, 
-        start_time, 
-        end_time, 
-        location, 
-        event_categories(category_id, category:categories(category_id, category_name))
-      `)
-      .order('start_time', { ascending: true }); // Sort by start time
+    const eventId = parseInt(req.params.eventId);
+
+    // Parse requested expansions
+    const include = req.query.include
+      ? String(req.query.include).split(',').map((v) => v.trim()).filter(Boolean)
+      : [];
+    const unknown = include.filter((v) => !EVENT_DETAIL_INCLUDES.includes(v));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown include value: ${unknown.join(', ')}. Allowed: ${EVENT_DETAIL_INCLUDES.join(', ')}`
+      });
+    }
 
-    if (error) throw error;
+    // Signed-in callers also get their own attendance and rating status
+    const viewerId = req.user ? req.user.id : null;
+
+    const { occurrence } = await resolveOccurrence(eventId, req.query.occurrence, { required: false });
+
+    const commentPage = {
+      limit: parseInt(req.query.commentLimit) || DETAIL_COMMENT_PAGE_SIZE,
+      offset: parseInt(req.query.commentOffset) || 0
+    };
+
+    // Run all queries in parallel; rows are only read for the lists asked
+    // for, everything else is counted or added up by the database
+    const [eventRow, attendees, confirmedCount, waitlistCount, ratingTotals, ratings, commentList, ownAttendance, ownRating] = await Promise.all([
+      eventRepository.findById(eventId),
+      include.includes('attendees') ? attendanceRepository.listForEvent(eventId, occurrence) : null,
+      include.includes('attendees') ? null : attendanceRepository.countByStatus(eventId, occurrence, 'confirmed'),
+      include.includes('attendees') ? null : attendanceRepository.countByStatus(eventId, occurrence, 'waitlisted'),
+      ratingRepository.totals(eventId, occurrence),
+      include.includes('ratings') ? ratingRepository.listForEvent(eventId, occurrence) : null,
+      include.includes('comments')
+        ? commentRepository.listVisiblePage(eventId, occurrence, commentPage)
+        : commentRepository.countVisible(eventId, occurrence),
+      viewerId ? attendanceRepository.findForUser(eventId, occurrence, viewerId) : null,
+      viewerId ? ratingRepository.findForUser(eventId, occurrence, viewerId) : null
+    ]);
+
+    if (!eventRow) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
 
-    // Transform data to include categories properly
-    const eventsWithCategories = (data || []).map((event) => {
-      let categories = [];
-      // Extract categories from join table
-      if (event.event_categories && event.event_categories.length > 0) {
-        categories = event.event_categories
-          .filter((ec) => ec && ec.category)
-          .map((ec) => ({
-            category_id: ec.category.category_id,
-            category_name: ec.category.category_name,
-          }));
-      }
-      return { ...event, categories };
+    let attendance;
+    if (attendees) {
+      const { confirmed, waitlist } = splitAttendance(attendees);
+      attendance = {
+        count: confirmed.length,
+        capacity: eventRow.capacity ?? null,
+        waitlistCount: waitlist.length,
+        attendees: [...confirmed].reverse(),   // Newest first, like GET /attendance
+        waitlist
+      };
+    } else {
+      attendance = {
+        count: confirmedCount,
+        capacity: eventRow.capacity ?? null,
+        waitlistCount
+      };
+    }
+
+    const rating = summarizeRatings(ratingTotals);
+    if (ratings) rating.ratings = ratings;
+
+    const comments = include.includes('comments')
+      ? { count: commentList.total, items: commentList.comments, ...commentPage }
+      : { count: commentList };
+
+    // Caller's own attendance and rating status
+    let userStatus = null;
+    if (viewerId) {
+      const isWaitlisted = !!ownAttendance && ownAttendance.status === 'waitlisted';
+      userStatus = {
+        isAttending: !!ownAttendance && !isWaitlisted,
+        isWaitlisted,
+        waitlistPosition: isWaitlisted ? await getWaitlistPosition(ownAttendance) : null,
+        hasRated: !!ownRating,
+        userRating: ownRating ? ownRating.rating : null,
+        userScores: getRatingScores(ownRating),
+        userReview: ownRating ? ownRating.review_text : null
+      };
+    }
+
+    const event = occurrence
+      ? buildOccurrence(eventRow, new Date(occurrence))
+      : { ...eventRow, occurrence_start: null };
+
+    res.json({
+      event: withCategories(event),
+      attendance,
+      rating,
+      comments,
+      userStatus
     });
+  } catch (err) {
+    console.error('Error fetching event details:', err.message);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/ics:
+ *   get:
+ *     summary: Download a single event as an iCalendar (.ics) file
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: iCalendar file with one VEVENT
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/events/:eventId/ics', validate({ params: EVENT_PARAMS }), async (req, res, next) => {
+  try {
+    const eventId = parseInt(req.params.eventId);
 
-    res.json(eventsWithCategories);
+    const data = await eventRepository.findById(eventId);
+
+    if (!data) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const event = withCategories(data);
+    const calendar = buildCalendar([event], { name: event.event_title });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event.event_id}.ics"`);
+    res.send(calendar);
   } catch (err) {
-    console.error('Error fetching events:', err.message);
-    res.status(500).json({ error: err.message });
+    console.error('Error exporting event:', err.message);
+    next(err);
+  }
+});
+
+/**
+ * Load the events of a calendar feed: single events that ended at most
+ * CALENDAR_PAST_DAYS ago, nearest first, and series that have not ended by then
+ * @param {Array<number>|null} eventIds - Only these events (null = all)
+ * @param {Date} since - Start of the feed window
+ * @returns {Promise<Array>} Event rows with categories, sorted by start time
+ */
+async function loadCalendarEvents(eventIds, since) {
+  const { singles, series } = await eventRepository.listForCalendar(eventIds, since, MAX_CALENDAR_EVENTS);
+
+  return [...singles, ...series.filter((event) => hasOccurrenceSince(event, since))]
+    .sort((a, b) => parseTimestamp(a.start_time) - parseTimestamp(b.start_time))
+    .slice(0, MAX_CALENDAR_EVENTS)
+    .map(withCategories);
+}
+
+/**
+ * @swagger
+ * /api/calendar.ics:
+ *   get:
+ *     summary: Subscribable iCalendar feed of events
+ *     description: RFC 5545 feed that calendar apps can subscribe to. Filters can be combined. Events that ended more than 30 days ago are left out.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: categories
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category ids
+ *       - in: query
+ *         name: ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event ids (e.g. a user's saved events)
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Personal feed token from POST /api/calendar/feed-token; only events (or occurrences of a series) the user has a confirmed seat for (calendar apps cannot send a bearer token)
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Unknown or replaced feed token
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/calendar.ics', validate({
+  query: {
+    ids: EVENT_LIST_QUERY.ids,
+    categories: EVENT_LIST_QUERY.categories,
+    token: { type: 'string', maxLength: 100, label: 'Feed token' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    let eventIds = null;
+    let attended = null;
+
+    // Restrict to given event ids (saved events)
+    if (req.query.ids) eventIds = parseIdList(req.query.ids);
+
+    // Restrict to categories through the join table
+    if (req.query.categories) {
+      const ids = await eventRepository.listIdsInCategories(parseIdList(req.query.categories));
+      eventIds = eventIds ? eventIds.filter((id) => ids.includes(id)) : ids;
+    }
+
+    // Restrict to events the feed token's owner is attending
+    if (token) {
+      const userId = await findCalendarTokenUser(token);
+      if (!userId) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      const rows = await attendanceRepository.listConfirmedForUser(userId);
+
+      // event_id-> occurrence starts attended (empty for single events)
+      attended = new Map();
+      rows.forEach((r) => {
+        if (!attended.has(r.event_id)) attended.set(r.event_id, []);
+        if (r.occurrence_start) attended.get(r.event_id).push(r.occurrence_start);
+      });
+
+      const ids = [...attended.keys()];
+      eventIds = eventIds ? eventIds.filter((id) => ids.includes(id)) : ids;
+    }
+
+    const since = new Date(Date.now() - CALENDAR_PAST_DAYS * 24 * 60 * 60 * 1000);
+    let events = !eventIds || eventIds.length > 0 ? await loadCalendarEvents(eventIds, since) : [];
+
+    // A personal feed lists the occurrences of a series the user attends, not the whole series
+    if (attended) {
+      events = events
+        .flatMap((event) => (event.recurrence_rule
+          ? attended.get(event.event_id).map((start) => buildOccurrence(event, parseTimestamp(start)))
+          : [event]))
+        .filter((event) => parseTimestamp(event.end_time) >= since)
+        .sort((a, b) => parseTimestamp(a.start_time) - parseTimestamp(b.start_time));
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="events.ics"');
+    res.send(buildCalendar(events, { name: token ? 'My Events' : 'Events' }));
+  } catch (err) {
+    console.error('Error building calendar feed:', err.message);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/calendar/feed-token:
+ *   post:
+ *     summary: Get a private address for a calendar feed of your RSVPs
+ *     description: Returns a new feed token for /api/calendar.ics?token=... Anyone with the address can see the events you are attending, so it is only shown once; asking again issues a new token and turns the old address off.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: New feed token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *       401:
+ *         description: Missing or invalid bearer token
+ *       404:
+ *         description: No profile for this account
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/calendar/feed-token', requireAuth, async (req, res, next) => {
+  try {
+    const token = await createCalendarToken(req.user.id);
+    if (!token) {
+      return res.status(404).json({ error: 'User profile not found' });
+    }
+
+    console.log(`📆 New calendar feed token for ${req.user.email}`);
+    res.status(201).json({ token });
+  } catch (err) {
+    console.error('Error creating calendar feed token:', err.message);
+    next(err);
   }
 });
 
@@ -1608,7 +2507,7 @@ app.get('/api/events', async (req, res) => {
  *       500:
  *         description: Server error
  */
-app.get('/api/categories', async (req, res) => {
+app.get('/api/categories', async (req, res, next) => {
   try {
     // Query categories table from Supabase
     const { data, error } = await supabase
@@ -1620,7 +2519,7 @@ app.get('/api/categories', async (req, res) => {
     res.json(data);
   } catch (err) {
     console.error('Error fetching categories:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -1628,13 +2527,98 @@ app.get('/api/categories', async (req, res) => {
 // COMMENTS API ENDPOINTS (DATABASE-BASED)
 // ============================================================================
 // Comments are stored in Supabase database (not in JSON files)
+// Only the author can edit or delete a comment (bearer token required)
+// Organizers can remove any comment as moderators; the comment is kept with
+// who removed it and why, and no longer returned to readers
+// Replies point to their parent through parent_id; top-level comments have
+// depth 0 and replies can nest up to COMMENT_MAX_DEPTH levels
+// Comments matching the filter (utils/comment-filter.js) or reported by enough
+// users get status 'pending' until an organizer approves or hides them; only
+// 'visible' comments are returned to readers
+
+const COMMENT_MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 3;  // Deepest reply level allowed
+const REPLY_PAGE_SIZE = 20;                                             // Replies returned per request by default
+const MAX_REPLY_PAGE_SIZE = 100;
+const COMMENT_REACTIONS = ['like', 'helpful', 'love', 'laugh', 'wow', 'sad'];  // One of each per user per comment
+const COMMENT_SORTS = ['newest', 'oldest', 'helpful'];
+const COMMENT_MAX_LENGTH = 2000;
+const AUTHOR_NAME_MAX_LENGTH = 254;                                     // Signed-in authors post as their name or email
+const REPORT_REASON_MAX_LENGTH = 500;                                   // Also used for moderator removal reasons
+const COMMENT_PARAMS = { commentId: { ...ID, label: 'Comment id' } };
+const { LISTED_COMMENT_STATUSES } = commentRepository;                 // 'removed': tombstone of a deleted comment with replies
+
+/**
+ * Add reply counts, reaction counts and whether replies are allowed to comments
+ * The author's user_id is replaced by is_mine, so it never reaches readers.
+ * @param {Array} comments - Comment rows (reader columns and user_id, see repositories/comments.js)
+ * @param {string|null} viewerId - Signed-in reader, whose own reactions are listed
+ * @returns {Promise<Array>} Comments with is_mine, reply_count, can_reply, reactions and my_reactions
+ */
+async function withCommentStats(comments, viewerId = null) {
+  if (comments.length === 0) return comments;
+
+  const ids = comments.map((c) => c.id);
+
+  const [replyCounts, reactionRows] = await Promise.all([
+    commentRepository.countReplies(ids),
+    commentRepository.listReactions(ids)
+  ]);
+
+  const reactions = {};
+  const mine = {};
+  reactionRows.forEach((r) => {
+    if (!reactions[r.comment_id]) reactions[r.comment_id] = {};
+    reactions[r.comment_id][r.reaction] = (reactions[r.comment_id][r.reaction] || 0) + 1;
+    if (viewerId && r.user_id === viewerId) {
+      mine[r.comment_id] = [...(mine[r.comment_id] || []), r.reaction];
+    }
+  });
+
+  return comments.map(({ user_id: authorId, ...c }) => ({
+    ...c,
+    is_mine: Boolean(viewerId) && authorId === viewerId,
+    reply_count: replyCounts[c.id] || 0,
+    can_reply: (c.depth || 0) < COMMENT_MAX_DEPTH,
+    reactions: Object.fromEntries(COMMENT_REACTIONS.map((type) => [type, reactions[c.id]?.[type] || 0])),
+    my_reactions: mine[c.id] || []
+  }));
+}
+
+/**
+ * Drop tombstones that no longer have replies to hold together
+ * @param {Array} comments - Comments from withCommentStats
+ * @returns {Array} Comments worth listing
+ */
+function withoutEmptyTombstones(comments) {
+  return comments.filter((c) => c.status !== 'removed' || c.reply_count > 0);
+}
+
+/**
+ * Sort comments that carry reaction counts
+ * @param {Array} comments - Comments from withCommentStats
+ * @param {string} sort - 'newest', 'oldest' or 'helpful' (most helpful votes, then newest)
+ * @returns {Array} Sorted copy
+ */
+function sortComments(comments, sort) {
+  const byDate = (a, b) => (new Date(a.created_at) - new Date(b.created_at)) || (a.id - b.id);
+
+  return [...comments].sort((a, b) => {
+    if (sort === 'oldest') return byDate(a, b);
+    if (sort === 'helpful') return (b.reactions.helpful - a.reactions.helpful) || byDate(b, a);
+    return byDate(b, a);
+  });
+}
 
 /**
  * @swagger
  * /api/events/{eventId}/comments:
  *   get:
- *     summary: Fetch all comments for a specific event
+ *     summary: Fetch the comments (or the replies to one comment) of an event
+ *     description: Without parentId returns the top-level comments, newest first. With parentId returns one page of replies to that comment, oldest first. Each comment carries its reply count so threads can be loaded lazily, and its reaction counts.
  *     tags: [Comments]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -1642,9 +2626,39 @@ app.get('/api/categories', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The event ID
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence start of a recurring event (all occurrences when omitted)
+ *       - in: query
+ *         name: parentId
+ *         schema:
+ *           type: integer
+ *         description: Return the replies to this comment
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, helpful]
+ *         description: Order (default newest for comments, oldest for replies); helpful puts the most "helpful" votes first
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Replies per page (with parentId)
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Replies to skip (with parentId)
  *     responses:
  *       200:
- *         description: List of comments for the event (sorted by newest first)
+ *         description: List of comments or replies
  *         content:
  *           application/json:
  *             schema:
@@ -1656,33 +2670,100 @@ app.get('/api/categories', async (req, res) => {
  *                     type: integer
  *                   event_id:
  *                     type: integer
+ *                   occurrence_start:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   parent_id:
+ *                     type: integer
+ *                     nullable: true
+ *                   depth:
+ *                     type: integer
+ *                     description: 0 for top-level comments
  *                   author_name:
  *                     type: string
+ *                   author_role:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Role of the signed-in author (organizer replies get a badge)
+ *                   is_mine:
+ *                     type: boolean
+ *                     description: True when the signed-in reader wrote the comment (false without a token)
  *                   comment_text:
  *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [visible, removed]
+ *                     description: removed marks a comment its author deleted while it had replies (text and name are blank)
+ *                   reply_count:
+ *                     type: integer
+ *                   reactions:
+ *                     type: object
+ *                     description: Count per reaction type (like, helpful, love, laugh, wow, sad)
+ *                     additionalProperties:
+ *                       type: integer
+ *                   my_reactions:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Reactions given by the signed-in reader (empty without a token)
+ *                   can_reply:
+ *                     type: boolean
+ *                     description: False once the comment is at the maximum nesting depth
  *                   created_at:
  *                     type: string
  *                     format: date-time
+ *       400:
+ *         description: Invalid occurrence, parentId, sort or paging parameters
+ *       404:
+ *         description: Event or parent comment not found
  *       500:
  *         description: Server error
  */
-app.get('/api/events/:eventId/comments', async (req, res) => {
+app.get('/api/events/:eventId/comments', optionalAuth, validate({
+  params: EVENT_PARAMS,
+  query: {
+    ...OCCURRENCE_QUERY,
+    sort: { type: 'string', enum: COMMENT_SORTS },
+    parentId: { type: 'integer', min: 1, label: 'Parent comment' },
+    limit: { type: 'integer', min: 1, max: MAX_REPLY_PAGE_SIZE },
+    offset: { type: 'integer', min: 0 }
+  }
+}), async (req, res, next) => {
   try {
     const { eventId } = req.params;
+    const { sort } = req.query;
 
-    // Query comments table filtered by event_id
-    const { data, error } = await supabase
-      .from('comments')
-      .select('*')
-      .eq('event_id', parseInt(eventId))
-      .order('created_at', { ascending: false }); // Newest first
+    // Signed-in readers also get the reactions they have given
+    const viewerId = req.user ? req.user.id : null;
 
-    if (error) throw error;
+    // Replies to one comment, a page at a time
+    if (req.query.parentId !== undefined) {
+      const parentId = parseInt(req.query.parentId);
+      const limit = parseInt(req.query.limit) || REPLY_PAGE_SIZE;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const parent = await findVisibleComment(parentId);
+      if (!parent || !LISTED_COMMENT_STATUSES.includes(parent.status) || parent.event_id !== parseInt(eventId)) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
 
-    res.json(data || []);
+      // Sorted in memory (helpful votes live in another table), then paged
+      const data = await commentRepository.listReplies(parentId);
+
+      const replies = sortComments(withoutEmptyTombstones(await withCommentStats(data, viewerId)), sort || 'oldest');// Conversation order by default
+      return res.json(replies.slice(offset, offset + limit));
+    }
+
+    const resolved = await resolveOccurrence(parseInt(eventId), req.query.occurrence, { required: false });
+
+    // Top-level comments of the event (and occurrence) that readers may see
+    const data = await commentRepository.listThreads(parseInt(eventId), resolved.occurrence);
+
+    res.json(sortComments(withoutEmptyTombstones(await withCommentStats(data, viewerId)), sort || 'newest'));// Newest first by default
   } catch (err) {
     console.error('Error fetching comments:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -1691,7 +2772,11 @@ app.get('/api/events/:eventId/comments', async (req, res) => {
  * /api/events/{eventId}/comments:
  *   post:
  *     summary: Add a new comment to an event
+ *     description: With a bearer token the comment is owned by the signed-in user, who can later edit or delete it, and is shown under the name from their profile. Comments posted without a token have no owner, so nobody can edit or delete them; only moderators can remove them.
  *     tags: [Comments]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -1706,18 +2791,24 @@ app.get('/api/events/:eventId/comments', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - authorName
  *               - commentText
  *             properties:
  *               authorName:
  *                 type: string
- *                 description: Name of the comment author
+ *                 description: Name shown with an anonymous comment (required without a token, ignored with one)
  *               commentText:
  *                 type: string
  *                 description: The comment content
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Occurrence start, required for recurring top-level comments
+ *               parentId:
+ *                 type: integer
+ *                 description: Comment being replied to (the reply inherits its occurrence)
  *     responses:
  *       201:
- *         description: Comment created successfully
+ *         description: Comment created (status is 'pending' when the filter holds it for review)
  *         content:
  *           application/json:
  *             schema:
@@ -1731,57 +2822,109 @@ app.get('/api/events/:eventId/comments', async (req, res) => {
  *                   type: string
  *                 comment_text:
  *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [visible, pending]
+ *                 flag_reason:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Why the comment is held for review
  *                 created_at:
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Validation error (missing author name or comment text)
+ *         description: Validation error (missing author name, comment text or occurrence, or reply nested too deep)
+ *       401:
+ *         description: Invalid token
+ *       404:
+ *         description: Event or parent comment not found
+ *       429:
+ *         description: Too many requests (rate limited, see the Retry-After header)
  *       500:
  *         description: Server error
  */
-app.post('/api/events/:eventId/comments', async (req, res) => {
+app.post('/api/events/:eventId/comments', optionalAuth, rateLimit('comments'), honeypot(), validate({
+  params: EVENT_PARAMS,
+  body: {
+    authorName: { type: 'string', maxLength: AUTHOR_NAME_MAX_LENGTH, label: 'Author name' },
+    commentText: { type: 'string', required: true, maxLength: COMMENT_MAX_LENGTH, label: 'Comment text' },
+    parentId: { type: 'integer', min: 1, label: 'Parent comment' },
+    occurrence: { type: 'date' }
+  }
+}), async (req, res, next) => {
   try {
     const { eventId } = req.params;
-    const { authorName, commentText } = req.body;
+    const { authorName, commentText, parentId, occurrence: rawOccurrence } = req.body;
 
-    // Validate input - author name is required
-    if (!authorName || !authorName.trim()) {
-      return res.status(400).json({ error: 'Author name is required' });
+    // Signed-in authors own their comment and are named from their profile;
+    // anonymous comments have no owner and carry the name typed in
+    const author = req.user;
+    if (!author && !(authorName || '').trim()) {
+      return sendValidationErrors(res, [{ field: 'authorName', location: 'body', message: 'Author name is required' }]);
     }
 
-    // Validate input - comment text is required
-    if (!commentText || !commentText.trim()) {
-      return res.status(400).json({ error: 'Comment text is required' });
+    // Replies belong to the same event and occurrence as their parent
+    let parent = null;
+    if (parentId !== undefined && parentId !== null) {
+      parent = await findVisibleComment(parseInt(parentId));
+      if (!parent || parent.status !== 'visible' || parent.event_id !== parseInt(eventId)) {
+        return res.status(404).json({ error: 'Comment to reply to not found' });
+      }
+
+      if ((parent.depth || 0) >= COMMENT_MAX_DEPTH) {
+        return res.status(400).json({ error: `Replies can be nested at most ${COMMENT_MAX_DEPTH} levels deep` });
+      }
     }
 
-    // Insert new comment into database
-    const { data, error } = await supabase
-      .from('comments')
-      .insert([
-        {
-          event_id: parseInt(eventId),
-          author_name: authorName.trim(),
-          comment_text: commentText.trim(),
-        }
-      ])
-      .select()
-      .single(); // Return the inserted row
+    const resolved = await resolveOccurrence(
+      parseInt(eventId),
+      parent ? parent.occurrence_start : rawOccurrence,
+      { required: !parent }
+    );
 
-    if (error) throw error;
+    // Comments caught by the filter wait for organizer review
+    const heldFor = checkComment(commentText);
 
-    res.status(201).json(data); // 201 = Created
+    // Insert new comment into database
+    const created = await commentRepository.create({
+      event_id: parseInt(eventId),
+      occurrence_start: resolved.occurrence,
+      parent_id: parent ? parent.id : null,
+      depth: parent ? (parent.depth || 0) + 1 : 0,
+      user_id: author ? author.id : null,
+      author_role: author ? author.role : null,
+      author_name: author ? getDisplayName(author) : authorName.trim(),
+      comment_text: commentText.trim(),
+      status: heldFor ? 'pending' : 'visible',
+      flag_reason: heldFor,
+    });
+
+    res.status(201).json(created); // 201 = Created
   } catch (err) {
     console.error('Error adding comment:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+/**
+ * Load a comment that has not been removed by a moderator
+ * @param {number} commentId - Comment ID
+ * @returns {Promise<Object|null>} Comment row or null if not found
+ */
+async function findVisibleComment(commentId) {
+  const comment = await commentRepository.findById(commentId);
+  return comment && !comment.removed_at ? comment : null;
+}
+
 /**
  * @swagger
  * /api/comments/{commentId}:
  *   delete:
  *     summary: Delete a specific comment
+ *     description: The author deletes their own comment; when it has replies it is kept as a blank tombstone (status removed) so the thread stays readable. An organizer can remove anyone's comment as a moderator by giving a reason; the comment is kept with who removed it and why, and is hidden from readers.
  *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: commentId
@@ -1789,9 +2932,19 @@ app.post('/api/events/:eventId/comments', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The comment ID to delete
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the comment was removed (required for moderator removal)
  *     responses:
  *       200:
- *         description: Comment deleted successfully
+ *         description: Comment deleted (author) or removed (moderator)
  *         content:
  *           application/json:
  *             schema:
@@ -1800,25 +2953,76 @@ app.post('/api/events/:eventId/comments', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Comment deleted successfully
+ *                 moderated:
+ *                   type: boolean
+ *                   description: True when an organizer removed someone else's comment
+ *                 tombstone:
+ *                   type: boolean
+ *                   description: True when the author's comment had replies and was blanked instead of deleted
+ *       400:
+ *         description: Moderator removal without a reason
+ *       401:
+ *         description: Missing or invalid bearer token
+ *       403:
+ *         description: Not the author and not an organizer
+ *       404:
+ *         description: Comment not found
  *       500:
  *         description: Server error
  */
-app.delete('/api/comments/:commentId', async (req, res) => {
+app.delete('/api/comments/:commentId', requireAuth, validate({
+  params: COMMENT_PARAMS,
+  query: { reason: { type: 'string', maxLength: REPORT_REASON_MAX_LENGTH } },
+  body: { reason: { type: 'string', maxLength: REPORT_REASON_MAX_LENGTH } }
+}), async (req, res, next) => {
   try {
-    const { commentId } = req.params;
+    const commentId = parseInt(req.params.commentId);
 
-    // Delete comment from database by comment ID
-    const { error } = await supabase
-      .from('comments')
-      .delete()
-      .eq('id', parseInt(commentId));
+    const comment = await findVisibleComment(commentId);
+    if (!comment || comment.status === 'removed') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
 
-    if (error) throw error;
+    // Authors delete their own comment outright. The database refuses while
+    // replies point at it; then it becomes a tombstone so the thread stays.
+    if (comment.user_id && comment.user_id === req.user.id) {
+      if (!await commentRepository.remove(commentId)) {
+        await commentRepository.update(commentId, { status: 'removed', comment_text: '', author_name: '' });
+        return res.json({ message: 'Comment deleted successfully', moderated: false, tombstone: true });
+      }
+
+      return res.json({ message: 'Comment deleted successfully', moderated: false, tombstone: false });
+    }
+
+    if (!hasRole(req.user.role, 'organizer')) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    if (req.user.twoFactorPending) {
+      return res.status(403).json({ error: 'Two-factor verification required to moderate comments', twoFactor: req.user.twoFactorPending });
+    }
+
+    // Moderator override: keep the comment but record who removed it and why
+    const reason = String(req.body?.reason ?? req.query.reason ?? '').trim();
+    if (!reason) {
+      return sendValidationErrors(res, [{
+        field: 'reason',
+        location: req.body?.reason !== undefined ? 'body' : 'query',
+        message: 'A reason is required to remove another user\'s comment'
+      }]);
+    }
+
+    await commentRepository.update(commentId, {
+      removed_at: new Date().toISOString(),
+      removed_by: req.user.id,
+      removed_reason: reason
+    });
 
-    res.json({ message: 'Comment deleted successfully' });
+    console.log(`Comment ${commentId} removed by moderator ${req.user.email}: ${reason}`);
+    res.json({ message: 'Comment removed by moderator', moderated: true });
   } catch (err) {
     console.error('Error deleting comment:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -1827,7 +3031,10 @@ app.delete('/api/comments/:commentId', async (req, res) => {
  * /api/comments/{commentId}:
  *   put:
  *     summary: Update a specific comment
+ *     description: Only the author of the comment can edit it.
  *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: commentId
@@ -1868,33 +3075,246 @@ app.delete('/api/comments/:commentId', async (req, res) => {
  *                   format: date-time
  *       400:
  *         description: Validation error (missing comment text)
+ *       401:
+ *         description: Missing or invalid bearer token
+ *       403:
+ *         description: Not the author of the comment
+ *       404:
+ *         description: Comment not found
  *       500:
  *         description: Server error
  */
-app.put('/api/comments/:commentId', async (req, res) => {
+app.put('/api/comments/:commentId', requireAuth, validate({
+  params: COMMENT_PARAMS,
+  body: { commentText: { type: 'string', required: true, maxLength: COMMENT_MAX_LENGTH, label: 'Comment text' } }
+}), async (req, res, next) => {
   try {
-    const { commentId } = req.params;
+    const commentId = parseInt(req.params.commentId);
     const { commentText } = req.body;
 
-    // Validate input - comment text is required
-    if (!commentText || !commentText.trim()) {
-      return res.status(400).json({ error: 'Comment text is required' });
+    const comment = await findVisibleComment(commentId);
+    if (!comment || comment.status === 'removed') {
+      return res.status(404).json({ error: 'Comment not found' });
     }
 
-    // Update comment in database by comment ID
-    const { data, error } = await supabase
-      .from('comments')
-      .update({ comment_text: commentText.trim() })
-      .eq('id', parseInt(commentId))
-      .select()
-      .single(); // Return the updated row
+    if (!comment.user_id || comment.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
 
-    if (error) throw error;
+    // Edits go through the filter again; a held comment stays held until reviewed
+    const changes = { comment_text: commentText.trim() };
+    const heldFor = checkComment(commentText);
+    if (heldFor) {
+      changes.status = 'pending';
+      changes.flag_reason = heldFor;
+    }
 
-    res.json(data);
+    // Update comment in database by comment ID
+    const updated = await commentRepository.update(commentId, changes);
+
+    res.json(updated);
   } catch (err) {
     console.error('Error updating comment:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/comments/{commentId}/reactions/{reaction}:
+ *   post:
+ *     summary: React to a comment
+ *     description: Each user can give each reaction type once per comment; reacting again has no effect.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reaction
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [like, helpful, love, laugh, wow, sad]
+ *     responses:
+ *       200:
+ *         description: Reaction recorded; returns the comment's reaction counts
+ *       400:
+ *         description: Unknown reaction type
+ *       401:
+ *         description: Missing or invalid bearer token
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Take back a reaction
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reaction
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [like, helpful, love, laugh, wow, sad]
+ *     responses:
+ *       200:
+ *         description: Reaction removed; returns the comment's reaction counts
+ *       400:
+ *         description: Unknown reaction type
+ *       401:
+ *         description: Missing or invalid bearer token
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Server error
+ */
+const validateReaction = validate({
+  params: { ...COMMENT_PARAMS, reaction: { type: 'string', required: true, enum: COMMENT_REACTIONS } }
+});
+app.post('/api/comments/:commentId/reactions/:reaction', requireAuth, validateReaction, (req, res, next) => setReaction(req, res, next, true));
+app.delete('/api/comments/:commentId/reactions/:reaction', requireAuth, validateReaction, (req, res, next) => setReaction(req, res, next, false));
+
+/**
+ * Add or remove the caller's reaction to a comment
+ * @param {boolean} add - True to add, false to remove
+ */
+async function setReaction(req, res, next, add) {
+  try {
+    const commentId = parseInt(req.params.commentId);
+    const { reaction } = req.params;
+
+    const comment = await findVisibleComment(commentId);
+    if (!comment || comment.status !== 'visible') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (add) {
+      await commentRepository.addReaction(commentId, req.user.id, reaction);  // Already reacted: nothing to do
+    } else {
+      await commentRepository.removeReaction(commentId, req.user.id, reaction);
+    }
+
+    const [updated] = await withCommentStats([comment], req.user.id);
+    res.json({ reactions: updated.reactions, my_reactions: updated.my_reactions });
+  } catch (err) {
+    console.error('Error updating reaction:', err.message);
+    next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /api/comments/{commentId}/report:
+ *   post:
+ *     summary: Report a comment to the organizers
+ *     description: Each user can report a comment once. When a comment reaches the report threshold (COMMENT_REPORT_THRESHOLD, default 3) it is taken down until an organizer reviews it.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The comment ID to report
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: What is wrong with the comment
+ *     responses:
+ *       201:
+ *         description: Report recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 held:
+ *                   type: boolean
+ *                   description: True when the comment is now waiting for review
+ *       400:
+ *         description: Missing reason, or reporting your own comment
+ *       401:
+ *         description: Missing or invalid bearer token
+ *       404:
+ *         description: Comment not found
+ *       409:
+ *         description: Already reported by this user
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/comments/:commentId/report', requireAuth, validate({
+  params: COMMENT_PARAMS,
+  body: {
+    reason: {
+      type: 'string',
+      required: true,
+      maxLength: REPORT_REASON_MAX_LENGTH,
+      message: 'Please say why you are reporting this comment'
+    }
+  }
+}), async (req, res, next) => {
+  try {
+    const commentId = parseInt(req.params.commentId);
+    const reason = req.body.reason.trim();
+
+    const comment = await findVisibleComment(commentId);
+    if (!comment || comment.status !== 'visible') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.user_id && comment.user_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot report your own comment' });
+    }
+
+    const reported = await commentRepository.addReport({
+      comment_id: commentId,
+      reporter_id: req.user.id,
+      reporter_email: req.user.email,
+      reason
+    });
+
+    if (!reported) {
+      return res.status(409).json({ error: 'You have already reported this comment', code: 'ALREADY_EXISTS' });
+    }
+
+    // Enough open reports take the comment down until an organizer reviews it
+    const count = await commentRepository.countOpenReports(commentId);
+
+    const { reportThreshold } = getFilterConfig();
+    const held = count >= reportThreshold;
+
+    if (held) {
+      await commentRepository.update(commentId, { status: 'pending', flag_reason: `Reported by ${count} users` });
+    }
+
+    res.status(201).json({ message: 'Thanks, the organizers will review this comment', held });
+  } catch (err) {
+    console.error('Error reporting comment:', err.message);
+    next(err);
   }
 });
 
@@ -1903,14 +3323,19 @@ app.put('/api/comments/:commentId', async (req, res) => {
 // ============================================================================
 // Attendance records track which users are attending which events
 // Each user can only attend an event once (enforced by unique constraint)
+// Events with a capacity put extra requests on a waitlist (status 'waitlisted')
+// which is promoted in order as confirmed attendees leave
+// For recurring events every occurrence has its own attendees and waitlist
 
 /**
  * @swagger
  * /api/events/{eventId}/attend:
  *   post:
  *     summary: Mark user as attending an event
- *     description: Creates an attendance record for a user at a specific event. Each user can only attend an event once.
+ *     description: Creates an attendance record for a user at a specific event. Each user can only attend an event once. When the event is at capacity the user is added to the waitlist instead.
  *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -1924,15 +3349,14 @@ app.put('/api/comments/:commentId', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - userName
  *             properties:
- *               userName:
+ *               occurrence:
  *                 type: string
- *                 description: Name of the user attending the event
+ *                 format: date-time
+ *                 description: Occurrence start, required for recurring events
  *     responses:
  *       201:
- *         description: Attendance marked successfully
+ *         description: Attendance marked successfully (confirmed or waitlisted)
  *         content:
  *           application/json:
  *             schema:
@@ -1942,49 +3366,60 @@ app.put('/api/comments/:commentId', async (req, res) => {
  *                   type: integer
  *                 event_id:
  *                   type: integer
+ *                 occurrence_start:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
  *                 user_name:
  *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [confirmed, waitlisted]
+ *                 waitlistPosition:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Position on the waitlist (1 = next in line), null when confirmed
  *                 created_at:
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Validation error or user already attending
+ *         description: Validation error, invalid occurrence or user already attending / waitlisted
+ *       401:
+ *         description: Sign in required (missing or invalid token)
+ *       404:
+ *         description: Event not found
+ *       429:
+ *         description: Too many requests (rate limited, see the Retry-After header)
  *       500:
  *         description: Server error
  */
-app.post('/api/events/:eventId/attend', async (req, res) => {
+app.post('/api/events/:eventId/attend', requireAuth, rateLimit('attend'), validate({ params: EVENT_PARAMS, body: OCCURRENCE_QUERY }), async (req, res, next) => {
   try {
-    const { eventId } = req.params;
-    const { userName } = req.body;
-    
-    // Validate input - user name is required
-    if (!userName || !userName.trim()) {
-      return res.status(400).json({ error: 'User name is required' });
-    }
-    
-    // Insert attendance record into database
-    const { data, error } = await supabase
-      .from('attendance')
-      .insert([
-        {
-          event_id: parseInt(eventId),
-          user_name: userName.trim()
-        }
-      ])
-      .select();
-    
-    if (error) {
-      // Check if it's a duplicate entry error (unique constraint violation)
-      if (error.code === '23505') {
-        return res.status(400).json({ error: 'Already marked as attending' });
-      }
-      throw error;
+    const eventId = parseInt(req.params.eventId);
+    const { occurrence: rawOccurrence } = req.body;
+
+    // Look up the event and occurrence (capacity null = unlimited)
+    const { occurrence } = await resolveOccurrence(eventId, rawOccurrence);
+
+    // Full events put new attendees on the waitlist (decided in the database,
+    // so parallel RSVPs cannot take the same seat)
+    const attendance = await attendEvent(eventId, occurrence, {
+      id: req.user.id,
+      name: getDisplayName(req.user)
+    });
+
+    if (!attendance) {
+      return res.status(400).json({ error: 'Already marked as attending or on the waitlist' });
     }
-    
-    res.status(201).json(data[0]); // 201 = Created
+
+    const waitlistPosition = attendance.status === 'waitlisted'
+      ? await getWaitlistPosition(attendance)
+      : null;
+
+    res.status(201).json({ ...attendance, waitlistPosition }); // 201 = Created
   } catch (err) {
     console.error('Error marking attendance:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -1992,8 +3427,8 @@ app.post('/api/events/:eventId/attend', async (req, res) => {
  * @swagger
  * /api/events/{eventId}/attendance:
  *   get:
- *     summary: Get attendance count and list for an event
- *     description: Retrieves all attendees for a specific event, including total count
+ *     summary: Get attendance count, attendee list and waitlist for an event
+ *     description: Retrieves confirmed attendees and the ordered waitlist for a specific event
  *     tags: [Attendance]
  *     parameters:
  *       - in: path
@@ -2002,9 +3437,15 @@ app.post('/api/events/:eventId/attend', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The event ID
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence start of a recurring event (all occurrences when omitted)
  *     responses:
  *       200:
- *         description: Attendance details (sorted by most recent first)
+ *         description: Attendance details (attendees most recent first, waitlist in queue order)
  *         content:
  *           application/json:
  *             schema:
@@ -2012,7 +3453,11 @@ app.post('/api/events/:eventId/attend', async (req, res) => {
  *               properties:
  *                 count:
  *                   type: integer
- *                   description: Total number of attendees
+ *                   description: Number of confirmed attendees
+ *                 capacity:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Maximum confirmed attendees, null when unlimited
  *                 attendees:
  *                   type: array
  *                   items:
@@ -2024,33 +3469,58 @@ app.post('/api/events/:eventId/attend', async (req, res) => {
  *                         type: integer
  *                       user_name:
  *                         type: string
+ *                       status:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 waitlistCount:
+ *                   type: integer
+ *                   description: Number of people on the waitlist
+ *                 waitlist:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       attendance_id:
+ *                         type: integer
+ *                       user_name:
+ *                         type: string
+ *                       position:
+ *                         type: integer
  *                       created_at:
  *                         type: string
  *                         format: date-time
+ *       400:
+ *         description: Invalid occurrence
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
  */
-app.get('/api/events/:eventId/attendance', async (req, res) => {
+app.get('/api/events/:eventId/attendance', validate({ params: EVENT_PARAMS, query: OCCURRENCE_QUERY }), async (req, res, next) => {
   try {
-    const { eventId } = req.params;
-    
-    // Fetch all attendance records for this event from database
-    const { data, error } = await supabase
-      .from('attendance')
-      .select('attendance_id, event_id, user_name, created_at')
-      .eq('event_id', parseInt(eventId))
-      .order('created_at', { ascending: false }); // Newest first
-    
-    if (error) throw error;
-    
-    // Return count and full list of attendees
+    const eventId = parseInt(req.params.eventId);
+
+    const resolved = await resolveOccurrence(eventId, req.query.occurrence, { required: false });
+
+    // Fetch all attendance records for this event (sign-up order = waitlist order)
+    const rows = await attendanceRepository.listForEvent(eventId, resolved.occurrence);
+
+    const { capacity } = resolved.event;
+    const { confirmed, waitlist } = splitAttendance(rows);
+
+    // Return confirmed attendees (newest first) and the waitlist separately
     res.json({
-      count: data.length,
-      attendees: data
+      count: confirmed.length,
+      capacity,
+      attendees: [...confirmed].reverse(),
+      waitlistCount: waitlist.length,
+      waitlist
     });
   } catch (err) {
     console.error('Error fetching attendance:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -2059,8 +3529,10 @@ app.get('/api/events/:eventId/attendance', async (req, res) => {
  * /api/events/{eventId}/attend:
  *   delete:
  *     summary: Remove user's attendance from an event
- *     description: Deletes an attendance record, allowing users to un-attend an event
+ *     description: Deletes an attendance or waitlist record. If a confirmed seat frees up, the first person on the waitlist is promoted automatically.
  *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -2074,12 +3546,11 @@ app.get('/api/events/:eventId/attendance', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - userName
  *             properties:
- *               userName:
+ *               occurrence:
  *                 type: string
- *                 description: Name of the user to remove from attendance
+ *                 format: date-time
+ *                 description: Occurrence start, required for recurring events
  *     responses:
  *       200:
  *         description: Attendance removed successfully
@@ -2091,44 +3562,129 @@ app.get('/api/events/:eventId/attendance', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Attendance removed successfully
+ *                 promoted:
+ *                   type: array
+ *                   description: User names moved from the waitlist to confirmed
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing or invalid occurrence
+ *       401:
+ *         description: Sign in required (missing or invalid token)
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ */
+app.delete('/api/events/:eventId/attend', requireAuth, validate({ params: EVENT_PARAMS, body: OCCURRENCE_QUERY }), async (req, res, next) => {
+  try {
+    const eventId = parseInt(req.params.eventId);
+    const { occurrence: rawOccurrence } = req.body;
+
+    const { occurrence } = await resolveOccurrence(eventId, rawOccurrence);
+
+    // Delete attendance record from database
+    const removed = await attendanceRepository.removeForUser(eventId, occurrence, req.user.id);
+
+    // A confirmed seat was freed - promote from the waitlist
+    let promoted = [];
+    if (removed.some((row) => row.status !== 'waitlisted')) {
+      promoted = await promoteWaitlist(eventId, occurrence);
+    }
+
+    res.json({
+      message: 'Attendance removed successfully',
+      promoted: promoted.map((row) => row.user_name)
+    });
+  } catch (err) {
+    console.error('Error removing attendance:', err.message);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/check-attendance:
+ *   get:
+ *     summary: Check if a specific user is attending an event
+ *     description: Verifies whether a user has a confirmed seat or a waitlist spot for an event
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The event ID
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence start, required for recurring events
+ *     responses:
+ *       200:
+ *         description: Attendance status for the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isAttending:
+ *                   type: boolean
+ *                   description: True if user has a confirmed seat, false otherwise
+ *                 isWaitlisted:
+ *                   type: boolean
+ *                   description: True if user is on the waitlist
+ *                 waitlistPosition:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Position on the waitlist (1 = next in line)
  *       400:
- *         description: Validation error (missing user name)
+ *         description: Missing or invalid occurrence
+ *       401:
+ *         description: Sign in required (missing or invalid token)
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
  */
-app.delete('/api/events/:eventId/attend', async (req, res) => {
+app.get('/api/events/:eventId/check-attendance', requireAuth, validate({ params: EVENT_PARAMS, query: OCCURRENCE_QUERY }), async (req, res, next) => {
   try {
     const { eventId } = req.params;
-    const { userName } = req.body;
-    
-    // Validate input - user name is required
-    if (!userName) {
-      return res.status(400).json({ error: 'User name is required' });
-    }
-    
-    // Delete attendance record from database
-    const { error } = await supabase
-      .from('attendance')
-      .delete()
-      .eq('event_id', parseInt(eventId))
-      .eq('user_name', userName);
-    
-    if (error) throw error;
-    
-    res.json({ message: 'Attendance removed successfully' });
+
+    const { occurrence } = await resolveOccurrence(parseInt(eventId), req.query.occurrence);
+
+    // Check if attendance record exists for this user and event (null if not found)
+    const data = await attendanceRepository.findForUser(parseInt(eventId), occurrence, req.user.id);
+
+    const waitlistPosition= data && data.status === 'waitlisted'
+      ? await getWaitlistPosition(data)
+      : null;
+
+    // Return booleans indicating if user is attending or waiting
+    res.json({
+      isAttending: !!data && data.status !== 'waitlisted',
+      isWaitlisted: !!data && data.status === 'waitlisted',
+      waitlistPosition
+    });
   } catch (err) {
-    console.error('Error removing attendance:', err.message);
-    res.status(500).json({ error: err.message });
+    console.error('Error checking attendance:', err.message);
+    next(err);
   }
 });
 
 /**
  * @swagger
- * /api/events/{eventId}/check-attendance/{userName}:
+ * /api/events/{eventId}/ticket:
  *   get:
- *     summary: Check if a specific user is attending an event
- *     description: Verifies whether a user has already marked attendance for an event
+ *     summary: Get the check-in ticket for a confirmed attendee
+ *     description: Returns a signed ticket token to render as a QR code. Organizers scan it at the door to record check-in. Waitlisted users get a ticket once promoted.
  *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -2136,45 +3692,63 @@ app.delete('/api/events/:eventId/attend', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The event ID
- *       - in: path
- *         name: userName
- *         required: true
+ *       - in: query
+ *         name: occurrence
  *         schema:
  *           type: string
- *         description: The user name to check
+ *           format: date-time
+ *         description: Occurrence start, required for recurring events
  *     responses:
  *       200:
- *         description: Attendance status for the user
+ *         description: Ticket for the attendee
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 isAttending:
- *                   type: boolean
- *                   description: True if user is attending, false otherwise
+ *                 ticket:
+ *                   type: string
+ *                   description: Signed ticket token
+ *                 attendance_id:
+ *                   type: integer
+ *                 checked_in_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: User is still on the waitlist, or the occurrence is missing or invalid
+ *       401:
+ *         description: Sign in required (missing or invalid token)
+ *       404:
+ *         description: Event not found or user is not attending it
  *       500:
  *         description: Server error
  */
-app.get('/api/events/:eventId/check-attendance/:userName', async (req, res) => {
+app.get('/api/events/:eventId/ticket', requireAuth, validate({ params: EVENT_PARAMS, query: OCCURRENCE_QUERY }), async (req, res, next) => {
   try {
-    const { eventId, userName } = req.params;
-    
-    // Check if attendance record exists for this user and event
-    const { data, error } = await supabase
-      .from('attendance')
-      .select('attendance_id')
-      .eq('event_id', parseInt(eventId))
-      .eq('user_name', userName)
-      .maybeSingle(); // Returns null if not found, doesn't throw error
-    
-    if (error) throw error;
-    
-    // Return boolean indicating if user is attending
-    res.json({ isAttending: !!data });
+    const { eventId } = req.params;
+
+    const resolved = await resolveOccurrence(parseInt(eventId), req.query.occurrence);
+
+    // Find the attendance record the ticket is issued for
+    const data = await attendanceRepository.findForUser(parseInt(eventId), resolved.occurrence, req.user.id);
+
+    if (!data) {
+      return res.status(404).json({ error: 'Not attending this event' });
+    }
+
+    if (data.status === 'waitlisted') {
+      return res.status(400).json({ error: 'Tickets are issued once you are off the waitlist' });
+    }
+
+    res.json({
+      ticket: createTicket(data),
+      attendance_id: data.attendance_id,
+      checked_in_at: data.checked_in_at
+    });
   } catch (err) {
-    console.error('Error checking attendance:', err.message);
-    res.status(500).json({ error: err.message });
+    console.error('Error fetching ticket:', err.message);
+    next(err);
   }
 });
 
@@ -2183,6 +3757,57 @@ app.get('/api/events/:eventId/check-attendance/:userName', async (req, res) => {
 // ============================================================================
 // Ratings allow users to rate events on a scale of 1-5 stars
 // Each user can only rate an event once (enforced by unique constraint)
+// but can change (PUT) or take back (DELETE) their rating
+// For recurring events the rating belongs to a single occurrence
+// A rating can carry optional 1-5 sub-scores per criterion and a written review
+
+const { RATING_CRITERIA } = ratingRepository;                           // Stored as score_<criterion>
+const REVIEW_MAX_LENGTH = 2000;
+const REVIEW_PAGE_SIZE = 10;                                            // Reviews returned per request by default
+const MAX_REVIEW_PAGE_SIZE = 50;
+
+// Body of POST/PUT /api/events/:eventId/rating; ratingColumns() turns it into columns
+const RATING_SCORE = { type: 'integer', min: 1, max: 5 };
+const RATING_BODY = {
+  rating: { ...RATING_SCORE, required: true },
+  scores: {
+    type: 'object',
+    properties: Object.fromEntries(RATING_CRITERIA.map((c) => [c, { ...RATING_SCORE, label: `The ${c} score` }])),
+    additionalProperties: false
+  },
+  review: { type: 'string', maxLength: REVIEW_MAX_LENGTH },
+  occurrence: { type: 'date' }
+};
+
+/**
+ * Sub-scores of a user's rating keyed by criterion
+ * @param {Object|null} row - Rating row with score_* columns (null when not rated)
+ * @returns {Object} { content, venue, organization, value } with null for unscored criteria
+ */
+function getRatingScores(row) {
+  return Object.fromEntries(RATING_CRITERIA.map((c) => [c, row ? row[`score_${c}`] ?? null : null]));
+}
+
+/**
+ * Turn a rating request body (checked against RATING_BODY) into columns
+ * Only the sub-scores and review present in the body are returned, so a PUT
+ * leaves the others unchanged; null clears a sub-score and an empty review clears it
+ * @param {Object} body - Request body with `rating`, optional `scores` object and `review` text
+ * @returns {Object} rating, score_* and review_text columns
+ */
+function ratingColumns(body) {
+  const fields = { rating: Number(body.rating) };
+
+  Object.entries(body.scores || {}).forEach(([criterion, value]) => {
+    fields[`score_${criterion}`] = value === null || value === '' ? null : Number(value);
+  });
+
+  if (body.review !== undefined) {
+    fields.review_text = (body.review || '').trim() || null;
+  }
+
+  return fields;
+}
 
 /**
  * @swagger
@@ -2191,6 +3816,8 @@ app.get('/api/events/:eventId/check-attendance/:userName', async (req, res) => {
  *     summary: Submit a rating for an event
  *     description: Creates a rating record for an event. Each user can only rate an event once. Rating must be between 1 and 5.
  *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -2205,17 +3832,23 @@ app.get('/api/events/:eventId/check-attendance/:userName', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - userName
  *               - rating
  *             properties:
- *               userName:
- *                 type: string
- *                 description: Name of the user submitting the rating
  *               rating:
  *                 type: integer
  *                 minimum: 1
  *                 maximum: 5
  *                 description: Rating value (1-5 stars)
+ *               scores:
+ *                 $ref: '#/components/schemas/RatingScores'
+ *               review:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Optional written review
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Occurrence start, required for recurring events
  *     responses:
  *       201:
  *         description: Rating submitted successfully
@@ -2232,53 +3865,59 @@ app.get('/api/events/:eventId/check-attendance/:userName', async (req, res) => {
  *                   type: string
  *                 rating:
  *                   type: integer
+ *                 score_content:
+ *                   type: integer
+ *                   nullable: true
+ *                 score_venue:
+ *                   type: integer
+ *                   nullable: true
+ *                 score_organization:
+ *                   type: integer
+ *                   nullable: true
+ *                 score_value:
+ *                   type: integer
+ *                   nullable: true
+ *                 review_text:
+ *                   type: string
+ *                   nullable: true
  *                 created_at:
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Validation error (invalid rating, missing fields, or already rated)
+ *         description: Validation error (invalid rating or sub-score, review too long, missing fields, invalid occurrence, or already rated - use PUT to change a rating)
+ *       401:
+ *         description: Sign in required (missing or invalid token)
+ *       404:
+ *         description: Event not found
+ *       429:
+ *         description: Too many requests (rate limited, see the Retry-After header)
  *       500:
  *         description: Server error
  */
-app.post('/api/events/:eventId/rating', async (req, res) => {
+app.post('/api/events/:eventId/rating', requireAuth, rateLimit('rating'), validate({ params: EVENT_PARAMS, body: RATING_BODY }), async (req, res, next) => {
   try {
     const { eventId } = req.params;
-    const { userName, rating } = req.body;
-    
-    // Validate input - user name is required
-    if (!userName || !userName.trim()) {
-      return res.status(400).json({ error: 'User name is required' });
-    }
-    
-    // Validate input - rating must be between 1 and 5
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
-    }
-    
-    // Insert rating record into database
-    const { data, error } = await supabase
-      .from('ratings')
-      .insert([
-        {
-          event_id: parseInt(eventId),
-          user_name: userName.trim(),
-          rating: parseInt(rating)
-        }
-      ])
-      .select();
+    const { occurrence: rawOccurrence } = req.body;
+
+    const resolved = await resolveOccurrence(parseInt(eventId), rawOccurrence);
     
-    if (error) {
-      // Check if user already rated this event (unique constraint violation)
-      if (error.code === '23505') {
-        return res.status(400).json({ error: 'You have already rated this event' });
-      }
-      throw error;
+    // Insert rating record (null when the user already rated this event)
+    const created = await ratingRepository.create({
+      event_id: parseInt(eventId),
+      occurrence_start: resolved.occurrence,
+      user_id: req.user.id,
+      user_name: getDisplayName(req.user),
+      ...ratingColumns(req.body)
+    });
+
+    if (!created) {
+      return res.status(400).json({ error: 'You have already rated this event' });
     }
-    
-    res.status(201).json(data[0]); // 201 = Created
+
+    res.status(201).json(created); // 201 = Created
   } catch (err) {
     console.error('Error submitting rating:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -2287,7 +3926,7 @@ app.post('/api/events/:eventId/rating', async (req, res) => {
  * /api/events/{eventId}/rating:
  *   get:
  *     summary: Get average rating and rating details for an event
- *     description: Retrieves all ratings for an event and calculates the average rating
+ *     description: Retrieves all ratings for an event and calculates the average rating and the 1-5 star distribution
  *     tags: [Ratings]
  *     parameters:
  *       - in: path
@@ -2296,6 +3935,12 @@ app.post('/api/events/:eventId/rating', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The event ID
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence start of a recurring event (all occurrences when omitted)
  *     responses:
  *       200:
  *         description: Rating information (ratings sorted by most recent first)
@@ -2311,6 +3956,32 @@ app.post('/api/events/:eventId/rating', async (req, res) => {
  *                 totalRatings:
  *                   type: integer
  *                   description: Total number of ratings
+ *                 distribution:
+ *                   type: object
+ *                   description: Number of ratings per star value
+ *                   properties:
+ *                     1:
+ *                       type: integer
+ *                     2:
+ *                       type: integer
+ *                     3:
+ *                       type: integer
+ *                     4:
+ *                       type: integer
+ *                     5:
+ *                       type: integer
+ *                 criteria:
+ *                   type: object
+ *                   description: Average and number of sub-scores per criterion (average is null when nobody scored it)
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       average:
+ *                         type: number
+ *                         format: float
+ *                         nullable: true
+ *                       count:
+ *                         type: integer
  *                 ratings:
  *                   type: array
  *                   items:
@@ -2322,50 +3993,187 @@ app.post('/api/events/:eventId/rating', async (req, res) => {
  *                         type: string
  *                       rating:
  *                         type: integer
+ *                       review_text:
+ *                         type: string
+ *                         nullable: true
  *                       created_at:
  *                         type: string
  *                         format: date-time
+ *       400:
+ *         description: Invalid occurrence
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
  */
-app.get('/api/events/:eventId/rating', async (req, res) => {
+app.get('/api/events/:eventId/rating', validate({ params: EVENT_PARAMS, query: OCCURRENCE_QUERY }), async (req, res, next) => {
   try {
     const { eventId } = req.params;
+
+    const resolved = await resolveOccurrence(parseInt(eventId), req.query.occurrence, { required: false });
     
-    // Fetch all ratings for this event from database
-    const { data, error } = await supabase
-      .from('ratings')
-      .select('rating_id, user_name, rating, created_at')
-      .eq('event_id', parseInt(eventId))
-      .order('created_at', { ascending: false }); // Newest first
-    
-    if (error) throw error;
-    
-    // Calculate average rating from all ratings
-    const totalRatings = data.length;
-    const averageRating = totalRatings > 0 
-      ? (data.reduce((sum, r) => sum + r.rating, 0) / totalRatings).toFixed(1)
-      : 0;
-    
-    // Return average, count, and full list of ratings
+    // Fetch all ratings for this event (or occurrence), newest first, and their totals
+    const [data, totals] = await Promise.all([
+      ratingRepository.listForEvent(parseInt(eventId), resolved.occurrence),
+      ratingRepository.totals(parseInt(eventId), resolved.occurrence)
+    ]);
+
+    // Return average, count, 1-5 histogram, criterion averages and full list of ratings
     res.json({
-      averageRating: parseFloat(averageRating),
-      totalRatings,
+      ...summarizeRatings(totals),
       ratings: data
     });
   } catch (err) {
     console.error('Error fetching ratings:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/rating:
+ *   put:
+ *     summary: Change your rating of an event
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 description: New rating value (1-5 stars)
+ *               scores:
+ *                 $ref: '#/components/schemas/RatingScores'
+ *               review:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 2000
+ *                 description: New written review (empty or null removes it, omitted keeps it)
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Occurrence start, required for recurring events
+ *     responses:
+ *       200:
+ *         description: Rating updated
+ *       400:
+ *         description: Validation error (invalid rating or sub-score, review too long or invalid occurrence)
+ *       401:
+ *         description: Sign in required (missing or invalid token)
+ *       404:
+ *         description: Event not found, or no rating from this user
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Take back your rating of an event
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               occurrence:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Occurrence start, required for recurring events
+ *     responses:
+ *       200:
+ *         description: Rating removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Rating removed successfully
+ *       400:
+ *         description: Missing or invalid occurrence
+ *       401:
+ *         description: Sign in required (missing or invalid token)
+ *       404:
+ *         description: Event not found, or no rating from this user
+ *       500:
+ *         description: Server error
+ */
+app.put('/api/events/:eventId/rating', requireAuth, validate({ params: EVENT_PARAMS, body: RATING_BODY }), async (req, res, next) => {
+  try {
+    const eventId = parseInt(req.params.eventId);
+    const { occurrence: rawOccurrence } = req.body;
+
+    const resolved = await resolveOccurrence(eventId, rawOccurrence);
+
+    // Update the caller's own rating
+    const updated = await ratingRepository.updateForUser(eventId, resolved.occurrence, req.user.id, ratingColumns(req.body));
+
+    if (!updated) {
+      return res.status(404).json({ error: 'You have not rated this event yet' });
+    }
+
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating rating:', err.message);
+    next(err);
+  }
+});
+
+app.delete('/api/events/:eventId/rating', requireAuth, validate({ params: EVENT_PARAMS, body: OCCURRENCE_QUERY }), async (req, res, next) => {
+  try {
+    const eventId = parseInt(req.params.eventId);
+    const { occurrence: rawOccurrence } = req.body;
+
+    const resolved = await resolveOccurrence(eventId, rawOccurrence);
+
+    // Delete the caller's own rating
+    const removed = await ratingRepository.removeForUser(eventId, resolved.occurrence, req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'You have not rated this event yet' });
+    }
+
+    res.json({ message: 'Rating removed successfully' });
+  } catch (err) {
+    console.error('Error removing rating:', err.message);
+    next(err);
   }
 });
 
 /**
  * @swagger
- * /api/events/{eventId}/check-rating/{userName}:
+ * /api/events/{eventId}/check-rating:
  *   get:
  *     summary: Check if a user has already rated an event
  *     description: Verifies whether a user has submitted a rating for an event and returns their rating if it exists
  *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -2373,12 +4181,12 @@ app.get('/api/events/:eventId/rating', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The event ID
- *       - in: path
- *         name: userName
- *         required: true
+ *       - in: query
+ *         name: occurrence
  *         schema:
  *           type: string
- *         description: The user name to check
+ *           format: date-time
+ *         description: Occurrence start, required for recurring events
  *     responses:
  *       200:
  *         description: Rating status for the user
@@ -2394,34 +4202,147 @@ app.get('/api/events/:eventId/rating', async (req, res) => {
  *                   type: integer
  *                   nullable: true
  *                   description: The user's rating (1-5) or null if not rated
+ *                 userScores:
+ *                   $ref: '#/components/schemas/RatingScores'
+ *                 userReview:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The user's written review
+ *       400:
+ *         description: Missing or invalid occurrence
+ *       401:
+ *         description: Sign in required (missing or invalid token)
+ *       404:
+ *         description: Event not found
  *       500:
  *         description: Server error
  */
-app.get('/api/events/:eventId/check-rating/:userName', async (req, res) => {
+app.get('/api/events/:eventId/check-rating', requireAuth, validate({ params: EVENT_PARAMS, query: OCCURRENCE_QUERY }), async (req, res, next) => {
   try {
-    const { eventId, userName } = req.params;
-    
-    // Check if rating record exists for this user and event
-    const { data, error } = await supabase
-      .from('ratings')
-      .select('rating')
-      .eq('event_id', parseInt(eventId))
-      .eq('user_name', userName)
-      .maybeSingle(); // Returns null if not found, doesn't throw error
-    
-    if (error) throw error;
+    const { eventId } = req.params;
+
+    const resolved = await resolveOccurrence(parseInt(eventId), req.query.occurrence);
     
-    // Return boolean indicating if user has rated, and their rating value
+    // Check if rating record exists for this user and event (null if not found)
+    const data = await ratingRepository.findForUser(parseInt(eventId), resolved.occurrence, req.user.id);
+
+    // Return boolean indicating if user has rated, and their rating, sub-scores and review
     res.json({ 
       hasRated: !!data,
-      userRating: data ? data.rating : null
+      userRating: data ? data.rating : null,
+      userScores: getRatingScores(data),
+      userReview: data ? data.review_text : null
     });
   } catch (err) {
     console.error('Error checking rating:', err.message);
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/reviews:
+ *   get:
+ *     summary: List written reviews for an event
+ *     description: Returns ratings that have a written review, newest first, one page at a time
+ *     tags: [Ratings]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The event ID
+ *       - in: query
+ *         name: occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Occurrence start of a recurring event (all occurrences when omitted)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Page size
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of reviews to skip
+ *     responses:
+ *       200:
+ *         description: A page of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 total:
+ *                   type: integer
+ *                   description: Number of reviews across all pages
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid occurrence, limit or offset
+ *       404:
+ *         description: Event not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/events/:eventId/reviews', validate({
+  params: EVENT_PARAMS,
+  query: {
+    ...OCCURRENCE_QUERY,
+    limit: { type: 'integer', min: 1, max: MAX_REVIEW_PAGE_SIZE },
+    offset: { type: 'integer', min: 0 }
+  }
+}), async (req, res, next) => {
+  try {
+    const eventId = parseInt(req.params.eventId);
+
+    const limit = parseInt(req.query.limit) || REVIEW_PAGE_SIZE;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const resolved = await resolveOccurrence(eventId, req.query.occurrence, { required: false });
+
+    // Only ratings with a written review, newest first
+    const { reviews, total } = await ratingRepository.listReviews(eventId, resolved.occurrence, { limit, offset });
+
+    res.json({
+      reviews,
+      total,
+      limit,
+      offset,
+      hasMore: offset + reviews.length < total
+    });
+  } catch (err) {
+    console.error('Error fetching reviews:', err.message);
+    next(err);
   }
 });
 
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+// Unknown API paths get a JSON 404, and errors passed to next() or thrown by
+// a route are answered in the shared format (see middleware/errors.js)
+
+app.use('/api', notFoundHandler());
+app.use(errorHandler());
+
 // ============================================================================
 // START SERVER - MODIFIED FOR VERCEL
 // ============================================================================
@@ -0,0 +1,133 @@
+// ============================================================================
+// ABUSE PROTECTION MIDDLEWARE
+// ============================================================================
+// Public write endpoints (registration, comments, attendance, ratings) are
+// rate limited in memory with two buckets per route: one per client IP and
+// one per user (the signed-in account, or whatever userKey() returns, e.g.
+// the email being registered). Each bucket allows `max` requests per fixed
+// window; after that the request gets 429 with a Retry-After header.
+//
+// Limits are set per route in DEFAULT_LIMITS and can be overridden with the
+// RATE_LIMITS environment variable, a JSON object such as
+//   {"comments": {"ip": 50, "user": 20, "windowMs": 600000}}
+// A max of 0 turns that bucket off. Counters live in this process only, so
+// every server instance counts separately and a restart clears them.
+//
+// honeypot() rejects form submissions that filled in a field real users never
+// see (HONEYPOT_FIELD), which stops simple bots that fill in every input.
+
+const HONEYPOT_FIELD = 'website';
+
+// Route name -> { windowMs, ip: max per IP, user: max per user }
+const DEFAULT_LIMITS = {
+  register: { windowMs: 60 * 60 * 1000, ip: 10, user: 3 },
+  'password-reset': { windowMs: 60 * 60 * 1000, ip: 10, user: 3 },
+  'resend-verification': { windowMs: 60 * 60 * 1000, ip: 10, user: 3 },
+  comments: { windowMs: 10 * 60 * 1000, ip: 30, user: 10 },
+  attend: { windowMs: 10 * 60 * 1000, ip: 60, user: 20 },
+  rating: { windowMs: 10 * 60 * 1000, ip: 60, user: 20 }
+};
+
+const buckets = new Map();  // "route:ip:1.2.3.4" / "route:user:<id>" -> { count, resetAt }
+
+/**
+ * Read the limits for a route, applying RATE_LIMITS overrides
+ * @param {string} name - Route name from DEFAULT_LIMITS
+ * @returns {Object} { windowMs, ip, user }
+ */
+function getLimits(name) {
+  let overrides = {};
+  if (process.env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMITS)[name] || {};
+    } catch (error) {
+      console.error('💥 RATE_LIMITS is not valid JSON, using the default limits:', error.message);
+    }
+  }
+  return { ...DEFAULT_LIMITS[name], ...overrides };
+}
+
+/**
+ * Count a request in a bucket
+ * @param {string} key - Bucket key
+ * @param {number} max - Requests allowed per window
+ * @param {number} windowMs - Window length
+ * @returns {number|null} Time (ms) the bucket resets when over the limit, otherwise null
+ */
+function hit(key, max, windowMs) {
+  const now = Date.now();
+
+  // Drop expired buckets now and then so the map stays small
+  if (buckets.size > 10000) {
+    for (const [k, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(k);
+    }
+  }
+
+  let bucket = buckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    buckets.set(key, bucket);
+  }
+
+  bucket.count++;
+  return bucket.count > max ? bucket.resetAt : null;
+}
+
+/**
+ * Create rate limiting middleware for a route
+ * Must run after requireAuth/optionalAuth for the per-user bucket to apply.
+ * @param {string} name - Route name from DEFAULT_LIMITS
+ * @param {Object} [options]
+ * @param {Function} [options.userKey] - (req) => key of the per-user bucket
+ *   (default: signed-in user id; requests without a key only use the IP bucket)
+ * @returns {Function} Express middleware
+ */
+function rateLimit(name, { userKey = (req) => req.user?.id } = {}) {
+  if (!DEFAULT_LIMITS[name]) {
+    throw new Error(`Unknown rate limit "${name}"`);
+  }
+
+  const { windowMs, ip, user } = getLimits(name);
+
+  return (req, res, next) => {
+    const key = userKey(req);
+    const resets = [
+      ip > 0 ? hit(`${name}:ip:${req.ip}`, ip, windowMs) : null,
+      user > 0 && key ? hit(`${name}:user:${key}`, user, windowMs) : null
+    ].filter(Boolean);
+
+    if (resets.length === 0) return next();
+
+    const retryAfter = Math.ceil((Math.max(...resets) - Date.now()) / 1000);
+    console.log(`🚦 Rate limit "${name}" hit by ${key || req.ip}, retry in ${retryAfter}s`);
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      error: `Too many requests. Please try again in ${retryAfter < 60 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`}.`,
+      retryAfter
+    });
+  };
+}
+
+/**
+ * Create middleware that rejects requests with the honeypot field filled in
+ * @returns {Function} Express middleware
+ */
+function honeypot() {
+  return (req, res, next) => {
+    const value = req.body?.[HONEYPOT_FIELD];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      console.log(`🍯 Honeypot filled in on ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(400).json({ success: false, code: 'SUBMISSION_REJECTED', error: 'Your submission could not be accepted' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  honeypot
+};
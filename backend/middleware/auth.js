@@ -0,0 +1,215 @@
+const supabase = require('../db');
+const { getSetting } = require('../utils/settings');
+const { verifyTwoFactorToken } = require('../utils/two-factor');
+
+// ============================================================================
+// AUTHENTICATION & ROLE MIDDLEWARE
+// ============================================================================
+// Requests authenticate with a Supabase access token ("Authorization: Bearer
+// <token>"). The role comes from the users table and follows a hierarchy:
+// every role can do what the roles before it can, so requireRole('organizer')
+// also lets admins through. Users without a users row are plain 'user's.
+//
+// Role lookups are cached per email for AUTH_ROLE_CACHE_TTL_MS (default 30s)
+// so a page firing several requests does not query users each time. Call
+// clearRoleCache() after changing someone's role to apply it immediately.
+//
+// Organizers (and admins) with two-factor authentication must also send a
+// valid X-Two-Factor-Token (see utils/two-factor.js); when admins make 2FA
+// mandatory, organizers without it must set it up first. Until then
+// req.user.twoFactorPending is 'verify' or 'enroll' and requireRole refuses
+// the request. Plain users are never asked for a second factor.
+
+const ROLES = ['user', 'committee', 'organizer', 'admin'];  // Lowest to highest
+const ROLE_CACHE_TTL_MS = parseInt(process.env.AUTH_ROLE_CACHE_TTL_MS) || 30000;
+
+const roleCache = new Map();  // email -> { profile, expiresAt }
+
+/**
+ * Check whether a role includes the rights of another role
+ * @param {string} role - Role the user has
+ * @param {string} required - Role needed
+ * @returns {boolean} True when role is the same as or above required
+ */
+function hasRole(role, required) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+/**
+ * Look up a user's name and role, using the short-lived cache
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} { id, full_name, role, two_factor_enabled_at } or null when there is no users row
+ */
+async function getUserProfile(email) {
+  const key = email.trim().toLowerCase();
+  const cached = roleCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.profile;
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, full_name, role, two_factor_enabled_at')
+    .ilike('email', key.replace(/[\\%_]/g, '\\$&'))  // Case-insensitive like the cache key, no wildcards
+    .maybeSingle();
+
+  if (error) throw error;
+
+  // Drop expired entries now and then so the cache stays small
+  if (roleCache.size > 1000) {
+    const now = Date.now();
+    roleCache.forEach((entry, cachedKey) => {
+      if (entry.expiresAt <= now) roleCache.delete(cachedKey);
+    });
+  }
+
+  roleCache.set(key, { profile: data || null, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return data || null;
+}
+
+/**
+ * Forget cached roles, e.g. after a role change
+ * @param {string} [email] - Only forget this user (all users when omitted)
+ */
+function clearRoleCache(email) {
+  if (email) {
+    roleCache.delete(email.trim().toLowerCase());
+  } else {
+    roleCache.clear();
+  }
+}
+
+/**
+ * Read the bearer token from a request
+ * @param {Object} req - Express request
+ * @returns {string} Token, or '' when there is none
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization || '';
+  return authHeader.replace('Bearer ', '').trim();
+}
+
+/**
+ * Work out which second-factor step, if any, a request still needs
+ * @param {Object} req - Express request
+ * @param {Object} user - { id, role, two_factor_enabled }
+ * @returns {Promise<string|null>} 'verify', 'enroll' or null when nothing is needed
+ */
+async function getTwoFactorPending(req, user) {
+  if (!hasRole(user.role, 'organizer')) return null;
+
+  if (user.two_factor_enabled) {
+    const token = req.headers['x-two-factor-token'];
+    return token && verifyTwoFactorToken(token, user.id) ? null : 'verify';
+  }
+
+  return (await getSetting('require_organizer_2fa')) ? 'enroll' : null;
+}
+
+/**
+ * Resolve the user behind the request's bearer token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user: { id, email, full_name, role, two_factor_enabled, twoFactorPending } } or { status, error }
+ */
+async function getRequestUser(req) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return { status: 401, error: 'Authorization header required' };
+  }
+
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    return { status: 401, error: 'Invalid token' };
+  }
+
+  const profile = await getUserProfile(user.email);
+
+  const requestUser = {
+    id: user.id,
+    email: user.email,
+    full_name: profile?.full_name || user.user_metadata?.full_name || null,
+    role: profile?.role || 'user',
+    two_factor_enabled: Boolean(profile?.two_factor_enabled_at)
+  };
+  requestUser.twoFactorPending = await getTwoFactorPending(req, requestUser);
+
+  return { user: requestUser };
+}
+
+/**
+ * Middleware: require a valid bearer token and set req.user
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const auth = await getRequestUser(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    req.user = auth.user;
+    next();
+  } catch (error) {
+    console.error('💥 Auth middleware error:', error);
+    next(error);
+  }
+}
+
+/**
+ * Middleware: set req.user when a bearer token is sent, null otherwise
+ * A token that is sent but invalid is still rejected with 401.
+ */
+async function optionalAuth(req, res, next) {
+  if (!getBearerToken(req)) {
+    req.user = null;
+    return next();
+  }
+  return requireAuth(req, res, next);
+}
+
+/**
+ * Middleware factory: require a valid token and one of the given roles
+ * (or a role above it in the hierarchy), with two-factor checks passed
+ * @param {...string} roles - Accepted roles, e.g. requireRole('organizer')
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  const unknown = roles.filter((role) => !ROLES.includes(role));
+  if (roles.length === 0 || unknown.length > 0) {
+    throw new Error(`requireRole needs roles from: ${ROLES.join(', ')}`);
+  }
+
+  return (req, res, next) => requireAuth(req, res, () => {
+    if (!roles.some((role) => hasRole(req.user.role, role))) {
+      console.error(`❌ ${req.user.email} (${req.user.role}) needs role:`, roles.join(' or '));
+      const label = roles[0].charAt(0).toUpperCase() + roles[0].slice(1);
+      return res.status(403).json({ success: false, error: `${label} access required` });
+    }
+
+    if (req.user.twoFactorPending) {
+      console.error(`❌ ${req.user.email} needs two-factor step:`, req.user.twoFactorPending);
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        error: req.user.twoFactorPending === 'verify'
+          ? 'Two-factor verification required'
+          : 'Two-factor authentication must be set up for organizer accounts',
+        twoFactor: req.user.twoFactorPending
+      });
+    }
+    next();
+  });
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  getUserProfile,
+  clearRoleCache,
+  getBearerToken,
+  getRequestUser,
+  requireAuth,
+  optionalAuth,
+  requireRole
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+// ============================================================================
+// ERROR RESPONSES
+// ============================================================================
+// Every failed request gets the same JSON body and an HTTP status that
+// matches it:
+//
+//   { success: false, error: <message for people>, code: <CODE>, requestId, ...extra }
+//
+// - error: human-readable message, safe to show in the UI
+// - code: stable machine-readable code (see STATUS_CODES / DATABASE_ERRORS);
+//   clients should branch on this, not on the message
+// - requestId: also sent as the X-Request-Id header and written to the logs,
+//   so a report from a user can be matched to the server log
+// - extra fields stay where routes add them (errors for validation,
+//   retryAfter for rate limits, twoFactor for the second-factor prompt)
+//
+// Routes either answer with res.status(4xx).json({ error, code? }), which
+// errorEnvelope() completes, or throw / next(error) and let errorHandler()
+// pick the status. Helpers that decide a request's outcome, such as
+// resolveOccurrence() in index.js, throw an ApiError with the status and code.
+// Database errors are mapped by their Postgres code, and unexpected errors
+// are answered with a generic message so database and stack details never
+// reach the client.
+//
+// Success bodies are not enveloped. The public /api routes in index.js answer
+// with the resource itself (an event, a list page, a rating); the routers
+// under /api/auth, /api/organizer and /api/admin wrap theirs as
+// { success: true, ... }. Both shapes are what the web app and dashboard
+// already read, so changing either would break those clients; tell success
+// from failure by the HTTP status, or by `success` being false.
+
+// Default code for each status when a route does not give one
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Postgres (and PostgREST) error codes -> response
+const DATABASE_ERRORS = {
+  '23505': { status: 409, code: 'ALREADY_EXISTS', message: 'A record with these details already exists' },
+  '23503': { status: 409, code: 'RECORD_IN_USE', message: 'This record is linked to other records' },
+  '23502': { status: 400, code: 'MISSING_FIELD', message: 'A required field is missing' },
+  '23514': { status: 400, code: 'INVALID_VALUE', message: 'A value is not allowed' },
+  '22P02': { status: 400, code: 'INVALID_VALUE', message: 'A value has the wrong format' },
+  '22001': { status: 400, code: 'VALUE_TOO_LONG', message: 'A value is too long' },
+  '42P01': { status: 500, code: 'DATABASE_NOT_READY', message: 'The database is not set up yet. Please run the migrations.' },
+  PGRST116: { status: 404, code: 'NOT_FOUND', message: 'Record not found' }
+};
+
+const SERVER_ERROR_MESSAGE = 'Something went wrong on our side. Please try again later.';
+
+/**
+ * Error with an HTTP status and code, for routes and helpers to throw
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Machine-readable code
+   * @param {string} message - Message for people
+   * @param {Object} [extra] - Extra fields for the response body
+   */
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+/**
+ * Give each request an id (X-Request-Id from a proxy, or a new one)
+ * @returns {Function} Express middleware
+ */
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.requestId = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.requestId);
+    next();
+  };
+}
+
+/**
+ * Complete every error body sent with res.json() to the shared format
+ * Runs for status 400 and above; success responses are left alone.
+ * @returns {Function} Express middleware
+ */
+function errorEnvelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode < 400 || !body || typeof body !== 'object' || Array.isArray(body)) {
+        return json(body);
+      }
+
+      const { success, error, code, ...extra } = body;
+      return json({
+        success: false,
+        error: typeof error === 'string' && error ? error : (res.statusCode >= 500 ? SERVER_ERROR_MESSAGE : 'Request failed'),
+        code: code || STATUS_CODES[res.statusCode] || (res.statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST'),
+        requestId: req.requestId,
+        ...extra
+      });
+    };
+
+    next();
+  };
+}
+
+/**
+ * Work out the response for a thrown error
+ * @param {Error|Object} err - Thrown error (ApiError, database error, body parser error, ...)
+ * @returns {Object} { status, code, message, extra }
+ */
+function describeError(err) {
+  if (err instanceof ApiError) {
+    return { status: err.status, code: err.code, message: err.message, extra: err.extra };
+  }
+
+  // A foreign key error on insert/update means the linked record is missing,
+  // not that other records still point to this one
+  if (err && err.code === '23503' && /^insert or update/i.test(err.message || '')) {
+    return { status: 400, code: 'LINKED_RECORD_MISSING', message: 'A linked record does not exist', extra: {} };
+  }
+
+  const database = err && DATABASE_ERRORS[err.code];
+  if (database) {
+    return { ...database, extra: {} };
+  }
+
+  // express.json() errors carry a 4xx status
+  if (err && err.type === 'entity.parse.failed') {
+    return { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON', extra: {} };
+  }
+  if (err && err.type === 'entity.too.large') {
+    return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large', extra: {} };
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR', message: SERVER_ERROR_MESSAGE, extra: {} };
+}
+
+/**
+ * Answer unknown API paths with a JSON 404 instead of the HTML default
+ * @returns {Function} Express middleware
+ */
+function notFoundHandler() {
+  return (req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl}`, code: 'ROUTE_NOT_FOUND' });
+  };
+}
+
+/**
+ * Central error handler, mounted after all routes
+ * @returns {Function} Express error middleware
+ */
+function errorHandler() {
+  // Express recognizes error handlers by their four arguments
+  return (err, req, res, next) => {
+    // Too late to send an error body; let Express close the connection
+    if (res.headersSent) return next(err);
+
+    const { status, code, message, extra } = describeError(err);
+
+    // Routes log the full error where they catch it; this line ties it to the request id
+    const detail = err instanceof ApiError ? '' : err?.code ? `(database ${err.code})` : err?.message || '';
+    const log = status >= 500 ? console.error : console.log;
+    log(`${status >= 500 ? '💥' : '❌'} [${req.requestId}] ${req.method} ${req.originalUrl} -> ${status} ${code}`, detail);
+
+    res.status(status).json({ error: message, code, ...extra });
+  };
+}
+
+module.exports = {
+  ApiError,
+  requestId,
+  errorEnvelope,
+  errorHandler,
+  notFoundHandler
+};
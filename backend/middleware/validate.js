@@ -0,0 +1,251 @@
+// ============================================================================
+// REQUEST VALIDATION MIDDLEWARE
+// ============================================================================
+// Routes describe their params, query and body as schemas: plain objects
+// mapping each field to a rule, e.g.
+//
+//   validate({
+//     params: { member_id: ID },
+//     body: {
+//       member_name: { type: 'string', required: true, maxLength: 100 },
+//       role: { type: 'string', required: true, maxLength: 100 },
+//       email: { type: 'string', format: 'email' }
+//     }
+//   })
+//
+// Every field is checked and all problems are returned together as
+//   400 { success: false, error, code: 'VALIDATION_FAILED', errors: [{ field, location, message }] }
+// so forms can show each message next to its input. `error` joins the
+// messages for clients that only show one line.
+//
+// Rules:
+// - type: string | integer | number | boolean | date | array | object
+//   (numbers and booleans may arrive as strings, e.g. from query strings)
+// - required: null, undefined and blank strings are missing. Optional fields
+//   that are missing are not checked further.
+// - minLength / maxLength (trimmed strings), min / max (numbers),
+//   enum (allowed values), maxItems (arrays)
+// - format: email | phone | uuid | date (YYYY-MM-DD) | idList ("1,2,3") |
+//   timeZone (IANA name, e.g. Europe/Berlin)
+// - items: rule for each array element; properties: schema of an object
+//   (additionalProperties: false refuses keys the schema does not list)
+// - label: name used in messages (default: derived from the field name)
+//
+// Values are only checked, not changed; handlers still parse and trim them.
+// Checks that involve several fields (e.g. end after start) stay in the
+// handlers, which can report them with sendValidationErrors().
+
+const FORMATS = {
+  email: { test: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v), message: 'must be a valid email address' },
+  // Digits with optional +, spaces, dashes, dots and brackets, 7-15 digits
+  phone: {
+    test: (v) => /^\+?[\d\s().-]+$/.test(v) && /^\d{7,15}$/.test(v.replace(/\D/g, '')),
+    message: 'must be a valid phone number'
+  },
+  uuid: {
+    test: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+    message: 'must be a valid id'
+  },
+  date: {
+    test: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime()),
+    message: 'must be a date (YYYY-MM-DD)'
+  },
+  idList: { test: (v) => /^\s*\d+\s*(,\s*\d+\s*)*$/.test(v), message: 'must be a comma-separated list of ids' },
+  // Any zone the runtime's time zone data knows
+  timeZone: {
+    test: (v) => {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: v });
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    message: 'must be a time zone name (e.g. Europe/Berlin)'
+  }
+};
+
+// Positive whole number, the usual rule for numeric id params
+const ID = { type: 'integer', required: true, min: 1 };
+
+/**
+ * Turn a field name into a label for messages ("member_name" -> "Member name")
+ * @param {string} name - Field name
+ * @returns {string} Label
+ */
+function humanize(name) {
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Check whether a value counts as missing
+ * @param {*} value - Submitted value
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Check a value against its type
+ * @param {*} value - Submitted value (not missing)
+ * @param {string} type - Rule type
+ * @returns {string|null} Error message tail, or null when the type matches
+ */
+function checkType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be text';
+    case 'integer':
+      return (typeof value === 'number' && Number.isInteger(value))
+        || (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value))
+        ? null : 'must be a whole number';
+    case 'number':
+      return (typeof value === 'number' && Number.isFinite(value))
+        || (typeof value === 'string' && /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value))
+        ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false' ? null : 'must be true or false';
+    case 'date':
+      return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime())
+        ? null : 'must be a valid date';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be a list';
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    default:
+      throw new Error(`Unknown validation type "${type}"`);
+  }
+}
+
+/**
+ * Check one value against its rule
+ * @param {*} value - Submitted value
+ * @param {Object} rule - Field rule
+ * @param {string} field - Field path for error entries (e.g. "recurrence.count")
+ * @param {string} location - params, query or body
+ * @param {Array} errors - Collected { field, location, message } entries
+ */
+function checkField(value, rule, field, location, errors) {
+  const label = rule.label || humanize(field.split('.').pop());
+  const fail = (message) => errors.push({ field, location, message: rule.message || `${label} ${message}` });
+
+  if (isMissing(value)) {
+    if (rule.required) fail('is required');
+    return;
+  }
+
+  if (rule.type) {
+    const typeError = checkType(value, rule.type);
+    if (typeError) return fail(typeError);
+  }
+
+  if (typeof value === 'string') {
+    const length = value.trim().length;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      return fail(`must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      return fail(`must be ${rule.maxLength} characters or less`);
+    }
+    if (rule.format) {
+      const format = FORMATS[rule.format];
+      if (!format) throw new Error(`Unknown validation format "${rule.format}"`);
+      if (!format.test(value.trim())) return fail(format.message);
+    }
+  }
+
+  if (rule.type === 'integer' || rule.type === 'number') {
+    const number = Number(value);
+    if (rule.min !== undefined && number < rule.min) return fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && number > rule.max) return fail(`must be at most ${rule.max}`);
+  }
+
+  if (rule.enum) {
+    const candidate = typeof value === 'string' ? value.trim() : value;
+    if (!rule.enum.includes(candidate)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return fail(`can have at most ${rule.maxItems} entries`);
+    }
+    if (rule.items) {
+      // Entries are reported under their own path with the list's label
+      const itemRule = { label, ...rule.items };
+      value.forEach((item, index) => checkField(item, itemRule, `${field}[${index}]`, location, errors));
+    }
+  }
+
+  if (rule.properties && rule.type === 'object') {
+    if (rule.additionalProperties === false) {
+      const known = Object.keys(rule.properties);
+      if (Object.keys(value).some((key) => !known.includes(key))) {
+        return fail(`can only have ${known.join(', ')}`);
+      }
+    }
+    checkSchema(value, rule.properties, location, errors, `${field}.`);
+  }
+}
+
+/**
+ * Check an object against a schema
+ * @param {Object} data - req.params, req.query or req.body
+ * @param {Object} schema - Field name -> rule
+ * @param {string} location - params, query or body
+ * @param {Array} errors - Collected error entries
+ * @param {string} [prefix=''] - Path of the enclosing object
+ */
+function checkSchema(data, schema, location, errors, prefix = '') {
+  for (const [name, rule] of Object.entries(schema)) {
+    checkField(data?.[name], rule, `${prefix}${name}`, location, errors);
+  }
+}
+
+/**
+ * Send the 400 response for a list of field errors
+ * @param {Object} res - Express response
+ * @param {Array} errors - [{ field, location, message }]
+ */
+function sendValidationErrors(res, errors) {
+  res.status(400).json({
+    success: false,
+    code: 'VALIDATION_FAILED',
+    error: errors.map((e) => e.message).join('. '),
+    errors
+  });
+}
+
+/**
+ * Create middleware that validates a request
+ * @param {Object} schemas - { params, query, body }, each a schema (all optional)
+ * @returns {Function} Express middleware
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+
+      const data = req[location];
+      if (location === 'body' && data !== undefined && (typeof data !== 'object' || Array.isArray(data))) {
+        errors.push({ field: '', location, message: 'Request body must be a JSON object' });
+        continue;
+      }
+      checkSchema(data || {}, schemas[location], location, errors);
+    }
+
+    if (errors.length > 0) {
+      console.log(`❌ Validation failed for ${req.method} ${req.originalUrl}:`, errors.map((e) => e.field).join(', '));
+      return sendValidationErrors(res, errors);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  sendValidationErrors,
+  ID
+};
@@ -0,0 +1,15 @@
+-- Event capacity limits and attendance waitlist
+-- Run in the Supabase SQL editor.
+
+-- NULL capacity means unlimited attendees
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS capacity INTEGER CHECK (capacity IS NULL OR capacity > 0);
+
+-- Existing attendance rows are all confirmed
+ALTER TABLE attendance
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'confirmed'
+  CHECK (status IN ('confirmed', 'waitlisted'));
+
+-- Waitlist is ordered by created_at within an event
+CREATE INDEX IF NOT EXISTS idx_attendance_event_status
+  ON attendance(event_id, status, created_at);
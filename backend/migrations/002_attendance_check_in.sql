@@ -0,0 +1,7 @@
+-- Ticket check-in for attendance records
+-- Run in the Supabase SQL editor.
+
+-- Set once when an organizer scans the attendee's ticket
+ALTER TABLE attendance
+  ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS checked_in_by TEXT;
@@ -0,0 +1,28 @@
+-- Recurring events and per-occurrence engagement
+-- Run in the Supabase SQL editor.
+
+-- RRULE subset (FREQ, INTERVAL, COUNT/UNTIL) and skipped occurrence starts
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS recurrence_rule TEXT,
+  ADD COLUMN IF NOT EXISTS recurrence_exdates JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Set on a single occurrence that was edited on its own ("this occurrence")
+  ADD COLUMN IF NOT EXISTS parent_event_id INTEGER REFERENCES events(event_id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS original_occurrence_start TIMESTAMP WITH TIME ZONE;
+
+-- Which occurrence of a recurring event a row belongs to (NULL for single events)
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS occurrence_start TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS occurrence_start TIMESTAMP WITH TIME ZONE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS occurrence_start TIMESTAMP WITH TIME ZONE;
+
+-- One attendance / rating per user per occurrence instead of per event
+-- (default constraint names; adjust if your tables use different ones)
+ALTER TABLE attendance DROP CONSTRAINT IF EXISTS attendance_event_id_user_name_key;
+ALTER TABLE ratings DROP CONSTRAINT IF EXISTS ratings_event_id_user_name_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_occurrence_user
+  ON attendance(event_id, COALESCE(occurrence_start, 'epoch'::timestamptz), user_name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ratings_occurrence_user
+  ON ratings(event_id, COALESCE(occurrence_start, 'epoch'::timestamptz), user_name);
+
+CREATE INDEX IF NOT EXISTS idx_comments_event_occurrence
+  ON comments(event_id, occurrence_start);
@@ -0,0 +1,13 @@
+-- Comment ownership and moderator removal
+-- Run in the Supabase SQL editor.
+
+-- Author of the comment (auth user id); NULL for anonymous comments
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS user_id UUID;
+
+-- Set when an organizer removes someone else's comment
+ALTER TABLE comments
+  ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS removed_by UUID,
+  ADD COLUMN IF NOT EXISTS removed_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_comments_user ON comments(user_id);
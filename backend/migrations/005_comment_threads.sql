@@ -0,0 +1,12 @@
+-- Threaded comment replies
+-- Run in the Supabase SQL editor.
+
+-- Parent comment of a reply (NULL for top-level comments); 017 replaces the
+-- cascade so deleting a comment keeps its replies
+ALTER TABLE comments
+  ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS depth SMALLINT NOT NULL DEFAULT 0,
+  -- Role of the signed-in author when the comment was posted (e.g. 'organizer')
+  ADD COLUMN IF NOT EXISTS author_role TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id, created_at);
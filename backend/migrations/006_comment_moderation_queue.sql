@@ -0,0 +1,27 @@
+-- Comment reporting, filtering and the organizer moderation queue
+-- Run in the Supabase SQL editor.
+
+-- visible: shown to readers; pending: held for review (filter or reports);
+-- hidden: taken down by an organizer
+ALTER TABLE comments
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'visible'
+    CHECK (status IN ('visible', 'pending', 'hidden')),
+  ADD COLUMN IF NOT EXISTS flag_reason TEXT,
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_comments_status ON comments(status);
+
+-- One report per user per comment; resolved once an organizer reviews it
+CREATE TABLE IF NOT EXISTS comment_reports (
+  report_id SERIAL PRIMARY KEY,
+  comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+  reporter_id UUID NOT NULL,
+  reporter_email TEXT,
+  reason TEXT NOT NULL,
+  resolved BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (comment_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_reports_open ON comment_reports(comment_id) WHERE NOT resolved;
@@ -0,0 +1,14 @@
+-- Comment reactions and "helpful" votes
+-- Run in the Supabase SQL editor.
+
+CREATE TABLE IF NOT EXISTS comment_reactions (
+  reaction_id SERIAL PRIMARY KEY,
+  comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  reaction TEXT NOT NULL CHECK (reaction IN ('like', 'helpful', 'love', 'laugh', 'wow', 'sad')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- One reaction of each type per user per comment
+  UNIQUE (comment_id, user_id, reaction)
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_reactions_comment ON comment_reactions(comment_id);
@@ -0,0 +1,15 @@
+-- Multi-criteria rating sub-scores and written reviews
+-- Run in the Supabase SQL editor.
+
+ALTER TABLE ratings
+  ADD COLUMN IF NOT EXISTS score_content SMALLINT CHECK (score_content BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS score_venue SMALLINT CHECK (score_venue BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS score_organization SMALLINT CHECK (score_organization BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS score_value SMALLINT CHECK (score_value BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS review_text TEXT CHECK (char_length(review_text) <= 2000),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Review list: newest reviews of an event first
+CREATE INDEX IF NOT EXISTS idx_ratings_event_reviews
+  ON ratings(event_id, created_at DESC)
+  WHERE review_text IS NOT NULL;
@@ -0,0 +1,86 @@
+-- Attendance and ratings owned by the signed-in user instead of a free-text name
+-- Run in the Supabase SQL editor.
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Names stop being unique per occurrence: two rows for the same person
+-- ("prabash" / "Prabash") are merged below, and renaming them first would
+-- violate these indexes from 003.
+DROP INDEX IF EXISTS idx_attendance_occurrence_user;
+DROP INDEX IF EXISTS idx_ratings_occurrence_user;
+
+-- One-time mapping of the old name-based rows. A row belongs to a user when its
+-- user_name matches exactly one user's full name or email, ignoring case and
+-- surrounding spaces. Rows that match nobody (or several users) keep user_id
+-- NULL: they still count towards totals, but nobody can change them any more.
+WITH matches AS (
+  SELECT a.attendance_id, (array_agg(u.id))[1] AS user_id
+  FROM attendance a
+  JOIN users u
+    ON lower(trim(a.user_name)) IN (lower(trim(u.full_name)), lower(u.email))
+  WHERE a.user_id IS NULL
+  GROUP BY a.attendance_id
+  HAVING COUNT(DISTINCT u.id) = 1
+)
+UPDATE attendance a
+SET user_id = m.user_id
+FROM matches m
+WHERE a.attendance_id = m.attendance_id;
+
+WITH matches AS (
+  SELECT r.rating_id, (array_agg(u.id))[1] AS user_id
+  FROM ratings r
+  JOIN users u
+    ON lower(trim(r.user_name)) IN (lower(trim(u.full_name)), lower(u.email))
+  WHERE r.user_id IS NULL
+  GROUP BY r.rating_id
+  HAVING COUNT(DISTINCT u.id) = 1
+)
+UPDATE ratings r
+SET user_id = m.user_id
+FROM matches m
+WHERE r.rating_id = m.rating_id;
+
+-- Names that differed only in case now point at the same user. Keep one row
+-- each: the confirmed (then oldest) attendance and the newest rating.
+DELETE FROM attendance a
+USING (
+  SELECT attendance_id, ROW_NUMBER() OVER (
+    PARTITION BY event_id, COALESCE(occurrence_start, 'epoch'::timestamptz), user_id
+    ORDER BY (status = 'waitlisted'), created_at, attendance_id
+  ) AS rn
+  FROM attendance
+  WHERE user_id IS NOT NULL
+) d
+WHERE a.attendance_id = d.attendance_id AND d.rn > 1;
+
+DELETE FROM ratings r
+USING (
+  SELECT rating_id, ROW_NUMBER() OVER (
+    PARTITION BY event_id, COALESCE(occurrence_start, 'epoch'::timestamptz), user_id
+    ORDER BY created_at DESC, rating_id DESC
+  ) AS rn
+  FROM ratings
+  WHERE user_id IS NOT NULL
+) d
+WHERE r.rating_id = d.rating_id AND d.rn > 1;
+
+-- Mapped rows show the user's current display name
+UPDATE attendance a
+SET user_name = COALESCE(u.full_name, u.email)
+FROM users u
+WHERE a.user_id = u.id;
+
+UPDATE ratings r
+SET user_name = COALESCE(u.full_name, u.email)
+FROM users u
+WHERE r.user_id = u.id;
+
+-- One attendance / rating per user per occurrence
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_occurrence_user_id
+  ON attendance(event_id, COALESCE(occurrence_start, 'epoch'::timestamptz), user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ratings_occurrence_user_id
+  ON ratings(event_id, COALESCE(occurrence_start, 'epoch'::timestamptz), user_id);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_user ON attendance(user_id);
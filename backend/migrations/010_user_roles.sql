@@ -0,0 +1,11 @@
+-- Role hierarchy for users: user < committee < organizer < admin
+-- Run in the Supabase SQL editor.
+
+UPDATE users SET role = 'user' WHERE role IS NULL;
+
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'user';
+ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'committee', 'organizer', 'admin'));
@@ -0,0 +1,17 @@
+-- Audit log of user role changes made by admins
+-- Run in the Supabase SQL editor.
+
+CREATE TABLE IF NOT EXISTS role_changes (
+  change_id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_email TEXT NOT NULL,
+  old_role TEXT NOT NULL,
+  new_role TEXT NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  changed_by_email TEXT NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_changes_user ON role_changes(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_role_changes_created ON role_changes(created_at DESC);
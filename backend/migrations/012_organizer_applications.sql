@@ -0,0 +1,23 @@
+-- Organizer access applications reviewed by admins
+-- Run in the Supabase SQL editor.
+
+CREATE TABLE IF NOT EXISTS organizer_applications (
+  application_id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL,
+  user_email TEXT NOT NULL,
+  user_name TEXT,
+  justification TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  review_note TEXT,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_by_email TEXT,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One open application per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organizer_applications_pending
+  ON organizer_applications(user_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_organizer_applications_status ON organizer_applications(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_organizer_applications_user ON organizer_applications(user_id, created_at DESC);
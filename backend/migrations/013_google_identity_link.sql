@@ -0,0 +1,4 @@
+-- Record when a Google identity was attached to a user profile
+-- Run in the Supabase SQL editor.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS google_linked_at TIMESTAMP WITH TIME ZONE;
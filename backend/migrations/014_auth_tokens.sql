@@ -0,0 +1,15 @@
+-- One-time tokens for password reset and email verification links
+-- Run in the Supabase SQL editor.
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  token_id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL,
+  email TEXT NOT NULL,
+  purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+  token_hash TEXT NOT NULL UNIQUE,        -- SHA-256 of the token sent by mail
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose, created_at DESC);
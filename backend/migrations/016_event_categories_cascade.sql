@@ -0,0 +1,17 @@
+-- Remove an event's category links together with the event
+-- Run in the Supabase SQL editor.
+--
+-- DELETE /api/organizer/events/:event_id relies on this: the event and its
+-- event_categories rows are deleted in one statement, so an event that
+-- cannot be deleted (e.g. expenses still reference it) keeps its categories.
+
+-- Links left behind by events deleted before this migration
+DELETE FROM event_categories
+WHERE event_id NOT IN (SELECT event_id FROM events);
+
+ALTER TABLE event_categories
+  DROP CONSTRAINT IF EXISTS event_categories_event_id_fkey;
+
+ALTER TABLE event_categories
+  ADD CONSTRAINT event_categories_event_id_fkey
+  FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE;
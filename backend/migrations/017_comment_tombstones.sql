@@ -0,0 +1,18 @@
+-- Keep threads when an author deletes a comment that has replies
+-- Run in the Supabase SQL editor.
+--
+-- Such a comment becomes a tombstone (status 'removed', text and name
+-- cleared) so the replies under it, organizer answers included, stay in
+-- place. Comments without replies are still deleted outright.
+
+ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_status_check;
+ALTER TABLE comments
+  ADD CONSTRAINT comments_status_check
+  CHECK (status IN ('visible', 'pending', 'hidden', 'removed'));
+
+-- Deleting a comment no longer deletes its replies: the delete is refused
+-- while replies exist and the API keeps a tombstone instead
+ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_parent_id_fkey;
+ALTER TABLE comments
+  ADD CONSTRAINT comments_parent_id_fkey
+  FOREIGN KEY (parent_id) REFERENCES comments(id);
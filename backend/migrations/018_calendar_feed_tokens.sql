@@ -0,0 +1,6 @@
+-- Secret address for a user's personal calendar feed
+-- Run in the Supabase SQL editor.
+
+-- SHA-256 of the token in the feed address (see utils/auth-tokens.js);
+-- NULL until the user asks for a feed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token_hash TEXT UNIQUE;
@@ -0,0 +1,94 @@
+-- Enforce event capacity and waitlist order in the database
+-- Run in the Supabase SQL editor.
+--
+-- The API counted confirmed attendees and inserted afterwards, so parallel
+-- RSVPs could all see a free seat and overbook the event. These functions
+-- lock the event row first, so RSVPs and promotions for one event run one
+-- after another. The waitlist is ordered by attendance_id, which is unique,
+-- instead of created_at, which two sign-ups can share.
+
+CREATE INDEX IF NOT EXISTS idx_attendance_event_status_id
+  ON attendance(event_id, status, attendance_id);
+DROP INDEX IF EXISTS idx_attendance_event_status;
+
+-- RSVP for an event (or one occurrence of a recurring event): confirmed while
+-- seats are free, waitlisted once the event is full. A second RSVP by the same
+-- user still fails with unique_violation (23505).
+CREATE OR REPLACE FUNCTION attend_event(
+  p_event_id INTEGER,
+  p_occurrence TIMESTAMPTZ,
+  p_user_id UUID,
+  p_user_name TEXT
+) RETURNS SETOF attendance
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_confirmed INTEGER;
+BEGIN
+  SELECT capacity INTO v_capacity FROM events WHERE event_id = p_event_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event % not found', p_event_id USING ERRCODE = 'no_data_found';
+  END IF;
+
+  SELECT COUNT(*) INTO v_confirmed
+  FROM attendance
+  WHERE event_id = p_event_id
+    AND occurrence_start IS NOT DISTINCT FROM p_occurrence
+    AND status = 'confirmed';
+
+  RETURN QUERY
+  INSERT INTO attendance (event_id, occurrence_start, user_id, user_name, status)
+  VALUES (
+    p_event_id, p_occurrence, p_user_id, p_user_name,
+    CASE WHEN v_capacity IS NOT NULL AND v_confirmed >= v_capacity THEN 'waitlisted' ELSE 'confirmed' END
+  )
+  RETURNING *;
+END;
+$$;
+
+-- Confirm waitlisted attendees, first in line first, while seats are free.
+-- NULL capacity (unlimited) confirms everyone still waiting.
+CREATE OR REPLACE FUNCTION promote_waitlist(
+  p_event_id INTEGER,
+  p_occurrence TIMESTAMPTZ
+) RETURNS SETOF attendance
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_free INTEGER;
+BEGIN
+  SELECT capacity INTO v_capacity FROM events WHERE event_id = p_event_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  IF v_capacity IS NOT NULL THEN
+    SELECT v_capacity - COUNT(*) INTO v_free
+    FROM attendance
+    WHERE event_id = p_event_id
+      AND occurrence_start IS NOT DISTINCT FROM p_occurrence
+      AND status = 'confirmed';
+    IF v_free <= 0 THEN
+      RETURN;
+    END IF;
+  END IF;
+
+  RETURN QUERY
+  UPDATE attendance
+  SET status = 'confirmed'
+  WHERE attendance_id IN (
+    SELECT attendance_id
+    FROM attendance
+    WHERE event_id = p_event_id
+      AND occurrence_start IS NOT DISTINCT FROM p_occurrence
+      AND status = 'waitlisted'
+    ORDER BY attendance_id
+    LIMIT v_free  -- NULL = no limit
+  )
+  RETURNING *;
+END;
+$$;
+
+-- Only the backend (service role) may call them
+REVOKE EXECUTE ON FUNCTION attend_event(INTEGER, TIMESTAMPTZ, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION promote_waitlist(INTEGER, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
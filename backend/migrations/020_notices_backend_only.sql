@@ -0,0 +1,8 @@
+-- Notices are managed through the organizer API only
+-- Run in the Supabase SQL editor.
+
+-- The dashboard used to write notices with the anon key, which skipped the
+-- organizer role and two-factor checks of routes/organizer.js. It now goes
+-- through /api/organizer/notices, so only the backend (service role) may
+-- touch the table.
+REVOKE ALL ON notices FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,36 @@
+-- Rating totals for event summaries
+-- Run in the Supabase SQL editor.
+--
+-- GET /api/events/:eventId read every rating of an event to average them.
+-- This function adds them up in the database instead: one row per star value
+-- with the number of ratings, and the sum and count of each sub-score (they
+-- are optional, so each has its own count). A NULL occurrence covers every
+-- occurrence of the event.
+CREATE OR REPLACE FUNCTION rating_totals(
+  p_event_id INTEGER,
+  p_occurrence TIMESTAMPTZ
+) RETURNS TABLE (
+  rating INTEGER,
+  total BIGINT,
+  score_content_sum BIGINT,
+  score_content_count BIGINT,
+  score_venue_sum BIGINT,
+  score_venue_count BIGINT,
+  score_organization_sum BIGINT,
+  score_organization_count BIGINT,
+  score_value_sum BIGINT,
+  score_value_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    r.rating::INTEGER,
+    COUNT(*),
+    COALESCE(SUM(r.score_content), 0), COUNT(r.score_content),
+    COALESCE(SUM(r.score_venue), 0), COUNT(r.score_venue),
+    COALESCE(SUM(r.score_organization), 0), COUNT(r.score_organization),
+    COALESCE(SUM(r.score_value), 0), COUNT(r.score_value)
+  FROM ratings r
+  WHERE r.event_id = p_event_id
+    AND (p_occurrence IS NULL OR r.occurrence_start = p_occurrence)
+  GROUP BY r.rating;
+$$;
@@ -0,0 +1,9 @@
+-- Time zone of recurring events
+-- Run in the Supabase SQL editor.
+--
+-- Occurrences were stepped from the series start in UTC, so a series at
+-- 09:00 local time moved to 08:00 or 10:00 once daylight saving time changed.
+-- The series now records the IANA time zone it repeats in (e.g.
+-- Europe/Berlin) and keeps its local time (utils/recurrence.js). Series
+-- created before this column stay NULL and keep repeating in UTC.
+ALTER TABLE events ADD COLUMN IF NOT EXISTS recurrence_tzid TEXT;
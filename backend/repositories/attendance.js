@@ -0,0 +1,227 @@
+const supabase = require('../db');
+const { forOccurrence } = require('../utils/recurrence');
+const { rows, row, count } = require('./result');
+const { occurrenceRows } = require('./occurrence-rows');
+
+// ============================================================================
+// ATTENDANCE REPOSITORY
+// ============================================================================
+// RSVPs (table: attendance). A row is 'confirmed' or 'waitlisted' and, for
+// recurring events, belongs to one occurrence through occurrence_start.
+// occurrence arguments may be null: for one-off events, or to cover every
+// occurrence of a series at once.
+
+// Columns returned in attendee lists; user_id stays inside the backend
+const ATTENDEE_COLUMNS = 'attendance_id, event_id, occurrence_start, user_name, status, created_at';
+
+/**
+ * RSVP through the attend_event database function (migrations/019), which
+ * confirms or waitlists the user depending on the free seats
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @param {Object} user - { id, name }
+ * @returns {Promise<Object|null>} New row, or null when the user already has one
+ */
+async function attend(eventId, occurrence, user) {
+  const { data, error } = await supabase.rpc('attend_event', {
+    p_event_id: eventId,
+    p_occurrence: occurrence || null,
+    p_user_id: user.id,
+    p_user_name: user.name
+  });
+
+  if (error) {
+    if (error.code === '23505') return null;  // Unique constraint: already attending or waitlisted
+    throw error;
+  }
+  return data[0];
+}
+
+/**
+ * Confirm waitlisted rows while seats are free (promote_waitlist, migrations/019)
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @returns {Promise<Array>} Promoted rows
+ */
+async function promote(eventId, occurrence) {
+  return rows(await supabase.rpc('promote_waitlist', {
+    p_event_id: eventId,
+    p_occurrence: occurrence || null
+  }));
+}
+
+/**
+ * Attendance of an event in sign-up order (= waitlist order)
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @returns {Promise<Array>} Rows without user_id
+ */
+async function listForEvent(eventId, occurrence) {
+  return rows(await forOccurrence(
+    supabase.from('attendance').select(ATTENDEE_COLUMNS).eq('event_id', eventId),
+    occurrence
+  )
+    .order('attendance_id', { ascending: true }));
+}
+
+/**
+ * Count the attendance rows of an event with a status
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @param {string} status - confirmed | waitlisted
+ * @returns {Promise<number>} Number of rows
+ */
+async function countByStatus(eventId, occurrence, status) {
+  return count(await forOccurrence(
+    supabase
+      .from('attendance')
+      .select('attendance_id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .eq('status', status),
+    occurrence
+  ));
+}
+
+/**
+ * A user's own attendance row
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} Row, or null when the user has not RSVP'd
+ */
+async function findForUser(eventId, occurrence, userId) {
+  return row(await forOccurrence(
+    supabase
+      .from('attendance')
+      .select('attendance_id, event_id, occurrence_start, status, checked_in_at')
+      .eq('event_id', eventId)
+      .eq('user_id', userId),
+    occurrence
+  )
+    .maybeSingle());
+}
+
+/**
+ * Remove a user's attendance
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} Removed rows ({ status })
+ */
+async function removeForUser(eventId, occurrence, userId) {
+  return rows(await forOccurrence(
+    supabase
+      .from('attendance')
+      .delete()
+      .eq('event_id', eventId)
+      .eq('user_id', userId),
+    occurrence
+  )
+    .select('status'));
+}
+
+/**
+ * Place of a waitlisted row in line
+ * @param {Object} waitlisted - Row { attendance_id, event_id, occurrence_start }
+ * @returns {Promise<number>} 1 = next in line
+ */
+async function waitlistPosition(waitlisted) {
+  return count(await forOccurrence(
+    supabase
+      .from('attendance')
+      .select('attendance_id', { count: 'exact', head: true })
+      .eq('event_id', waitlisted.event_id)
+      .eq('status', 'waitlisted'),
+    waitlisted.occurrence_start
+  )
+    .lte('attendance_id', waitlisted.attendance_id));
+}
+
+/**
+ * Occurrence starts of an event that have a waitlist
+ * @param {number} eventId - event_id
+ * @returns {Promise<Array>} Distinct occurrence starts (null for one-off events)
+ */
+async function listWaitlistedOccurrences(eventId) {
+  const data = rows(await supabase
+    .from('attendance')
+    .select('occurrence_start')
+    .eq('event_id', eventId)
+    .eq('status', 'waitlisted'));
+
+  return [...new Set(data.map((a) => a.occurrence_start))];
+}
+
+/**
+ * Events and occurrences a user has a confirmed seat for
+ * @param {string} userId - User id
+ * @returns {Promise<Array>} Rows { event_id, occurrence_start }
+ */
+async function listConfirmedForUser(userId) {
+  return rows(await supabase
+    .from('attendance')
+    .select('event_id, occurrence_start')
+    .eq('user_id', userId)
+    .eq('status', 'confirmed'));
+}
+
+/**
+ * Confirmed rows of every event, for the attendance report
+ * @returns {Promise<Array>} Rows { event_id, occurrence_start, checked_in_at }
+ */
+async function listConfirmed() {
+  return rows(await supabase
+    .from('attendance')
+    .select('event_id, occurrence_start, checked_in_at')
+    .eq('status', 'confirmed'));
+}
+
+/**
+ * The attendance row a ticket was issued for, with its event
+ * @param {number} attendanceId - attendance_id
+ * @param {number} eventId - event_id
+ * @returns {Promise<Object|null>} Row, or null when it was cancelled
+ */
+async function findTicket(attendanceId, eventId) {
+  return row(await supabase
+    .from('attendance')
+    .select('attendance_id, event_id, occurrence_start, user_name, status, checked_in_at, event:events(event_title, start_time, end_time)')
+    .eq('attendance_id', attendanceId)
+    .eq('event_id', eventId)
+    .maybeSingle());
+}
+
+/**
+ * Mark a row as checked in, only if it is not already, so two scans of the
+ * same ticket can't both succeed
+ * @param {number} attendanceId - attendance_id
+ * @param {string} checkedInBy - Email of the organizer scanning the ticket
+ * @returns {Promise<Object|null>} Updated row with its event title, or null if already checked in
+ */
+async function checkIn(attendanceId, checkedInBy) {
+  return row(await supabase
+    .from('attendance')
+    .update({
+      checked_in_at: new Date().toISOString(),
+      checked_in_by: checkedInBy
+    })
+    .eq('attendance_id', attendanceId)
+    .is('checked_in_at', null)
+    .select('attendance_id, event_id, user_name, status, checked_in_at, event:events(event_title)'));
+}
+
+module.exports = {
+  attend,
+  promote,
+  listForEvent,
+  countByStatus,
+  findForUser,
+  removeForUser,
+  waitlistPosition,
+  listWaitlistedOccurrences,
+  listConfirmedForUser,
+  listConfirmed,
+  findTicket,
+  checkIn,
+  ...occurrenceRows('attendance')
+};
@@ -0,0 +1,354 @@
+const supabase = require('../db');
+const { forOccurrence } = require('../utils/recurrence');
+const { rows, row, count, done } = require('./result');
+const { occurrenceRows } = require('./occurrence-rows');
+
+// ============================================================================
+// COMMENTS REPOSITORY
+// ============================================================================
+// Comments and replies (table: comments) with their reactions
+// (comment_reactions) and the reports readers file against them
+// (comment_reports). Only 'visible' comments, and 'removed' tombstones that
+// still hold replies, are listed to readers; comments taken down by a
+// moderator keep their row with removed_at set.
+
+// Columns readers see; the author's user id and moderation fields stay on the server
+const COMMENT_COLUMNS = 'id, event_id, occurrence_start, parent_id, depth, author_name, author_role, comment_text, status, created_at';
+const LISTED_COMMENT_STATUSES = ['visible', 'removed'];                 // 'removed': tombstone of a deleted comment with replies
+
+// Columns returned for the moderation queue
+const MODERATION_SELECT = `
+  id,
+  event_id,
+  occurrence_start,
+  parent_id,
+  user_id,
+  author_name,
+  author_role,
+  comment_text,
+  status,
+  flag_reason,
+  reviewed_at,
+  created_at,
+  event:events(event_title),
+  comment_reports(report_id, reporter_email, reason, resolved, created_at)
+`;
+
+/**
+ * Top-level comments of an event shown to readers
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start (null = every occurrence)
+ * @returns {Promise<Array>} Comments with user_id, unsorted
+ */
+async function listThreads(eventId, occurrence) {
+  return rows(await forOccurrence(
+    supabase
+      .from('comments')
+      .select(`${COMMENT_COLUMNS}, user_id`)
+      .eq('event_id', eventId)
+      .is('parent_id', null)
+      .in('status', LISTED_COMMENT_STATUSES)  // Hide comments held for review or hidden
+      .is('removed_at', null),                // Hide comments removed by moderators
+    occurrence
+  ));
+}
+
+/**
+ * Replies to a comment shown to readers
+ * @param {number} parentId - Parent comment id
+ * @returns {Promise<Array>} Replies with user_id, unsorted
+ */
+async function listReplies(parentId) {
+  return rows(await supabase
+    .from('comments')
+    .select(`${COMMENT_COLUMNS}, user_id`)
+    .eq('parent_id', parentId)
+    .in('status', LISTED_COMMENT_STATUSES)
+    .is('removed_at', null));
+}
+
+/**
+ * One page of the visible comments and replies of an event, newest first
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start (null = every occurrence)
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<{ comments: Array, total: number }>} Page and number of visible comments
+ */
+async function listVisiblePage(eventId, occurrence, { limit, offset }) {
+  const result = await forOccurrence(
+    supabase
+      .from('comments')
+      .select(COMMENT_COLUMNS, { count: 'exact' })
+      .eq('event_id', eventId)
+      .eq('status', 'visible')
+      .is('removed_at', null),
+    occurrence
+  )
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })          // Stable order for paging
+    .range(offset, offset + limit - 1);
+
+  return { comments: rows(result), total: count(result) };
+}
+
+/**
+ * Count the visible comments and replies of an event
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start (null = every occurrence)
+ * @returns {Promise<number>} Number of comments
+ */
+async function countVisible(eventId, occurrence) {
+  return count(await forOccurrence(
+    supabase
+      .from('comments')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .eq('status', 'visible')
+      .is('removed_at', null),
+    occurrence
+  ));
+}
+
+/**
+ * Number of listed replies per comment
+ * @param {Array<number>} ids - Comment ids
+ * @returns {Promise<Object>} comment id -> reply count (missing = 0)
+ */
+async function countReplies(ids) {
+  const replies = rows(await supabase
+    .from('comments')
+    .select('parent_id')
+    .in('parent_id', ids)
+    .in('status', LISTED_COMMENT_STATUSES)
+    .is('removed_at', null));
+
+  const counts = {};
+  replies.forEach((r) => {
+    counts[r.parent_id] = (counts[r.parent_id] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Reactions given to comments
+ * @param {Array<number>} ids - Comment ids
+ * @returns {Promise<Array>} Rows { comment_id, user_id, reaction }
+ */
+async function listReactions(ids) {
+  return rows(await supabase
+    .from('comment_reactions')
+    .select('comment_id, user_id, reaction')
+    .in('comment_id', ids));
+}
+
+/**
+ * A comment with the fields needed to check access to it
+ * @param {number} commentId - Comment id
+ * @returns {Promise<Object|null>} Comment, or null if there is none
+ */
+async function findById(commentId) {
+  return row(await supabase
+    .from('comments')
+    .select('id, event_id, occurrence_start, depth, user_id, author_name, status, removed_at')
+    .eq('id', commentId)
+    .maybeSingle());
+}
+
+/**
+ * Store a comment or reply
+ * @param {Object} fields - Comment columns
+ * @returns {Promise<Object>} Created comment (reader columns)
+ */
+async function create(fields) {
+  return row(await supabase.from('comments').insert([fields]).select(COMMENT_COLUMNS).single());
+}
+
+/**
+ * Change a comment
+ * @param {number} commentId - Comment id
+ * @param {Object} fields - Columns to change
+ * @returns {Promise<Object|null>} Updated comment (reader columns), or null if there is none
+ */
+async function update(commentId, fields) {
+  return row(await supabase
+    .from('comments')
+    .update(fields)
+    .eq('id', commentId)
+    .select(COMMENT_COLUMNS)
+    .maybeSingle());
+}
+
+/**
+ * Delete a comment
+ * The database refuses while replies point at it (23503).
+ * @param {number} commentId - Comment id
+ * @returns {Promise<boolean>} False when replies still point at the comment
+ */
+async function remove(commentId) {
+  const { error } = await supabase.from('comments').delete().eq('id', commentId);
+
+  if (error) {
+    if (error.code === '23503') return false;
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Add a reaction; adding one the user already gave changes nothing
+ * @param {number} commentId - Comment id
+ * @param {string} userId - User id
+ * @param {string} reaction - Reaction type
+ */
+async function addReaction(commentId, userId, reaction) {
+  const { error } = await supabase
+    .from('comment_reactions')
+    .insert([{ comment_id: commentId, user_id: userId, reaction }]);
+
+  if (error && error.code !== '23505') throw error;
+}
+
+/**
+ * Take back a reaction
+ * @param {number} commentId - Comment id
+ * @param {string} userId - User id
+ * @param {string} reaction - Reaction type
+ */
+async function removeReaction(commentId, userId, reaction) {
+  done(await supabase
+    .from('comment_reactions')
+    .delete()
+    .eq('comment_id', commentId)
+    .eq('user_id', userId)
+    .eq('reaction', reaction));
+}
+
+/**
+ * File a report against a comment
+ * @param {Object} report - { comment_id, reporter_id, reporter_email, reason }
+ * @returns {Promise<boolean>} False when the user already reported the comment
+ */
+async function addReport(report) {
+  const { error } = await supabase.from('comment_reports').insert([report]);
+
+  if (error) {
+    if (error.code === '23505') return false;
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Count the unresolved reports of a comment
+ * @param {number} commentId - Comment id
+ * @returns {Promise<number>} Number of open reports
+ */
+async function countOpenReports(commentId) {
+  return count(await supabase
+    .from('comment_reports')
+    .select('report_id', { count: 'exact', head: true })
+    .eq('comment_id', commentId)
+    .eq('resolved', false));
+}
+
+/**
+ * Mark the open reports of a comment as resolved
+ * @param {number} commentId - Comment id
+ */
+async function resolveReports(commentId) {
+  done(await supabase
+    .from('comment_reports')
+    .update({ resolved: true })
+    .eq('comment_id', commentId)
+    .eq('resolved', false));
+}
+
+/**
+ * Ids of comments with at least one open report
+ * @returns {Promise<Array<number>>} Comment ids
+ */
+async function listReportedIds() {
+  const reports = rows(await supabase
+    .from('comment_reports')
+    .select('comment_id')
+    .eq('resolved', false));
+
+  return [...new Set(reports.map((r) => r.comment_id))];
+}
+
+// Comments in a moderation queue: 'reported' means still visible but with
+// open reports, the other queues match the comment status
+const moderationQuery = (queue, reportedIds, select, options) => {
+  const query = supabase
+    .from('comments')
+    .select(select, options)
+    .is('removed_at', null);
+
+  if (queue === 'reported') {
+    return query.eq('status', 'visible').in('id', reportedIds.length > 0 ? reportedIds : [-1]);
+  }
+  return query.eq('status', queue);
+};
+
+/**
+ * Comments in a moderation queue, oldest first, with their reports
+ * @param {string} queue - pending | reported | hidden
+ * @param {Array<number>} reportedIds - Result of listReportedIds()
+ * @returns {Promise<Array>} Comments
+ */
+async function listModerationQueue(queue, reportedIds) {
+  return rows(await moderationQuery(queue, reportedIds, MODERATION_SELECT)
+    .order('created_at', { ascending: true }));
+}
+
+/**
+ * Size of a moderation queue
+ * @param {string} queue - pending | reported | hidden
+ * @param {Array<number>} reportedIds - Result of listReportedIds()
+ * @returns {Promise<number>} Number of comments
+ */
+async function countModerationQueue(queue, reportedIds) {
+  return count(await moderationQuery(queue, reportedIds, 'id', { count: 'exact', head: true }));
+}
+
+/**
+ * Record a moderator's decision on a comment still in place
+ * Tombstones of deleted comments and removed comments are left alone.
+ * @param {number} commentId - Comment id
+ * @param {Object} fields - status, flag_reason, reviewed_by, reviewed_at
+ * @returns {Promise<Object|null>} Updated comment, or null if there is none to moderate
+ */
+async function moderate(commentId, fields) {
+  return row(await supabase
+    .from('comments')
+    .update(fields)
+    .eq('id', commentId)
+    .is('removed_at', null)
+    .neq('status', 'removed')
+    .select()
+    .maybeSingle());
+}
+
+module.exports = {
+  LISTED_COMMENT_STATUSES,
+  listThreads,
+  listReplies,
+  listVisiblePage,
+  countVisible,
+  countReplies,
+  listReactions,
+  findById,
+  create,
+  update,
+  remove,
+  addReaction,
+  removeReaction,
+  addReport,
+  countOpenReports,
+  resolveReports,
+  listReportedIds,
+  listModerationQueue,
+  countModerationQueue,
+  moderate,
+  ...occurrenceRows('comments')
+};
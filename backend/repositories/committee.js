@@ -0,0 +1,64 @@
+const supabase = require('../db');
+const { rows, row, count, done } = require('./result');
+
+// ============================================================================
+// COMMITTEE REPOSITORY
+// ============================================================================
+// Committee members (table: committee), managed from the organizer dashboard
+
+/**
+ * List committee members in member_id order
+ * @param {number} [limit] - Maximum number of members (default: all)
+ * @returns {Promise<Array>} Members
+ */
+async function list(limit) {
+  let query = supabase
+    .from('committee')
+    .select('*')
+    .order('member_id', { ascending: true });
+  if (limit) query = query.limit(limit);
+  return rows(await query);
+}
+
+/**
+ * Add a committee member
+ * @param {Object} fields - member_name, role, email, phone, responsibilities
+ * @returns {Promise<Object>} Created member
+ */
+async function create(fields) {
+  return row(await supabase.from('committee').insert([fields]).select());
+}
+
+/**
+ * Update a committee member
+ * @param {number} memberId - member_id
+ * @param {Object} fields - Columns to change
+ * @returns {Promise<Object|null>} Updated member, or null if there is none
+ */
+async function update(memberId, fields) {
+  return row(await supabase.from('committee').update(fields).eq('member_id', memberId).select());
+}
+
+/**
+ * Remove a committee member
+ * @param {number} memberId - member_id
+ */
+async function remove(memberId) {
+  done(await supabase.from('committee').delete().eq('member_id', memberId));
+}
+
+/**
+ * Count committee members
+ * @returns {Promise<number>} Number of members
+ */
+async function countAll() {
+  return count(await supabase.from('committee').select('*', { count: 'exact', head: true }));
+}
+
+module.exports = {
+  list,
+  create,
+  update,
+  remove,
+  count: countAll
+};
@@ -0,0 +1,270 @@
+const supabase = require('../db');
+const { rows, row, count, done } = require('./result');
+
+// ============================================================================
+// EVENTS REPOSITORY
+// ============================================================================
+// Events (table: events) and their categories (join table event_categories).
+// A recurring event is one row with a recurrence_rule (and the time zone it
+// repeats in); its occurrences are expanded by utils/recurrence.js, not stored.
+
+// Columns returned for events, including the event_categories join
+const EVENT_SELECT = `
+  event_id,
+  event_title,
+  start_time,
+  end_time,
+  location,
+  description,
+  capacity,
+  recurrence_rule,
+  recurrence_tzid,
+  recurrence_exdates,
+  parent_event_id,
+  original_occurrence_start,
+  event_categories(category_id, category:categories(category_id, category_name))
+`;
+
+// Columns needed to work out an event's occurrences and seats
+const SCHEDULE_SELECT = 'event_id, start_time, end_time, capacity, recurrence_rule, recurrence_tzid, recurrence_exdates';
+
+/**
+ * Apply search, id, date range and status filters to an events query
+ * @param {Object} query - Query builder on the events table
+ * @param {Object} filters - { search, eventIds, from, to, status }, all optional
+ * @param {string} now - Current time as ISO string (used for status)
+ * @returns {Object} The filtered query builder
+ */
+function applyFilters(query, filters, now) {
+  if (filters.search) {
+    const pattern = `%${filters.search}%`;
+    query = query.or(`event_title.ilike.${pattern},location.ilike.${pattern},description.ilike.${pattern}`);
+  }
+  if (filters.eventIds) query = query.in('event_id', filters.eventIds);
+  if (filters.from) query = query.gte('end_time', filters.from);
+  if (filters.to) query = query.lte('start_time', filters.to);
+
+  if (filters.status === 'upcoming') {
+    query = query.gt('start_time', now);
+  } else if (filters.status === 'ongoing') {
+    query = query.lte('start_time', now).gte('end_time', now);
+  } else if (filters.status === 'ended') {
+    query = query.lt('end_time', now);
+  }
+
+  return query;
+}
+
+/**
+ * An event with its categories
+ * @param {number} eventId - event_id
+ * @returns {Promise<Object|null>} Event, or null if there is none
+ */
+async function findById(eventId) {
+  return row(await supabase.from('events').select(EVENT_SELECT).eq('event_id', eventId).maybeSingle());
+}
+
+/**
+ * The times, recurrence and capacity of an event
+ * @param {number} eventId - event_id
+ * @returns {Promise<Object|null>} Event (SCHEDULE_SELECT columns), or null if there is none
+ */
+async function findSchedule(eventId) {
+  return row(await supabase.from('events').select(SCHEDULE_SELECT).eq('event_id', eventId).maybeSingle());
+}
+
+/**
+ * Every event with its categories, by title
+ * @returns {Promise<Array>} Events
+ */
+async function list() {
+  return rows(await supabase.from('events').select(EVENT_SELECT).order('event_title'));
+}
+
+/**
+ * Every event without categories, latest start first
+ * @returns {Promise<Array>} Events { event_id, event_title, start_time, end_time, recurrence_rule }
+ */
+async function listByStartDesc() {
+  return rows(await supabase
+    .from('events')
+    .select('event_id, event_title, start_time, end_time, recurrence_rule')
+    .order('start_time', { ascending: false }));
+}
+
+/**
+ * Occurrences of a series that were edited on their own and became events
+ * @param {number} seriesId - event_id of the series
+ * @returns {Promise<Array>} Events { event_id, original_occurrence_start }
+ */
+async function listDetached(seriesId) {
+  return rows(await supabase
+    .from('events')
+    .select('event_id, original_occurrence_start')
+    .eq('parent_event_id', seriesId)
+    .not('original_occurrence_start', 'is', null));
+}
+
+/**
+ * Count the one-off events matching the filters
+ * @param {Object} filters - See applyFilters()
+ * @param {string} now - Current time as ISO string
+ * @returns {Promise<number>} Number of events
+ */
+async function countSingles(filters, now) {
+  return count(await applyFilters(
+    supabase.from('events').select('event_id', { count: 'exact', head: true }).is('recurrence_rule', null),
+    filters,
+    now
+  ));
+}
+
+/**
+ * One page of the one-off events matching the filters
+ * @param {Object} filters - See applyFilters()
+ * @param {string} now - Current time as ISO string
+ * @param {Object} page - { sortField, ascending, offset, limit }
+ * @returns {Promise<{ events: Array, total: number }>} Page and number of matching events
+ */
+async function listSinglesPage(filters, now, { sortField, ascending, offset, limit }) {
+  const result = await applyFilters(
+    supabase.from('events').select(EVENT_SELECT, { count: 'exact' }).is('recurrence_rule', null),
+    filters,
+    now
+  )
+    .order(sortField, { ascending })
+    .order('event_id', { ascending: true })        // Stable order for paging
+    .range(offset, offset + limit - 1);
+
+  return { events: rows(result), total: count(result) };
+}
+
+/**
+ * Recurring events matching the search and id filters
+ * @param {Object} filters - See applyFilters(); date and status filters do not apply to series
+ * @returns {Promise<Array>} Series rows
+ */
+async function listSeries(filters) {
+  return rows(await applyFilters(
+    supabase.from('events').select(EVENT_SELECT).not('recurrence_rule', 'is', null),
+    { search: filters.search, eventIds: filters.eventIds }
+  ));
+}
+
+/**
+ * Events for a calendar feed: one-off events ending after `since`, nearest
+ * first, and the most recently started series
+ * @param {Array<number>|null} eventIds - Only these events (null = all)
+ * @param {Date} since - Start of the feed window
+ * @param {number} limit - Maximum number of rows of each kind
+ * @returns {Promise<{ singles: Array, series: Array }>}
+ */
+async function listForCalendar(eventIds, since, limit) {
+  const byIds = (query) => (eventIds ? query.in('event_id', [...new Set(eventIds)]) : query);
+
+  const [singleResult, seriesResult] = await Promise.all([
+    byIds(
+      supabase
+        .from('events')
+        .select(EVENT_SELECT)
+        .is('recurrence_rule', null)
+        .gte('end_time', since.toISOString())
+    )
+      .order('start_time', { ascending: true })
+      .limit(limit),
+    byIds(
+      supabase
+        .from('events')
+        .select(EVENT_SELECT)
+        .not('recurrence_rule', 'is', null)
+    )
+      .order('start_time', { ascending: false })
+      .limit(limit),
+  ]);
+
+  return { singles: rows(singleResult), series: rows(seriesResult) };
+}
+
+/**
+ * Ids of the events in any of the given categories
+ * @param {Array<number>} categoryIds - category_id values
+ * @returns {Promise<Array<number>>} Distinct event ids
+ */
+async function listIdsInCategories(categoryIds) {
+  const links = rows(await supabase
+    .from('event_categories')
+    .select('event_id')
+    .in('category_id', categoryIds));
+
+  return [...new Set(links.map((l) => l.event_id))];
+}
+
+/**
+ * Insert an event row
+ * @param {Object} fields - Event columns
+ * @returns {Promise<number>} New event_id
+ */
+async function create(fields) {
+  return row(await supabase.from('events').insert([fields]).select('event_id').single()).event_id;
+}
+
+/**
+ * Update an event row
+ * @param {number} eventId - event_id
+ * @param {Object} fields - Columns to change
+ */
+async function update(eventId, fields) {
+  done(await supabase.from('events').update(fields).eq('event_id', eventId));
+}
+
+/**
+ * Replace the categories of an event
+ * @param {number} eventId - event_id
+ * @param {Array<number>} categoryIds - category_id values
+ */
+async function setCategories(eventId, categoryIds) {
+  done(await supabase.from('event_categories').delete().eq('event_id', eventId));
+
+  if (categoryIds.length === 0) return;
+
+  done(await supabase
+    .from('event_categories')
+    .insert(categoryIds.map((category_id) => ({ event_id: eventId, category_id }))));
+}
+
+/**
+ * Delete an event; its event_categories rows go with it (migrations/016)
+ * Fails with 23503 while other rows (such as expenses) still reference it.
+ * @param {number} eventId - event_id
+ * @returns {Promise<boolean>} False when there was no such event
+ */
+async function remove(eventId) {
+  const removed = rows(await supabase.from('events').delete().eq('event_id', eventId).select('event_id'));
+  return removed.length > 0;
+}
+
+/**
+ * Count events
+ * @returns {Promise<number>} Number of events
+ */
+async function countAll() {
+  return count(await supabase.from('events').select('*', { count: 'exact', head: true }));
+}
+
+module.exports = {
+  findById,
+  findSchedule,
+  list,
+  listByStartDesc,
+  listDetached,
+  countSingles,
+  listSinglesPage,
+  listSeries,
+  listForCalendar,
+  listIdsInCategories,
+  create,
+  update,
+  setCategories,
+  remove,
+  count: countAll
+};
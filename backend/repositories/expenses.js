@@ -0,0 +1,89 @@
+const supabase = require('../db');
+const { rows, row, done } = require('./result');
+
+// ============================================================================
+// EXPENSES REPOSITORY
+// ============================================================================
+// Event expenses (table: expenses), managed from the organizer dashboard
+
+// Expense columns plus the event they belong to
+const EXPENSE_SELECT = `
+  *,
+  event:events(event_title, event_id)
+`;
+
+/**
+ * List expenses, newest expense_date first
+ * @returns {Promise<Array>} Expenses with their event
+ */
+async function list() {
+  return rows(await supabase
+    .from('expenses')
+    .select(EXPENSE_SELECT)
+    .order('expense_date', { ascending: false }));
+}
+
+/**
+ * First expenses in expense_id order, without the event join
+ * @param {number} limit - Maximum number of expenses
+ * @returns {Promise<Array>} Expenses
+ */
+async function sample(limit) {
+  return rows(await supabase
+    .from('expenses')
+    .select('*')
+    .order('expense_id', { ascending: true })
+    .limit(limit));
+}
+
+/**
+ * Record an expense
+ * @param {Object} fields - event_id, expense_category, amount, description, expense_date
+ * @returns {Promise<Object>} Created expense with its event
+ */
+async function create(fields) {
+  return row(await supabase.from('expenses').insert([fields]).select(EXPENSE_SELECT));
+}
+
+/**
+ * Update an expense
+ * @param {number} expenseId - expense_id
+ * @param {Object} fields - Columns to change
+ * @returns {Promise<Object|null>} Updated expense, or null if there is none
+ */
+async function update(expenseId, fields) {
+  return row(await supabase
+    .from('expenses')
+    .update(fields)
+    .eq('expense_id', expenseId)
+    .select(EXPENSE_SELECT));
+}
+
+/**
+ * Delete an expense
+ * @param {number} expenseId - expense_id
+ */
+async function remove(expenseId) {
+  done(await supabase.from('expenses').delete().eq('expense_id', expenseId));
+}
+
+/**
+ * Total amount and number of expenses
+ * @returns {Promise<{ total: number, count: number }>}
+ */
+async function totals() {
+  const data = rows(await supabase.from('expenses').select('amount'));
+  return {
+    total: data.reduce((sum, expense) => sum + (parseFloat(expense.amount) || 0), 0),
+    count: data.length
+  };
+}
+
+module.exports = {
+  list,
+  sample,
+  create,
+  update,
+  remove,
+  totals
+};
@@ -0,0 +1,64 @@
+const supabase = require('../db');
+const { rows, row, count, done } = require('./result');
+
+// ============================================================================
+// NOTICES REPOSITORY
+// ============================================================================
+// Announcements posted by organizers (table: notices)
+
+/**
+ * List notices, newest first
+ * @returns {Promise<Array>} Notices
+ */
+async function list() {
+  return rows(await supabase
+    .from('notices')
+    .select('*')
+    .order('created_at', { ascending: false }));
+}
+
+/**
+ * Post a notice
+ * @param {Object} fields - notice_title, notice_content, priority, is_active
+ * @returns {Promise<Object>} Created notice
+ */
+async function create(fields) {
+  return row(await supabase.from('notices').insert([fields]).select());
+}
+
+/**
+ * Update a notice
+ * @param {number} noticeId - notice_id
+ * @param {Object} fields - Columns to change
+ * @returns {Promise<Object|null>} Updated notice, or null if there is none
+ */
+async function update(noticeId, fields) {
+  return row(await supabase.from('notices').update(fields).eq('notice_id', noticeId).select());
+}
+
+/**
+ * Delete a notice
+ * @param {number} noticeId - notice_id
+ */
+async function remove(noticeId) {
+  done(await supabase.from('notices').delete().eq('notice_id', noticeId));
+}
+
+/**
+ * Count notices that are currently shown
+ * @returns {Promise<number>} Number of active notices
+ */
+async function countActive() {
+  return count(await supabase
+    .from('notices')
+    .select('*', { count: 'exact', head: true })
+    .eq('is_active', true));
+}
+
+module.exports = {
+  list,
+  create,
+  update,
+  remove,
+  countActive
+};
@@ -0,0 +1,68 @@
+const supabase = require('../db');
+const { parseTimestamp } = require('../utils/recurrence');
+const { rows, done } = require('./result');
+
+// ============================================================================
+// OCCURRENCE ROWS
+// ============================================================================
+// Attendance, ratings and comments belong to one occurrence of a recurring
+// event through occurrence_start (null for one-off events). When organizers
+// edit, split or cancel occurrences these rows move or go with them; the
+// repositories of those tables share the functions built here.
+
+/**
+ * Build the occurrence functions of a table
+ * @param {string} table - Table with event_id and occurrence_start columns
+ * @returns {Object} { listOccurrenceStarts, moveOccurrence, removeOccurrence }
+ */
+function occurrenceRows(table) {
+  /**
+   * Distinct occurrence starts of an event that have rows
+   * @param {number} eventId - event_id
+   * @returns {Promise<Array<string>>} ISO timestamps
+   */
+  async function listOccurrenceStarts(eventId) {
+    const data = rows(await supabase
+      .from(table)
+      .select('occurrence_start')
+      .eq('event_id', eventId)
+      .not('occurrence_start', 'is', null));
+
+    return [...new Set(data.map((r) => parseTimestamp(r.occurrence_start).toISOString()))];
+  }
+
+  /**
+   * Re-attach the rows of one occurrence to another event or start
+   * @param {number} fromEventId - Current event_id
+   * @param {string|null} fromStart - Current occurrence start (null = rows of a one-off event)
+   * @param {number} toEventId - New event_id
+   * @param {string|null} toStart - New occurrence start
+   */
+  async function moveOccurrence(fromEventId, fromStart, toEventId, toStart) {
+    const query = supabase
+      .from(table)
+      .update({ event_id: toEventId, occurrence_start: toStart })
+      .eq('event_id', fromEventId);
+
+    done(await (fromStart ? query.eq('occurrence_start', fromStart) : query.is('occurrence_start', null)));
+  }
+
+  /**
+   * Delete the rows of one occurrence
+   * @param {number} eventId - event_id
+   * @param {string} occurrenceStart - Occurrence start
+   */
+  async function removeOccurrence(eventId, occurrenceStart) {
+    done(await supabase
+      .from(table)
+      .delete()
+      .eq('event_id', eventId)
+      .eq('occurrence_start', occurrenceStart));
+  }
+
+  return { listOccurrenceStarts, moveOccurrence, removeOccurrence };
+}
+
+module.exports = {
+  occurrenceRows
+};
@@ -0,0 +1,154 @@
+const supabase = require('../db');
+const { forOccurrence } = require('../utils/recurrence');
+const { rows, row, count } = require('./result');
+const { occurrenceRows } = require('./occurrence-rows');
+
+// ============================================================================
+// RATINGS REPOSITORY
+// ============================================================================
+// 1-5 star ratings (table: ratings), one per user and event or occurrence,
+// with optional per-criterion sub-scores and a written review
+
+const RATING_CRITERIA = ['content', 'venue', 'organization', 'value'];  // Stored as score_<criterion>
+const RATING_SCORE_COLUMNS = RATING_CRITERIA.map((c) => `score_${c}`).join(', ');
+
+// Columns returned in rating lists; user_id stays inside the backend
+const RATING_SELECT = `rating_id, user_name, rating, ${RATING_SCORE_COLUMNS}, review_text, created_at, updated_at`;
+
+/**
+ * Ratings of an event, newest first
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start (null = every occurrence)
+ * @returns {Promise<Array>} Ratings
+ */
+async function listForEvent(eventId, occurrence) {
+  return rows(await forOccurrence(
+    supabase.from('ratings').select(RATING_SELECT).eq('event_id', eventId),
+    occurrence
+  )
+    .order('created_at', { ascending: false }));
+}
+
+/**
+ * Rating totals of an event per star value, added up in the database
+ * (rating_totals, migrations/021)
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start (null = every occurrence)
+ * @returns {Promise<Array>} Rows { rating, total, score_<criterion>_sum, score_<criterion>_count }
+ */
+async function totals(eventId, occurrence) {
+  return rows(await supabase.rpc('rating_totals', {
+    p_event_id: eventId,
+    p_occurrence: occurrence || null
+  }));
+}
+
+/**
+ * One page of the ratings that have a written review, newest first
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start (null = every occurrence)
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<{ reviews: Array, total: number }>}
+ */
+async function listReviews(eventId, occurrence, { limit, offset }) {
+  const result = await forOccurrence(
+    supabase
+      .from('ratings')
+      .select(RATING_SELECT, { count: 'exact' })
+      .eq('event_id', eventId)
+      .not('review_text', 'is', null),
+    occurrence
+  )
+    .order('created_at', { ascending: false })
+    .order('rating_id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  return { reviews: rows(result), total: count(result) };
+}
+
+/**
+ * A user's own rating
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @param {string} userId - User id
+ * @returns {Promise<Object|null>} Rating, or null when the user has not rated
+ */
+async function findForUser(eventId, occurrence, userId) {
+  return row(await forOccurrence(
+    supabase
+      .from('ratings')
+      .select(RATING_SELECT)
+      .eq('event_id', eventId)
+      .eq('user_id', userId),
+    occurrence
+  )
+    .maybeSingle());
+}
+
+/**
+ * Store a rating
+ * @param {Object} fields - event_id, occurrence_start, user_id, user_name, rating, score_*, review_text
+ * @returns {Promise<Object|null>} Created rating, or null when the user has already rated
+ */
+async function create(fields) {
+  const { data, error } = await supabase.from('ratings').insert([fields]).select();
+
+  if (error) {
+    if (error.code === '23505') return null;  // Unique constraint: one rating per user
+    throw error;
+  }
+  return data[0];
+}
+
+/**
+ * Change a user's own rating
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @param {string} userId - User id
+ * @param {Object} fields - Columns to change
+ * @returns {Promise<Object|null>} Updated rating, or null when the user has not rated
+ */
+async function updateForUser(eventId, occurrence, userId, fields) {
+  return row(await forOccurrence(
+    supabase
+      .from('ratings')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('event_id', eventId)
+      .eq('user_id', userId),
+    occurrence
+  )
+    .select());
+}
+
+/**
+ * Take back a user's own rating
+ * @param {number} eventId - event_id
+ * @param {string|null} occurrence - Occurrence start
+ * @param {string} userId - User id
+ * @returns {Promise<boolean>} False when the user had not rated
+ */
+async function removeForUser(eventId, occurrence, userId) {
+  const removed = rows(await forOccurrence(
+    supabase
+      .from('ratings')
+      .delete()
+      .eq('event_id', eventId)
+      .eq('user_id', userId),
+    occurrence
+  )
+    .select('rating_id'));
+
+  return removed.length > 0;
+}
+
+module.exports = {
+  RATING_CRITERIA,
+  listForEvent,
+  totals,
+  listReviews,
+  findForUser,
+  create,
+  updateForUser,
+  removeForUser,
+  ...occurrenceRows('ratings')
+};
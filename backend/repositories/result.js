@@ -0,0 +1,67 @@
+// ============================================================================
+// REPOSITORY RESULT HELPERS
+// ============================================================================
+// Storage clients (see db.js) answer every query with { data, error, count }.
+// Repositories unwrap those answers with the helpers below, so routes get
+// plain rows back and storage errors arrive as thrown exceptions.
+
+/**
+ * Rows of a query result
+ * @param {Object} result - { data, error } from the storage client
+ * @returns {Array} Rows (empty when there are none)
+ * @throws The storage error, if any
+ */
+function rows({ data, error }) {
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Single row of a query result
+ * Accepts both list results (first row) and maybeSingle() results.
+ * @param {Object} result - { data, error } from the storage client
+ * @returns {Object|null} Row, or null when nothing matched
+ * @throws The storage error, if any
+ */
+function row({ data, error }) {
+  if (error) throw error;
+  if (Array.isArray(data)) return data[0] || null;
+  return data || null;
+}
+
+/**
+ * Row count of a { count: 'exact' } query
+ * @param {Object} result - { count, error } from the storage client
+ * @returns {number} Count
+ * @throws The storage error, if any
+ */
+function count({ count: total, error }) {
+  if (error) throw error;
+  return total || 0;
+}
+
+/**
+ * Check a write that returns nothing (e.g. delete())
+ * @param {Object} result - { error } from the storage client
+ * @throws The storage error, if any
+ */
+function done({ error }) {
+  if (error) throw error;
+}
+
+/**
+ * Check whether a storage error means the table has not been created yet
+ * @param {Error} error - Storage error
+ * @returns {boolean} True when the table is missing
+ */
+function isMissingTable(error) {
+  return Boolean(error && error.message && error.message.includes('does not exist'));
+}
+
+module.exports = {
+  rows,
+  row,
+  count,
+  done,
+  isMissingTable
+};
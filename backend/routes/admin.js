@@ -0,0 +1,429 @@
+const express = require('express');
+const supabase = require('../db');
+const { ROLES, requireRole, clearRoleCache, hasRole } = require('../middleware/auth');
+const { getSettings, setSetting } = require('../utils/settings');
+const { validate, ID } = require('../middleware/validate');
+const router = express.Router();
+
+// ============================================================================
+// ADMIN: USER ROLES
+// ============================================================================
+// Admins list and search users and promote or demote their role. Every change
+// is written to role_changes with who made it and when.
+
+// Apply admin middleware to all routes
+router.use(requireRole('admin'));
+
+const USER_PAGE_SIZE = 25;       // Users returned per request by default
+const MAX_USER_PAGE_SIZE = 100;
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const USER_ID = { type: 'string', required: true, format: 'uuid', label: 'User id' };
+const PAGE = {
+  limit: { type: 'integer', min: 1, max: MAX_USER_PAGE_SIZE },
+  offset: { type: 'integer', min: 0 }
+};
+
+/**
+ * Read limit/offset query parameters (already checked against PAGE)
+ * @param {Object} query - req.query
+ * @returns {Object} { limit, offset }
+ */
+function parsePage(query) {
+  return {
+    limit: parseInt(query.limit) || USER_PAGE_SIZE,
+    offset: parseInt(query.offset) || 0
+  };
+}
+
+/**
+ * Set a user's role and record the change in role_changes
+ * @param {Object} target - users row ({ id, email, role })
+ * @param {string} role - New role
+ * @param {Object} admin - Acting admin (req.user)
+ * @param {string} [reason] - Note stored with the change
+ * @returns {Promise<Object>} { user, change }
+ */
+async function changeUserRole(target, role, admin, reason) {
+  console.log(`🛡️ ${admin.email} changing ${target.email}: ${target.role} → ${role}`);
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({ role })
+    .eq('id', target.id)
+    .select('id, email, full_name, role, created_at');
+
+  if (error) throw error;
+
+  const { data: change, error: auditError } = await supabase
+    .from('role_changes')
+    .insert([{
+      user_id: target.id,
+      user_email: target.email,
+      old_role: target.role,
+      new_role: role,
+      changed_by: admin.id,
+      changed_by_email: admin.email,
+      reason: reason ? String(reason).trim() || null : null
+    }])
+    .select()
+    .single();
+
+  if (auditError) throw auditError;
+
+  // Apply the new role on the user's next request
+  clearRoleCache(target.email);
+
+  return { user: data[0], change };
+}
+
+// List or search users
+// Query: q (matches email or name), role, limit, offset
+router.get('/users', validate({
+  query: {
+    q: { type: 'string', maxLength: 200, label: 'Search' },
+    role: { type: 'string', enum: ROLES },
+    ...PAGE
+  }
+}), async (req, res, next) => {
+  try {
+    const page = parsePage(req.query);
+    const { role } = req.query;
+
+    console.log('👥 Listing users', req.query.q ? `matching "${req.query.q}"` : '');
+
+    let query = supabase
+      .from('users')
+      .select('id, email, full_name, role, two_factor_enabled_at, created_at', { count: 'exact' });
+
+    // Commas and brackets would break the or() filter syntax
+    const search = String(req.query.q || '').replace(/[,()]/g, ' ').trim();
+    if (search) {
+      const pattern = `%${search}%`;
+      query = query.or(`email.ilike.${pattern},full_name.ilike.${pattern}`);
+    }
+    if (role) query = query.eq('role', role);
+
+    const { data, error, count } = await query
+      .order('email', { ascending: true })
+      .range(page.offset, page.offset + page.limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      users: data,
+      total: count || 0,
+      limit: page.limit,
+      offset: page.offset
+    });
+  } catch (error) {
+    console.error('💥 Error listing users:', error);
+    next(error);
+  }
+});
+
+// Promote or demote a user
+// Body: { role, reason? }
+router.put('/users/:id/role', validate({
+  params: { id: USER_ID },
+  body: {
+    role: { type: 'string', required: true, enum: ROLES },
+    reason: { type: 'string', maxLength: 500 }
+  }
+}), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role, reason } = req.body;
+
+    // Keeps at least the acting admin in place
+    if (id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+    }
+
+    const { data: target, error: findError } = await supabase
+      .from('users')
+      .select('id, email, full_name, role')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (findError) throw findError;
+
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (target.role === role) {
+      return res.status(400).json({ success: false, error: `User is already ${role}` });
+    }
+
+    const { user, change } = await changeUserRole(target, role, req.user, reason);
+
+    console.log('✅ Role updated for:', target.email);
+    res.json({ success: true, user, change });
+  } catch (error) {
+    console.error('💥 Error changing role:', error);
+    next(error);
+  }
+});
+
+// Role change history, newest first
+// Query: user_id (only changes to this user), limit, offset
+router.get('/role-changes', validate({
+  query: {
+    user_id: { ...USER_ID, required: false },
+    ...PAGE
+  }
+}), async (req, res, next) => {
+  try {
+    const page = parsePage(req.query);
+
+    let query = supabase
+      .from('role_changes')
+      .select('*', { count: 'exact' });
+
+    if (req.query.user_id) query = query.eq('user_id', req.query.user_id);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .order('change_id', { ascending: false })
+      .range(page.offset, page.offset + page.limit - 1);
+
+    if (error) throw error;
+
+    res.json({ success: true, changes: data, total: count || 0 });
+  } catch (error) {
+    console.error('💥 Error loading role changes:', error);
+    next(error);
+  }
+});
+
+// ============================================================================
+// ADMIN: ORGANIZER APPLICATIONS
+// ============================================================================
+
+// List applications by status (pending ones oldest first, as a queue)
+// Query: status (default pending), limit, offset
+router.get('/organizer-applications', validate({
+  query: {
+    status: { type: 'string', enum: APPLICATION_STATUSES },
+    ...PAGE
+  }
+}), async (req, res, next) => {
+  try {
+    const page = parsePage(req.query);
+    const status = req.query.status || 'pending';
+
+    const ascending = status === 'pending';
+    const { data, error, count } = await supabase
+      .from('organizer_applications')
+      .select('*', { count: 'exact' })
+      .eq('status', status)
+      .order('created_at', { ascending })
+      .order('application_id', { ascending })
+      .range(page.offset, page.offset + page.limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      applications: data,
+      total: count || 0,
+      limit: page.limit,
+      offset: page.offset
+    });
+  } catch (error) {
+    console.error('💥 Error loading organizer applications:', error);
+    next(error);
+  }
+});
+
+// Approve or reject an application
+// Body: { decision: 'approve' | 'reject', note? } (a note is required to reject)
+router.put('/organizer-applications/:id', validate({
+  params: { id: ID },
+  body: {
+    decision: { type: 'string', required: true, enum: ['approve', 'reject'] },
+    note: { type: 'string', maxLength: 2000 }
+  }
+}), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { decision } = req.body;
+    const note = String(req.body.note || '').trim() || null;
+
+    if (decision === 'reject' && !note) {
+      return res.status(400).json({ success: false, error: 'A note is required to reject an application' });
+    }
+
+    const { data: application, error: findError } = await supabase
+      .from('organizer_applications')
+      .select('*')
+      .eq('application_id', id)
+      .maybeSingle();
+
+    if (findError) throw findError;
+
+    if (!application) {
+      return res.status(404).json({ success: false, error: 'Application not found' });
+    }
+
+    if (application.user_id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot review your own application' });
+    }
+
+    console.log(`📋 ${req.user.email} ${decision === 'approve' ? 'approving' : 'rejecting'} application ${id}`);
+
+    // Only pending applications change, so two admins cannot both decide
+    const { data: reviewed, error: reviewError } = await supabase
+      .from('organizer_applications')
+      .update({
+        status: decision === 'approve' ? 'approved' : 'rejected',
+        review_note: note,
+        reviewed_by: req.user.id,
+        reviewed_by_email: req.user.email,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('application_id', id)
+      .eq('status', 'pending')
+      .select();
+
+    if (reviewError) throw reviewError;
+
+    if (reviewed.length === 0) {
+      return res.status(409).json({ success: false, error: `Application was already ${application.status}`, code: 'ALREADY_REVIEWED' });
+    }
+
+    let roleChange = null;
+
+    if (decision === 'approve') {
+      let { data: target, error: userError } = await supabase
+        .from('users')
+        .select('id, email, full_name, role')
+        .eq('id', application.user_id)
+        .maybeSingle();
+
+      if (userError) throw userError;
+
+      // Applicants signed in without a users row are plain users until now
+      if (!target) {
+        const { data: created, error: createError } = await supabase
+          .from('users')
+          .insert([{
+            id: application.user_id,
+            email: application.user_email,
+            full_name: application.user_name,
+            role: 'user'
+          }])
+          .select('id, email, full_name, role')
+          .single();
+
+        if (createError) throw createError;
+        target = created;
+      }
+
+      // Someone promoted in the meantime keeps their (possibly higher) role
+      if (!hasRole(target.role, 'organizer')) {
+        const reason = `Organizer application #${application.application_id} approved${note ? `: ${note}` : ''}`;
+        roleChange = await changeUserRole(target, 'organizer', req.user, reason);
+      }
+    }
+
+    console.log('✅ Application reviewed:', id);
+    res.json({
+      success: true,
+      application: reviewed[0],
+      user: roleChange ? roleChange.user : null,
+      change: roleChange ? roleChange.change : null
+    });
+  } catch (error) {
+    console.error('💥 Error reviewing organizer application:', error);
+    next(error);
+  }
+});
+
+// ============================================================================
+// ADMIN: SECURITY SETTINGS
+// ============================================================================
+
+// Current site-wide settings
+router.get('/settings', async (req, res, next) => {
+  try {
+    res.json({ success: true, settings: await getSettings() });
+  } catch (error) {
+    console.error('💥 Error loading settings:', error);
+    next(error);
+  }
+});
+
+// Change settings
+// Body: { require_organizer_2fa: boolean }
+router.put('/settings', validate({
+  body: {
+    require_organizer_2fa: { type: 'boolean', required: true, label: 'Require organizer 2FA' }
+  }
+}), async (req, res, next) => {
+  try {
+    // The schema also accepts "true" / "false" strings
+    const require_organizer_2fa = String(req.body.require_organizer_2fa) === 'true';
+
+    await setSetting('require_organizer_2fa', require_organizer_2fa, req.user);
+
+    console.log(`⚙️ ${req.user.email} set require_organizer_2fa to`, require_organizer_2fa);
+    res.json({ success: true, settings: await getSettings() });
+  } catch (error) {
+    console.error('💥 Error changing settings:', error);
+    next(error);
+  }
+});
+
+// Remove a user's two-factor authentication (lost device and recovery codes)
+// The user sets it up again on their next organizer login when it is mandatory.
+router.post('/users/:id/two-factor/reset', validate({ params: { id: USER_ID } }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'Use your own security page to change your two-factor settings' });
+    }
+
+    const { data: target, error: findError } = await supabase
+      .from('users')
+      .select('id, email, two_factor_enabled_at')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (findError) throw findError;
+
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (!target.two_factor_enabled_at) {
+      return res.status(400).json({ success: false, error: 'User does not have two-factor authentication enabled' });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ two_factor_enabled_at: null })
+      .eq('id', id);
+
+    if (error) throw error;
+
+    const { error: codesError } = await supabase.from('two_factor_recovery_codes').delete().eq('user_id', id);
+    if (codesError) throw codesError;
+
+    const { error: factorError } = await supabase.from('user_two_factor').delete().eq('user_id', id);
+    if (factorError) throw factorError;
+
+    clearRoleCache(target.email);
+
+    console.log(`🔓 ${req.user.email} reset two-factor authentication for:`, target.email);
+    res.json({ success: true, message: `Two-factor authentication reset for ${target.email}` });
+  } catch (error) {
+    console.error('💥 Error resetting two-factor authentication:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
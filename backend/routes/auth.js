@@ -1,39 +1,52 @@
 const express = require('express');
 const supabase = require('../db');
+const { requireAuth, clearRoleCache, hasRole } = require('../middleware/auth');
+const { rateLimit, honeypot } = require('../middleware/abuse');
+const { validate } = require('../middleware/validate');
+const { createAuthToken, consumeAuthToken, revokeAuthTokens } = require('../utils/auth-tokens');
+const { sendMail } = require('../utils/mailer');
 const router = express.Router();
 
+const PASSWORD_MIN_LENGTH = 6;
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';   // Frontend that mail links point to
+const JUSTIFICATION_MIN_LENGTH = 20;    // Organizer applications need a real reason
+const JUSTIFICATION_MAX_LENGTH = 2000;
+
+const EMAIL = { type: 'string', required: true, format: 'email', maxLength: 254 };
+const PASSWORD = { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH, maxLength: 72 };
+const LINK_TOKEN = { type: 'string', required: true, maxLength: 200, label: 'Link token' };
+
+// Requests for the same address count against one bucket, so sign-ups and the
+// reset/verification mails can't be used to flood one inbox
+const emailKey = (req) => typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+const registerLimit = rateLimit('register', { userKey: emailKey });
+const passwordResetLimit = rateLimit('password-reset', { userKey: emailKey });
+const resendVerificationLimit = rateLimit('resend-verification', { userKey: emailKey });
+
 // User Registration
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimit, honeypot(), validate({
+  body: {
+    email: EMAIL,
+    password: PASSWORD,
+    full_name: { type: 'string', required: true, maxLength: 100 }
+  }
+}), async (req, res, next) => {
   try {
     const { email, password, full_name } = req.body;
 
     console.log('👤 Starting user registration for:', email);
 
-    // Validate input
-    if (!email || !password || !full_name) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email, password, and full name are required' 
-      });
-    }
-
-    if (password.length < 6) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Password must be at least 6 characters long' 
-      });
-    }
-
     // Check if user already exists
     const { data: existingUser, error: checkError } = await supabase
       .from('users')
       .select('id, email, full_name')
-      .eq('email', email.trim())
+      .ilike('email', email.trim().replace(/[\\%_]/g, '\\$&'))  // Case-insensitive, no wildcards
       .maybeSingle();
 
     if (existingUser) {
-      return res.status(400).json({ 
+      return res.status(409).json({ 
         success: false, 
+        code: 'ALREADY_EXISTS',
         error: 'An account with this email already exists. Please login instead.' 
       });
     }
@@ -52,8 +65,17 @@ router.post('/register', async (req, res) => {
 
     if (authError) {
       console.log('❌ Auth registration error:', authError);
+      if (authError.code === 'user_already_exists') {
+        return res.status(409).json({
+          success: false,
+          code: 'ALREADY_EXISTS',
+          error: 'An account with this email already exists. Please login instead.'
+        });
+      }
+      // Supabase Auth messages (e.g. weak password) are written for end users
       return res.status(400).json({ 
         success: false, 
+        code: 'REGISTRATION_REJECTED',
         error: authError.message 
       });
     }
@@ -75,12 +97,13 @@ router.post('/register', async (req, res) => {
 
       if (userError) {
         console.log('❌ User table insertion error:', userError);
-        return res.status(400).json({ 
+        return res.status(500).json({ 
           success: false, 
           error: 'Failed to create user profile. Please try again.' 
         });
       }
 
+      clearRoleCache(email);  // A "no users row" lookup may be cached
       console.log('✅ User profile created successfully');
       return res.status(201).json({
         success: true,
@@ -98,125 +121,273 @@ router.post('/register', async (req, res) => {
 
   } catch (error) {
     console.error('💥 Server error during registration:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error. Please try again later.' 
-    });
+    next(error);
   }
 });
 
-// Organizer Login Verification
-router.post('/verify-organizer', async (req, res) => {
+// Current user from the bearer token
+// Identity and role come from the token only, so roles cannot be looked up by email
+router.get('/me', requireAuth, (req, res) => {
+  console.log('🔍 Current user:', req.user.email, `(${req.user.role})`);
+
+  res.json({
+    success: true,
+    user: req.user,
+    isOrganizer: hasRole(req.user.role, 'organizer')
+  });
+});
+
+// ============================================================================
+// PASSWORD RESET & EMAIL VERIFICATION
+// ============================================================================
+// Links are mailed through utils/mailer.js and carry a one-time token from
+// utils/auth-tokens.js. The request endpoints answer the same whether or not
+// the email has an account, so they cannot be used to find accounts.
+
+const RESET_REQUESTED_MESSAGE = 'If an account exists for this email, a password reset link has been sent.';
+const VERIFICATION_REQUESTED_MESSAGE = 'If this email has an unverified account, a new verification link has been sent.';
+
+/**
+ * Find a user profile by email
+ * @param {string} email - Email as typed by the user
+ * @returns {Promise<Object|null>} { id, email, full_name } or null
+ */
+async function findUserByEmail(email) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, email, full_name')
+    .ilike('email', email.trim().replace(/[\\%_]/g, '\\$&'))  // Case-insensitive, no wildcards
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Request a password reset link
+// Body: { email }
+router.post('/password-reset/request', passwordResetLimit, validate({ body: { email: EMAIL } }), async (req, res, next) => {
   try {
-    const { email } = req.body;
+    const email = req.body.email.trim();
 
-    console.log('🔍 Verifying organizer status for:', email);
+    console.log('🔑 Password reset requested for:', email);
 
-    if (!email) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email is required' 
-      });
+    const user = await findUserByEmail(email);
+    if (user) {
+      const issued = await createAuthToken(user, 'password_reset');
+
+      if (issued.token) {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your Event Manager password',
+          text: `Hi ${user.full_name || user.email},\n\n` +
+            `Use this link to choose a new password:\n${APP_URL}/?reset=${issued.token}\n\n` +
+            'The link works once and expires in 1 hour. If you did not ask for it, you can ignore this email.'
+        });
+        console.log('📧 Password reset link sent to:', user.email);
+      }
     }
 
-    // Check if user exists and is organizer
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id, email, full_name, role')
-      .eq('email', email.trim())
-      .single();
+    res.json({ success: true, message: RESET_REQUESTED_MESSAGE });
+  } catch (error) {
+    console.error('💥 Error requesting password reset:', error);
+    next(error);
+  }
+});
+
+// Set a new password with the token from the reset link
+// Body: { token, password }
+router.post('/password-reset/confirm', validate({
+  body: { token: LINK_TOKEN, password: PASSWORD }
+}), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
 
-    if (userError || !userData) {
-      console.log('❌ User not found:', userError);
-      return res.json({ 
+    const used = await consumeAuthToken(token, 'password_reset');
+    if (!used) {
+      return res.status(400).json({
         success: false,
-        isOrganizer: false, 
-        error: 'User not found. Please check your credentials.' 
+        error: 'This reset link is invalid or has expired. Please request a new one.'
       });
     }
 
-    console.log('📊 User role:', userData.role);
+    // The link arrived by mail, so it also proves the address
+    const { error } = await supabase.auth.admin.updateUserById(used.user_id, {
+      password,
+      email_confirm: true
+    });
 
-    const isOrganizer = userData.role === 'organizer';
+    if (error) throw error;
 
-    if (isOrganizer) {
-      console.log('✅ User is verified organizer');
-      return res.json({ 
-        success: true,
-        isOrganizer: true, 
-        message: 'Welcome organizer!',
-        user: {
-          id: userData.id,
-          name: userData.full_name,
-          email: userData.email,
-          role: userData.role
+    await revokeAuthTokens(used.user_id, 'password_reset');
+
+    console.log('✅ Password reset for:', used.email);
+    res.json({ success: true, message: 'Your password has been changed. You can now login.' });
+  } catch (error) {
+    console.error('💥 Error confirming password reset:', error);
+    next(error);
+  }
+});
+
+// Send a new email verification link
+// Body: { email }
+router.post('/resend-verification', resendVerificationLimit, validate({ body: { email: EMAIL } }), async (req, res, next) => {
+  try {
+    const email = req.body.email.trim();
+
+    console.log('📨 Verification resend requested for:', email);
+
+    const user = await findUserByEmail(email);
+    if (user) {
+      const { data: { user: authUser }, error } = await supabase.auth.admin.getUserById(user.id);
+      if (error) throw error;
+
+      if (!authUser.email_confirmed_at) {
+        const issued = await createAuthToken(user, 'email_verification');
+
+        if (issued.token) {
+          await sendMail({
+            to: user.email,
+            subject: 'Verify your Event Manager email',
+            text: `Hi ${user.full_name || user.email},\n\n` +
+              `Use this link to verify your email address:\n${APP_URL}/?verify=${issued.token}\n\n` +
+              'The link works once and expires in 24 hours.'
+          });
+          console.log('📧 Verification link sent to:', user.email);
         }
-      });
-    } else {
-      console.log('❌ User is not organizer');
-      return res.json({ 
+      }
+    }
+
+    res.json({ success: true, message: VERIFICATION_REQUESTED_MESSAGE });
+  } catch (error) {
+    console.error('💥 Error resending verification:', error);
+    next(error);
+  }
+});
+
+// Confirm an email address with the token from the verification link
+// Body: { token }
+router.post('/verify-email', validate({ body: { token: LINK_TOKEN } }), async (req, res, next) => {
+  try {
+    const used = await consumeAuthToken(req.body.token, 'email_verification');
+    if (!used) {
+      return res.status(400).json({
         success: false,
-        isOrganizer: false, 
-        error: 'Access denied. Organizer role required.' 
+        error: 'This verification link is invalid or has expired. Please request a new one.'
       });
     }
 
+    const { error } = await supabase.auth.admin.updateUserById(used.user_id, { email_confirm: true });
+    if (error) throw error;
+
+    console.log('✅ Email verified for:', used.email);
+    res.json({ success: true, message: 'Your email is verified. You can now login.' });
   } catch (error) {
-    console.error('💥 Server error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Server error' 
-    });
+    console.error('💥 Error verifying email:', error);
+    next(error);
   }
 });
 
-// Simple organizer check (for backward compatibility)
-router.post('/check-organizer', async (req, res) => {
+// ============================================================================
+// ORGANIZER ACCESS APPLICATIONS
+// ============================================================================
+// Regular users apply for organizer access with a justification. Admins review
+// applications under /api/admin/organizer-applications; approving one sets
+// users.role to 'organizer'.
+
+// The signed-in user's most recent application and current role
+router.get('/organizer-application', requireAuth, async (req, res, next) => {
   try {
-    const { email } = req.body;
+    const { data, error } = await supabase
+      .from('organizer_applications')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .order('application_id', { ascending: false })
+      .limit(1);
 
-    console.log('🔍 Checking organizer status for:', email);
+    if (error) throw error;
 
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('role, full_name')
-      .eq('email', email.trim())
-      .single();
+    res.json({
+      success: true,
+      role: req.user.role,
+      isOrganizer: hasRole(req.user.role, 'organizer'),
+      application: data[0] || null
+    });
+  } catch (error) {
+    console.error('💥 Error loading organizer application:', error);
+    next(error);
+  }
+});
 
-    if (userError || !userData) {
-      console.log('❌ User not found:', userError);
-      return res.json({ 
+// Apply for organizer access
+// Body: { justification }
+router.post('/organizer-application', requireAuth, validate({
+  body: {
+    justification: {
+      type: 'string',
+      required: true,
+      minLength: JUSTIFICATION_MIN_LENGTH,
+      maxLength: JUSTIFICATION_MAX_LENGTH
+    }
+  }
+}), async (req, res, next) => {
+  try {
+    const justification = req.body.justification.trim();
+
+    console.log('📝 Organizer application from:', req.user.email);
+
+    if (hasRole(req.user.role, 'organizer')) {
+      return res.status(400).json({
         success: false,
-        isOrganizer: false, 
-        error: 'User not found' 
+        error: 'You already have organizer access'
       });
     }
 
-    const isOrganizer = userData.role === 'organizer';
+    const { data: pending, error: pendingError } = await supabase
+      .from('organizer_applications')
+      .select('application_id')
+      .eq('user_id', req.user.id)
+      .eq('status', 'pending')
+      .limit(1);
 
-    if (isOrganizer) {
-      console.log('✅ User is organizer');
-      res.json({ 
-        success: true,
-        isOrganizer: true, 
-        message: 'Welcome organizer!',
-        user: userData 
-      });
-    } else {
-      console.log('❌ User is not organizer');
-      res.json({ 
+    if (pendingError) throw pendingError;
+
+    if (pending.length > 0) {
+      return res.status(409).json({
         success: false,
-        isOrganizer: false, 
-        error: 'Access denied. Organizer role required.' 
+        error: 'You already have a pending application',
+        code: 'ALREADY_EXISTS'
       });
     }
 
+    const { data, error } = await supabase
+      .from('organizer_applications')
+      .insert([{
+        user_id: req.user.id,
+        user_email: req.user.email,
+        user_name: req.user.full_name,
+        justification
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      // Unique pending index: a parallel request got there first
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'You already have a pending application',
+          code: 'ALREADY_EXISTS'
+        });
+      }
+      throw error;
+    }
+
+    console.log('✅ Organizer application submitted:', data.application_id);
+    res.status(201).json({ success: true, application: data });
   } catch (error) {
-    console.error('💥 Server error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Server error' 
-    });
+    console.error('💥 Error submitting organizer application:', error);
+    next(error);
   }
 });
 
@@ -1,152 +1,158 @@
 const express = require('express');
 const supabase = require('../db');
+const { getBearerToken, clearRoleCache } = require('../middleware/auth');
 const router = express.Router();
 
-// Handle Google OAuth callback and user creation
-router.post('/google-callback', async (req, res) => {
+/**
+ * Check whether a Supabase auth user has signed in with Google
+ * @param {Object} authUser - User returned by supabase.auth.getUser()
+ * @returns {boolean} True when a Google identity is attached
+ */
+function hasGoogleIdentity(authUser) {
+  const identities = authUser.identities || [];
+  const providers = authUser.app_metadata?.providers || [authUser.app_metadata?.provider];
+  return identities.some((identity) => identity.provider === 'google') || providers.includes('google');
+}
+
+// Handle Google OAuth callback: create or link the user's profile
+// The user comes from the Supabase access token ("Authorization: Bearer <token>"),
+// never from the request body. A profile whose email belongs to a different
+// (email/password) account is not taken over: the owner signs in with their
+// password and links Google from there (supabase.auth.linkIdentity), after
+// which the callback finds the profile by id.
+router.post('/google-callback', async (req, res, next) => {
   try {
-    const { user } = req.body;
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authorization header required'
+      });
+    }
+
+    const { data: { user: authUser }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !authUser || !authUser.email) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token'
+      });
+    }
 
-    console.log('🔐 Processing Google OAuth callback for:', user.email);
+    console.log('🔐 Processing Google OAuth callback for:', authUser.email);
 
-    if (!user || !user.email) {
+    if (!hasGoogleIdentity(authUser)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid user data from Google'
+        error: 'This session was not created with Google'
       });
     }
 
-    // Check if user already exists in our database
-    const { data: existingUser, error: checkError } = await supabase
+    // Same auth user (new login, or Google linked to a password account)
+    const { data: profile, error: profileError } = await supabase
       .from('users')
-      .select('id, email, full_name, role')
-      .eq('email', user.email)
+      .select('id, email, full_name, role, google_linked_at')
+      .eq('id', authUser.id)
       .maybeSingle();
 
-    if (checkError && checkError.code !== 'PGRST116') {
-      console.log('⚠️ Error checking existing user:', checkError);
-    }
+    if (profileError) throw profileError;
 
-    // If user doesn't exist, create a new user record
-    if (!existingUser) {
-      console.log('👤 Creating new user from Google OAuth...');
+    if (profile) {
+      if (profile.google_linked_at) {
+        console.log('✅ Existing user logged in via Google:', profile.email);
+        return res.json({
+          success: true,
+          user: profile,
+          message: 'Google login successful'
+        });
+      }
 
-      const { data: newUser, error: createError } = await supabase
+      const { data: linked, error: linkError } = await supabase
         .from('users')
-        .insert([
-          {
-            id: user.id,
-            email: user.email,
-            full_name: user.user_metadata?.full_name || user.email.split('@')[0],
-            role: 'user' // Always set as regular user for Google OAuth
-          }
-        ])
-        .select()
+        .update({ google_linked_at: new Date().toISOString() })
+        .eq('id', profile.id)
+        .select('id, email, full_name, role, google_linked_at')
         .single();
 
-      if (createError) {
-        console.log('❌ Error creating user from Google:', createError);
-        
-        // If it's a duplicate key error, user might already exist
-        if (createError.code === '23505') {
-          // Try to fetch the existing user
-          const { data: existingUser } = await supabase
-            .from('users')
-            .select('*')
-            .eq('email', user.email)
-            .single();
-          
-          if (existingUser) {
-            console.log('✅ User already exists, proceeding with login');
-            return res.json({
-              success: true,
-              user: existingUser,
-              message: 'Google login successful'
-            });
-          }
-        }
-        
-        return res.status(400).json({
-          success: false,
-          error: 'Failed to create user profile from Google'
-        });
-      }
+      if (linkError) throw linkError;
 
-      console.log('✅ New user created from Google OAuth:', newUser);
+      console.log('🔗 Google linked to existing account:', profile.email);
       return res.json({
         success: true,
-        user: newUser,
-        message: 'Google registration successful'
+        user: linked,
+        linked: true,
+        message: 'Google account linked'
       });
     }
 
-    // User already exists, just return success
-    console.log('✅ Existing user logged in via Google:', existingUser);
-    res.json({
-      success: true,
-      user: existingUser,
-      message: 'Google login successful'
-    });
-
-  } catch (error) {
-    console.error('💥 Google OAuth callback error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server error during Google authentication'
-    });
-  }
-});
-
-// Check if user is organizer (for Google users)
-router.post('/check-google-organizer', async (req, res) => {
-  try {
-    const { email } = req.body;
-
-    console.log('🔍 Checking organizer status for Google user:', email);
-
-    const { data: userData, error: userError } = await supabase
+    // A different account already owns this email
+    const { data: emailOwner, error: ownerError } = await supabase
       .from('users')
-      .select('role, full_name')
-      .eq('email', email)
-      .single();
+      .select('id')
+      .ilike('email', authUser.email.replace(/[\\%_]/g, '\\$&'))  // Case-insensitive, no wildcards
+      .maybeSingle();
+
+    if (ownerError) throw ownerError;
 
-    if (userError || !userData) {
-      console.log('❌ Google user not found in database:', userError);
-      return res.json({ 
+    if (emailOwner) {
+      console.log('⚠️ Email already has an account:', authUser.email);
+      return res.status(409).json({
         success: false,
-        isOrganizer: false, 
-        error: 'User not found' 
+        error: 'An account with this email already exists. Sign in with your password, then link Google from the events page.',
+        code: 'ALREADY_EXISTS'
       });
     }
 
-    console.log('📊 Google user data:', userData);
+    console.log('👤 Creating new user from Google OAuth...');
 
-    const isOrganizer = userData.role === 'organizer';
+    const { data: newUser, error: createError } = await supabase
+      .from('users')
+      .insert([{
+        id: authUser.id,
+        email: authUser.email,
+        full_name: authUser.user_metadata?.full_name || authUser.user_metadata?.name || authUser.email.split('@')[0],
+        role: 'user', // Always set as regular user for Google OAuth
+        google_linked_at: new Date().toISOString()
+      }])
+      .select('id, email, full_name, role, google_linked_at')
+      .single();
+
+    if (createError) {
+      // A parallel callback for the same login created it first
+      if (createError.code === '23505') {
+        const { data: existingUser } = await supabase
+          .from('users')
+          .select('id, email, full_name, role, google_linked_at')
+          .eq('id', authUser.id)
+          .maybeSingle();
+
+        if (existingUser) {
+          console.log('✅ User already exists, proceeding with login');
+          return res.json({
+            success: true,
+            user: existingUser,
+            message: 'Google login successful'
+          });
+        }
+      }
 
-    if (isOrganizer) {
-      console.log('❌ Google user is organizer - redirecting to normal login');
-      return res.json({ 
+      console.log('❌ Error creating user from Google:', createError);
+      return res.status(400).json({
         success: false,
-        isOrganizer: true, 
-        error: 'Organizers must use email/password login, not Google OAuth'
+        error: 'Failed to create user profile from Google'
       });
     }
 
-    // User is not organizer (good for Google OAuth)
-    console.log('✅ Google user is regular user - access granted');
-    res.json({ 
+    clearRoleCache(authUser.email);  // A "no users row" lookup may be cached
+    console.log('✅ New user created from Google OAuth:', newUser.email);
+    res.json({
       success: true,
-      isOrganizer: false, 
-      message: 'Google login successful for regular user',
-      user: userData
+      user: newUser,
+      message: 'Google registration successful'
     });
 
   } catch (error) {
-    console.error('💥 Google organizer check error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Server error' 
-    });
+    console.error('💥 Google OAuth callback error:', error);
+    next(error);
   }
 });
 
@@ -1,204 +1,280 @@
 const express = require('express');
 const supabase = require('../db');
+const { promoteAllWaitlists } = require('../utils/waitlist');
+const { verifyTicket } = require('../utils/tickets');
+const committeeRepository = require('../repositories/committee');
+const expenseRepository = require('../repositories/expenses');
+const noticeRepository = require('../repositories/notices');
+const eventRepository = require('../repositories/events');
+const attendanceRepository = require('../repositories/attendance');
+const ratingRepository = require('../repositories/ratings');
+const commentRepository = require('../repositories/comments');
+const { isMissingTable } = require('../repositories/result');
+const { requireRole } = require('../middleware/auth');
+const { validate, sendValidationErrors, ID } = require('../middleware/validate');
+const {
+  FREQUENCIES,
+  parseRule,
+  buildRule,
+  parseTimestamp,
+  expandOccurrences,
+  isOccurrence,
+  countOccurrencesBefore,
+  buildOccurrence
+} = require('../utils/recurrence');
 const router = express.Router();
 
-// Updated Middleware to check if user is organizer
-const requireOrganizer = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Authorization header required' 
-      });
-    }
+// Apply organizer middleware to all routes (admins pass too, see middleware/auth.js)
+router.use(requireRole('organizer'));
 
-    const token = authHeader.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Bearer token required' 
-      });
-    }
+// How an edit to a recurring event applies: the whole series, one occurrence,
+// or the chosen occurrence and everything after it
+const EDIT_SCOPES = ['all', 'this', 'future'];
 
-    console.log('🔍 Verifying organizer access...');
+// Repositories whose rows are attached to an occurrence through occurrence_start
+// (see repositories/occurrence-rows.js)
+const OCCURRENCE_REPOSITORIES = [attendanceRepository, ratingRepository, commentRepository];
 
-    // Verify the JWT token with Supabase
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    
-    if (error || !user) {
-      console.error('❌ Token verification error:', error);
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid token' 
-      });
-    }
+// Choices offered by ExpensesManager in the dashboard (committee roles are
+// free text; CommitteeManager only suggests the usual ones)
+const EXPENSE_CATEGORIES = [
+  'Venue', 'Catering', 'Decoration', 'Equipment', 'Marketing',
+  'Staff', 'Transportation', 'Entertainment', 'Miscellaneous'
+];
 
-    console.log('✅ Token verified for user:', user.email);
+// Priorities offered by NoticesManager
+const NOTICE_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
 
-    // Check if user exists in our database and is organizer
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('role, full_name, email')
-      .eq('email', user.email)
-      .single();
+// Request schemas (see middleware/validate.js)
+const COMMITTEE_BODY = {
+  member_name: { type: 'string', required: true, maxLength: 100 },
+  role: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  phone: { type: 'string', format: 'phone', maxLength: 30 },
+  responsibilities: { type: 'string', maxLength: 1000 }
+};
 
-    if (userError || !userData) {
-      console.error('❌ User not found in database:', userError);
-      return res.status(403).json({ 
-        success: false, 
-        error: 'User not found' 
-      });
+const EXPENSE_BODY = {
+  event_id: { ...ID, label: 'Event' },
+  expense_category: { type: 'string', required: true, enum: EXPENSE_CATEGORIES, label: 'Category' },
+  amount: { type: 'number', required: true, min: 0.01 },
+  description: { type: 'string', maxLength: 1000 },
+  expense_date: { type: 'string', format: 'date', label: 'Date' }
+};
+
+const NOTICE_BODY = {
+  notice_title: { type: 'string', required: true, maxLength: 200, label: 'Title' },
+  notice_content: { type: 'string', required: true, maxLength: 5000, label: 'Content' },
+  priority: { type: 'string', enum: NOTICE_PRIORITIES },
+  is_active: { type: 'boolean', label: 'Active' }
+};
+
+// Dates and times that depend on each other are checked by parseEventBody()
+const EVENT_BODY = {
+  event_title: { type: 'string', required: true, maxLength: 200, label: 'Event title' },
+  start_time: { type: 'date', required: true },
+  end_time: { type: 'date', required: true },
+  location: { type: 'string', maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  capacity: { type: 'integer', min: 1 },
+  selectedCategories: { type: 'array', maxItems: 50, items: { type: 'integer', min: 1 }, label: 'Categories' },
+  recurrence: {
+    type: 'object',
+    properties: {
+      freq: { type: 'string', enum: FREQUENCIES, label: 'Repeat' },
+      interval: { type: 'integer', min: 1, max: 365, label: 'Repeat interval' },
+      count: { type: 'integer', min: 1, max: 1000, label: 'Number of occurrences' },
+      until: { type: 'date', label: 'Repeat end date' },
+      exdates: { type: 'array', maxItems: 1000, items: { type: 'date' }, label: 'Skipped dates' },
+      timeZone: { type: 'string', format: 'timeZone', maxLength: 100, label: 'Time zone' }
     }
+  }
+};
 
-    if (userData.role !== 'organizer') {
-      console.error('❌ User is not organizer:', userData.role);
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Organizer access required' 
-      });
+// Turn the recurrence part of the event form (checked against EVENT_BODY) into
+// a rule, skipped dates and the time zone the series repeats in
+// Returns { rule, exdates, timeZone } (rule is null for one-off events) or { error, field }
+const parseRecurrence = (recurrence, start) => {
+  const freq = recurrence && recurrence.freq ? recurrence.freq.trim() : '';
+  if (!freq) {
+    return { rule: null, exdates: [], timeZone: null };
+  }
+
+  const interval = recurrence.interval ? Number(recurrence.interval) : 1;
+  const count = recurrence.count ? Number(recurrence.count) : null;
+
+  let until = null;
+  if (recurrence.until) {
+    // A plain date means "through the end of that day"
+    const value = String(recurrence.until);
+    until = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59Z` : value);
+    if (until < start) {
+      return { error: 'Repeat end date must be after the start time', field: 'recurrence.until' };
     }
+  }
+
+  const exdates = (recurrence.exdates || []).map((d) => new Date(d).toISOString());
 
-    console.log('✅ Organizer access granted for:', user.email);
-    req.user = userData;
-    next();
+  try {
+    const rule = buildRule({ freq, interval, count, until });
+    parseRule(rule);
+    return { rule, exdates: [...new Set(exdates)], timeZone: recurrence.timeZone ? recurrence.timeZone.trim() : null };
   } catch (error) {
-    console.error('💥 Auth middleware error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Authentication error' 
-    });
+    return { error: error.message, field: 'recurrence' };
   }
 };
 
-// Apply organizer middleware to all routes
-router.use(requireOrganizer);
+// Normalize the event form body sent by EventManager, once it passed EVENT_BODY,
+// and check the fields that depend on each other
+// Returns { event, categoryIds } or { error, field }
+const parseEventBody = (body) => {
+  const { event_title, start_time, end_time, location, description, capacity, selectedCategories, recurrence } = body;
+
+  const start = new Date(start_time);
+  const end = new Date(end_time);
+
+  if (end <= start) {
+    return { error: 'End time must be after start time', field: 'end_time' };
+  }
+
+  const recurrenceResult = parseRecurrence(recurrence, start);
+  if (recurrenceResult.error) {
+    return recurrenceResult;
+  }
+  const { rule, exdates, timeZone } = recurrenceResult;
+
+  const categoryIds = [...new Set((selectedCategories || []).map((id) => parseInt(id)))];
+
+  return {
+    event: {
+      event_title: event_title.trim(),
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      location: location ? location.trim() : null,
+      description: description ? description.trim() : null,
+      capacity: capacity ? Number(capacity) : null,  // Empty capacity means unlimited attendees
+      recurrence_rule: rule,
+      recurrence_tzid: timeZone,
+      recurrence_exdates: exdates
+    },
+    categoryIds
+  };
+};
+
+// Distinct occurrence starts that have attendance, ratings or comments
+const listEngagedOccurrences = async (eventId) => {
+  const starts = new Set();
+
+  for (const repository of OCCURRENCE_REPOSITORIES) {
+    (await repository.listOccurrenceStarts(eventId)).forEach((start) => starts.add(start));
+  }
+
+  return [...starts].sort();
+};
+
+// Re-attach the attendance, ratings and comments of one occurrence
+// (null occurrence = rows of a one-off event)
+const moveOccurrenceRows = async (fromEventId, fromStart, toEventId, toStart) => {
+  for (const repository of OCCURRENCE_REPOSITORIES) {
+    await repository.moveOccurrence(fromEventId, fromStart, toEventId, toStart);
+  }
+};
+
+// Shift every occurrence's rows by the same amount when a series start moves
+// Rows are moved furthest-first so shifted times never collide with unmoved ones
+const shiftOccurrenceRows = async (eventId, deltaMs) => {
+  const starts = await listEngagedOccurrences(eventId);
+  if (deltaMs > 0) starts.reverse();
+
+  for (const start of starts) {
+    const shifted = new Date(new Date(start).getTime() + deltaMs).toISOString();
+    await moveOccurrenceRows(eventId, start, eventId, shifted);
+  }
+};
 
 // Debug route to check committee data structure
-router.get('/committee/debug', async (req, res) => {
+router.get('/committee/debug', async (req, res, next) => {
   try {
-    const { data, error } = await supabase
-      .from('committee')
-      .select('*')
-      .order('member_id', { ascending: true })
-      .limit(5);
-
-    if (error) throw error;
+    const members = await committeeRepository.list(5);
     
-    console.log('🔍 Committee table structure:', data.length > 0 ? Object.keys(data[0]) : 'No data');
+    console.log('🔍 Committee table structure:', members.length > 0 ? Object.keys(members[0]) : 'No data');
     
     res.json({
       success: true,
-      members: data,
-      columns: data.length > 0 ? Object.keys(data[0]) : [],
+      members,
+      columns: members.length > 0 ? Object.keys(members[0]) : [],
       message: 'Committee debug information'
     });
   } catch (error) {
-    res.json({ 
-      success: false, 
-      error: error.message 
-    });
+    console.error('💥 Error loading committee debug info:', error);
+    next(error);
   }
 });
 
 // Committee management routes - USING CORRECT COLUMN NAMES
-router.get('/committee', async (req, res) => {
+router.get('/committee', async (req, res, next) => {
   try {
     console.log('📋 Fetching committee members...');
     
-    const { data, error } = await supabase
-      .from('committee')
-      .select('*')
-      .order('member_id', { ascending: true });  // Changed to member_id
-
-    if (error) {
-      console.error('❌ Database error:', error);
-      throw error;
-    }
+    const members = await committeeRepository.list();
     
-    console.log(`✅ Found ${data?.length || 0} committee members`);
+    console.log(`✅ Found ${members.length} committee members`);
     res.json({ 
       success: true, 
-      members: data || [] 
+      members 
     });
   } catch (error) {
     console.error('💥 Error fetching committee:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    next(error);
   }
 });
 
-router.post('/committee', async (req, res) => {
+router.post('/committee', validate({ body: COMMITTEE_BODY }), async (req, res, next) => {
   try {
     const { member_name, role, email, phone, responsibilities } = req.body;
     
     console.log('➕ Adding committee member:', { member_name, role, email });
-    
-    if (!member_name || !role) {
-      return res.status(400).json({
-        success: false,
-        error: 'Member name and role are required'
-      });
-    }
 
-    const { data, error } = await supabase
-      .from('committee')
-      .insert([{ 
-        member_name: member_name.trim(),
-        role: role.trim(),
-        email: email ? email.trim() : null,
-        phone: phone ? phone.trim() : null,
-        responsibilities: responsibilities ? responsibilities.trim() : null
-      }])
-      .select();
-
-    if (error) {
-      console.error('❌ Insert error:', error);
-      throw error;
-    }
+    const member = await committeeRepository.create({ 
+      member_name: member_name.trim(),
+      role: role.trim(),
+      email: email ? email.trim() : null,
+      phone: phone ? phone.trim() : null,
+      responsibilities: responsibilities ? responsibilities.trim() : null
+    });
     
     console.log('✅ Committee member added successfully');
     res.json({ 
       success: true, 
-      member: data[0] 
+      member 
     });
   } catch (error) {
     console.error('💥 Error adding committee member:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    next(error);
   }
 });
 
 // Update committee member - USING member_id
-router.put('/committee/:member_id', async (req, res) => {  // Changed parameter name
+router.put('/committee/:member_id', validate({  // Changed parameter name
+  params: { member_id: ID },
+  body: COMMITTEE_BODY
+}), async (req, res, next) => {
   try {
     const { member_id } = req.params;  // Changed to member_id
     const { member_name, role, email, phone, responsibilities } = req.body;
     
     console.log('✏️ Updating committee member with member_id:', member_id);
     
-    const { data, error } = await supabase
-      .from('committee')
-      .update({ 
-        member_name: member_name.trim(),
-        role: role.trim(),
-        email: email ? email.trim() : null,
-        phone: phone ? phone.trim() : null,
-        responsibilities: responsibilities ? responsibilities.trim() : null,
-        created_at: new Date().toISOString()  // Using created_at since no updated_at column
-      })
-      .eq('member_id', member_id)  // Using member_id
-      .select();
-
-    if (error) throw error;
+    const member = await committeeRepository.update(member_id, { 
+      member_name: member_name.trim(),
+      role: role.trim(),
+      email: email ? email.trim() : null,
+      phone: phone ? phone.trim() : null,
+      responsibilities: responsibilities ? responsibilities.trim() : null,
+      created_at: new Date().toISOString()  // Using created_at since no updated_at column
+    });
     
-    if (!data || data.length === 0) {
+    if (!member) {
       return res.status(404).json({
         success: false,
         error: 'Committee member not found'
@@ -208,30 +284,22 @@ router.put('/committee/:member_id', async (req, res) => {  // Changed parameter
     console.log('✅ Committee member updated successfully');
     res.json({ 
       success: true, 
-      member: data[0] 
+      member 
     });
   } catch (error) {
     console.error('💥 Error updating committee member:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    next(error);
   }
 });
 
 // Delete committee member - USING member_id
-router.delete('/committee/:member_id', async (req, res) => {  // Changed parameter name
+router.delete('/committee/:member_id', validate({ params: { member_id: ID } }), async (req, res, next) => {  // Changed parameter name
   try {
     const { member_id } = req.params;  // Changed to member_id
     
     console.log('🗑️ Deleting committee member with member_id:', member_id);
     
-    const { error } = await supabase
-      .from('committee')
-      .delete()
-      .eq('member_id', member_id);  // Using member_id
-
-    if (error) throw error;
+    await committeeRepository.remove(member_id);
     
     console.log('✅ Committee member deleted successfully');
     res.json({ 
@@ -240,187 +308,115 @@ router.delete('/committee/:member_id', async (req, res) => {  // Changed paramet
     });
   } catch (error) {
     console.error('💥 Error deleting committee member:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    next(error);
   }
 });
 
 // Get committee statistics
-router.get('/committee/stats', async (req, res) => {
+router.get('/committee/stats', async (req, res, next) => {
   try {
-    const { count, error } = await supabase
-      .from('committee')
-      .select('*', { count: 'exact', head: true });
-
-    if (error) throw error;
-    
     res.json({
       success: true,
-      totalMembers: count || 0
+      totalMembers: await committeeRepository.count()
     });
   } catch (error) {
     console.error('💥 Error fetching committee stats:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
+// Answer expenses requests made before the expenses table was set up
+const sendExpensesNotReady = (res) => res.status(500).json({
+  success: false,
+  code: 'DATABASE_NOT_READY',
+  error: 'Expenses table does not exist. Please run the setup SQL.'
+});
+
 // Debug route to check expenses data structure
-router.get('/expenses/debug', async (req, res) => {
+router.get('/expenses/debug', async (req, res, next) => {
   try {
-    const { data, error } = await supabase
-      .from('expenses')
-      .select('*')
-      .order('expense_id', { ascending: true })
-      .limit(5);
-
-    if (error) throw error;
+    const expenses = await expenseRepository.sample(5);
     
-    console.log('🔍 Expenses table structure:', data.length > 0 ? Object.keys(data[0]) : 'No data');
+    console.log('🔍 Expenses table structure:', expenses.length > 0 ? Object.keys(expenses[0]) : 'No data');
     
     res.json({
       success: true,
-      expenses: data,
-      columns: data.length > 0 ? Object.keys(data[0]) : [],
+      expenses,
+      columns: expenses.length > 0 ? Object.keys(expenses[0]) : [],
       message: 'Expenses debug information'
     });
   } catch (error) {
-    res.json({ 
-      success: false, 
-      error: error.message 
-    });
+    console.error('💥 Error loading expenses debug info:', error);
+    next(error);
   }
 });
 
 // Expenses management routes
-router.get('/expenses', async (req, res) => {
+router.get('/expenses', async (req, res, next) => {
   try {
     console.log('💰 Fetching expenses...');
     
-    const { data, error } = await supabase
-      .from('expenses')
-      .select(`
-        *,
-        event:events(event_title, event_id)
-      `)
-      .order('expense_date', { ascending: false });
-
-    if (error) {
-      console.error('❌ Database error:', error);
-      if (error.message.includes('does not exist')) {
-        return res.status(500).json({
-          success: false,
-          error: 'Expenses table does not exist. Please run the setup SQL.'
-        });
-      }
-      throw error;
-    }
+    const expenses = await expenseRepository.list();
     
-    console.log(`✅ Found ${data?.length || 0} expenses`);
+    console.log(`✅ Found ${expenses.length} expenses`);
     res.json({ 
       success: true, 
-      expenses: data || [] 
+      expenses 
     });
   } catch (error) {
+    if (isMissingTable(error)) return sendExpensesNotReady(res);
     console.error('💥 Error fetching expenses:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    next(error);
   }
 });
 
-router.post('/expenses', async (req, res) => {
+router.post('/expenses', validate({ body: EXPENSE_BODY }), async (req, res, next) => {
   try {
     const { event_id, expense_category, amount, description, expense_date } = req.body;
     
     console.log('➕ Adding expense:', { event_id, expense_category, amount });
-    
-    if (!event_id || !expense_category || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Event, category, and amount are required'
-      });
-    }
 
-    const { data, error } = await supabase
-      .from('expenses')
-      .insert([{ 
-        event_id: parseInt(event_id),
-        expense_category: expense_category.trim(),
-        amount: parseFloat(amount),
-        description: description ? description.trim() : null,
-        expense_date: expense_date || new Date().toISOString().split('T')[0]
-      }])
-      .select(`
-        *,
-        event:events(event_title, event_id)
-      `);
-
-    if (error) {
-      console.error('❌ Insert error:', error);
-      if (error.message.includes('does not exist')) {
-        return res.status(500).json({
-          success: false,
-          error: 'Expenses table does not exist. Please run the setup SQL.'
-        });
-      }
-      throw error;
-    }
+    const expense = await expenseRepository.create({ 
+      event_id: parseInt(event_id),
+      expense_category: expense_category.trim(),
+      amount: parseFloat(amount),
+      description: description ? description.trim() : null,
+      expense_date: expense_date || new Date().toISOString().split('T')[0]
+    });
     
     console.log('✅ Expense added successfully');
     res.json({ 
       success: true, 
-      expense: data[0] 
+      expense 
     });
   } catch (error) {
+    if (isMissingTable(error)) return sendExpensesNotReady(res);
     console.error('💥 Error adding expense:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    next(error);
   }
 });
 
 // Update expense - USING expense_id
-router.put('/expenses/:expense_id', async (req, res) => {
+router.put('/expenses/:expense_id', validate({
+  params: { expense_id: ID },
+  body: EXPENSE_BODY
+}), async (req, res, next) => {
   try {
     const { expense_id } = req.params;
     const { event_id, expense_category, amount, description, expense_date } = req.body;
     
     console.log('✏️ Updating expense with expense_id:', expense_id);
     
-    const { data, error } = await supabase
-      .from('expenses')
-      .update({ 
-        event_id: parseInt(event_id),
-        expense_category: expense_category.trim(),
-        amount: parseFloat(amount),
-        description: description ? description.trim() : null,
-        expense_date: expense_date,
-        updated_at: new Date().toISOString()
-      })
-      .eq('expense_id', expense_id)
-      .select(`
-        *,
-        event:events(event_title, event_id)
-      `);
-
-    if (error) {
-      if (error.message.includes('does not exist')) {
-        return res.status(500).json({
-          success: false,
-          error: 'Expenses table does not exist. Please run the setup SQL.'
-        });
-      }
-      throw error;
-    }
+    const expense = await expenseRepository.update(expense_id, { 
+      event_id: parseInt(event_id),
+      expense_category: expense_category.trim(),
+      amount: parseFloat(amount),
+      description: description ? description.trim() : null,
+      expense_date: expense_date || undefined,
+      updated_at: new Date().toISOString()
+    });
     
-    if (!data || data.length === 0) {
+    if (!expense) {
       return res.status(404).json({
         success: false,
         error: 'Expense not found'
@@ -430,38 +426,23 @@ router.put('/expenses/:expense_id', async (req, res) => {
     console.log('✅ Expense updated successfully');
     res.json({ 
       success: true, 
-      expense: data[0] 
+      expense 
     });
   } catch (error) {
+    if (isMissingTable(error)) return sendExpensesNotReady(res);
     console.error('💥 Error updating expense:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    next(error);
   }
 });
 
 // Delete expense - USING expense_id
-router.delete('/expenses/:expense_id', async (req, res) => {
+router.delete('/expenses/:expense_id', validate({ params: { expense_id: ID } }), async (req, res, next) => {
   try {
     const { expense_id } = req.params;
     
     console.log('🗑️ Deleting expense with expense_id:', expense_id);
     
-    const { error } = await supabase
-      .from('expenses')
-      .delete()
-      .eq('expense_id', expense_id);
-
-    if (error) {
-      if (error.message.includes('does not exist')) {
-        return res.status(500).json({
-          success: false,
-          error: 'Expenses table does not exist. Please run the setup SQL.'
-        });
-      }
-      throw error;
-    }
+    await expenseRepository.remove(expense_id);
     
     console.log('✅ Expense deleted successfully');
     res.json({ 
@@ -469,49 +450,167 @@ router.delete('/expenses/:expense_id', async (req, res) => {
       message: 'Expense deleted successfully' 
     });
   } catch (error) {
+    if (isMissingTable(error)) return sendExpensesNotReady(res);
     console.error('💥 Error deleting expense:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    next(error);
   }
 });
 
 // Get expenses statistics
-router.get('/expenses/stats', async (req, res) => {
+router.get('/expenses/stats', async (req, res, next) => {
   try {
-    const { data, error } = await supabase
-      .from('expenses')
-      .select('amount');
-
-    if (error) {
-      if (error.message.includes('does not exist')) {
-        return res.status(500).json({
-          success: false,
-          error: 'Expenses table does not exist. Please run the setup SQL.'
-        });
-      }
-      throw error;
-    }
-    
-    const totalExpenses = data?.reduce((sum, exp) => sum + (parseFloat(exp.amount) || 0), 0) || 0;
+    const { total, count } = await expenseRepository.totals();
     
     res.json({
       success: true,
-      totalExpenses: totalExpenses,
-      totalCount: data?.length || 0
+      totalExpenses: total,
+      totalCount: count
     });
   } catch (error) {
+    if (isMissingTable(error)) return sendExpensesNotReady(res);
     console.error('💥 Error fetching expense stats:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    next(error);
+  }
+});
+
+// Notices management routes
+router.get('/notices', async (req, res, next) => {
+  try {
+    const notices = await noticeRepository.list();
+    res.json({ 
+      success: true, 
+      notices 
     });
+  } catch (error) {
+    console.error('💥 Error fetching notices:', error);
+    next(error);
+  }
+});
+
+router.post('/notices', validate({ body: NOTICE_BODY }), async (req, res, next) => {
+  try {
+    const { notice_title, notice_content, priority, is_active } = req.body;
+
+    const notice = await noticeRepository.create({
+      notice_title: notice_title.trim(),
+      notice_content: notice_content.trim(),
+      priority: priority || 'normal',
+      is_active: is_active === undefined || String(is_active) === 'true'
+    });
+
+    console.log('✅ Notice posted:', notice.notice_id);
+    res.json({ 
+      success: true, 
+      notice 
+    });
+  } catch (error) {
+    console.error('💥 Error posting notice:', error);
+    next(error);
+  }
+});
+
+router.put('/notices/:notice_id', validate({
+  params: { notice_id: ID },
+  body: NOTICE_BODY
+}), async (req, res, next) => {
+  try {
+    const { notice_title, notice_content, priority, is_active } = req.body;
+
+    const notice = await noticeRepository.update(req.params.notice_id, {
+      notice_title: notice_title.trim(),
+      notice_content: notice_content.trim(),
+      priority: priority || 'normal',
+      is_active: is_active === undefined || String(is_active) === 'true'
+    });
+
+    if (!notice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notice not found'
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      notice 
+    });
+  } catch (error) {
+    console.error('💥 Error updating notice:', error);
+    next(error);
+  }
+});
+
+// Show or hide a notice without editing it
+router.put('/notices/:notice_id/active', validate({
+  params: { notice_id: ID },
+  body: { is_active: { type: 'boolean', required: true, label: 'Active' } }
+}), async (req, res, next) => {
+  try {
+    const notice = await noticeRepository.update(req.params.notice_id, {
+      is_active: String(req.body.is_active) === 'true'
+    });
+
+    if (!notice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notice not found'
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      notice 
+    });
+  } catch (error) {
+    console.error('💥 Error updating notice:', error);
+    next(error);
+  }
+});
+
+router.delete('/notices/:notice_id', validate({ params: { notice_id: ID } }), async (req, res, next) => {
+  try {
+    await noticeRepository.remove(req.params.notice_id);
+    res.json({ 
+      success: true, 
+      message: 'Notice deleted successfully' 
+    });
+  } catch (error) {
+    console.error('💥 Error deleting notice:', error);
+    next(error);
+  }
+});
+
+// Figures shown on the organizer dashboard
+router.get('/stats', async (req, res, next) => {
+  try {
+    const [totalEvents, expenses, committeeMembers, activeNotices] = await Promise.all([
+      eventRepository.count(),
+      expenseRepository.totals().catch((error) => {
+        // Dashboards set up before the expenses table still show the rest
+        if (isMissingTable(error)) return { total: 0 };
+        throw error;
+      }),
+      committeeRepository.count(),
+      noticeRepository.countActive()
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        totalEvents,
+        totalExpenses: expenses.total,
+        committeeMembers,
+        activeNotices
+      }
+    });
+  } catch (error) {
+    console.error('💥 Error fetching dashboard stats:', error);
+    next(error);
   }
 });
 
 // Setup expenses table route
-router.post('/setup-expenses', async (req, res) => {
+router.post('/setup-expenses', async (req, res, next) => {
   try {
     console.log('🛠️ Setting up expenses table...');
     
@@ -561,39 +660,628 @@ router.post('/setup-expenses', async (req, res) => {
     });
   } catch (error) {
     console.error('💥 Expenses setup error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
-// Get events for dropdown
-router.get('/events', async (req, res) => {
+// Get events (used by the expenses dropdown and the events manager)
+router.get('/events', async (req, res, next) => {
   try {
-    console.log('📅 Fetching events for dropdown...');
+    console.log('📅 Fetching events...');
     
-    const { data, error } = await supabase
-      .from('events')
-      .select('event_id, event_title')
-      .order('event_title');
+    const events = await eventRepository.list();
 
-    if (error) {
-      console.error('❌ Database error:', error);
-      throw error;
-    }
-    
-    console.log(`✅ Found ${data?.length || 0} events`);
+    console.log(`✅ Found ${events.length} events`);
     res.json({ 
       success: true, 
-      events: data || [] 
+      events 
     });
   } catch (error) {
     console.error('💥 Error fetching events:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    next(error);
+  }
+});
+
+// Insert an event row and its categories, returning the new event_id
+const insertEvent = async (event, categoryIds) => {
+  const eventId = await eventRepository.create(event);
+  await eventRepository.setCategories(eventId, categoryIds);
+  return eventId;
+};
+
+// Create event
+router.post('/events', validate({ body: EVENT_BODY }), async (req, res, next) => {
+  try {
+    const { event, categoryIds, error: validationError, field } = parseEventBody(req.body);
+
+    if (validationError) {
+      return sendValidationErrors(res, [{ field, location: 'body', message: validationError }]);
+    }
+
+    console.log('➕ Creating event:', event.event_title);
+
+    const eventId = await insertEvent(event, categoryIds);
+
+    console.log('✅ Event created successfully');
+    res.status(201).json({
+      success: true,
+      event: await eventRepository.findById(eventId)
     });
+  } catch (error) {
+    console.error('💥 Error creating event:', error);
+    next(error);
+  }
+});
+
+// Edit a single occurrence: it is skipped in the series and becomes its own event
+const detachOccurrence = async (series, occurrenceStart, event, categoryIds) => {
+  const newEventId = await insertEvent({
+    ...event,
+    recurrence_rule: null,
+    recurrence_tzid: null,
+    recurrence_exdates: [],
+    parent_event_id: series.event_id,
+    original_occurrence_start: occurrenceStart
+  }, categoryIds);
+
+  await eventRepository.update(series.event_id, {
+    recurrence_exdates: [...(series.recurrence_exdates || []), occurrenceStart]
+  });
+
+  await moveOccurrenceRows(series.event_id, occurrenceStart, newEventId, null);
+  return newEventId;
+};
+
+// Skipped dates of a series edited as a whole. Occurrences detached with
+// scope 'this' live on as their own events, so the series keeps skipping them
+// whatever skipped dates the form sends; when the series moves by deltaMs they
+// move along, like shiftOccurrenceRows() does for attendance, ratings and comments.
+const withDetachedExdates = async (seriesId, exdates, deltaMs) => {
+  const skipped = new Set(exdates);
+
+  for (const child of await eventRepository.listDetached(seriesId)) {
+    const original = parseTimestamp(child.original_occurrence_start);
+    const start = new Date(original.getTime() + deltaMs).toISOString();
+    if (deltaMs !== 0) {
+      skipped.delete(original.toISOString());
+      await eventRepository.update(child.event_id, { original_occurrence_start: start });
+    }
+    skipped.add(start);
+  }
+
+  return [...skipped];
+};
+
+// Edit an occurrence and all later ones: the series ends before it and a new
+// series starts at the edited occurrence. COUNT keeps counting from the
+// original series start, so the new series only gets the remaining occurrences.
+const splitSeries = async (series, occurrenceStart, event, categoryIds) => {
+  const split = new Date(occurrenceStart);
+  const deltaMs = new Date(event.start_time).getTime() - split.getTime();
+  const parentRule = parseRule(series.recurrence_rule);
+
+  if (!event.recurrence_rule) {
+    return { error: 'Choose how the event repeats when editing this and future occurrences' };
+  }
+
+  let newRule = event.recurrence_rule;
+  const rule = parseRule(newRule);
+  if (rule.count) {
+    const remaining = rule.count - countOccurrencesBefore(series, split);
+    if (remaining < 1) {
+      return { error: 'Number of occurrences must be larger than the occurrences before this one' };
+    }
+    newRule = buildRule({ ...rule, count: remaining });
+  }
+
+  const newEventId = await insertEvent({
+    ...event,
+    recurrence_rule: newRule,
+    // Skipped dates after the split move along with the edited times
+    recurrence_exdates: event.recurrence_exdates
+      .filter((d) => new Date(d) >= split)
+      .map((d) => new Date(new Date(d).getTime() + deltaMs).toISOString())
+  }, categoryIds);
+
+  await eventRepository.update(series.event_id, {
+    recurrence_rule: buildRule({ freq: parentRule.freq, interval: parentRule.interval, until: new Date(split.getTime() - 1000) }),
+    recurrence_exdates: (series.recurrence_exdates || []).filter((d) => parseTimestamp(d) < split)
+  });
+
+  const starts = (await listEngagedOccurrences(series.event_id)).filter((start) => new Date(start) >= split);
+  for (const start of starts) {
+    const shifted = new Date(new Date(start).getTime() + deltaMs).toISOString();
+    await moveOccurrenceRows(series.event_id, start, newEventId, shifted);
+  }
+
+  return { eventId: newEventId };
+};
+
+// Update event - USING event_id
+// Recurring events take { scope: 'all' | 'this' | 'future', occurrence } in the body
+router.put('/events/:event_id', validate({
+  params: { event_id: ID },
+  body: {
+    ...EVENT_BODY,
+    scope: { type: 'string', enum: EDIT_SCOPES },
+    occurrence: { type: 'date' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { event_id } = req.params;
+    const { scope = 'all', occurrence } = req.body;
+    const { event, categoryIds, error: validationError, field } = parseEventBody(req.body);
+
+    if (validationError) {
+      return sendValidationErrors(res, [{ field, location: 'body', message: validationError }]);
+    }
+
+    const existing = await eventRepository.findSchedule(event_id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    // Occurrence-level edits need a valid occurrence of a recurring event
+    let occurrenceStart = null;
+    if (scope !== 'all') {
+      if (!existing.recurrence_rule) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only recurring events can be edited by occurrence'
+        });
+      }
+
+      const date = new Date(occurrence);
+      if (!occurrence || isNaN(date.getTime()) || !isOccurrence(existing, date)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Occurrence is not a date of this event'
+        });
+      }
+      occurrenceStart = date.toISOString();
+    }
+
+    const seriesStart = parseTimestamp(existing.start_time).toISOString();
+    let updatedId = existing.event_id;
+
+    if (scope === 'this') {
+      console.log('✏️ Editing one occurrence of event_id:', event_id, occurrenceStart);
+      updatedId = await detachOccurrence(existing, occurrenceStart, event, categoryIds);
+    } else if (scope === 'future' && occurrenceStart !== seriesStart) {
+      console.log('✏️ Splitting event_id:', event_id, 'at', occurrenceStart);
+      const { eventId, error: splitError } = await splitSeries(existing, occurrenceStart, event, categoryIds);
+      if (splitError) {
+        return res.status(400).json({
+          success: false,
+          error: splitError
+        });
+      }
+      updatedId = eventId;
+    } else {
+      console.log('✏️ Updating event with event_id:', event_id);
+
+      const newStart = new Date(event.start_time).toISOString();
+      const deltaMs = new Date(newStart).getTime() - new Date(seriesStart).getTime();
+      const stillRecurring = existing.recurrence_rule && event.recurrence_rule;
+
+      const exdates = stillRecurring
+        ? await withDetachedExdates(existing.event_id, event.recurrence_exdates, deltaMs)
+        : event.recurrence_exdates;
+
+      await eventRepository.update(existing.event_id, { ...event, recurrence_exdates: exdates });
+      await eventRepository.setCategories(existing.event_id, categoryIds);
+
+      // Keep attendance, ratings and comments on the same occurrences
+      if (stillRecurring) {
+        if (deltaMs !== 0) await shiftOccurrenceRows(existing.event_id, deltaMs);
+      } else if (existing.recurrence_rule) {
+        await moveOccurrenceRows(existing.event_id, seriesStart, existing.event_id, null);
+      } else if (event.recurrence_rule) {
+        await moveOccurrenceRows(existing.event_id, null, existing.event_id, newStart);
+      }
+    }
+
+    // Capacity may have grown - move people off the waitlist
+    const promoted = await promoteAllWaitlists(updatedId);
+    if (promoted.length > 0) {
+      console.log(`⬆️ Promoted ${promoted.length} attendee(s) from the waitlist`);
+    }
+
+    console.log('✅ Event updated successfully');
+    res.json({
+      success: true,
+      event: await eventRepository.findById(updatedId)
+    });
+  } catch (error) {
+    console.error('💥 Error updating event:', error);
+    next(error);
+  }
+});
+
+// Cancel one occurrence of a recurring event (?scope=this&occurrence=...)
+// The occurrence is skipped and its attendance, ratings and comments are removed
+const cancelOccurrence = async (req, res) => {
+  const { event_id } = req.params;
+
+  const series = await eventRepository.findSchedule(event_id);
+
+  if (!series) {
+    return res.status(404).json({
+      success: false,
+      error: 'Event not found'
+    });
+  }
+
+  const date = new Date(req.query.occurrence);
+  if (!series.recurrence_rule || isNaN(date.getTime()) || !isOccurrence(series, date)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Occurrence is not a date of this event'
+    });
+  }
+
+  const occurrenceStart = date.toISOString();
+  console.log('🗑️ Cancelling occurrence of event_id:', event_id, occurrenceStart);
+
+  for (const repository of OCCURRENCE_REPOSITORIES) {
+    await repository.removeOccurrence(series.event_id, occurrenceStart);
+  }
+
+  await eventRepository.update(series.event_id, {
+    recurrence_exdates: [...(series.recurrence_exdates || []), occurrenceStart]
+  });
+
+  console.log('✅ Occurrence cancelled');
+  res.json({
+    success: true,
+    message: 'Occurrence cancelled successfully'
+  });
+};
+
+// Delete event - USING event_id
+router.delete('/events/:event_id', validate({
+  params: { event_id: ID },
+  query: {
+    scope: { type: 'string', enum: ['this'] },
+    occurrence: { type: 'date' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { event_id } = req.params;
+
+    if (req.query.scope === 'this') {
+      return await cancelOccurrence(req, res);
+    }
+
+    console.log('🗑️ Deleting event with event_id:', event_id);
+
+    // event_categories rows go with the event (ON DELETE CASCADE, see
+    // migrations/016), so a refused delete leaves the categories in place
+    let deleted;
+    try {
+      deleted = await eventRepository.remove(event_id);
+    } catch (error) {
+      // Foreign key violation - expenses or other records still reference this event
+      if (error.code === '23503') {
+        return res.status(409).json({
+          success: false,
+          error: 'This event still has linked records (such as expenses). Remove them before deleting the event.',
+          code: 'RECORD_IN_USE'
+        });
+      }
+      throw error;
+    }
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    console.log('✅ Event deleted successfully');
+    res.json({
+      success: true,
+      message: 'Event deleted successfully'
+    });
+  } catch (error) {
+    console.error('💥 Error deleting event:', error);
+    next(error);
+  }
+});
+
+// List occurrences of a recurring event (for picking which one to edit)
+// Defaults to the last 30 days and the next year
+router.get('/events/:event_id/occurrences', validate({
+  params: { event_id: ID },
+  query: {
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { event_id } = req.params;
+
+    const series = await eventRepository.findSchedule(event_id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    if (!series.recurrence_rule) {
+      return res.json({
+        success: true,
+        occurrences: []
+      });
+    }
+
+    const now = Date.now();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now - 30 * 86400000);
+    const to = req.query.to ? new Date(req.query.to) : new Date(now + 365 * 86400000);
+
+    const occurrences = expandOccurrences(series, from, to).map((start) => {
+      const { occurrence_start, start_time, end_time } = buildOccurrence(series, start);
+      return { occurrence_start, start_time, end_time };
+    });
+
+    res.json({
+      success: true,
+      occurrences
+    });
+  } catch (error) {
+    console.error('💥 Error listing occurrences:', error);
+    next(error);
+  }
+});
+
+// Get categories for the event form
+router.get('/categories', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('categories')
+      .select('category_id, category_name')
+      .order('category_name');
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      categories: data || []
+    });
+  } catch (error) {
+    console.error('💥 Error fetching categories:', error);
+    next(error);
+  }
+});
+
+// Tickets scan only around their own event or occurrence, not on another day
+// of a series: from this long before it starts until this long after it ends
+const CHECK_IN_MARGIN_MS = 12 * 60 * 60 * 1000;
+
+// Check in an attendee by scanning their ticket
+router.post('/check-in', validate({
+  body: {
+    token: { type: 'string', required: true, maxLength: 500, label: 'Ticket' },
+    event_id: { type: 'integer', min: 1, label: 'Event' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { token, event_id } = req.body;
+
+    const ticket = verifyTicket(token);
+    if (!ticket) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ticket'
+      });
+    }
+
+    if (event_id && parseInt(event_id) !== ticket.eventId) {
+      return res.status(400).json({
+        success: false,
+        error: 'This ticket is for a different event'
+      });
+    }
+
+    console.log('🎟️ Checking in attendance_id:', ticket.attendanceId);
+
+    const attendance = await attendanceRepository.findTicket(ticket.attendanceId, ticket.eventId);
+
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ticket is no longer valid (attendance was cancelled)'
+      });
+    }
+
+    if (attendance.status === 'waitlisted') {
+      return res.status(400).json({
+        success: false,
+        error: 'Attendee is still on the waitlist'
+      });
+    }
+
+    // Occurrences of a series share one event row, so the ticket's own date comes from occurrence_start
+    const { start_time, end_time } = attendance.occurrence_start
+      ? buildOccurrence(attendance.event, parseTimestamp(attendance.occurrence_start))
+      : attendance.event;
+    const now = Date.now();
+    if (now < parseTimestamp(start_time).getTime() - CHECK_IN_MARGIN_MS ||
+        now > parseTimestamp(end_time).getTime() + CHECK_IN_MARGIN_MS) {
+      return res.status(400).json({
+        success: false,
+        error: `This ticket is for ${parseTimestamp(start_time).toUTCString()}, not today`,
+        code: 'TICKET_WRONG_DAY'
+      });
+    }
+
+    if (attendance.checked_in_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'Ticket already used',
+        code: 'TICKET_ALREADY_USED',
+        attendee: attendance
+      });
+    }
+
+    // Only set checked_in_at if it is still empty, so two scans can't both succeed
+    const attendee = await attendanceRepository.checkIn(attendance.attendance_id, req.user.email);
+
+    if (!attendee) {
+      return res.status(409).json({
+        success: false,
+        error: 'Ticket already used',
+        code: 'TICKET_ALREADY_USED'
+      });
+    }
+
+    console.log('✅ Checked in:', attendee.user_name);
+    res.json({
+      success: true,
+      attendee
+    });
+  } catch (error) {
+    console.error('💥 Error checking in attendee:', error);
+    next(error);
+  }
+});
+
+// RSVP vs. check-in numbers per event
+// Recurring events get one row per occurrence that has RSVPs
+router.get('/attendance-report', async (req, res, next) => {
+  try {
+    const events = await eventRepository.listByStartDesc();
+    const attendance = await attendanceRepository.listConfirmed();
+
+    const entries = events.flatMap((event) => {
+      const rows = attendance.filter((a) => a.event_id === event.event_id);
+      if (!event.recurrence_rule) {
+        return [{ event: { ...event, occurrence_start: null }, rows }];
+      }
+
+      const starts = [...new Set(rows.map((a) => parseTimestamp(a.occurrence_start).toISOString()))].sort().reverse();
+      return starts.map((start) => {
+        const { recurrence_rule, series_start_time, ...occurrenceEvent } = buildOccurrence(event, new Date(start));
+        return {
+          event: occurrenceEvent,
+          rows: rows.filter((a) => parseTimestamp(a.occurrence_start).toISOString() === start)
+        };
+      });
+    });
+
+    const now = new Date();
+    const report = entries.map(({ event, rows }) => {
+      const rsvps = rows.length;
+      const checkedIn = rows.filter((a) => a.checked_in_at).length;
+      // No-shows only make sense once the event is over
+      const hasEnded = parseTimestamp(event.end_time) < now;
+      const noShows = hasEnded ? rsvps - checkedIn : null;
+
+      return {
+        ...event,
+        rsvps,
+        checkedIn,
+        noShows,
+        noShowRate: hasEnded && rsvps > 0 ? parseFloat((noShows / rsvps).toFixed(3)) : null
+      };
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('💥 Error building attendance report:', error);
+    next(error);
+  }
+});
+
+// Comments waiting for review ('pending'), taken down ('hidden') or still live
+// with open reports ('reported')
+const MODERATION_QUEUES = ['pending', 'reported', 'hidden'];
+
+// Comment moderation queue
+router.get('/comments/moderation', validate({
+  query: { status: { type: 'string', enum: MODERATION_QUEUES } }
+}), async (req, res, next) => {
+  try {
+    const queue = req.query.status || 'pending';
+
+    console.log('🛡️ Fetching moderation queue:', queue);
+
+    // Live comments with at least one open report
+    const reportedIds = await commentRepository.listReportedIds();
+
+    const data = await commentRepository.listModerationQueue(queue, reportedIds);   // Oldest first
+
+    // Queue sizes for the tabs
+    const counts = {};
+    for (const status of MODERATION_QUEUES) {
+      counts[status] = await commentRepository.countModerationQueue(status, reportedIds);
+    }
+
+    const comments = data.map(({ comment_reports: reports, ...comment }) => ({
+      ...comment,
+      reports: (reports || []).filter((r) => !r.resolved)
+    }));
+
+    console.log(`✅ Found ${comments.length} comments`);
+
+    res.json({
+      success: true,
+      comments,
+      counts
+    });
+  } catch (error) {
+    console.error('💥 Error fetching moderation queue:', error);
+    next(error);
+  }
+});
+
+// Approve (make visible) or hide a comment; its open reports are resolved
+router.put('/comments/:comment_id/moderation', validate({
+  params: { comment_id: ID },
+  body: { action: { type: 'string', required: true, enum: ['approve', 'hide'] } }
+}), async (req, res, next) => {
+  try {
+    const commentId = parseInt(req.params.comment_id);
+    const { action } = req.body;
+
+    console.log(`🛡️ Moderating comment ${commentId}:`, action);
+
+    // Tombstones of deleted comments stay blank
+    const comment = await commentRepository.moderate(commentId, {
+      status: action === 'approve' ? 'visible' : 'hidden',
+      flag_reason: null,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString()
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    await commentRepository.resolveReports(commentId);
+
+    console.log('✅ Comment moderated');
+
+    res.json({
+      success: true,
+      comment
+    });
+  } catch (error) {
+    console.error('💥 Error moderating comment:', error);
+    next(error);
   }
 });
 
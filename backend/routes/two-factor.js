@@ -0,0 +1,345 @@
+const express = require('express');
+const supabase = require('../db');
+const { requireAuth, clearRoleCache, hasRole } = require('../middleware/auth');
+const { getSetting } = require('../utils/settings');
+const { validate } = require('../middleware/validate');
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  createTwoFactorToken
+} = require('../utils/two-factor');
+const router = express.Router();
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================================================
+// Organizers enroll an authenticator app (QR code / secret), confirm it with
+// a first code and receive recovery codes. After each password login they
+// verify a code (or a recovery code) and get the X-Two-Factor-Token that
+// organizer routes require. These routes only need the bearer token, so an
+// organizer can reach them while the second factor is still pending.
+
+const MAX_FAILED_ATTEMPTS = 5;   // Wrong codes in a row before the lockout
+const LOCKOUT_MINUTES = 15;
+
+// Codes are checked against the stored secret / hashes by checkSecondFactor()
+const CODE = { type: 'string', maxLength: 10 };
+const RECOVERY_CODE = { type: 'string', maxLength: 20 };
+
+router.use(requireAuth);
+
+// Only organizer accounts (and admins) use two-factor authentication
+router.use((req, res, next) => {
+  if (!hasRole(req.user.role, 'organizer')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Two-factor authentication is available for organizer accounts'
+    });
+  }
+  next();
+});
+
+/**
+ * Check a TOTP code or recovery code for a user
+ * Wrong codes count towards a temporary lockout.
+ * @param {string} userId - User id
+ * @param {Object} body - { code } or { recoveryCode }
+ * @param {boolean} [allowRecovery=true] - Accept recovery codes
+ * @returns {Promise<Object>} { ok: true, usedRecoveryCode } or { status, error }
+ */
+async function checkSecondFactor(userId, body, allowRecovery = true) {
+  const { data: factor, error } = await supabase
+    .from('user_two_factor')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!factor) {
+    return { status: 400, error: 'Two-factor authentication is not set up' };
+  }
+
+  if (factor.locked_until && new Date(factor.locked_until) > new Date()) {
+    return { status: 429, error: `Too many wrong codes. Try again after ${new Date(factor.locked_until).toLocaleTimeString()}` };
+  }
+
+  if (allowRecovery && body.recoveryCode) {
+    // Marking it used in the same update keeps it single-use
+    const { data: used, error: useError } = await supabase
+      .from('two_factor_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', hashRecoveryCode(body.recoveryCode))
+      .is('used_at', null)
+      .select();
+
+    if (useError) throw useError;
+
+    if (used.length > 0) {
+      await supabase.from('user_two_factor').update({ failed_attempts: 0 }).eq('user_id', userId);
+      return { ok: true, usedRecoveryCode: true };
+    }
+  } else {
+    const step = verifyTotp(factor.secret, body.code, factor.last_used_step);
+
+    if (step !== null) {
+      // Only move last_used_step forward, so two requests racing with the
+      // same code can't both pass: the second one updates no row
+      const { data: stepped, error: stepError } = await supabase
+        .from('user_two_factor')
+        .update({ last_used_step: step, failed_attempts: 0 })
+        .eq('user_id', userId)
+        .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+        .select('user_id');
+
+      if (stepError) throw stepError;
+      if (stepped.length === 1) {
+        return { ok: true, usedRecoveryCode: false };
+      }
+    }
+  }
+
+  const failed = (factor.failed_attempts || 0) + 1;
+  const locked = failed >= MAX_FAILED_ATTEMPTS;
+  const { error: failError } = await supabase
+    .from('user_two_factor')
+    .update({
+      failed_attempts: locked ? 0 : failed,
+      locked_until: locked ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString() : null
+    })
+    .eq('user_id', userId);
+
+  if (failError) throw failError;
+
+  return { status: 400, error: body.recoveryCode && allowRecovery ? 'Invalid recovery code' : 'Invalid code' };
+}
+
+/**
+ * Replace a user's recovery codes with a new set
+ * @param {string} userId - User id
+ * @returns {Promise<Array<string>>} The new codes (only shown once)
+ */
+async function replaceRecoveryCodes(userId) {
+  const { error: deleteError } = await supabase
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) throw deleteError;
+
+  const codes = generateRecoveryCodes();
+  const { error } = await supabase
+    .from('two_factor_recovery_codes')
+    .insert(codes.map((code) => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+
+  if (error) throw error;
+  return codes;
+}
+
+/**
+ * Count a user's unused recovery codes
+ * @param {string} userId - User id
+ * @returns {Promise<number>} Codes left
+ */
+async function countRecoveryCodes(userId) {
+  const { count, error } = await supabase
+    .from('two_factor_recovery_codes')
+    .select('code_id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Two-factor state of the signed-in organizer
+router.get('/status', async (req, res, next) => {
+  try {
+    const enabled = req.user.two_factor_enabled;
+
+    res.json({
+      success: true,
+      enabled,
+      required: Boolean(await getSetting('require_organizer_2fa')),
+      pending: req.user.twoFactorPending,
+      recoveryCodesLeft: enabled ? await countRecoveryCodes(req.user.id) : 0
+    });
+  } catch (error) {
+    console.error('💥 Error loading two-factor status:', error);
+    next(error);
+  }
+});
+
+// Start enrollment: create a new secret for the authenticator app
+// Enrollment is finished by POST /enable with a code from the app.
+router.post('/enroll', async (req, res, next) => {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    console.log('🔐 Two-factor enrollment started for:', req.user.email);
+
+    // Starting again replaces an unfinished enrollment
+    const { error: deleteError } = await supabase
+      .from('user_two_factor')
+      .delete()
+      .eq('user_id', req.user.id);
+
+    if (deleteError) throw deleteError;
+
+    const secret = generateSecret();
+    const { error } = await supabase
+      .from('user_two_factor')
+      .insert([{ user_id: req.user.id, secret }]);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: otpauthUrl(secret, req.user.email)
+    });
+  } catch (error) {
+    console.error('💥 Error starting two-factor enrollment:', error);
+    next(error);
+  }
+});
+
+// Finish enrollment with the first code from the app
+// Body: { code }
+router.post('/enable', validate({ body: { code: { ...CODE, required: true } } }), async (req, res, next) => {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    const check = await checkSecondFactor(req.user.id, { code: req.body.code }, false);
+    if (!check.ok) {
+      return res.status(check.status).json({ success: false, error: check.error });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ two_factor_enabled_at: new Date().toISOString() })
+      .eq('id', req.user.id);
+
+    if (error) throw error;
+
+    clearRoleCache(req.user.email);
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+    const session = createTwoFactorToken(req.user.id);
+
+    console.log('✅ Two-factor authentication enabled for:', req.user.email);
+    res.json({
+      success: true,
+      recoveryCodes,
+      twoFactorToken: session.token,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    console.error('💥 Error enabling two-factor authentication:', error);
+    next(error);
+  }
+});
+
+// Second step after password login
+// Body: { code } or { recoveryCode }
+router.post('/verify', validate({ body: { code: CODE, recoveryCode: RECOVERY_CODE } }), async (req, res, next) => {
+  try {
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+
+    const check = await checkSecondFactor(req.user.id, req.body);
+    if (!check.ok) {
+      console.log('❌ Two-factor verification failed for:', req.user.email);
+      return res.status(check.status).json({ success: false, error: check.error });
+    }
+
+    const session = createTwoFactorToken(req.user.id);
+
+    console.log('✅ Two-factor verified for:', req.user.email, check.usedRecoveryCode ? '(recovery code)' : '');
+    res.json({
+      success: true,
+      twoFactorToken: session.token,
+      expiresAt: session.expiresAt,
+      recoveryCodesLeft: check.usedRecoveryCode ? await countRecoveryCodes(req.user.id) : undefined
+    });
+  } catch (error) {
+    console.error('💥 Error verifying two-factor code:', error);
+    next(error);
+  }
+});
+
+// Replace the recovery codes (e.g. after using several)
+// Body: { code }
+router.post('/recovery-codes', validate({ body: { code: { ...CODE, required: true } } }), async (req, res, next) => {
+  try {
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+
+    const check = await checkSecondFactor(req.user.id, { code: req.body.code }, false);
+    if (!check.ok) {
+      return res.status(check.status).json({ success: false, error: check.error });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    console.log('🔄 Recovery codes replaced for:', req.user.email);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('💥 Error replacing recovery codes:', error);
+    next(error);
+  }
+});
+
+// Turn two-factor authentication off (not allowed while it is mandatory)
+// Body: { code } or { recoveryCode }
+router.post('/disable', validate({ body: { code: CODE, recoveryCode: RECOVERY_CODE } }), async (req, res, next) => {
+  try {
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await getSetting('require_organizer_2fa')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is required for organizer accounts'
+      });
+    }
+
+    const check = await checkSecondFactor(req.user.id, req.body);
+    if (!check.ok) {
+      return res.status(check.status).json({ success: false, error: check.error });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ two_factor_enabled_at: null })
+      .eq('id', req.user.id);
+
+    if (error) throw error;
+
+    const { error: codesError } = await supabase.from('two_factor_recovery_codes').delete().eq('user_id', req.user.id);
+    if (codesError) throw codesError;
+
+    const { error: factorError } = await supabase.from('user_two_factor').delete().eq('user_id', req.user.id);
+    if (factorError) throw factorError;
+
+    clearRoleCache(req.user.email);
+
+    console.log('🔓 Two-factor authentication disabled for:', req.user.email);
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('💥 Error disabling two-factor authentication:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
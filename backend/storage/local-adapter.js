@@ -0,0 +1,847 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================================================
+// LOCAL STORAGE ADAPTER (JSON FILE / IN-MEMORY)
+// ============================================================================
+// Implements the part of the Supabase client API the backend uses, on top of
+// plain arrays, so the whole backend can run without a Supabase project:
+//   from(table).select/insert/update/delete with eq, neq, gt, gte, lt, lte,
+//   in, is, not, like, ilike, or, order, range, limit, single, maybeSingle,
+//   select counts and embedded relations (e.g. "event:events(event_title)"),
+//   plus rpc() for the database functions listed in FUNCTIONS.
+// With a file path, every write is persisted to that JSON file.
+
+/**
+ * Tables known to the local adapter
+ * key: primary key column (auto-incremented unless a value is given)
+ * defaults: column defaults applied on insert
+ * unique: column groups that must be unique (a row with a NULL in the group never conflicts)
+ * nullsEqual: columns where NULL is compared like a value in unique groups,
+ *   like COALESCE(occurrence_start, 'epoch') in the SQL indexes
+ */
+const TABLES = {
+  events: {
+    key: 'event_id',
+    defaults: {
+      capacity: null,
+      recurrence_rule: null,
+      recurrence_tzid: null,
+      recurrence_exdates: [],
+      parent_event_id: null,
+      original_occurrence_start: null
+    }
+  },
+  categories: { key: 'category_id' },
+  event_categories: { key: 'id', unique: [['event_id', 'category_id']] },
+  comments: {
+    key: 'id',
+    defaults: {
+      occurrence_start: null,
+      parent_id: null,
+      depth: 0,
+      author_role: null,
+      user_id: null,
+      removed_at: null,
+      removed_by: null,
+      removed_reason: null,
+      status: 'visible',
+      flag_reason: null,
+      reviewed_by: null,
+      reviewed_at: null
+    }
+  },
+  comment_reports: {
+    key: 'report_id',
+    defaults: { resolved: false },
+    unique: [['comment_id', 'reporter_id']]
+  },
+  comment_reactions: {
+    key: 'reaction_id',
+    unique: [['comment_id', 'user_id', 'reaction']]
+  },
+  attendance: {
+    key: 'attendance_id',
+    defaults: { status: 'confirmed', occurrence_start: null, user_id: null, checked_in_at: null, checked_in_by: null },
+    unique: [['event_id', 'occurrence_start', 'user_id']],
+    nullsEqual: ['occurrence_start']
+  },
+  ratings: {
+    key: 'rating_id',
+    defaults: {
+      occurrence_start: null,
+      user_id: null,
+      score_content: null,
+      score_venue: null,
+      score_organization: null,
+      score_value: null,
+      review_text: null,
+      updated_at: null
+    },
+    unique: [['event_id', 'occurrence_start', 'user_id']],
+    nullsEqual: ['occurrence_start']
+  },
+  committee: { key: 'member_id' },
+  expenses: { key: 'expense_id' },
+  notices: { key: 'notice_id', defaults: { is_active: true } },
+  users: {
+    key: 'id',
+    defaults: { role: 'user', google_linked_at: null, two_factor_enabled_at: null, calendar_token_hash: null },
+    unique: [['email'], ['calendar_token_hash']]
+  },
+  role_changes: { key: 'change_id', defaults: { reason: null } },
+  organizer_applications: {
+    key: 'application_id',
+    defaults: { status: 'pending', review_note: null, reviewed_by: null, reviewed_by_email: null, reviewed_at: null }
+  },
+  auth_tokens: { key: 'token_id', defaults: { used_at: null }, unique: [['token_hash']] },
+  user_two_factor: { key: 'user_id', defaults: { last_used_step: null, failed_attempts: 0, locked_until: null } },
+  two_factor_recovery_codes: { key: 'code_id', defaults: { used_at: null } },
+  app_settings: { key: 'key' },
+};
+
+// References between tables: deleting a referenced row is refused
+// (ON DELETE RESTRICT) unless onDelete is 'cascade'
+const FOREIGN_KEYS = [
+  { table: 'expenses', column: 'event_id', references: 'events' },
+  { table: 'event_categories', column: 'event_id', references: 'events', onDelete: 'cascade' },
+  { table: 'comments', column: 'parent_id', references: 'comments' },
+  { table: 'comment_reports', column: 'comment_id', references: 'comments', onDelete: 'cascade' },
+  { table: 'comment_reactions', column: 'comment_id', references: 'comments', onDelete: 'cascade' },
+];
+
+/**
+ * Build a PostgREST-style error object
+ * @param {string} code - Postgres / PostgREST error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a code property
+ */
+function storageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ============================================================================
+// VALUE HELPERS
+// ============================================================================
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+/**
+ * Compare two column values the way Postgres would for the types we store
+ * Numeric strings compare as numbers, timestamps as instants.
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+
+  if (NUMERIC.test(String(a)) && NUMERIC.test(String(b))) {
+    return Number(a) - Number(b);
+  }
+
+  if (TIMESTAMP.test(String(a)) && TIMESTAMP.test(String(b))) {
+    return toInstant(a) - toInstant(b);
+  }
+
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return String(a) === String(b) ? 0 : 1;
+  }
+
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+// Timestamps without a zone designator are stored as UTC
+function toInstant(value) {
+  const text = String(value);
+  return new Date(/([zZ]|[+-]\d{2}:?\d{2})$/.test(text) ? text : `${text}Z`).getTime();
+}
+
+/**
+ * Convert a SQL LIKE pattern to a regular expression
+ * @param {string} pattern - Pattern using % and _ (or * as PostgREST allows)
+ * @param {boolean} caseInsensitive - ILIKE instead of LIKE
+ * @returns {RegExp} Equivalent expression
+ */
+function likeToRegExp(pattern, caseInsensitive) {
+  const escapeChar = (char) => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const chars = String(pattern).split('');
+  let source = '';
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    if (char === '\\' && i + 1 < chars.length) {
+      source += escapeChar(chars[++i]);  // \% and \_ match literally, as in Postgres
+    } else if (char === '%' || char === '*') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += escapeChar(char);
+    }
+  }
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+/**
+ * Split a comma-separated list while keeping parenthesised parts together
+ * @param {string} text - e.g. "a, b, c:table(d, e)"
+ * @returns {Array<string>} Trimmed items
+ */
+function splitTopLevel(text) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+  return items.filter(Boolean);
+}
+
+/**
+ * Parse a select column list into columns and embedded relations
+ * @param {string} columns - e.g. "*, event:events(event_title)"
+ * @returns {Array<Object>} { column } or { alias, table, columns } entries
+ */
+function parseColumns(columns) {
+  return splitTopLevel(String(columns || '*').replace(/\s+/g, ' ')).map((item) => {
+    const match = /^(?:(\w+):)?(\w+)\((.*)\)$/.exec(item);
+    if (match) {
+      const [, alias, table, inner] = match;
+      return { alias: alias || table, table, columns: parseColumns(inner) };
+    }
+    return { column: item };
+  });
+}
+
+/**
+ * Parse a PostgREST filter value (used by or() and not())
+ * @param {string} op - Operator
+ * @param {string} value - Raw value
+ * @returns {*} Parsed value
+ */
+function parseFilterValue(op, value) {
+  if (op === 'is') return value === null || value === 'null' ? null : value === true || value === 'true';
+  if (op === 'in') return String(value).replace(/^\(|\)$/g, '').split(',').map((v) => v.trim());
+  return value;
+}
+
+/**
+ * Test one row against a single filter
+ * @param {Object} row - Table row
+ * @param {Object} filter - { column, op, value }
+ * @returns {boolean} True when the row matches
+ */
+function matchesFilter(row, { column, op, value }) {
+  const actual = row[column];
+
+  switch (op) {
+    case 'eq': return actual !== null && actual !== undefined && compareValues(actual, value) === 0;
+    case 'neq': return actual !== null && actual !== undefined && compareValues(actual, value) !== 0;
+    case 'gt': return actual !== null && actual !== undefined && compareValues(actual, value) > 0;
+    case 'gte': return actual !== null && actual !== undefined && compareValues(actual, value) >= 0;
+    case 'lt': return actual !== null && actual !== undefined && compareValues(actual, value) < 0;
+    case 'lte': return actual !== null && actual !== undefined && compareValues(actual, value) <= 0;
+    case 'in': return actual !== null && actual !== undefined && value.some((v) => compareValues(actual, v) === 0);
+    case 'is': return value === null ? actual === null || actual === undefined : actual === value;
+    case 'like': return actual !== null && actual !== undefined && likeToRegExp(value, false).test(String(actual));
+    case 'ilike': return actual !== null && actual !== undefined && likeToRegExp(value, true).test(String(actual));
+    default: throw storageError('PGRST100', `Unsupported filter operator: ${op}`);
+  }
+}
+
+// ============================================================================
+// LOCAL DATABASE
+// ============================================================================
+
+class LocalDatabase {
+  /**
+   * @param {Object} options - { file, seed }
+   * file: JSON file to persist to (in-memory only when omitted)
+   * seed: JSON file with initial tables, used when there is no saved data yet
+   */
+  constructor({ file = null, seed = null } = {}) {
+    this.file = file;
+    this.tables = {};
+    this.sequences = {};
+
+    const source = file && fs.existsSync(file) ? file : seed;
+    if (source && fs.existsSync(source)) {
+      const saved = JSON.parse(fs.readFileSync(source, 'utf8'));
+      this.tables = saved.tables || {};
+      this.sequences = saved.sequences || {};
+    }
+
+    Object.keys(TABLES).forEach((table) => {
+      if (!this.tables[table]) this.tables[table] = [];
+    });
+  }
+
+  rows(table) {
+    if (!TABLES[table]) {
+      throw storageError('42P01', `relation "${table}" does not exist`);
+    }
+    return this.tables[table];
+  }
+
+  nextId(table) {
+    const { key } = TABLES[table];
+    const highest = this.rows(table).reduce((max, row) => (
+      typeof row[key] === 'number' && row[key] > max ? row[key] : max
+    ), 0);
+    this.sequences[table] = Math.max(this.sequences[table] || 0, highest) + 1;
+    return this.sequences[table];
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ tables: this.tables, sequences: this.sequences }, null, 2));
+  }
+
+  /**
+   * Check unique constraints for rows about to be written
+   * @param {string} table - Table name
+   * @param {Array} candidates - Rows after the write
+   * @param {Set} replaced - Rows being replaced by the candidates (updates)
+   */
+  checkUnique(table, candidates, replaced = new Set()) {
+    const { key, unique = [], nullsEqual = [] } = TABLES[table];
+    const others = this.rows(table).filter((row) => !replaced.has(row));
+
+    for (const columns of [[key], ...unique]) {
+      const seen = new Set(others.map((row) => JSON.stringify(columns.map((c) => row[c] ?? null))));
+      for (const row of candidates) {
+        // Like Postgres, NULLs never conflict (e.g. keys not assigned yet)
+        if (columns.some((c) => (row[c] === undefined || row[c] === null) && !nullsEqual.includes(c))) continue;
+        const value = JSON.stringify(columns.map((c) => row[c] ?? null));
+        if (seen.has(value)) {
+          throw storageError('23505', `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+        }
+        seen.add(value);
+      }
+    }
+  }
+
+  /**
+   * Delete rows, cascading to or refusing on rows that reference them
+   * @param {string} table - Table name
+   * @param {Array} rows - Rows to delete
+   */
+  removeRows(table, rows) {
+    const { key } = TABLES[table];
+
+    FOREIGN_KEYS.filter((fk) => fk.references === table).forEach((fk) => {
+      const children = this.rows(fk.table).filter((child) => (
+        !rows.includes(child) && rows.some((row) => compareValues(child[fk.column], row[key]) === 0)
+      ));
+      if (children.length === 0) return;
+
+      if (fk.onDelete !== 'cascade') {
+        throw storageError('23503', `update or delete on table "${table}" violates foreign key constraint on table "${fk.table}"`);
+      }
+      this.removeRows(fk.table, children);
+    });
+
+    const removed = new Set(rows);
+    this.tables[table] = this.rows(table).filter((row) => !removed.has(row));
+  }
+
+  /**
+   * Resolve embedded relations for a row
+   * A relation is many-to-one when the row holds the target's key column,
+   * otherwise one-to-many through a foreign key to this table (or a column
+   * named like this table's key).
+   */
+  embed(table, row, relation) {
+    const target = TABLES[relation.table];
+    if (!target) throw storageError('PGRST200', `Could not find a relationship between '${table}' and '${relation.table}'`);
+
+    if (row[target.key] !== undefined) {
+      const match = this.rows(relation.table).find((r) => compareValues(r[target.key], row[target.key]) === 0);
+      return match ? this.project(relation.table, match, relation.columns) : null;
+    }
+
+    const { key } = TABLES[table];
+    const foreignKey = FOREIGN_KEYS.find((fk) => fk.table === relation.table && fk.references === table);
+    const column = foreignKey ? foreignKey.column : key;
+    return this.rows(relation.table)
+      .filter((r) => r[column] !== undefined && compareValues(r[column], row[key]) === 0)
+      .map((r) => this.project(relation.table, r, relation.columns));
+  }
+
+  /**
+   * Pick the selected columns (and embedded relations) from a row
+   */
+  project(table, row, columns) {
+    const result = {};
+    columns.forEach((entry) => {
+      if (entry.table) {
+        result[entry.alias] = this.embed(table, row, entry);
+      } else if (entry.column === '*') {
+        Object.assign(result, JSON.parse(JSON.stringify(row)));
+      } else {
+        result[entry.column] = row[entry.column] === undefined ? null : JSON.parse(JSON.stringify(row[entry.column]));
+      }
+    });
+    return result;
+  }
+}
+
+// ============================================================================
+// QUERY BUILDER
+// ============================================================================
+
+class LocalQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.payload = null;
+    this.columns = null;          // Columns returned (null = no data for writes)
+    this.countMode = null;
+    this.head = false;
+    this.filters = [];            // Each entry is a predicate (row) => boolean
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.resultMode = 'many';     // many | single | maybeSingle
+  }
+
+  // ---- actions ----
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.head = head;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(changes) {
+    this.action = 'update';
+    this.payload = changes;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // ---- filters ----
+
+  where(column, op, value) {
+    this.filters.push((row) => matchesFilter(row, { column, op, value }));
+    return this;
+  }
+
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  in(column, values) { return this.where(column, 'in', values); }
+  is(column, value) { return this.where(column, 'is', value); }
+  like(column, pattern) { return this.where(column, 'like', pattern); }
+  ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+
+  not(column, op, value) {
+    const filter = { column, op, value: parseFilterValue(op, value) };
+    this.filters.push((row) => !matchesFilter(row, filter));
+    return this;
+  }
+
+  /**
+   * OR of PostgREST conditions, e.g. "title.ilike.%a%,location.ilike.%a%"
+   */
+  or(conditions) {
+    const filters = splitTopLevel(conditions).map((condition) => {
+      const [column, op, ...rest] = condition.split('.');
+      return { column, op, value: parseFilterValue(op, rest.join('.')) };
+    });
+    this.filters.push((row) => filters.some((filter) => matchesFilter(row, filter)));
+    return this;
+  }
+
+  // ---- modifiers ----
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  limit(count) {
+    this.rangeFrom = this.rangeFrom || 0;
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  single() {
+    this.resultMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = 'maybeSingle';
+    return this;
+  }
+
+  // ---- execution ----
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  matchingRows() {
+    return this.db.rows(this.table).filter((row) => this.filters.every((filter) => filter(row)));
+  }
+
+  sortRows(rows) {
+    if (this.orders.length === 0) return rows;
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending } of this.orders) {
+        const result = compareValues(a[column], b[column]);
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+
+  runInsert() {
+    const { key, defaults = {} } = TABLES[this.table] || {};
+    this.db.rows(this.table);
+
+    const now = new Date().toISOString();
+    const rows = this.payload.map((row) => ({
+      ...JSON.parse(JSON.stringify(defaults)),
+      created_at: now,
+      ...row,
+    }));
+
+    this.db.checkUnique(this.table, rows);
+    rows.forEach((row) => {
+      if (row[key] === undefined || row[key] === null) row[key] = this.db.nextId(this.table);
+    });
+    this.db.checkUnique(this.table, rows);
+
+    this.db.tables[this.table].push(...rows);
+    this.db.save();
+    return rows;
+  }
+
+  runUpdate() {
+    const matches = this.matchingRows();
+    const updated = matches.map((row) => ({ ...row, ...this.payload }));
+
+    this.db.checkUnique(this.table, updated, new Set(matches));
+    matches.forEach((row, index) => Object.assign(row, updated[index]));
+
+    if (matches.length > 0) this.db.save();
+    return matches;
+  }
+
+  runDelete() {
+    const matches = this.matchingRows();
+
+    // A refused delete changes nothing, cascades included
+    const before = { ...this.db.tables };
+    try {
+      this.db.removeRows(this.table, matches);
+    } catch (error) {
+      this.db.tables = before;
+      throw error;
+    }
+
+    if (matches.length > 0) this.db.save();
+    return matches;
+  }
+
+  execute() {
+    try {
+      let rows;
+      if (this.action === 'insert') rows = this.runInsert();
+      else if (this.action === 'update') rows = this.runUpdate();
+      else if (this.action === 'delete') rows = this.runDelete();
+      else rows = this.sortRows(this.matchingRows());
+
+      const count = this.countMode ? rows.length : null;
+
+      if (this.action === 'select' && this.rangeFrom !== null) {
+        rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+      }
+
+      // Writes only return rows when .select() was chained
+      if (this.action !== 'select' && this.columns === null) {
+        return { data: null, count, error: null };
+      }
+
+      if (this.head) {
+        return { data: null, count, error: null };
+      }
+
+      const columns = parseColumns(this.columns || '*');
+      const data = rows.map((row) => this.db.project(this.table, row, columns));
+
+      if (this.resultMode !== 'many') {
+        if (data.length > 1 || (data.length === 0 && this.resultMode === 'single')) {
+          return {
+            data: null,
+            count,
+            error: storageError('PGRST116', 'JSON object requested, multiple (or no) rows returned')
+          };
+        }
+        return { data: data[0] || null, count, error: null };
+      }
+
+      return { data, count, error: null };
+    } catch (error) {
+      return { data: null, count: null, error };
+    }
+  }
+}
+
+// ============================================================================
+// LOCAL AUTH
+// ============================================================================
+// There is no auth server offline. Sign-ups are kept in memory and a bearer
+// token is simply the email of a row in the users table, which is why db.js
+// refuses local storage in production. Sign-ups start with an unconfirmed
+// email; seeded users count as confirmed.
+
+function createLocalAuth(db) {
+  const accounts = new Map();
+
+  // Account for a user id, created from the users table for seeded users
+  const findAccount = async (id) => {
+    for (const account of accounts.values()) {
+      if (account.user.id === id) return account;
+    }
+
+    const { data: profile } = await new LocalQuery(db, 'users').select('id, email, full_name, created_at').eq('id', id).maybeSingle();
+    if (!profile) return null;
+
+    const account = {
+      user: { id: profile.id, email: profile.email, user_metadata: { full_name: profile.full_name }, email_confirmed_at: profile.created_at },
+      salt: null,
+      hash: null
+    };
+    accounts.set(profile.email, account);
+    return account;
+  };
+
+  return {
+    async signUp({ email, password, options = {} }) {
+      if (accounts.has(email)) {
+        return { data: { user: null, session: null }, error: storageError('user_already_exists', 'User already registered') };
+      }
+
+      const salt = crypto.randomBytes(16).toString('hex');
+      const user = { id: crypto.randomUUID(), email, user_metadata: options.data || {}, email_confirmed_at: null };
+      accounts.set(email, { user, salt, hash: crypto.scryptSync(password, salt, 32).toString('hex') });
+
+      return { data: { user, session: null }, error: null };
+    },
+
+    async getUser(token) {
+      const { data: profile } = await new LocalQuery(db, 'users').select('id, email, full_name').eq('email', token).maybeSingle();
+      if (!profile) {
+        return { data: { user: null }, error: storageError('invalid_token', 'Invalid token') };
+      }
+      return {
+        data: {
+          user: {
+            id: profile.id,
+            email: profile.email,
+            user_metadata: { full_name: profile.full_name },
+            app_metadata: { provider: 'email', providers: ['email'] },
+            identities: [{ provider: 'email' }]
+          }
+        },
+        error: null
+      };
+    },
+
+    admin: {
+      async getUserById(id) {
+        const account = await findAccount(id);
+        if (!account) {
+          return { data: { user: null }, error: storageError('user_not_found', 'User not found') };
+        }
+        return { data: { user: account.user }, error: null };
+      },
+
+      async updateUserById(id, attributes = {}) {
+        const account = await findAccount(id);
+        if (!account) {
+          return { data: { user: null }, error: storageError('user_not_found', 'User not found') };
+        }
+
+        if (attributes.password) {
+          account.salt = crypto.randomBytes(16).toString('hex');
+          account.hash = crypto.scryptSync(attributes.password, account.salt, 32).toString('hex');
+        }
+        if (attributes.email_confirm) {
+          account.user.email_confirmed_at = account.user.email_confirmed_at || new Date().toISOString();
+        }
+        return { data: { user: account.user }, error: null };
+      },
+    },
+  };
+}
+
+// ============================================================================
+// DATABASE FUNCTIONS
+// ============================================================================
+// Local versions of the Postgres functions the backend calls with rpc() (see
+// migrations/019 and 021). Each runs synchronously, so nothing else touches the
+// tables in between, like the row lock in the SQL version.
+
+// Filter operator for "occurrence_start IS NOT DISTINCT FROM value"
+const occurrenceOp = (occurrence) => (occurrence === null ? 'is' : 'eq');
+
+// Sub-score columns of the ratings table (migrations/008)
+const RATING_SCORE_COLUMNS = ['score_content', 'score_venue', 'score_organization', 'score_value'];
+
+const FUNCTIONS = {
+  attend_event(db, { p_event_id, p_occurrence, p_user_id, p_user_name }) {
+    const event = new LocalQuery(db, 'events').select('capacity').eq('event_id', p_event_id).maybeSingle().execute();
+    if (event.error) return event;
+    if (!event.data) return { data: null, error: storageError('P0002', `Event ${p_event_id} not found`) };
+
+    const { capacity } = event.data;
+    const confirmed = new LocalQuery(db, 'attendance')
+      .select('attendance_id', { count: 'exact', head: true })
+      .eq('event_id', p_event_id)
+      .where('occurrence_start', occurrenceOp(p_occurrence), p_occurrence)
+      .eq('status', 'confirmed')
+      .execute();
+    if (confirmed.error) return confirmed;
+
+    return new LocalQuery(db, 'attendance')
+      .insert([{
+        event_id: p_event_id,
+        occurrence_start: p_occurrence,
+        user_id: p_user_id,
+        user_name: p_user_name,
+        status: capacity !== null && confirmed.count >= capacity ? 'waitlisted' : 'confirmed'
+      }])
+      .select()
+      .execute();
+  },
+
+  promote_waitlist(db, { p_event_id, p_occurrence }) {
+    const event = new LocalQuery(db, 'events').select('capacity').eq('event_id', p_event_id).maybeSingle().execute();
+    if (event.error || !event.data) return { data: [], error: event.error || null };
+
+    let waiting = new LocalQuery(db, 'attendance')
+      .select('attendance_id')
+      .eq('event_id', p_event_id)
+      .where('occurrence_start', occurrenceOp(p_occurrence), p_occurrence)
+      .eq('status', 'waitlisted')
+      .order('attendance_id');
+
+    const { capacity } = event.data;
+    if (capacity !== null) {
+      const confirmed = new LocalQuery(db, 'attendance')
+        .select('attendance_id', { count: 'exact', head: true })
+        .eq('event_id', p_event_id)
+        .where('occurrence_start', occurrenceOp(p_occurrence), p_occurrence)
+        .eq('status', 'confirmed')
+        .execute();
+      if (confirmed.error) return confirmed;
+      if (capacity - confirmed.count <= 0) return { data: [], error: null };
+      waiting = waiting.limit(capacity - confirmed.count);
+    }
+
+    const { data, error } = waiting.execute();
+    if (error || data.length === 0) return { data: [], error };
+
+    return new LocalQuery(db, 'attendance')
+      .update({ status: 'confirmed' })
+      .in('attendance_id', data.map((row) => row.attendance_id))
+      .select()
+      .execute();
+  },
+
+  rating_totals(db, { p_event_id, p_occurrence }) {
+    let query = new LocalQuery(db, 'ratings')
+      .select(`rating, ${RATING_SCORE_COLUMNS.join(', ')}`)
+      .eq('event_id', p_event_id);
+    if (p_occurrence !== null) query = query.eq('occurrence_start', p_occurrence);
+
+    const { data, error } = query.execute();
+    if (error) return { data: null, error };
+
+    // One row per star value, like GROUP BY rating
+    const totals = new Map();
+    data.forEach((rating) => {
+      if (!totals.has(rating.rating)) {
+        const sums = RATING_SCORE_COLUMNS.flatMap((column) => [[`${column}_sum`, 0], [`${column}_count`, 0]]);
+        totals.set(rating.rating, { rating: rating.rating, total: 0, ...Object.fromEntries(sums) });
+      }
+      const total = totals.get(rating.rating);
+      total.total += 1;
+      RATING_SCORE_COLUMNS.forEach((column) => {
+        if (typeof rating[column] !== 'number') return;
+        total[`${column}_sum`] += rating[column];
+        total[`${column}_count`] += 1;
+      });
+    });
+    return { data: [...totals.values()], error: null };
+  },
+};
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Create a client with the same query interface as the Supabase client
+ * @param {Object} options - { file, seed } see LocalDatabase
+ * @returns {Object} Client with from(), auth and rpc()
+ */
+function createLocalAdapter(options = {}) {
+  const db = new LocalDatabase(options);
+
+  return {
+    from: (table) => new LocalQuery(db, table),
+    auth: createLocalAuth(db),
+    rpc: async (name, args = {}) => FUNCTIONS[name]
+      ? FUNCTIONS[name](db, args)
+      : { data: null, error: storageError('PGRST202', `Function ${name} is not available with local storage`) },
+  };
+}
+
+module.exports = {
+  createLocalAdapter,
+  TABLES
+};
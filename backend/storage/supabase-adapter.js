@@ -0,0 +1,26 @@
+const { createClient } = require('@supabase/supabase-js');  // Supabase client library
+
+// ============================================================================
+// SUPABASE STORAGE ADAPTER
+// ============================================================================
+
+/**
+ * Create a Supabase client using service role credentials
+ * Service role key provides elevated permissions for backend operations
+ *
+ * Environment Variables Required:
+ * - SUPABASE_URL: The Supabase project URL (https://projectid.supabase.co)
+ * - SUPABASE_SERVICE_KEY: Service role key (keep secure - never expose to client)
+ *
+ * @returns {Object} Supabase client
+ */
+function createSupabaseAdapter() {
+  return createClient(
+    process.env.SUPABASE_URL,              // Supabase project URL
+    process.env.SUPABASE_SERVICE_KEY       // Service role API key
+  );
+}
+
+module.exports = {
+  createSupabaseAdapter
+};
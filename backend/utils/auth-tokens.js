@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const supabase = require('../db');
+
+// ============================================================================
+// ONE-TIME AUTH TOKENS
+// ============================================================================
+// Password reset and email verification links carry a random token. Only its
+// SHA-256 hash is stored (auth_tokens), so a leaked table cannot be used to
+// reset passwords. A token works once and expires after the purpose's TTL.
+//
+// A new token is not issued while the previous one for the same user and
+// purpose is younger than AUTH_MAIL_COOLDOWN_MS (default 60s), so the mail
+// endpoints cannot be used to flood an inbox.
+//
+// Personal calendar feeds use a long-lived token instead (calendar apps
+// cannot send a bearer token). Its hash is kept on the users row; issuing a
+// new one turns the old feed address off.
+
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000,            // 1 hour
+  email_verification: 24 * 60 * 60 * 1000    // 24 hours
+};
+const MAIL_COOLDOWN_MS = parseInt(process.env.AUTH_MAIL_COOLDOWN_MS) || 60000;
+
+/**
+ * Hash a raw token for storage and lookup
+ * @param {string} token - Token from the link
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a token for a user
+ * @param {Object} user - { id, email }
+ * @param {string} purpose - password_reset or email_verification
+ * @returns {Promise<Object>} { token, expiresAt } or { throttled: true } during the cooldown
+ */
+async function createAuthToken(user, purpose) {
+  if (!TOKEN_TTL_MS[purpose]) {
+    throw new Error(`Unknown auth token purpose "${purpose}"`);
+  }
+
+  const since = new Date(Date.now() - MAIL_COOLDOWN_MS).toISOString();
+  const { data: recent, error: recentError } = await supabase
+    .from('auth_tokens')
+    .select('token_id')
+    .eq('user_id', user.id)
+    .eq('purpose', purpose)
+    .gt('created_at', since)
+    .limit(1);
+
+  if (recentError) throw recentError;
+  if (recent.length > 0) return { throttled: true };
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[purpose]).toISOString();
+
+  const { error } = await supabase
+    .from('auth_tokens')
+    .insert([{
+      user_id: user.id,
+      email: user.email,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: expiresAt
+    }]);
+
+  if (error) throw error;
+  return { token, expiresAt };
+}
+
+/**
+ * Use up a token
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Purpose it must have been issued for
+ * @returns {Promise<Object|null>} The token row ({ user_id, email, ... }), or null
+ *   when it is unknown, expired, already used or for another purpose
+ */
+async function consumeAuthToken(token, purpose) {
+  if (typeof token !== 'string' || !token.trim()) return null;
+
+  // Marking it used in the same update keeps two requests from both using it
+  const { data, error } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token.trim()))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select();
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+/**
+ * Invalidate a user's unused tokens, e.g. other reset links after a reset
+ * @param {string} userId - User id
+ * @param {string} purpose - Token purpose
+ */
+async function revokeAuthTokens(userId, purpose) {
+  const { error } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (error) throw error;
+}
+
+/**
+ * Issue a new calendar feed token for a user, replacing the previous one
+ * @param {string} userId - User id
+ * @returns {Promise<string|null>} Token, or null when the user has no users row
+ */
+async function createCalendarToken(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({ calendar_token_hash: hashToken(token) })
+    .eq('id', userId)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0 ? token : null;
+}
+
+/**
+ * Find the user a calendar feed token belongs to
+ * @param {string} token - Token from the feed address
+ * @returns {Promise<string|null>} User id, or null for an unknown or replaced token
+ */
+async function findCalendarTokenUser(token) {
+  if (typeof token !== 'string' || !token.trim()) return null;
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id')
+    .eq('calendar_token_hash', hashToken(token.trim()))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.id : null;
+}
+
+module.exports = {
+  createAuthToken,
+  consumeAuthToken,
+  revokeAuthTokens,
+  createCalendarToken,
+  findCalendarTokenUser
+};
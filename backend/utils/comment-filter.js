@@ -0,0 +1,66 @@
+// ============================================================================
+// COMMENT FILTER
+// ============================================================================
+// Decides whether a new or edited comment is held for organizer review
+// instead of going live. Configured through environment variables:
+//   COMMENT_FILTER_WORDS      comma-separated words or phrases to hold
+//                             (whole-word, case-insensitive)
+//   COMMENT_FILTER_LINKS      'hold' (default) holds comments containing links,
+//                             'allow' lets them through
+//   COMMENT_REPORT_THRESHOLD  reports that send a live comment back to review
+//                             (default 3)
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|co|info|biz|xyz|ru|ly|me)\b/i;
+
+/**
+ * Read the filter settings from the environment
+ * @returns {{words: Array<string>, holdLinks: boolean, reportThreshold: number}}
+ */
+function getFilterConfig() {
+  const words = String(process.env.COMMENT_FILTER_WORDS || '')
+    .split(',')
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    words,
+    holdLinks: (process.env.COMMENT_FILTER_LINKS || 'hold').toLowerCase() !== 'allow',
+    reportThreshold: parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3
+  };
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check comment text against the word list and link policy
+ * @param {string} text - Comment text
+ * @returns {string|null} Why the comment is held, or null if it can go live
+ */
+function checkComment(text) {
+  const { words, holdLinks } = getFilterConfig();
+
+  const matched = words.find((word) => (
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'iu').test(text)
+  ));
+  if (matched) {
+    return `Contains filtered word "${matched}"`;
+  }
+
+  if (holdLinks && LINK_PATTERN.test(text)) {
+    return 'Contains a link';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getFilterConfig,
+  checkComment
+};
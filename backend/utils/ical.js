@@ -0,0 +1,159 @@
+// ============================================================================
+// ICALENDAR (RFC 5545) HELPERS
+// ============================================================================
+// Builds VCALENDAR documents for single events and subscribable feeds.
+// Times are written in UTC ("Z" form), so calendar apps convert them to the
+// viewer's own timezone. Values without an explicit offset are read as UTC.
+// Recurring series are exported once with their RRULE and EXDATEs; a series
+// with a time zone is written in local time with TZID=<IANA name>, so
+// calendar apps repeat it at the same local time across daylight saving
+// changes like the API does. No VTIMEZONE is written: the major calendar apps
+// resolve IANA names themselves. A single occurrence (an event with
+// occurrence_start, see buildOccurrence) is exported on its own, with a UID
+// of its own.
+
+const { parseTimestamp, toWallClock } = require('./recurrence');
+
+const PRODID = '-//Event Manager//Events Calendar//EN';
+const UID_DOMAIN = 'event-manager';  // Fixed, so an event keeps its UID on every host (preview, production)
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with CRLF + space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC DATE-TIME (e.g. 20250101T090000Z)
+ * @param {string|Date} value - Timestamp from the database
+ * @returns {string} UTC DATE-TIME
+ */
+function formatDateTime(value) {
+  let date = value instanceof Date ? value : null;
+  if (!date) {
+    const text = String(value);
+    // Timestamps without a zone designator are stored as UTC
+    const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(text);
+    date = new Date(hasZone ? text : `${text}Z`);
+  }
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a timestamp as an iCalendar local DATE-TIME in a time zone, for
+ * properties with a TZID parameter (e.g. 20250101T100000)
+ * @param {string|Date} value - Timestamp from the database
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Local DATE-TIME without the "Z"
+ */
+function formatLocalDateTime(value, timeZone) {
+  return formatDateTime(toWallClock(parseTimestamp(value), timeZone)).replace(/Z$/, '');
+}
+
+/**
+ * Build the VEVENT lines for one event
+ * @param {Object} event - Event (or series) row with categories array
+ * @param {Object} options - { dtstamp }
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildEventLines(event, { dtstamp }) {
+  const uid = event.occurrence_start
+    ? `event-${event.event_id}-${formatDateTime(event.occurrence_start)}`
+    : `event-${event.event_id}`;
+  const isSeries = event.recurrence_rule && !event.occurrence_start;
+  const timeZone = isSeries ? event.recurrence_tzid : null;
+  // "DTSTART:<UTC>" or "DTSTART;TZID=<zone>:<local time>"
+  const dateTime = (name, value) => (timeZone
+    ? `${name};TZID=${timeZone}:${[].concat(value).map((v) => formatLocalDateTime(v, timeZone)).join(',')}`
+    : `${name}:${[].concat(value).map(formatDateTime).join(',')}`);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${dtstamp}`,
+    dateTime('DTSTART', event.start_time),
+    dateTime('DTEND', event.end_time || event.start_time),
+    `SUMMARY:${escapeText(event.event_title || 'Untitled Event')}`,
+  ];
+
+  if (isSeries) {
+    lines.push(`RRULE:${event.recurrence_rule}`);
+    const exdates = event.recurrence_exdates || [];
+    if (exdates.length > 0) lines.push(dateTime('EXDATE', exdates));
+  }
+
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+
+  const categoryNames = (event.categories || []).map((c) => escapeText(c.category_name)).filter(Boolean);
+  if (categoryNames.length > 0) lines.push(`CATEGORIES:${categoryNames.join(',')}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Array} events - Event rows with categories arrays
+ * @param {Object} options - { name } used as the calendar title
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(events, { name }) {
+  const dtstamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach((event) => {
+    lines.push(...buildEventLines(event, { dtstamp }));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  formatDateTime,
+  escapeText
+};
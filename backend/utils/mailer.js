@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================================================
+// MAIL TRANSPORT
+// ============================================================================
+// Outgoing mail goes through one transport, selected with MAIL_TRANSPORT:
+//
+// - file: Each message is written as a JSON file to MAIL_DIR
+//   (default: data/mail), for running offline and for tests. It is the
+//   default with the file and memory storage drivers only; with Supabase,
+//   MAIL_TRANSPORT must be set or the server refuses to start, so reset
+//   links never end up on disk unnoticed.
+// - console: Messages are logged instead of sent
+// - webhook: Messages are POSTed as JSON to MAIL_WEBHOOK_URL (with
+//   MAIL_WEBHOOK_TOKEN as bearer token when set), e.g. a mail API or relay
+//
+// Other transports can be added with registerTransport(). A transport is an
+// object with an async send(message) method.
+//
+// MAIL_FROM sets the sender (default: Event Manager <no-reply@localhost>).
+
+const transports = new Map();
+const LOCAL_STORAGE_DRIVERS = ['file', 'memory'];
+
+/**
+ * Name of the configured transport
+ * @returns {string} Lower-case MAIL_TRANSPORT, or 'file' with local storage
+ */
+function getTransportName() {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT.toLowerCase();
+
+  const storage = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+  if (LOCAL_STORAGE_DRIVERS.includes(storage)) return 'file';
+
+  throw new Error('MAIL_TRANSPORT is not configured (file, console or webhook)');
+}
+
+/**
+ * Add or replace a transport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Object} transport - { send: async (message) => any }
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" needs a send(message) method`);
+  }
+  transports.set(name.toLowerCase(), transport);
+}
+
+registerTransport('file', {
+  async send(message) {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'data', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    // Sortable by time, unique within the same millisecond
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    return { file };
+  }
+});
+
+registerTransport('console', {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+registerTransport('webhook', {
+  async send(message) {
+    const url = process.env.MAIL_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('MAIL_WEBHOOK_URL is not configured');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.MAIL_WEBHOOK_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.MAIL_WEBHOOK_TOKEN}`;
+    }
+
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(message) });
+    if (!response.ok) {
+      throw new Error(`Mail webhook responded with ${response.status}`);
+    }
+    return {};
+  }
+});
+
+// Fail at startup rather than on the first password reset
+if (getTransportName() === 'webhook' && !process.env.MAIL_WEBHOOK_URL) {
+  throw new Error('MAIL_WEBHOOK_URL is not configured');
+}
+
+/**
+ * Send a message with the configured transport
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} Whatever the transport reports (e.g. { file })
+ */
+async function sendMail(message) {
+  const name = getTransportName();
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (available: ${[...transports.keys()].join(', ')})`);
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Event Manager <no-reply@localhost>',
+    ...message
+  });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
@@ -0,0 +1,318 @@
+// ============================================================================
+// RECURRING EVENT HELPERS
+// ============================================================================
+// Recurring events store an RFC 5545 RRULE subset in events.recurrence_rule:
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL=n, and at most one of COUNT=n / UNTIL=<UTC>
+// plus skipped occurrence start times in events.recurrence_exdates (JSON array).
+// Occurrences step from the series start_time on the wall clock of
+// events.recurrence_tzid (an IANA zone such as Europe/Berlin), so a series at
+// 09:00 stays at 09:00 local time across daylight saving changes; series
+// without a zone step in UTC. Each occurrence keeps the series duration.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const MAX_OCCURRENCES = 1000;       // Safety cap on occurrences returned for one window
+const MAX_ITERATIONS = 100000;      // Safety cap on candidates walked through
+const wallClockFormats = new Map(); // Time zone -> Intl.DateTimeFormat, which is slow to create
+
+/**
+ * Parse a timestamp from the database
+ * Values without a zone designator are stored as UTC.
+ * @param {string|Date} value - Timestamp
+ * @returns {Date} Parsed date
+ */
+function parseTimestamp(value) {
+  if (value instanceof Date) return value;
+  const text = String(value);
+  const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(text);
+  return new Date(hasZone ? text : `${text}Z`);
+}
+
+/**
+ * Format a Date as an RRULE UNTIL value (e.g. 20250101T090000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} UTC DATE-TIME
+ */
+function formatUntil(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse an RRULE UNTIL value
+ * @param {string} value - DATE-TIME (20250101T090000Z) or DATE (20250101)
+ * @returns {Date|null} Parsed date or null if malformed
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+  const [, y, mo, d, h = '23', mi = '59', s = '59'] = match;
+  return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+}
+
+/**
+ * Parse a recurrence rule string
+ * @param {string} rule - e.g. "FREQ=WEEKLY;INTERVAL=1;COUNT=10"
+ * @returns {{freq: string, interval: number, count: number|null, until: Date|null}}
+ * @throws {Error} When the rule is not in the supported subset
+ */
+function parseRule(rule) {
+  const parts = {};
+  String(rule).replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [key, value] = part.split('=');
+    parts[key.toUpperCase()] = value;
+  });
+
+  const freq = (parts.FREQ || '').toUpperCase();
+  if (!FREQUENCIES.includes(freq)) {
+    throw new Error(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Recurrence interval must be a positive whole number');
+  }
+
+  if (parts.COUNT && parts.UNTIL) {
+    throw new Error('Recurrence can end after a count or on a date, not both');
+  }
+
+  let count = null;
+  if (parts.COUNT) {
+    count = parseInt(parts.COUNT);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Recurrence count must be a positive whole number');
+    }
+  }
+
+  let until = null;
+  if (parts.UNTIL) {
+    until = parseUntil(parts.UNTIL);
+    if (!until) throw new Error('Recurrence end date is invalid');
+  }
+
+  return { freq, interval, count, until };
+}
+
+/**
+ * Build a rule string from its parts
+ * @param {Object} parts - { freq, interval, count, until }
+ * @returns {string} Rule string without the "RRULE:" prefix
+ */
+function buildRule({ freq, interval = 1, count = null, until = null }) {
+  const parts = [`FREQ=${freq}`, `INTERVAL=${interval}`];
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${formatUntil(until)}`);
+  return parts.join(';');
+}
+
+/**
+ * Wall-clock time of a moment in a time zone, as a Date whose UTC fields hold
+ * the local fields (e.g. 09:00 in Berlin -> a Date at 09:00Z)
+ * @param {Date} date - Moment
+ * @param {string|null} timeZone - IANA time zone (null = UTC)
+ * @returns {Date} Local time in UTC fields
+ */
+function toWallClock(date, timeZone) {
+  if (!timeZone) return new Date(date.getTime());
+
+  if (!wallClockFormats.has(timeZone)) {
+    wallClockFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  wallClockFormats.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value);
+  });
+
+  return new Date(Date.UTC(
+    parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Moment at which a time zone's clocks show a wall-clock time
+ * A time shown twice when clocks go back gives the first of the two; a time
+ * skipped when clocks go forward moves on by the change (02:30 -> 03:30).
+ * @param {Date} wallClock - Local time in UTC fields (see toWallClock)
+ * @param {string|null} timeZone - IANA time zone (null = UTC)
+ * @returns {Date} Moment
+ */
+function fromWallClock(wallClock, timeZone) {
+  if (!timeZone) return new Date(wallClock.getTime());
+
+  const local = wallClock.getTime();
+  const offsetAt = (moment) => toWallClock(new Date(moment), timeZone).getTime() - moment;
+  const shows = (moment) => toWallClock(new Date(moment), timeZone).getTime() === local;
+
+  // The offset in force a day before gives the first reading (and the moved
+  // time in a gap); the offset a day after is only needed around a change
+  const before = local - offsetAt(local - 86400000);
+  if (shows(before)) return new Date(before);
+  const after = local - offsetAt(local + 86400000);
+  return new Date(shows(after) ? after : before);
+}
+
+/**
+ * Compute the n-th candidate start of a series (n = 0 is the series start)
+ * Candidates step on the wall clock of the series time zone. Monthly
+ * candidates that fall on a missing day (e.g. the 31st) return null.
+ * @param {Date} localStart - Series start on the wall clock (see toWallClock)
+ * @param {Object} rule - Parsed rule
+ * @param {number} n - Candidate index
+ * @param {string|null} timeZone - IANA time zone of the series (null = UTC)
+ * @returns {Date|null} Candidate start
+ */
+function nthCandidate(localStart, rule, n, timeZone) {
+  const step = n * rule.interval;
+  const local = new Date(localStart.getTime());
+
+  if (rule.freq === 'DAILY') {
+    local.setUTCDate(local.getUTCDate() + step);
+    return fromWallClock(local, timeZone);
+  }
+  if (rule.freq === 'WEEKLY') {
+    local.setUTCDate(local.getUTCDate() + step * 7);
+    return fromWallClock(local, timeZone);
+  }
+
+  const day = local.getUTCDate();
+  local.setUTCDate(1);
+  local.setUTCMonth(local.getUTCMonth() + step);
+  const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+  if (day > daysInMonth) return null;
+  local.setUTCDate(day);
+  return fromWallClock(local, timeZone);
+}
+
+/**
+ * List occurrence start times of a recurring event that fall inside a window
+ * @param {Object} event - Event row with start_time, recurrence_rule, recurrence_tzid, recurrence_exdates
+ * @param {Date} windowStart - Earliest occurrence start to return
+ * @param {Date} windowEnd - Latest occurrence start to return
+ * @returns {Array<Date>} Occurrence starts in chronological order
+ */
+function expandOccurrences(event, windowStart, windowEnd) {
+  const timeZone = event.recurrence_tzid || null;
+  const localStart = toWallClock(parseTimestamp(event.start_time), timeZone);
+  const rule = parseRule(event.recurrence_rule);
+  const excluded = new Set((event.recurrence_exdates || []).map((d) => parseTimestamp(d).getTime()));
+  const occurrences = [];
+
+  // COUNT includes excluded occurrences, like RFC 5545
+  for (let n = 0, generated = 0; n < MAX_ITERATIONS; n++) {
+    const candidate = nthCandidate(localStart, rule, n, timeZone);
+    if (!candidate) continue;
+    if (rule.until && candidate > rule.until) break;
+    if (rule.count && generated >= rule.count) break;
+    if (candidate > windowEnd) break;
+
+    generated++;
+    if (candidate >= windowStart && !excluded.has(candidate.getTime())) {
+      occurrences.push(candidate);
+      if (occurrences.length >= MAX_OCCURRENCES) break;
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Check whether a series still has an occurrence starting at or after a time
+ * @param {Object} event - Event row with start_time, recurrence_rule, recurrence_tzid, recurrence_exdates
+ * @param {Date} since - Earliest occurrence start that counts
+ * @returns {boolean} True if the series has not ended before that time
+ */
+function hasOccurrenceSince(event, since) {
+  const rule = parseRule(event.recurrence_rule);
+  if (!rule.count && !rule.until) return true;  // Never ends
+
+  // COUNT or UNTIL bound the expansion, so no window end is needed
+  return expandOccurrences(event, since, rule.until || new Date(8640000000000000)).length > 0;
+}
+
+/**
+ * Check that a time is a (non-excluded) occurrence of a recurring event
+ * @param {Object} event - Event row with start_time, recurrence_rule, recurrence_tzid, recurrence_exdates
+ * @param {Date} occurrenceStart - Time to check
+ * @returns {boolean} True if the series has an occurrence starting at that time
+ */
+function isOccurrence(event, occurrenceStart) {
+  return expandOccurrences(event, occurrenceStart, occurrenceStart)
+    .some((d) => d.getTime() === occurrenceStart.getTime());
+}
+
+/**
+ * Count the occurrences (including excluded ones) that start before a time
+ * Used to carry COUNT over when a series is split.
+ * @param {Object} event - Event row with start_time, recurrence_rule and recurrence_tzid
+ * @param {Date} before - Split point
+ * @returns {number} Number of generated occurrences before the split point
+ */
+function countOccurrencesBefore(event, before) {
+  const timeZone = event.recurrence_tzid || null;
+  const localStart = toWallClock(parseTimestamp(event.start_time), timeZone);
+  const rule = parseRule(event.recurrence_rule);
+  let generated = 0;
+
+  for (let n = 0; n < MAX_ITERATIONS; n++) {
+    const candidate = nthCandidate(localStart, rule, n, timeZone);
+    if (!candidate) continue;
+    if (candidate >= before) break;
+    if (rule.until && candidate > rule.until) break;
+    if (rule.count && generated >= rule.count) break;
+    generated++;
+  }
+
+  return generated;
+}
+
+/**
+ * Build the event object for one occurrence of a series
+ * Start and end move to the occurrence; the series duration is kept.
+ * @param {Object} event - Series event row
+ * @param {Date} occurrenceStart - Occurrence start
+ * @returns {Object} Event with shifted times and occurrence_start set
+ */
+function buildOccurrence(event, occurrenceStart) {
+  const duration = parseTimestamp(event.end_time) - parseTimestamp(event.start_time);
+  return {
+    ...event,
+    start_time: occurrenceStart.toISOString(),
+    end_time: new Date(occurrenceStart.getTime() + duration).toISOString(),
+    occurrence_start: occurrenceStart.toISOString(),
+    series_start_time: event.start_time
+  };
+}
+
+/**
+ * Restrict an attendance, ratings or comments query to one occurrence
+ * A null occurrence (single events, or series-wide reads) leaves the query as is.
+ * @param {Object} query - Supabase query builder
+ * @param {string|null} occurrence - Occurrence start as ISO string
+ * @returns {Object} The filtered query builder
+ */
+function forOccurrence(query, occurrence) {
+  return occurrence ? query.eq('occurrence_start', occurrence) : query;
+}
+
+module.exports = {
+  FREQUENCIES,
+  parseTimestamp,
+  toWallClock,
+  parseRule,
+  buildRule,
+  expandOccurrences,
+  hasOccurrenceSince,
+  isOccurrence,
+  countOccurrencesBefore,
+  buildOccurrence,
+  forOccurrence
+};
@@ -0,0 +1,94 @@
+const supabase = require('../db');
+
+// ============================================================================
+// APP SETTINGS
+// ============================================================================
+// Site-wide switches admins change at runtime, stored as key/value rows in
+// app_settings. Reads are cached for SETTINGS_CACHE_TTL_MS (default 30s)
+// because some are checked on every organizer request; setSetting() updates
+// the cache right away.
+
+const SETTINGS_CACHE_TTL_MS = parseInt(process.env.SETTINGS_CACHE_TTL_MS) || 30000;
+
+// Known settings and their values when no row exists
+const SETTING_DEFAULTS = {
+  require_organizer_2fa: false      // Organizers must set up two-factor authentication
+};
+
+const cache = new Map();  // key -> { value, expiresAt }
+
+/**
+ * Read a setting
+ * @param {string} key - Setting name from SETTING_DEFAULTS
+ * @returns {Promise<*>} Stored value, or the default
+ */
+async function getSetting(key) {
+  if (!(key in SETTING_DEFAULTS)) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const { data, error } = await supabase
+    .from('app_settings')
+    .select('value')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const value = data ? data.value : SETTING_DEFAULTS[key];
+  cache.set(key, { value, expiresAt: Date.now() + SETTINGS_CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Read every known setting
+ * @returns {Promise<Object>} { key: value }
+ */
+async function getSettings() {
+  const settings = {};
+  for (const key of Object.keys(SETTING_DEFAULTS)) {
+    settings[key] = await getSetting(key);
+  }
+  return settings;
+}
+
+/**
+ * Change a setting
+ * @param {string} key - Setting name from SETTING_DEFAULTS
+ * @param {*} value - New value (JSON)
+ * @param {Object} user - Admin making the change (req.user)
+ */
+async function setSetting(key, value, user) {
+  if (!(key in SETTING_DEFAULTS)) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+
+  const row = { value, updated_by: user.id, updated_at: new Date().toISOString() };
+
+  const { data: existing, error: findError } = await supabase
+    .from('app_settings')
+    .select('key')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (findError) throw findError;
+
+  const { error } = existing
+    ? await supabase.from('app_settings').update(row).eq('key', key)
+    : await supabase.from('app_settings').insert([{ key, ...row }]);
+
+  if (error) throw error;
+
+  cache.set(key, { value, expiresAt: Date.now() + SETTINGS_CACHE_TTL_MS });
+}
+
+module.exports = {
+  getSetting,
+  getSettings,
+  setSetting
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// ============================================================================
+// SIGNED CHECK-IN TICKETS
+// ============================================================================
+// A ticket is "<payload>.<signature>" where payload is base64url JSON
+// { a: attendance_id, e: event_id } and signature is an HMAC-SHA256 of the
+// payload using TICKET_SECRET. Tickets are derived from the attendance row,
+// so nothing extra is stored until the ticket is used (checked_in_at).
+
+/**
+ * Get the signing secret from the environment
+ * @returns {string} TICKET_SECRET value
+ */
+function getSecret() {
+  const secret = process.env.TICKET_SECRET;
+  if (!secret) {
+    throw new Error('TICKET_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Compute the base64url HMAC signature of a payload
+ * @param {string} payload - Encoded ticket payload
+ * @returns {string} Signature
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Create a ticket token for an attendance record
+ * @param {Object} attendance - Row with attendance_id and event_id
+ * @returns {string} Signed ticket token
+ */
+function createTicket(attendance) {
+  const payload = Buffer.from(JSON.stringify({
+    a: attendance.attendance_id,
+    e: attendance.event_id
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a ticket token and extract its ids
+ * @param {string} token - Ticket token from the QR code
+ * @returns {{attendanceId: number, eventId: number}|null} null if malformed or the signature does not match
+ */
+function verifyTicket(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature, extra] = token.trim().split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { a, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!Number.isInteger(a) || !Number.isInteger(e)) return null;
+    return { attendanceId: a, eventId: e };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  createTicket,
+  verifyTicket
+};
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ============================================================================
+// Time-based one-time passwords as in RFC 6238 (SHA-1, 6 digits, 30 second
+// steps), which is what authenticator apps expect from an otpauth:// QR code.
+// Codes from the previous and next step are accepted for clock drift.
+//
+// After a user enters a valid code they get a two-factor session token,
+// "<payload>.<signature>" like check-in tickets: payload is base64url JSON
+// { u: user id, exp: expiry in ms } signed with TWO_FACTOR_SECRET. It is sent
+// in the X-Two-Factor-Token header and lasts TWO_FACTOR_SESSION_HOURS
+// (default 12).
+
+const ISSUER = 'Event Manager';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;                  // Steps accepted either side of now
+const RECOVERY_CODE_COUNT = 10;
+const SESSION_HOURS = parseInt(process.env.TWO_FACTOR_SESSION_HOURS) || 12;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), the format of TOTP secrets
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 text
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 text (case, spaces and padding are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Create a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the code for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string} Zero-padded code
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code typed by the user
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code from the authenticator app
+ * @param {number|null} lastUsedStep - Step of the last accepted code; it and
+ *   older steps are refused so a code cannot be replayed
+ * @returns {number|null} The matching time step, or null
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const now = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(codeForStep(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URL shown as a QR code during enrollment
+ * @param {string} secret - Base32 secret
+ * @param {string} email - Account label shown in the app
+ * @returns {string} otpauth URL
+ */
+function otpauthUrl(secret, email) {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Create single-use recovery codes
+ * @returns {Array<string>} Codes like "3f9a-c2e1-77b0"
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  );
+}
+
+/**
+ * Hash a recovery code for storage (dashes, spaces and case are ignored)
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashRecoveryCode(code) {
+  const clean = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+/**
+ * Get the session token signing secret from the environment
+ * @returns {string} TWO_FACTOR_SECRET value
+ */
+function getSecret() {
+  const secret = process.env.TWO_FACTOR_SECRET;
+  if (!secret) {
+    throw new Error('TWO_FACTOR_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Compute the base64url HMAC signature of a payload
+ * @param {string} payload - Encoded token payload
+ * @returns {string} Signature
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Create a two-factor session token after a successful code check
+ * @param {string} userId - User id
+ * @returns {{token: string, expiresAt: string}} Token and its expiry (ISO)
+ */
+function createTwoFactorToken(userId) {
+  const exp = Date.now() + SESSION_HOURS * 60 * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({ u: userId, exp })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+/**
+ * Check a two-factor session token
+ * @param {string} token - Value of the X-Two-Factor-Token header
+ * @param {string} userId - User the request is authenticated as
+ * @returns {boolean} True when the token is genuine, unexpired and for this user
+ */
+function verifyTwoFactorToken(token, userId) {
+  if (typeof token !== 'string') return false;
+
+  const [payload, signature, extra] = token.trim().split('.');
+  if (!payload || !signature || extra !== undefined) return false;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return false;
+  }
+
+  try {
+    const { u, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return u === userId && Number(exp) > Date.now();
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  createTwoFactorToken,
+  verifyTwoFactorToken
+};
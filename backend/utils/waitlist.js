@@ -0,0 +1,64 @@
+const attendanceRepository = require('../repositories/attendance');
+
+// ============================================================================
+// EVENT CAPACITY & WAITLIST HELPERS
+// ============================================================================
+// Attendance rows have a status of 'confirmed' or 'waitlisted'.
+// Waitlisted rows are promoted in attendance_id order whenever a seat frees up.
+// Each occurrence of a recurring event has its own seats and waitlist.
+//
+// RSVPs and promotions go through database functions (migrations/019) that
+// lock the event while they count seats, so parallel requests cannot overbook.
+
+/**
+ * RSVP a user for an event: confirmed while seats are free, waitlisted after
+ * @param {number} eventId - Event identifier
+ * @param {string|null} occurrence - Occurrence start for recurring events
+ * @param {Object} user - { id, name }
+ * @returns {Promise<Object|null>} New attendance row, or null when the user already has one
+ */
+async function attendEvent(eventId, occurrence, user) {
+  return attendanceRepository.attend(eventId, occurrence, user);
+}
+
+/**
+ * Get someone's place on the waitlist
+ * @param {Object} row - Waitlisted attendance row { attendance_id, event_id, occurrence_start }
+ * @returns {Promise<number>} 1 = next in line
+ */
+async function getWaitlistPosition(row) {
+  return attendanceRepository.waitlistPosition(row);
+}
+
+/**
+ * Move waitlisted attendees to confirmed while there are free seats
+ * @param {number} eventId - Event identifier
+ * @param {string|null} [occurrence] - Occurrence start for recurring events
+ * @returns {Promise<Array>} Attendance rows that were promoted (first in line first)
+ */
+async function promoteWaitlist(eventId, occurrence = null) {
+  const promoted = await attendanceRepository.promote(eventId, occurrence);
+  return promoted.sort((a, b) => a.attendance_id - b.attendance_id);
+}
+
+/**
+ * Promote waitlisted attendees on every occurrence that has a waitlist
+ * Used after an organizer edits capacity of a (possibly recurring) event.
+ * @param {number} eventId - Event identifier
+ * @returns {Promise<Array>} Attendance rows that were promoted
+ */
+async function promoteAllWaitlists(eventId) {
+  const occurrences = await attendanceRepository.listWaitlistedOccurrences(eventId);
+  const promoted = [];
+  for (const occurrence of occurrences) {
+    promoted.push(...await promoteWaitlist(eventId, occurrence));
+  }
+  return promoted;
+}
+
+module.exports = {
+  attendEvent,
+  getWaitlistPosition,
+  promoteWaitlist,
+  promoteAllWaitlists
+};
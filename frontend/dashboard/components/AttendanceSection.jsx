@@ -297,6 +297,8 @@
 // ============================================================================
 
 import React, { useState, useEffect } from 'react'; // React hooks for state and lifecycle
+import { QRCodeSVG } from 'qrcode.react';           // QR code rendering for check-in tickets
+import { supabase } from '../src/supabaseClient';    // Session token for attendance requests
 // Note: The original file had a dependency on '../src/App.css', which is a relative path.
 // I will remove the potentially incorrect relative import as it's not present in the provided context.
 
@@ -305,13 +307,27 @@ import React, { useState, useEffect } from 'react'; // React hooks for state and
 // ============================================================================
 // Manages event attendance tracking with mark/unmark functionality
 
+/**
+ * Headers for attendance requests, carrying the signed-in user's access token
+ * The API derives who is attending from the token, not from a name
+ * @returns {Promise<Object>} fetch headers
+ */
+const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${session?.access_token || ''}`,
+  };
+};
+
 /**
  * AttendanceSection Component
- * Displays event attendance count and allows users to mark themselves as attending
- * Stores user name in localStorage for persistence across page reloads
+ * Displays event attendance count and allows the signed-in user to mark themselves as attending
  * @param {string} eventId - Event identifier for API calls
+ * @param {Object} user - Signed-in Supabase user (null when signed out)
+ * @param {string} occurrence - Occurrence start for recurring events (null for one-off events)
  */
-const AttendanceSection = ({ eventId }) => {
+const AttendanceSection = ({ eventId, user, occurrence = null }) => {
   // ================================================================
   // STATE MANAGEMENT - Attendance Section
   // ================================================================
@@ -319,89 +335,117 @@ const AttendanceSection = ({ eventId }) => {
   const [attendanceCount, setAttendanceCount] = useState(0); 	// Total number of attendees
   const [attendees, setAttendees] = useState([]); 	 	 	// List of attendee objects
   const [isAttending, setIsAttending] = useState(false); 	 // Is current user attending?
-  const [userName, setUserName] = useState(''); 	 	 	// Current user's name input
-  const [showNameInput, setShowNameInput] = useState(false); // Show name input form?
+  const [capacity, setCapacity] = useState(null);            // Max attendees (null = unlimited)
+  const [waitlist, setWaitlist] = useState([]);              // Waitlisted attendees in queue order
+  const [waitlistPosition, setWaitlistPosition] = useState(null); // Current user's place on the waitlist
   const [loading, setLoading] = useState(false); 	 	 	// Loading state for operations
+  const [ticket, setTicket] = useState(null);                // Signed check-in ticket token
+  const [checkedInAt, setCheckedInAt] = useState(null);      // When the ticket was scanned
+  const [showTicket, setShowTicket] = useState(false);       // Show QR ticket?
+
+  // Query string selecting the occurrence of a recurring event
+  const occurrenceQuery = occurrence ? `?occurrence=${encodeURIComponent(occurrence)}` : '';
+
+  // Name shown in the "You're attending as ..." line
+  const displayName = user?.user_metadata?.full_name || user?.email;
 
   /**
-   * Fetch attendance data from backend API
-   * Retrieves attendance count and list of attendees
-   * Checks if current user is already attending (using localStorage)
-   * Calls GET /api/events/:eventId/attendance endpoint
+   * Fetch attendance data and the signed-in user's own status in one request
+   * Retrieves attendance count, attendees, waitlist and whether the user has
+   * a seat or a waitlist spot
+   * Calls GET /api/events/:eventId endpoint
    */
   const fetchAttendance = async () => {
     try {
-      // Fetch attendance data from backend
-      const response = await fetch(`https://event-manager-app-jade.vercel.app/api/events/${eventId}/attendance`);
+      const params = new URLSearchParams({ include: 'attendees' });
+      if (occurrence) params.set('occurrence', occurrence);
+
+      // The token is only sent when signed in, so the API can add userStatus
+      const response = await fetch(
+        `https://event-manager-app-jade.vercel.app/api/events/${eventId}?${params}`,
+        user ? { headers: await authHeaders() } : undefined
+      );
       const data = await response.json();
-      
+      if (!response.ok) throw new Error(data.error);
+
       // Update state with fetched data
-      setAttendanceCount(data.count);
-      setAttendees(data.attendees);
-      
-      // Check if current user is attending (retrieve from localStorage)
-      const savedUserName = localStorage.getItem('userName');
-      if (savedUserName) {
-        setUserName(savedUserName);
-        // Check if this user exists in attendees list
-        const userAttending = data.attendees.some(a => a.user_name === savedUserName);
-        setIsAttending(userAttending);
-      }
+      setAttendanceCount(data.attendance.count);
+      setAttendees(data.attendance.attendees || []);
+      setCapacity(data.attendance.capacity ?? null);
+      setWaitlist(data.attendance.waitlist || []);
+      setIsAttending(!!data.userStatus?.isAttending);
+      setWaitlistPosition(data.userStatus?.isWaitlisted ? data.userStatus.waitlistPosition : null);
     } catch (error) {
       console.error('Error fetching attendance:', error);
     }
   };
 
   /**
-   * Fetch attendance data on component mount
-   * Runs once when component is created
+   * Fetch the current user's check-in ticket
+   * Calls GET /api/events/:eventId/ticket endpoint
    */
-  useEffect(() => {
-    fetchAttendance();
-  }, [eventId]);
+  const fetchTicket = async () => {
+    try {
+      const response = await fetch(
+        `https://event-manager-app-jade.vercel.app/api/events/${eventId}/ticket${occurrenceQuery}`,
+        { headers: await authHeaders() }
+      );
+      if (!response.ok) {
+        setTicket(null);
+        return;
+      }
+      const data = await response.json();
+      setTicket(data.ticket);
+      setCheckedInAt(data.checked_in_at);
+    } catch (error) {
+      console.error('Error fetching ticket:', error);
+    }
+  };
 
   /**
-   * Handle attend button click
-   * Checks if user name exists in localStorage
-   * Shows name input form if not, otherwise marks attendance
+   * Load the ticket whenever the user has a confirmed seat
    */
-  const handleAttendClick = () => {
-    // Retrieve saved user name from localStorage
-    const savedUserName = localStorage.getItem('userName');
-    
-    if (!savedUserName) {
-      // Show name input form if no saved user name
-      setShowNameInput(true);
+  useEffect(() => {
+    if (isAttending && user) {
+      fetchTicket();
     } else {
-      // Mark attendance directly with saved name
-      markAttendance(savedUserName);
+      setTicket(null);
+      setShowTicket(false);
     }
-  };
+  }, [isAttending, user?.id, eventId, occurrence]);
 
   /**
-   * Marks the current user as attending the event
-   * Saves user name to localStorage for future use
+   * Fetch attendance data and the user's own status on mount
+   * and whenever the signed-in user changes
+   */
+  useEffect(() => {
+    fetchAttendance();
+  }, [eventId, occurrence, user?.id]);
+
+  /**
+   * Marks the signed-in user as attending the event
    * Calls POST /api/events/:eventId/attend endpoint
-   * @param {string} name - User's name to mark as attending
    */
-  const markAttendance = async (name) => {
+  const markAttendance = async () => {
+    if (!user) {
+      alert('Please sign in to mark attendance');
+      return;
+    }
+
     setLoading(true);
     try {
       // Send POST request to mark attendance
       const response = await fetch(`https://event-manager-app-jade.vercel.app/api/events/${eventId}/attend`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ userName: name }),
+        headers: await authHeaders(),
+        body: JSON.stringify({ occurrence }),
       });
 
       if (response.ok) {
-        // Success - save name to localStorage for persistence
-        localStorage.setItem('userName', name);
-        setUserName(name);
-        setIsAttending(true);
-        setShowNameInput(false);
+        // Success - show the new status
+        const record = await response.json();
+        setIsAttending(record.status !== 'waitlisted');
+        setWaitlistPosition(record.status === 'waitlisted' ? record.waitlistPosition : null);
         // Refresh attendance list
         fetchAttendance();
       } else {
@@ -427,15 +471,14 @@ const AttendanceSection = ({ eventId }) => {
       // Send DELETE request to remove attendance
       const response = await fetch(`https://event-manager-app-jade.vercel.app/api/events/${eventId}/attend`, {
         method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ userName }),
+        headers: await authHeaders(),
+        body: JSON.stringify({ occurrence }),
       });
 
       if (response.ok) {
         // Success - update state
         setIsAttending(false);
+        setWaitlistPosition(null);
         // Refresh attendance list
         fetchAttendance();
       }
@@ -447,6 +490,10 @@ const AttendanceSection = ({ eventId }) => {
     }
   };
 
+  // Event is full when a capacity is set and every seat is taken
+  const isFull = capacity !== null && attendanceCount >= capacity;
+  const isWaitlisted = waitlistPosition !== null;
+
   // ================================================================
   // RENDER - Attendance Section UI
   // ================================================================
@@ -465,109 +512,113 @@ const AttendanceSection = ({ eventId }) => {
           fontSize: '14px',
           fontWeight: 'bold'
         }}>
-          {attendanceCount}
+          {capacity !== null ? `${attendanceCount} / ${capacity}` : attendanceCount}
         </span>
+        {/* Waitlist size badge */}
+        {waitlist.length > 0 && (
+          <span style={{ fontSize: '12px', color: '#856404' }}>
+            {waitlist.length} on waitlist
+          </span>
+        )}
       </div>
 
       {/* Main content - show different UI based on state */}
-      {!showNameInput ? (
-        <div>
-          {/* Show button based on attendance status */}
-          {!isAttending ? (
-            // User not attending - show mark attendance button
+      <div>
+        {/* Show button based on attendance status */}
+        {isWaitlisted ? (
+          // User on the waitlist - show position and leave button
+          <div>
+            <p style={{ color: '#856404', fontWeight: 'bold', marginBottom: '10px' }}>
+              ⏳ You're #{waitlistPosition} on the waitlist as {displayName}
+            </p>
             <button
-              onClick={handleAttendClick}
+              onClick={handleUnattend}
               disabled={loading}
               style={{
-                backgroundColor: '#28a745',
+                backgroundColor: '#6c757d',
                 color: 'white',
                 border: 'none',
-                padding: '10px 20px',
+                padding: '8px 16px',
                 borderRadius: '5px',
                 cursor: loading ? 'not-allowed' : 'pointer',
-                fontSize: '14px',
-                fontWeight: 'bold',
-                width: '100%'
+                fontSize: '14px'
               }}
             >
-              {loading ? '⏳ Loading...' : '✓ Mark as Attending'}
+              {loading ? '⏳ Loading...' : '✗ Leave Waitlist'}
             </button>
-          ) : (
-            // User attending - show confirmation and remove button
-            <div>
-              <p style={{ color: '#28a745', fontWeight: 'bold', marginBottom: '10px' }}>
-                ✓ You're attending as {userName}
-              </p>
-              <button
-                onClick={handleUnattend}
-                disabled={loading}
-                style={{
-                  backgroundColor: '#dc3545',
-                  color: 'white',
-                  border: 'none',
-                  padding: '8px 16px',
-                  borderRadius: '5px',
-                  cursor: loading ? 'not-allowed' : 'pointer',
-                  fontSize: '14px'
-                }}
-              >
-                {loading ? '⏳ Loading...' : '✗ Remove Attendance'}
-              </button>
-            </div>
-          )}
-        </div>
-      ) : (
-        // Name input form - shown when user needs to enter their name
-        <div>
-          <input
-            type="text"
-            placeholder="Enter your name"
-            value={userName}
-            onChange={(e) => setUserName(e.target.value)}
+          </div>
+        ) : !isAttending ? (
+          // User not attending - show mark attendance (or join waitlist) button
+          <button
+            onClick={markAttendance}
+            disabled={loading}
             style={{
-              width: '100%',
-              padding: '10px',
-              marginBottom: '10px',
+              backgroundColor: isFull ? '#ffc107' : '#28a745',
+              color: 'white',
+              border: 'none',
+              padding: '10px 20px',
               borderRadius: '5px',
-              border: '1px solid #ccc'
+              cursor: loading ? 'not-allowed' : 'pointer',
+              fontSize: '14px',
+              fontWeight: 'bold',
+              width: '100%'
             }}
-          />
-          {/* Submit and Cancel buttons */}
-          <div style={{ display: 'flex', gap: '10px' }}>
+          >
+            {loading ? '⏳ Loading...' : isFull ? '⏳ Join Waitlist' : '✓ Mark as Attending'}
+          </button>
+        ) : (
+          // User attending - show confirmation and remove button
+          <div>
+            <p style={{ color: '#28a745', fontWeight: 'bold', marginBottom: '10px' }}>
+              ✓ You're attending as {displayName}
+            </p>
             <button
-              onClick={() => markAttendance(userName)}
-              disabled={!userName.trim() || loading}
-              style={{
-                flex: 1,
-                backgroundColor: '#28a745',
-                color: 'white',
-                border: 'none',
-                padding: '10px',
-                borderRadius: '5px',
-                cursor: (!userName.trim() || loading) ? 'not-allowed' : 'pointer',
-                fontSize: '14px'
-              }}
-            >
-              {loading ? '⏳ Submitting...' : 'Submit'}
-            </button>
-            <button
-              onClick={() => setShowNameInput(false)}
+              onClick={handleUnattend}
+              disabled={loading}
               style={{
-                flex: 1,
-                backgroundColor: '#6c757d',
+                backgroundColor: '#dc3545',
                 color: 'white',
                 border: 'none',
-                padding: '10px',
+                padding: '8px 16px',
                 borderRadius: '5px',
-                cursor: 'pointer',
+                cursor: loading ? 'not-allowed' : 'pointer',
                 fontSize: '14px'
               }}
             >
-              Cancel
+              {loading ? '⏳ Loading...' : '✗ Remove Attendance'}
             </button>
+            {/* Check-in ticket toggle */}
+            {ticket && (
+              <button
+                onClick={() => setShowTicket(!showTicket)}
+                style={{
+                  backgroundColor: '#007bff',
+                  color: 'white',
+                  border: 'none',
+                  padding: '8px 16px',
+                  borderRadius: '5px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  marginLeft: '10px'
+                }}
+              >
+                {showTicket ? 'Hide Ticket' : '🎟️ Show Ticket'}
+              </button>
+            )}
+            {/* QR code ticket - scanned by organizers at the door */}
+            {ticket && showTicket && (
+              <div style={{ marginTop: '15px', textAlign: 'center', backgroundColor: 'white', padding: '15px', borderRadius: '8px' }}>
+                <QRCodeSVG value={ticket} size={180} />
+                <p style={{ marginTop: '10px', fontSize: '12px', color: checkedInAt ? '#28a745' : '#666' }}>
+                  {checkedInAt
+                    ? `✓ Checked in at ${new Date(checkedInAt).toLocaleString()}`
+                    : 'Show this code at the entrance to check in'}
+                </p>
+              </div>
+            )}
           </div>
-        </div>
-      )}
+        )}
+      </div>
 
       {/* Display list of attendees */}
       {attendanceCount > 0 && (
@@ -270,152 +270,553 @@
 
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../src/supabaseClient';
+import { twoFactorHeaders } from '../src/twoFactor';
+import HoneypotField from './HoneypotField';
+
+const API_URL = 'https://event-manager-app-jade.vercel.app/api';
+const REPLY_PAGE_SIZE = 20;   // Replies loaded per "show replies" / "load more"
+const COMMENT_MAX_LENGTH = 2000;   // Same limit as backend/index.js
+
+// Reaction types accepted by the API, in display order
+const REACTIONS = [
+  { type: 'helpful', emoji: '💡', label: 'Helpful' },
+  { type: 'like', emoji: '👍', label: 'Like' },
+  { type: 'love', emoji: '❤️', label: 'Love' },
+  { type: 'laugh', emoji: '😂', label: 'Funny' },
+  { type: 'wow', emoji: '😮', label: 'Wow' },
+  { type: 'sad', emoji: '😢', label: 'Sad' }
+];
+
+/**
+ * Call a comment endpoint with the signed-in user's access token
+ * @param {string} path - Path below /api
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} With the API error message on failure
+ */
+const commentRequest = async (path, { method = 'GET', body } = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session?.access_token || ''}`,
+      ...twoFactorHeaders(), // Needed when a moderator deletes a comment
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || 'Request failed');
+  return result;
+};
 
 // ============================================================================
-// COMMENTSECTION COMPONENT (SECURED)
+// COMMENTTHREAD COMPONENT
 // ============================================================================
 
 /**
- * CommentSection Component with Authentication
- * Users can only edit/delete their own comments
- * Uses Supabase directly for real-time data
+ * One comment with its (collapsible, lazily loaded) replies
+ * Replies render as nested CommentThreads until the API's maximum depth,
+ * after which can_reply is false and the Reply button is hidden
+ * @param {Object} comment - Comment from the API (with reply_count, can_reply, reactions)
+ * @param {string} sort - Reply order ('oldest' or 'helpful')
+ * @param {Function} onChanged - Reload the list this comment belongs to
  */
-const CommentSection = ({ eventId, user }) => {
-  // ================================================================
-  // STATE MANAGEMENT
-  // ================================================================
-  
-  const [comments, setComments] = useState([]);
-  const [commentText, setCommentText] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [deletingId, setDeletingId] = useState(null);
-  const [editingId, setEditingId] = useState(null);
+const CommentThread = ({ comment, eventId, user, canModerate, sort, onChanged }) => {
+  const [editing, setEditing] = useState(false);
   const [editText, setEditText] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [replying, setReplying] = useState(false);
+  const [replyText, setReplyText] = useState('');
+  const [replyHoneypot, setReplyHoneypot] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [showReplies, setShowReplies] = useState(false);
+  const [replies, setReplies] = useState([]);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+  const [reactions, setReactions] = useState(comment.reactions || {});
+  const [myReactions, setMyReactions] = useState(comment.my_reactions || []);
+
+  // Keep counts in step when the list is reloaded
+  useEffect(() => {
+    setReactions(comment.reactions || {});
+    setMyReactions(comment.my_reactions || []);
+  }, [comment]);
+
+  // Re-fetch open threads when the order changes
+  useEffect(() => {
+    if (showReplies) loadReplies(0);
+  }, [sort]);
+
+  const isOwner = Boolean(comment.is_mine);  // Worked out by the API from the reader's token
+  const replyCount = comment.reply_count || 0;
 
   // ================================================================
-  // FETCH COMMENTS
+  // REPLIES
   // ================================================================
 
-  useEffect(() => {
-    fetchComments();
-  }, [eventId]);
-
-  const fetchComments = async () => {
+  /**
+   * Fetch a page of replies
+   * @param {number} offset - Replies already loaded (0 reloads from the start)
+   */
+  const loadReplies = async (offset = 0) => {
+    setLoadingReplies(true);
     try {
-      const { data, error } = await supabase
-        .from('comments')
-        .select('*')
-        .eq('event_id', parseInt(eventId))
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      setComments(data || []);
+      const page = await commentRequest(
+        `/events/${eventId}/comments?parentId=${comment.id}&sort=${sort}&limit=${REPLY_PAGE_SIZE}&offset=${offset}`
+      );
+      setReplies((prev) => (offset === 0 ? page : [...prev, ...page]));
     } catch (error) {
-      console.error('Error fetching comments:', error);
+      console.error('Error fetching replies:', error);
+    } finally {
+      setLoadingReplies(false);
     }
   };
 
-  // ================================================================
-  // ADD COMMENT
-  // ================================================================
+  const toggleReplies = () => {
+    if (!showReplies && replies.length === 0) loadReplies(0);
+    setShowReplies(!showReplies);
+  };
 
-  const addComment = async () => {
-    if (!commentText.trim()) {
-      alert('Please write a comment');
+  const addReply = async () => {
+    if (!replyText.trim()) {
+      alert('Please write a reply');
       return;
     }
-    
-    setLoading(true);
-    try {
-      const { data, error } = await supabase
-        .from('comments')
-        .insert([
-          {
-            event_id: parseInt(eventId),
-            user_id: user.id,
-            author_name: user.user_metadata?.full_name || user.email,
-            comment_text: commentText.trim()
-          }
-        ])
-        .select();
-
-      if (error) throw error;
 
-      setCommentText('');
-      fetchComments();
+    setPosting(true);
+    try {
+      const result = await commentRequest(`/events/${eventId}/comments`, {
+        method: 'POST',
+        body: {
+          commentText: replyText.trim(),
+          parentId: comment.id,
+          website: replyHoneypot
+        }
+      });
+
+      if (result.status === 'pending') {
+        alert('Your reply is awaiting review by the organizers');
+      }
+
+      setReplyText('');
+      setReplying(false);
+      setShowReplies(true);
+      loadReplies(0);
+      onChanged();        // Refresh this comment's reply count
     } catch (error) {
-      console.error('Error adding comment:', error);
-      alert('Failed to add comment');
+      console.error('Error adding reply:', error);
+      alert(error.message || 'Failed to add reply');
     } finally {
-      setLoading(false);
+      setPosting(false);
     }
   };
 
   // ================================================================
-  // EDIT COMMENT
+  // EDIT / DELETE / REMOVE
   // ================================================================
 
-  const startEditing = (comment) => {
+  const startEditing = () => {
     // Check if user owns this comment
-    if (comment.user_id !== user.id) {
+    if (!isOwner) {
       alert('You can only edit your own comments!');
       return;
     }
-    setEditingId(comment.id);
+    setEditing(true);
     setEditText(comment.comment_text);
   };
 
-  const cancelEditing = () => {
-    setEditingId(null);
-    setEditText('');
-  };
-
-  const updateComment = async (commentId) => {
+  const updateComment = async () => {
     if (!editText.trim()) {
       alert('Comment text cannot be empty');
       return;
     }
 
     try {
-      const { error } = await supabase
-        .from('comments')
-        .update({ comment_text: editText.trim() })
-        .eq('id', commentId)
-        .eq('user_id', user.id); // Security: Only update if user owns it
+      const updated = await commentRequest(`/comments/${comment.id}`, {
+        method: 'PUT',
+        body: { commentText: editText.trim() }
+      });
 
-      if (error) throw error;
+      if (updated.status === 'pending') {
+        alert('Your comment is awaiting review by the organizers');
+      }
 
-      setEditingId(null);
+      setEditing(false);
       setEditText('');
-      fetchComments();
+      onChanged();
     } catch (error) {
       console.error('Error updating comment:', error);
-      alert('Failed to update comment');
+      alert(error.message || 'Failed to update comment');
+    }
+  };
+
+  const deleteComment = async () => {
+    const message = replyCount > 0
+      ? 'Delete this comment? Its replies will stay in the thread.'
+      : 'Are you sure you want to delete this comment?';
+    if (!window.confirm(message)) return;
+
+    setDeleting(true);
+    try {
+      await commentRequest(`/comments/${comment.id}`, { method: 'DELETE' });
+      onChanged();
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      alert(error.message || 'Failed to delete comment');
+      setDeleting(false);
+    }
+  };
+
+  // Moderator removal of someone else's comment
+  const removeComment = async () => {
+    const reason = window.prompt('Why are you removing this comment?');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('Please give a reason for removing the comment');
+      return;
+    }
+
+    setDeleting(true);
+    try {
+      await commentRequest(`/comments/${comment.id}`, {
+        method: 'DELETE',
+        body: { reason: reason.trim() }
+      });
+      onChanged();
+    } catch (error) {
+      console.error('Error removing comment:', error);
+      alert(error.message || 'Failed to remove comment');
+      setDeleting(false);
+    }
+  };
+
+  // ================================================================
+  // REACTIONS
+  // ================================================================
+
+  // Give or take back one reaction type
+  const toggleReaction = async (type) => {
+    const given = myReactions.includes(type);
+
+    try {
+      const result = await commentRequest(`/comments/${comment.id}/reactions/${type}`, {
+        method: given ? 'DELETE' : 'POST'
+      });
+      setReactions(result.reactions);
+      setMyReactions(result.my_reactions);
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      alert(error.message || 'Failed to update reaction');
+    }
+  };
+
+  // Flag someone else's comment for the organizers
+  const reportComment = async () => {
+    const reason = window.prompt('What is wrong with this comment?');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('Please say why you are reporting this comment');
+      return;
+    }
+
+    try {
+      const result = await commentRequest(`/comments/${comment.id}/report`, {
+        method: 'POST',
+        body: { reason: reason.trim() }
+      });
+      alert(result.message);
+      if (result.held) onChanged();
+    } catch (error) {
+      console.error('Error reporting comment:', error);
+      alert(error.message || 'Failed to report comment');
     }
   };
 
   // ================================================================
-  // DELETE COMMENT
+  // RENDER
   // ================================================================
 
-  const deleteComment = async (commentId) => {
-    if (!window.confirm('Are you sure you want to delete this comment?')) return;
+  // Reply toggle and loaded replies
+  const thread = (
+    <>
+      {replyCount > 0 && (
+        <button
+          onClick={toggleReplies}
+          className="mt-2 text-xs text-blue-700 hover:underline font-medium"
+        >
+          {showReplies ? '▾ Hide replies' : `▸ ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`}
+        </button>
+      )}
+
+      {showReplies && (
+        <div className="mt-2 ml-3 pl-3 border-l-2 border-blue-200 space-y-2">
+          {replies.map((reply) => (
+            <CommentThread
+              key={reply.id}
+              comment={reply}
+              eventId={eventId}
+              user={user}
+              canModerate={canModerate}
+              sort={sort}
+              onChanged={() => { loadReplies(0); onChanged(); }}
+            />
+          ))}
+
+          {loadingReplies && <p className="text-xs text-blue-600">Loading replies...</p>}
+
+          {!loadingReplies && replies.length < replyCount && (
+            <button
+              onClick={() => loadReplies(replies.length)}
+              className="text-xs text-blue-700 hover:underline font-medium"
+            >
+              Load more replies ({replyCount - replies.length})
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
+
+  // Deleted by its author while it had replies: keep the thread only
+  if (comment.status === 'removed') {
+    return (
+      <div className="p-3 bg-white rounded-lg border border-blue-200">
+        <p className="text-sm italic text-gray-500">This comment was deleted</p>
+        {thread}
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 bg-white rounded-lg border border-blue-200">
+      {/* Comment Header */}
+      <div className="flex justify-between items-start mb-1">
+        <span className="font-semibold text-blue-900 text-sm">
+          {comment.author_name}
+          {comment.author_role === 'organizer' && (
+            <span className="ml-2 text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded">Organizer</span>
+          )}
+          {isOwner && <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded">You</span>}
+        </span>
+        <span className="text-xs text-blue-600">
+          {new Date(comment.created_at).toLocaleDateString()}
+        </span>
+      </div>
+
+      {/* Edit Mode or View Mode */}
+      {editing ? (
+        <div className="space-y-2">
+          <textarea
+            value={editText}
+            onChange={(e) => setEditText(e.target.value)}
+            maxLength={COMMENT_MAX_LENGTH}
+            className="w-full px-3 py-2 border border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            rows="3"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={updateComment}
+              className="text-xs text-green-600 hover:text-green-800 hover:bg-green-50 px-3 py-1 rounded font-medium transition-colors"
+            >
+              ✅ Save
+            </button>
+            <button
+              onClick={() => { setEditing(false); setEditText(''); }}
+              className="text-xs text-gray-600 hover:text-gray-800 hover:bg-gray-50 px-3 py-1 rounded font-medium transition-colors"
+            >
+              ❌ Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <p className="text-blue-800 text-sm mb-2">{comment.comment_text}</p>
+
+          {/* Reactions */}
+          <div className="flex flex-wrap gap-1 mb-2">
+            {REACTIONS.map(({ type, emoji, label }) => {
+              const count = reactions[type] || 0;
+              const given = myReactions.includes(type);
+              return (
+                <button
+                  key={type}
+                  onClick={() => toggleReaction(type)}
+                  title={label}
+                  className={`text-xs px-2 py-0.5 rounded-full border transition-colors ${
+                    given
+                      ? 'bg-blue-100 border-blue-400 text-blue-800'
+                      : 'bg-white border-blue-200 text-blue-600 hover:bg-blue-50'
+                  }`}
+                >
+                  {emoji}{count > 0 && ` ${count}`}
+                  {type === 'helpful' && <span className="ml-1">{label}</span>}
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {comment.can_reply && (
+              <button
+                onClick={() => setReplying(!replying)}
+                className="text-xs text-blue-600 hover:text-blue-800 hover:bg-blue-50 px-2 py-1 rounded font-medium transition-colors"
+              >
+                ↩️ Reply
+              </button>
+            )}
+
+            {/* Only show Edit/Delete for comment owner */}
+            {isOwner && (
+              <>
+                <button
+                  onClick={startEditing}
+                  className="text-xs text-blue-600 hover:text-blue-800 hover:bg-blue-50 px-2 py-1 rounded font-medium transition-colors"
+                >
+                  ✏️ Edit
+                </button>
+                <button
+                  onClick={deleteComment}
+                  disabled={deleting}
+                  className="text-xs text-red-600 hover:text-red-800 hover:bg-red-50 px-2 py-1 rounded font-medium transition-colors disabled:opacity-50"
+                >
+                  {deleting ? '⏳ Deleting...' : '🗑️ Delete'}
+                </button>
+              </>
+            )}
+
+            {!isOwner && (
+              <button
+                onClick={reportComment}
+                className="text-xs text-gray-500 hover:text-red-700 hover:bg-red-50 px-2 py-1 rounded font-medium transition-colors"
+              >
+                🚩 Report
+              </button>
+            )}
+
+            {/* Moderators can remove anyone else's comment */}
+            {!isOwner && canModerate && (
+              <button
+                onClick={removeComment}
+                disabled={deleting}
+                className="text-xs text-orange-600 hover:text-orange-800 hover:bg-orange-50 px-2 py-1 rounded font-medium transition-colors disabled:opacity-50"
+              >
+                {deleting ? '⏳ Removing...' : '🛡️ Remove'}
+              </button>
+            )}
+          </div>
+        </>
+      )}
 
-    setDeletingId(commentId);
+      {/* Reply Form */}
+      {replying && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            placeholder={`Reply to ${comment.author_name}...`}
+            value={replyText}
+            onChange={(e) => setReplyText(e.target.value)}
+            maxLength={COMMENT_MAX_LENGTH}
+            className="w-full px-3 py-2 border border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            rows="2"
+          />
+          <HoneypotField value={replyHoneypot} onChange={setReplyHoneypot} />
+          <button
+            onClick={addReply}
+            disabled={posting}
+            className="text-xs bg-blue-600 text-white px-3 py-1 rounded font-medium hover:bg-blue-700 transition-colors disabled:bg-gray-400"
+          >
+            {posting ? 'Posting...' : '📝 Post Reply'}
+          </button>
+        </div>
+      )}
+
+      {thread}
+    </div>
+  );
+};
+
+// ============================================================================
+// COMMENTSECTION COMPONENT (SECURED)
+// ============================================================================
+
+/**
+ * CommentSection Component with Authentication
+ * Users can only edit/delete their own comments
+ * Organizers (canModerate) can remove other comments with a reason
+ * Comments and replies go through the API, which checks ownership, holds
+ * filtered or reported comments for review and marks replies from
+ * organizers; replies are loaded when a thread is opened
+ * Readers can react to comments and sort them by most helpful
+ * Comments on a recurring event belong to one occurrence (occurrence prop)
+ */
+const CommentSection = ({ eventId, user, occurrence = null, canModerate = false }) => {
+  // ================================================================
+  // STATE MANAGEMENT
+  // ================================================================
+
+  const [comments, setComments] = useState([]);
+  const [commentText, setCommentText] = useState('');
+  const [honeypot, setHoneypot] = useState('');   // Stays empty for real users
+  const [loading, setLoading] = useState(false);
+  const [sortBy, setSortBy] = useState('newest');   // 'newest' or 'helpful'
+
+  // Query string selecting the occurrence of a recurring event and the order
+  const commentsQuery = new URLSearchParams({
+    sort: sortBy,
+    ...(occurrence ? { occurrence } : {})
+  }).toString();
+
+  // ================================================================
+  // FETCH COMMENTS
+  // ================================================================
+
+  useEffect(() => {
+    fetchComments();
+  }, [eventId, occurrence, sortBy]);
+
+  // Top-level comments with their reply and reaction counts
+  const fetchComments = async () => {
+    try {
+      const data = await commentRequest(`/events/${eventId}/comments?${commentsQuery}`);
+      setComments(data || []);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    }
+  };
+
+  // ================================================================
+  // ADD COMMENT
+  // ================================================================
+
+  const addComment = async () => {
+    if (!commentText.trim()) {
+      alert('Please write a comment');
+      return;
+    }
+    
+    setLoading(true);
     try {
-      const { error } = await supabase
-        .from('comments')
-        .delete()
-        .eq('id', commentId)
-        .eq('user_id', user.id); // Security: Only delete if user owns it
+      const result = await commentRequest(`/events/${eventId}/comments`, {
+        method: 'POST',
+        body: {
+          commentText: commentText.trim(),
+          occurrence,
+          website: honeypot
+        }
+      });
+
+      if (result.status === 'pending') {
+        alert('Your comment is awaiting review by the organizers');
+      }
 
-      if (error) throw error;
+      setCommentText('');
       fetchComments();
     } catch (error) {
-      console.error('Error deleting comment:', error);
-      alert('Failed to delete comment');
+      console.error('Error adding comment:', error);
+      alert(error.message || 'Failed to add comment');
     } finally {
-      setDeletingId(null);
+      setLoading(false);
     }
   };
 
@@ -425,7 +826,17 @@ const CommentSection = ({ eventId, user }) => {
 
   return (
     <div className="mt-4 p-4 bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg border border-blue-200">
-      <h4 className="font-semibold text-blue-900 mb-3">💬 Comments ({comments.length})</h4>
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-semibold text-blue-900">💬 Comments ({comments.length})</h4>
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="text-xs px-2 py-1 border border-blue-300 rounded-lg bg-white text-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="newest">Newest</option>
+          <option value="helpful">Most helpful</option>
+        </select>
+      </div>
       
       {/* Add Comment Form */}
       <div className="space-y-2 mb-3">
@@ -433,9 +844,11 @@ const CommentSection = ({ eventId, user }) => {
           placeholder="Add your comment..."
           value={commentText}
           onChange={(e) => setCommentText(e.target.value)}
+          maxLength={COMMENT_MAX_LENGTH}
           className="w-full px-3 py-2 border border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm bg-white"
           rows="3"
         />
+        <HoneypotField value={honeypot} onChange={setHoneypot} />
         
         <button
           onClick={addComment}
@@ -450,74 +863,18 @@ const CommentSection = ({ eventId, user }) => {
       {comments.length === 0 ? (
         <p className="text-blue-700 text-sm text-center py-3">No comments yet. Be the first!</p>
       ) : (
-        <div className="space-y-2 max-h-60 overflow-y-auto">
-          {comments.map((comment) => {
-            const isOwner = comment.user_id === user.id;
-            
-            return (
-              <div key={comment.id} className="p-3 bg-white rounded-lg border border-blue-200">
-                {/* Comment Header */}
-                <div className="flex justify-between items-start mb-1">
-                  <span className="font-semibold text-blue-900 text-sm">
-                    {comment.author_name}
-                    {isOwner && <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded">You</span>}
-                  </span>
-                  <span className="text-xs text-blue-600">
-                    {new Date(comment.created_at).toLocaleDateString()}
-                  </span>
-                </div>
-                
-                {/* Edit Mode or View Mode */}
-                {editingId === comment.id ? (
-                  <div className="space-y-2">
-                    <textarea
-                      value={editText}
-                      onChange={(e) => setEditText(e.target.value)}
-                      className="w-full px-3 py-2 border border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
-                      rows="3"
-                    />
-                    <div className="flex gap-2">
-                      <button
-                        onClick={() => updateComment(comment.id)}
-                        className="text-xs text-green-600 hover:text-green-800 hover:bg-green-50 px-3 py-1 rounded font-medium transition-colors"
-                      >
-                        ✅ Save
-                      </button>
-                      <button
-                        onClick={cancelEditing}
-                        className="text-xs text-gray-600 hover:text-gray-800 hover:bg-gray-50 px-3 py-1 rounded font-medium transition-colors"
-                      >
-                        ❌ Cancel
-                      </button>
-                    </div>
-                  </div>
-                ) : (
-                  <>
-                    <p className="text-blue-800 text-sm mb-2">{comment.comment_text}</p>
-                    
-                    {/* Only show Edit/Delete for comment owner */}
-                    {isOwner && (
-                      <div className="flex gap-2">
-                        <button
-                          onClick={() => startEditing(comment)}
-                          className="text-xs text-blue-600 hover:text-blue-800 hover:bg-blue-50 px-2 py-1 rounded font-medium transition-colors"
-                        >
-                          ✏️ Edit
-                        </button>
-                        <button
-                          onClick={() => deleteComment(comment.id)}
-                          disabled={deletingId === comment.id}
-                          className="text-xs text-red-600 hover:text-red-800 hover:bg-red-50 px-2 py-1 rounded font-medium transition-colors disabled:opacity-50"
-                        >
-                          {deletingId === comment.id ? '⏳ Deleting...' : '🗑️ Delete'}
-                        </button>
-                      </div>
-                    )}
-                  </>
-                )}
-              </div>
-            );
-          })}
+        <div className="space-y-2 max-h-96 overflow-y-auto">
+          {comments.map((comment) => (
+            <CommentThread
+              key={comment.id}
+              comment={comment}
+              eventId={eventId}
+              user={user}
+              canModerate={canModerate}
+              sort={sortBy === 'helpful' ? 'helpful' : 'oldest'}
+              onChanged={fetchComments}
+            />
+          ))}
         </div>
       )}
     </div>
@@ -528,4 +885,4 @@ const CommentSection = ({ eventId, user }) => {
 // EXPORT
 // ============================================================================
 
-export default CommentSection;
\ No newline at end of file
+export default CommentSection;
@@ -0,0 +1,19 @@
+import React from 'react';
+
+// ============================================================================
+// FIELD ERROR
+// ============================================================================
+// Message shown under a form input when the backend rejected its value.
+// Forms keep a { field: message } map built with toFieldErrors() from
+// src/fieldErrors.js and render one of these under each input.
+
+/**
+ * @param {Object} props
+ * @param {string} [props.message] - Error for this input (nothing is shown when empty)
+ */
+function FieldError({ message }) {
+  if (!message) return null;
+  return <p className="mt-1 text-sm text-red-600">{message}</p>;
+}
+
+export default FieldError;
@@ -0,0 +1,34 @@
+import React from 'react';
+
+// ============================================================================
+// HONEYPOT FIELD
+// ============================================================================
+// An input real users never see or reach with the keyboard. Bots that fill
+// in every field also fill in this one, and the backend rejects the request
+// (see honeypot() in backend/middleware/abuse.js). Send its value as
+// `website` in the request body.
+
+/**
+ * @param {Object} props
+ * @param {string} props.value - Current value (should stay empty)
+ * @param {Function} props.onChange - Called with the new value
+ */
+function HoneypotField({ value, onChange }) {
+  return (
+    <div aria-hidden="true" style={{ position: 'absolute', left: '-10000px', width: '1px', height: '1px', overflow: 'hidden' }}>
+      <label>
+        Website
+        <input
+          type="text"
+          name="website"
+          tabIndex={-1}
+          autoComplete="off"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      </label>
+    </div>
+  );
+}
+
+export default HoneypotField;
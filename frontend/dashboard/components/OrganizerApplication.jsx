@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';  // React hooks for state and lifecycle
+import { supabase } from '../src/supabaseClient';     // Session token for application requests
+import { toFieldErrors } from '../src/fieldErrors';   // Per-field messages from the API
+
+// ============================================================================
+// ORGANIZERAPPLICATION COMPONENT
+// ============================================================================
+// Lets a regular user apply for organizer access and follow the review
+
+const API_URL = 'https://event-manager-app-jade.vercel.app/api';
+const JUSTIFICATION_MIN_LENGTH = 20;   // Same limits as backend/routes/auth.js
+const JUSTIFICATION_MAX_LENGTH = 2000;
+
+/**
+ * Headers for application requests, carrying the signed-in user's access token
+ * @returns {Promise<Object>} fetch headers
+ */
+const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${session?.access_token || ''}`,
+  };
+};
+
+/**
+ * OrganizerApplication Component
+ * Shows an "Apply to be an organizer" button (or the state of the latest
+ * application) and a form to send the justification
+ * Organizers get a link to their dashboard instead
+ * @param {Object} user - Signed-in Supabase user
+ */
+const OrganizerApplication = ({ user }) => {
+  // ================================================================
+  // STATE MANAGEMENT - Organizer Application
+  // ================================================================
+
+  const [status, setStatus] = useState(null);              // { isOrganizer, application } from the API
+  const [showForm, setShowForm] = useState(false);          // Application form open?
+  const [justification, setJustification] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (user?.email) fetchStatus();
+  }, [user?.email]);
+
+  // ================================================================
+  // API CALLS
+  // ================================================================
+
+  /**
+   * Load the user's role and latest application
+   */
+  const fetchStatus = async () => {
+    try {
+      const response = await fetch(`${API_URL}/auth/organizer-application`, {
+        headers: await authHeaders(),
+      });
+      const result = await response.json();
+      if (result.success) setStatus(result);
+    } catch (err) {
+      console.error('Error loading organizer application:', err);
+    }
+  };
+
+  /**
+   * Send the application
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (justification.trim().length < JUSTIFICATION_MIN_LENGTH) {
+      setError(`Please write at least ${JUSTIFICATION_MIN_LENGTH} characters.`);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await fetch(`${API_URL}/auth/organizer-application`, {
+        method: 'POST',
+        headers: await authHeaders(),
+        body: JSON.stringify({ justification: justification.trim() }),
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(toFieldErrors(result).justification || result.error || 'Failed to send application');
+      }
+
+      setShowForm(false);
+      setJustification('');
+      fetchStatus();
+    } catch (err) {
+      console.error('Error sending organizer application:', err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ================================================================
+  // RENDER
+  // ================================================================
+
+  if (!status) return null;
+
+  if (status.isOrganizer) {
+    return (
+      <a
+        href="/organizer/dashboard"
+        className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors text-sm"
+      >
+        🗂️ Organizer Dashboard
+      </a>
+    );
+  }
+
+  const application = status.application;
+
+  if (application?.status === 'pending') {
+    return (
+      <span
+        className="px-3 py-2 bg-yellow-100 text-yellow-800 rounded-lg text-sm"
+        title={`Sent ${new Date(application.created_at).toLocaleDateString()}`}
+      >
+        ⏳ Organizer application pending
+      </span>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowForm(!showForm)}
+        className="px-4 py-2 bg-indigo-100 text-indigo-700 rounded-lg font-medium hover:bg-indigo-200 transition-colors text-sm"
+      >
+        🎓 Apply to be an organizer
+      </button>
+
+      {showForm && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-xl border border-gray-200 p-4 z-50">
+          {/* Outcome of the last application */}
+          {application?.status === 'rejected' && (
+            <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+              Your last application was not approved.
+              {application.review_note && (
+                <span className="block mt-1 italic">“{application.review_note}”</span>
+              )}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Why do you need organizer access?
+            </label>
+            <textarea
+              value={justification}
+              onChange={(e) => setJustification(e.target.value)}
+              maxLength={JUSTIFICATION_MAX_LENGTH}
+              rows={5}
+              placeholder="Tell us which club or events you organize..."
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              {justification.trim().length}/{JUSTIFICATION_MAX_LENGTH} characters (at least {JUSTIFICATION_MIN_LENGTH})
+            </p>
+
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+            <div className="flex justify-end gap-2 mt-3">
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="px-3 py-1 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-3 py-1 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {submitting ? 'Sending...' : 'Send application'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrganizerApplication;
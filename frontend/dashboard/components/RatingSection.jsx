@@ -296,20 +296,48 @@
 // ============================================================================
 
 import React, { useState, useEffect } from 'react';  // React hooks for state and lifecycle
+import { supabase } from '../src/supabaseClient';     // Session token for rating requests
 
 // ============================================================================
 // RATINGSECTION COMPONENT
 // ============================================================================
 // Handles event rating submission and display
 
+// Optional sub-scores a rating can carry (see RATING_CRITERIA in backend/index.js)
+const CRITERIA = [
+  { id: 'content', label: 'Content' },
+  { id: 'venue', label: 'Venue' },
+  { id: 'organization', label: 'Organization' },
+  { id: 'value', label: 'Value' }
+];
+const EMPTY_SCORES = { content: 0, venue: 0, organization: 0, value: 0 };
+const REVIEW_PAGE_SIZE = 5;       // Reviews loaded per "Load more" click
+
+/**
+ * Headers for rating requests, carrying the signed-in user's access token
+ * The API derives who is rating from the token, not from a name
+ * @returns {Promise<Object>} fetch headers
+ */
+const authHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${session?.access_token || ''}`,
+  };
+};
+
 /**
  * RatingSection Component
- * Allows users to rate events (only after event has ended)
- * Displays average rating and individual user ratings
+ * Allows users to rate events (only after event has ended) with optional
+ * sub-scores and a written review, and to change or take back their rating
+ * Displays average rating, the 1-5 star distribution, per-criterion averages,
+ * individual user ratings and a paged list of written reviews
  * @param {string} eventId - Event identifier for API calls
  * @param {string} eventStatus - Current status of event (Ended, Up Coming, On Going)
+ * @param {Object} user - Signed-in Supabase user (null when signed out)
+ * @param {string} occurrence - Occurrence start for recurring events (null for one-off events)
  */
-const RatingSection = ({ eventId, eventStatus }) => {
+const RatingSection = ({ eventId, eventStatus, user, occurrence = null }) => {
   // ================================================================
   // STATE MANAGEMENT - Rating Section
   // ================================================================
@@ -317,83 +345,122 @@ const RatingSection = ({ eventId, eventStatus }) => {
   const [ratings, setRatings] = useState([]);            // All ratings for this event
   const [averageRating, setAverageRating] = useState(0); // Average rating score (decimal)
   const [totalRatings, setTotalRatings] = useState(0);   // Total number of ratings
-  const [userName, setUserName] = useState('');          // Current user's name input
+  const [distribution, setDistribution] = useState({});  // Number of ratings per star value
+  const [criteria, setCriteria] = useState({});          // Average and count per sub-score criterion
+  const [reviews, setReviews] = useState([]);            // Written reviews loaded so far
+  const [reviewsTotal, setReviewsTotal] = useState(0);   // Number of written reviews overall
+  const [reviewsLoading, setReviewsLoading] = useState(false);
   const [selectedRating, setSelectedRating] = useState(0);     // Current rating selection (1-5)
   const [hoverRating, setHoverRating] = useState(0);           // Rating highlighted on hover
   const [hasRated, setHasRated] = useState(false);             // Has user already rated?
   const [userRating, setUserRating] = useState(null);          // User's existing rating value
+  const [scores, setScores] = useState(EMPTY_SCORES);          // Sub-score selection (0 = not scored)
+  const [review, setReview] = useState('');                    // Written review text
+  const [editing, setEditing] = useState(false);               // Changing an existing rating?
   const [loading, setLoading] = useState(false);               // Loading state for submission
   const [message, setMessage] = useState('');                  // Feedback message to user
 
   /**
-   * Fetch ratings on component mount
-   * Runs once when component is created
+   * Fetch reviews on component mount and when the occurrence changes
    */
   useEffect(() => {
-    fetchRatings();
-  }, [eventId]);
+    fetchReviews();
+  }, [eventId, occurrence]);
 
   /**
-   * Check user's existing rating when name changes
-   * Runs whenever userName state changes
+   * Fetch ratings and the signed-in user's own rating
+   * Runs on mount and whenever the user or occurrence changes
    */
   useEffect(() => {
-    if (userName.trim()) {
-      checkUserRating();
-    }
-  }, [userName]);
+    fetchRatings();
+  }, [user?.id, eventId, occurrence]);
 
   /**
-   * Fetches all ratings and calculates average from backend
-   * Calls GET /api/events/:eventId/rating endpoint
+   * Fetches all ratings with the average, and the signed-in user's own
+   * rating, in one request
+   * Calls GET /api/events/:eventId endpoint
    */
   const fetchRatings = async () => {
     try {
-      // Send GET request to fetch ratings data
-      const response = await fetch(`https://event-manager-app-jade.vercel.app/api/events/${eventId}/rating`);
+      const params = new URLSearchParams({ include: 'ratings' });
+      if (occurrence) params.set('occurrence', occurrence);
+
+      // The token is only sent when signed in, so the API can add userStatus
+      const response = await fetch(
+        `https://event-manager-app-jade.vercel.app/api/events/${eventId}?${params}`,
+        user ? { headers: await authHeaders() } : undefined
+      );
       const data = await response.json();
-      
+      if (!response.ok) throw new Error(data.error);
+
       // Update state with fetched data
-      setAverageRating(data.averageRating);
-      setTotalRatings(data.totalRatings);
-      setRatings(data.ratings);
+      const { rating, userStatus } = data;
+      setAverageRating(rating.averageRating);
+      setTotalRatings(rating.totalRatings);
+      setDistribution(rating.distribution || {});
+      setCriteria(rating.criteria || {});
+      setRatings(rating.ratings || []);
+
+      setHasRated(!!userStatus?.hasRated);
+      setUserRating(userStatus?.userRating ?? null);
+      // Pre-fill stars, sub-scores and review if user already rated
+      if (userStatus?.hasRated) {
+        setSelectedRating(userStatus.userRating);
+        setScores({ ...EMPTY_SCORES, ...Object.fromEntries(
+          Object.entries(userStatus.userScores || {}).map(([id, value]) => [id, value || 0])
+        ) });
+        setReview(userStatus.userReview || '');
+      }
     } catch (error) {
       console.error('Error fetching ratings:', error);
     }
   };
 
   /**
-   * Checks if current user has already rated this event
-   * Calls GET /api/events/:eventId/check-rating/:userName endpoint
+   * Fetches one page of written reviews
+   * Calls GET /api/events/:eventId/reviews endpoint
+   * @param {number} offset - Reviews to skip (0 reloads the list from the start)
    */
-  const checkUserRating = async () => {
+  const fetchReviews = async (offset = 0) => {
+    setReviewsLoading(true);
     try {
-      // Send GET request to check if user already rated
+      const params = new URLSearchParams({ limit: REVIEW_PAGE_SIZE, offset });
+      if (occurrence) params.set('occurrence', occurrence);
+
       const response = await fetch(
-        `https://event-manager-app-jade.vercel.app/api/events/${eventId}/check-rating/${userName.trim()}`
+        `https://event-manager-app-jade.vercel.app/api/events/${eventId}/reviews?${params}`
       );
       const data = await response.json();
-      
-      // Update state with rating status
-      setHasRated(data.hasRated);
-      setUserRating(data.userRating);
-      // Pre-fill stars if user already rated
-      if (data.hasRated) {
-        setSelectedRating(data.userRating);
-      }
+      if (!response.ok) throw new Error(data.error);
+
+      setReviews((prev) => (offset === 0 ? data.reviews : [...prev, ...data.reviews]));
+      setReviewsTotal(data.total);
     } catch (error) {
-      console.error('Error checking rating:', error);
+      console.error('Error fetching reviews:', error);
+    } finally {
+      setReviewsLoading(false);
     }
   };
 
+  // Reload everything that a submitted, changed or removed rating affects
+  const refreshAll = () => {
+    fetchRatings();
+    fetchReviews();
+  };
+
+  // Sub-scores as sent to the API (null for criteria left unscored)
+  const scoresPayload = () => Object.fromEntries(
+    CRITERIA.map(({ id }) => [id, scores[id] || null])
+  );
+
   /**
    * Submits rating to backend after validation
    * Calls POST /api/events/:eventId/rating endpoint
    */
   const submitRating = async () => {
-    // Validate user name
-    if (!userName.trim()) {
-      setMessage('⚠️ Please enter your name');
+    // Ratings belong to the signed-in user
+    if (!user) {
+      setMessage('⚠️ Please sign in to rate this event');
       return;
     }
     
@@ -412,10 +479,12 @@ const RatingSection = ({ eventId, eventStatus }) => {
         `https://event-manager-app-jade.vercel.app/api/events/${eventId}/rating`,
         {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: await authHeaders(),
           body: JSON.stringify({
-            userName: userName.trim(),
-            rating: selectedRating
+            rating: selectedRating,
+            scores: scoresPayload(),
+            review,
+            occurrence
           })
         }
       );
@@ -427,8 +496,8 @@ const RatingSection = ({ eventId, eventStatus }) => {
         setMessage('✅ Rating submitted successfully!');
         setHasRated(true);
         setUserRating(selectedRating);
-        // Refresh ratings list and average
-        fetchRatings();
+        // Refresh ratings list, averages and reviews
+        refreshAll();
       } else {
         // Error response from backend
         setMessage(`❌ ${data.error}`);
@@ -441,6 +510,96 @@ const RatingSection = ({ eventId, eventStatus }) => {
     }
   };
 
+  /**
+   * Saves a changed rating
+   * Calls PUT /api/events/:eventId/rating endpoint
+   */
+  const updateRating = async () => {
+    if (selectedRating === 0) {
+      setMessage('⚠️ Please select a rating');
+      return;
+    }
+
+    setLoading(true);
+    setMessage('');
+
+    try {
+      const response = await fetch(
+        `https://event-manager-app-jade.vercel.app/api/events/${eventId}/rating`,
+        {
+          method: 'PUT',
+          headers: await authHeaders(),
+          body: JSON.stringify({
+            rating: selectedRating,
+            scores: scoresPayload(),
+            review,
+            occurrence
+          })
+        }
+      );
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage('✅ Rating updated!');
+        setUserRating(selectedRating);
+        setEditing(false);
+        refreshAll();
+      } else {
+        setMessage(`❌ ${data.error}`);
+      }
+    } catch (error) {
+      setMessage('❌ Error updating rating');
+      console.error('Error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Takes back the user's rating
+   * Calls DELETE /api/events/:eventId/rating endpoint
+   */
+  const removeRating = async () => {
+    if (!window.confirm('Remove your rating of this event?')) return;
+
+    setLoading(true);
+    setMessage('');
+
+    try {
+      const response = await fetch(
+        `https://event-manager-app-jade.vercel.app/api/events/${eventId}/rating`,
+        {
+          method: 'DELETE',
+          headers: await authHeaders(),
+          body: JSON.stringify({
+            occurrence
+          })
+        }
+      );
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage('✅ Rating removed');
+        setHasRated(false);
+        setUserRating(null);
+        setSelectedRating(0);
+        setScores(EMPTY_SCORES);
+        setReview('');
+        setEditing(false);
+        refreshAll();
+      } else {
+        setMessage(`❌ ${data.error}`);
+      }
+    } catch (error) {
+      setMessage('❌ Error removing rating');
+      console.error('Error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Determine if event has ended (only then can user rate)
   const isEnded = eventStatus === "Ended";
 
@@ -452,28 +611,73 @@ const RatingSection = ({ eventId, eventStatus }) => {
    * @returns {JSX} Star rating component
    */
   const renderStars = (rating, isInteractive = false) => {
+    // Stars can be picked for a new rating or while changing one
+    const canPick = isInteractive && (!hasRated || editing);
+
     return (
       <div className="flex gap-1">
         {[1, 2, 3, 4, 5].map((star) => (
           <button
             key={star}
             type="button"
-            disabled={!isInteractive || hasRated}
-            onClick={() => isInteractive && setSelectedRating(star)}
-            onMouseEnter={() => isInteractive && setHoverRating(star)}
-            onMouseLeave={() => isInteractive && setHoverRating(0)}
+            disabled={!canPick}
+            onClick={() => canPick && setSelectedRating(star)}
+            onMouseEnter={() => canPick && setHoverRating(star)}
+            onMouseLeave={() => canPick && setHoverRating(0)}
             className={`text-2xl transition-all ${
-              isInteractive && !hasRated ? 'cursor-pointer hover:scale-110' : 'cursor-default'
+              canPick ? 'cursor-pointer hover:scale-110' : 'cursor-default'
             }`}
           >
             {/* Show filled star if hover or rating is >= current star number */}
-            {star <= (hoverRating || rating) ? '⭐' : '☆'}
+            {star <= ((canPick && hoverRating) || rating) ? '⭐' : '☆'}
           </button>
         ))}
       </div>
     );
   };
 
+  /**
+   * Renders the optional sub-score pickers and review box
+   * Clicking the selected star again clears that sub-score
+   * @returns {JSX} Sub-score and review inputs
+   */
+  const renderDetailsForm = () => (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+        {CRITERIA.map(({ id, label }) => (
+          <div key={id} className="flex items-center justify-between text-sm">
+            <span className="text-gray-600">{label}</span>
+            <span className="flex">
+              {[1, 2, 3, 4, 5].map((star) => (
+                <button
+                  key={star}
+                  type="button"
+                  disabled={loading}
+                  onClick={() => setScores((prev) => ({ ...prev, [id]: prev[id] === star ? 0 : star }))}
+                  className="text-base cursor-pointer hover:scale-110 transition-all"
+                >
+                  {star <= scores[id] ? '⭐' : '☆'}
+                </button>
+              ))}
+            </span>
+          </div>
+        ))}
+      </div>
+      <textarea
+        placeholder="Write a review (optional)"
+        value={review}
+        onChange={(e) => setReview(e.target.value)}
+        maxLength={2000}
+        rows={3}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-sm resize-none"
+        disabled={loading}
+      />
+    </div>
+  );
+
+  // Criteria that at least one rating has scored
+  const scoredCriteria = CRITERIA.filter(({ id }) => criteria[id] && criteria[id].count > 0);
+
   // ================================================================
   // RENDER - Rating Section UI
   // ================================================================
@@ -501,6 +705,40 @@ const RatingSection = ({ eventId, eventStatus }) => {
             {/* Visual star representation of average */}
             {renderStars(Math.round(averageRating))}
           </div>
+
+          {/* Distribution bar chart, 5 stars at the top */}
+          <div className="mt-3 space-y-1">
+            {[5, 4, 3, 2, 1].map((star) => {
+              const count = distribution[star] || 0;
+              const percent = totalRatings > 0 ? Math.round((count / totalRatings) * 100) : 0;
+              return (
+                <div key={star} className="flex items-center gap-2 text-xs text-gray-600">
+                  <span className="w-8 text-right">{star} ⭐</span>
+                  <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-yellow-400 rounded-full"
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  <span className="w-6 text-right">{count}</span>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Per-criterion averages */}
+          {scoredCriteria.length > 0 && (
+            <div className="mt-3 pt-3 border-t border-gray-100 grid grid-cols-2 gap-2 text-xs text-gray-600">
+              {scoredCriteria.map(({ id, label }) => (
+                <div key={id} className="flex justify-between">
+                  <span>{label}</span>
+                  <span className="font-semibold text-yellow-600">
+                    {criteria[id].average} ⭐ <span className="font-normal text-gray-400">({criteria[id].count})</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
 
@@ -508,29 +746,72 @@ const RatingSection = ({ eventId, eventStatus }) => {
       {isEnded ? (
         <div className="space-y-3">
           {hasRated ? (
-            // Show message if user already rated
-            <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-green-700 text-sm">
-              ✅ You rated this event {userRating} star{userRating !== 1 ? 's' : ''}
+            // Show the user's rating with options to change or remove it
+            <div className="space-y-2">
+              <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-green-700 text-sm flex items-center justify-between gap-2">
+                <span>✅ You rated this event {userRating} star{userRating !== 1 ? 's' : ''}</span>
+                {!editing && (
+                  <span className="flex gap-2">
+                    <button
+                      onClick={() => { setEditing(true); setSelectedRating(userRating); setMessage(''); }}
+                      disabled={loading}
+                      className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      ✏️ Change
+                    </button>
+                    <button
+                      onClick={removeRating}
+                      disabled={loading}
+                      className="text-xs text-red-600 hover:text-red-800 font-medium"
+                    >
+                      🗑️ Remove
+                    </button>
+                  </span>
+                )}
+              </div>
+
+              {editing && (
+                <div className="space-y-2">
+                  <div className="flex items-center gap-3">
+                    {renderStars(selectedRating, true)}
+                    <button
+                      onClick={updateRating}
+                      disabled={loading}
+                      className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:bg-gray-400"
+                    >
+                      {loading ? 'Saving...' : 'Save'}
+                    </button>
+                    <button
+                      onClick={() => { setEditing(false); fetchRatings(); }}
+                      className="px-3 py-1 text-gray-600 text-sm hover:text-gray-800"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                  {renderDetailsForm()}
+                </div>
+              )}
+
+              {message && (
+                <div className={`p-2 rounded-lg text-sm ${
+                  message.includes('✅') ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+                }`}>
+                  {message}
+                </div>
+              )}
             </div>
           ) : (
             // Show rating form if user hasn't rated yet
             <>
-              {/* User name input field */}
-              <input
-                type="text"
-                placeholder="Your name"
-                value={userName}
-                onChange={(e) => setUserName(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-sm"
-                disabled={loading}
-              />
-
               {/* Interactive star rating selector */}
               <div className="flex items-center gap-3">
                 <span className="text-sm text-gray-600">Your rating:</span>
                 {renderStars(selectedRating, true)}
               </div>
 
+              {/* Optional sub-scores and written review */}
+              {renderDetailsForm()}
+
               {/* Submit button */}
               <button
                 onClick={submitRating}
@@ -574,6 +855,37 @@ const RatingSection = ({ eventId, eventStatus }) => {
           </div>
         </div>
       )}
+
+      {/* Written reviews, loaded a page at a time */}
+      {reviewsTotal > 0 && (
+        <div className="mt-4">
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">Reviews ({reviewsTotal}):</h5>
+          <div className="space-y-2">
+            {reviews.map((r) => (
+              <div key={r.rating_id} className="p-2 bg-white rounded border border-gray-200 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-800">{r.user_name}</span>
+                  <span className="text-yellow-600">{'⭐'.repeat(r.rating)}</span>
+                </div>
+                <p className="text-gray-700 mt-1 whitespace-pre-wrap">{r.review_text}</p>
+                <div className="text-xs text-gray-400 mt-1">
+                  {new Date(r.created_at).toLocaleDateString()}
+                  {r.updated_at && ' · edited'}
+                </div>
+              </div>
+            ))}
+          </div>
+          {reviews.length < reviewsTotal && (
+            <button
+              onClick={() => fetchReviews(reviews.length)}
+              disabled={reviewsLoading}
+              className="mt-2 text-sm text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-400"
+            >
+              {reviewsLoading ? 'Loading...' : 'Load more reviews'}
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 };
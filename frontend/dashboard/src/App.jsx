@@ -276,20 +276,29 @@
 // ============================================================================
 
 import { useState, useEffect } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { supabase } from './supabaseClient';
+import { twoFactorHeaders, clearTwoFactorToken } from './twoFactor';
 
 // Import components
 import UnifiedLogin from './UnifiedLogin';
 import EventsScreen from './EventsScreen';
 import OrganizerDashboard from './OrganizerDashboard';
 import AuthCallback from './AuthCallback';
+import OrganizerApplication from '../components/OrganizerApplication';
 
 // Manager components
 import EventManager from './organizer/EventManager';
 import ExpensesManager from './organizer/ExpensesManager';
 import CommitteeManager from './organizer/CommitteeManager';
 import NoticesManager from './organizer/NoticesManager';
+import CheckInScanner from './organizer/CheckInScanner';
+import CommentModeration from './organizer/CommentModeration';
+import TwoFactorSettings from './organizer/TwoFactorSettings';
+
+// Admin components
+import UserRoles from './admin/UserRoles';
+import OrganizerApplications from './admin/OrganizerApplications';
 
 import './App.css';
 
@@ -298,6 +307,7 @@ import './App.css';
 // ============================================================================
 function useOrganizerCheck() {
   const [isOrganizer, setIsOrganizer] = useState(false);
+  const [twoFactorPending, setTwoFactorPending] = useState(null);   // 'verify' | 'enroll' | null
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -320,12 +330,11 @@ function useOrganizerCheck() {
       console.log('✅ Session found, checking role for:', session.user.email);
 
       // Use the API to check organizer status
-      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/verify-organizer', {
-        method: 'POST',
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/me', {
         headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email: session.user.email }),
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
       });
 
       const result = await response.json();
@@ -333,6 +342,7 @@ function useOrganizerCheck() {
       if (result.success && result.isOrganizer) {
         console.log('✅ User is organizer');
         setIsOrganizer(true);
+        setTwoFactorPending(result.user?.twoFactorPending || null);
       } else {
         console.log('❌ User is not organizer');
         setIsOrganizer(false);
@@ -346,14 +356,15 @@ function useOrganizerCheck() {
     }
   };
 
-  return { isOrganizer, loading, checkOrganizerStatus };
+  return { isOrganizer, twoFactorPending, loading, checkOrganizerStatus };
 }
 
 // ============================================================================
 // SIMPLE ORGANIZER ROUTE COMPONENT (UPDATED)
 // ============================================================================
 function OrganizerRoute({ children }) {
-  const { isOrganizer, loading } = useOrganizerCheck();
+  const { isOrganizer, twoFactorPending, loading } = useOrganizerCheck();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -387,6 +398,12 @@ function OrganizerRoute({ children }) {
     );
   }
 
+  // Organizer pages stay locked until the authenticator code is entered
+  // (or set up, when an admin requires it)
+  if (twoFactorPending && location.pathname !== '/organizer/security') {
+    return <Navigate to="/organizer/security" replace />;
+  }
+
   return children;
 }
 
@@ -425,11 +442,30 @@ function App() {
   // ================================================================
 
   const handleLogout = async () => {
+    clearTwoFactorToken();
     await supabase.auth.signOut();
     setUser(null);
     window.location.href = '/'; // Force reload to clear state
   };
 
+  // Attach Google to the signed-in (email/password) account; AuthCallback
+  // then records the link with the backend
+  const handleLinkGoogle = async () => {
+    const { error } = await supabase.auth.linkIdentity({
+      provider: 'google',
+      options: {
+        redirectTo: `${window.location.origin}/auth/callback`
+      }
+    });
+
+    if (error) {
+      console.error('❌ Google link error:', error);
+      alert(error.message || 'Could not link Google account');
+    }
+  };
+
+  const hasGoogle = (user?.identities || []).some((identity) => identity.provider === 'google');
+
   // ================================================================
   // RENDER
   // ================================================================
@@ -483,6 +519,19 @@ function App() {
                       </p>
                       <p className="text-xs text-gray-500">{user.email}</p>
                     </div>
+
+                    {!hasGoogle && (
+                      <button
+                        onClick={handleLinkGoogle}
+                        className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                        title="Sign in with Google next time"
+                      >
+                        <img className="h-4 w-4" src="https://www.google.com/favicon.ico" alt="Google" />
+                        Link Google
+                      </button>
+                    )}
+
+                    <OrganizerApplication user={user} />
                     
                     <button
                       onClick={handleLogout}
@@ -535,6 +584,37 @@ function App() {
           </OrganizerRoute>
         } />
 
+        <Route path="/organizer/check-in" element={
+          <OrganizerRoute>
+            <CheckInScanner />
+          </OrganizerRoute>
+        } />
+
+        <Route path="/organizer/comments" element={
+          <OrganizerRoute>
+            <CommentModeration />
+          </OrganizerRoute>
+        } />
+
+        <Route path="/organizer/security" element={
+          <OrganizerRoute>
+            <TwoFactorSettings />
+          </OrganizerRoute>
+        } />
+
+        {/* Admin Routes - the API rejects non-admins */}
+        <Route path="/admin/users" element={
+          <OrganizerRoute>
+            <UserRoles />
+          </OrganizerRoute>
+        } />
+
+        <Route path="/admin/applications" element={
+          <OrganizerRoute>
+            <OrganizerApplications />
+          </OrganizerRoute>
+        } />
+
         {/* Catch all - redirect to home */}
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
@@ -95,19 +95,27 @@ function AuthCallback() {
       if (session) {
         console.log('✅ Google OAuth successful for:', session.user.email);
         
-        // For Google OAuth users, we need to create/update their profile
-        if (session.user.app_metadata.provider === 'google') {
+        // For Google OAuth users (new logins and newly linked accounts) the
+        // backend creates or links the profile from the verified token
+        const identities = session.user.identities || [];
+        if (identities.some((identity) => identity.provider === 'google')) {
           try {
-            const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/google-callback', {
+            const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/google/google-callback', {
               method: 'POST',
               headers: {
-                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.access_token}`,
               },
-              body: JSON.stringify({ user: session.user }),
             });
 
             const result = await response.json();
             
+            // The email belongs to another account: don't sign in as a stranger to it
+            if (response.status === 409) {
+              await supabase.auth.signOut();
+              navigate(`/?error=${encodeURIComponent(result.error)}`);
+              return;
+            }
+
             if (!result.success) {
               console.error('❌ Google user profile creation failed:', result.error);
               // Continue anyway - the user can still access the app
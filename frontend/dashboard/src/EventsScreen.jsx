@@ -433,6 +433,7 @@
 
 import React, { useState, useEffect } from "react";
 import Cookies from 'js-cookie';
+import { supabase } from './supabaseClient';
 
 // Import the separated components (REMOVE DUPLICATES!)
 import CommentSection from '../components/CommentSection';
@@ -484,18 +485,30 @@ const ShareButton = ({ event, eventId }) => {
 // EVENTSSCREEN COMPONENT (MAIN)
 // ============================================================================
 
+const API_URL = "https://event-manager-app-jade.vercel.app/api";
+const PAGE_SIZE = 12;
+
 const EventsScreen = ({ user }) => {
   // State management
   const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [statusCounts, setStatusCounts] = useState({ upcoming: 0, ongoing: 0, ended: 0 });
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [savedEvents, setSavedEvents] = useState([]);
   const [showSaved, setShowSaved] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
-  const [selectedCategories, setSelectedCategories] = useState([]);
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [categories, setCategories] = useState([]);
+  const [selectedCategories, setSelectedCategories] = useState([]); // category ids
+  const [statusFilter, setStatusFilter] = useState("");
+  const [sortOrder, setSortOrder] = useState("start_time");
   const [showCategoryDropdown, setShowCategoryDropdown] = useState(false);
   const [expandedEventId, setExpandedEventId] = useState(null);
   const [showRatingModal, setShowRatingModal] = useState(null);
+  const [canModerate, setCanModerate] = useState(false);  // Organizers can remove comments
 
   // Load saved events from cookies
   useEffect(() => {
@@ -514,13 +527,6 @@ const EventsScreen = ({ user }) => {
     loadSavedEventsFromCookies();
   }, []);
 
-  // Extract unique categories
-  const categories = Array.from(
-    new Set(
-      events.flatMap(e => (e.categories || []).map(c => c.category_name)).filter(Boolean)
-    )
-  );
-
   // Persist saved events to cookies
   useEffect(() => {
     if (savedEvents.length > 0) {
@@ -530,28 +536,132 @@ const EventsScreen = ({ user }) => {
     }
   }, [savedEvents]);
 
-  // Fetch events from backend
+  // Organizers get moderator actions on comments (enforced again by the API)
+  useEffect(() => {
+    if (!user?.email) {
+      setCanModerate(false);
+      return;
+    }
+
+    const checkModerator = async () => {
+      try {
+        const { data: { session } } = await supabase.auth.getSession();
+        const response = await fetch(`${API_URL}/auth/me`, {
+          headers: { Authorization: `Bearer ${session?.access_token || ''}` },
+        });
+        const result = await response.json();
+        setCanModerate(Boolean(result.success && result.isOrganizer));
+      } catch (err) {
+        console.error("Error checking organizer status:", err);
+        setCanModerate(false);
+      }
+    };
+    checkModerator();
+  }, [user?.email]);
+
+  // Private calendar feed of the user's RSVPs. The address is a secret, so the
+  // API only shows it once; asking again turns the previous address off.
+  const subscribeToMyEvents = async () => {
+    if (!window.confirm("Get a private calendar address for the events you are attending? Any address you got before will stop working.")) return;
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await fetch(`${API_URL}/calendar/feed-token`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${session?.access_token || ''}` },
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || "Failed to create calendar address");
+
+      const feedUrl = `${API_URL.replace(/^https?:/, "webcal:")}/calendar.ics?token=${encodeURIComponent(result.token)}`;
+      window.prompt("Add this address to your calendar app. Keep it private: anyone with it can see the events you are attending.", feedUrl);
+    } catch (err) {
+      console.error("Error creating calendar feed:", err);
+      alert(err.message || "Failed to create calendar address");
+    }
+  };
+
+  // Fetch categories for the filter dropdown
   useEffect(() => {
-    const fetchEvents = async () => {
+    const fetchCategories = async () => {
       try {
-        setLoading(true);
-        const response = await fetch("https://event-manager-app-jade.vercel.app/api/events");
-        if (!response.ok) throw new Error("Failed to fetch events");
+        const response = await fetch(`${API_URL}/categories`);
+        if (!response.ok) throw new Error("Failed to fetch categories");
         const data = await response.json();
-        setEvents(data || []);
+        setCategories(data || []);
       } catch (err) {
-        console.error("Error fetching events:", err);
-        setError(err.message);
-      } finally {
-        setLoading(false);
+        console.error("Error fetching categories:", err);
       }
     };
-    fetchEvents();
+    fetchCategories();
   }, []);
 
+  // Wait for the user to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Build the query string for GET /api/events from the current filters
+  const buildEventsQuery = (cursor) => {
+    const params = new URLSearchParams({ sort: sortOrder, limit: PAGE_SIZE });
+    if (debouncedSearch) params.set("q", debouncedSearch);
+    if (selectedCategories.length > 0) params.set("categories", selectedCategories.join(","));
+    if (statusFilter) params.set("status", statusFilter);
+    if (showSaved) params.set("ids", savedEvents.join(","));
+    if (cursor) params.set("cursor", cursor);
+    return params.toString();
+  };
+
+  // Fetch one page of events from backend (appends when a cursor is given)
+  const fetchEvents = async (cursor = null) => {
+    // Saved view with nothing saved - no need to ask the server
+    if (showSaved && savedEvents.length === 0) {
+      setEvents([]);
+      setTotal(0);
+      setNextCursor(null);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      cursor ? setLoadingMore(true) : setLoading(true);
+      setError(null);
+      const response = await fetch(`${API_URL}/events?${buildEventsQuery(cursor)}`);
+      if (!response.ok) throw new Error("Failed to fetch events");
+      const data = await response.json();
+      setEvents(prev => cursor ? [...prev, ...data.events] : data.events);
+      setTotal(data.total);
+      setStatusCounts(data.statusCounts);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching events:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  // Refetch from the first page whenever a filter changes
+  useEffect(() => {
+    fetchEvents();
+  }, [debouncedSearch, selectedCategories, statusFilter, sortOrder, showSaved, showSaved && savedEvents.join(",")]);
+
   // Helper functions
   const getEventId = (event) => event.id || event.event_id;// get event's id
 
+  // Occurrences of a recurring event share the event id, so cards are keyed by both
+  const getOccurrenceKey = (event) =>
+    event.occurrence_start ? `${getEventId(event)}:${event.occurrence_start}` : getEventId(event);
+
+  const describeRecurrence = (rule) => {
+    const parts = Object.fromEntries(rule.split(";").map((part) => part.split("=")));
+    const interval = parseInt(parts.INTERVAL || "1");
+    const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" }[parts.FREQ] || "time";
+    return interval > 1 ? `Repeats every ${interval} ${unit}s` : `Repeats every ${unit}`;
+  };
+
   // function to save/remove an event
   const toggleSave = (event) => {
     const eventId = getEventId(event); 
@@ -588,33 +698,10 @@ const EventsScreen = ({ user }) => {
     }
   };
 
-  // Loading and error states
-  if (loading) return <p className="p-6 text-center text-gray-600">Loading events...</p>;
-  if (error) return <p className="p-6 text-center text-red-600">Error: {error}</p>;
-
-  // Filter events list and returns only the saved ones when showSaved is true
-  const displayedEvents = showSaved
-    ? events.filter((event) => savedEvents.includes(getEventId(event)))
-    : events;
-
-  let filteredEvents = displayedEvents.filter(event => {
-    const matchesSearch = searchTerm === "" || (event.title || event.event_title || "").toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory =
-      selectedCategories.length === 0 ||
-      (event.categories || []).some(c => selectedCategories.includes(c.category_name));
-    return matchesSearch && matchesCategory;
-  });
-
-  // Sort events
-  const statusOrder = { "On Going": 0, "Up Coming": 1, "Ended": 2 };
-  filteredEvents = filteredEvents.sort((a, b) => {
-    const statusA = getEventStatus(a.start_time, b.start_time).label;
-    const statusB = getEventStatus(b.start_time, b.end_time).label;
-    if (statusA === statusB) {
-      return new Date(a.start_time) - new Date(b.start_time);
-    }
-    return statusOrder[statusA] - statusOrder[statusB];
-  });
+  // Names of the selected categories for the dropdown button
+  const selectedCategoryNames = categories
+    .filter(c => selectedCategories.includes(c.category_id))
+    .map(c => c.category_name);
 
   return (
     <div className="bg-gray-50 min-h-screen">
@@ -643,7 +730,7 @@ const EventsScreen = ({ user }) => {
                   className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 border border-gray-300 hover:bg-blue-50 transition-all duration-200"
                   onClick={() => setShowCategoryDropdown((prev) => !prev)}
                 >
-                  {selectedCategories.length > 0 ? `${selectedCategories.join(", ")}` : "Categories"}
+                  {selectedCategoryNames.length > 0 ? `${selectedCategoryNames.join(", ")}` : "Categories"}
                   <span className="ml-2">▼</span>
                 </button>
                 
@@ -651,22 +738,22 @@ const EventsScreen = ({ user }) => {
                   <div className="absolute left-0 mt-2 w-56 bg-white border border-gray-200 rounded-lg shadow-lg z-20 p-2">
                     {categories.map((cat) => (
                       <label
-                        key={cat}
+                        key={cat.category_id}
                         className="flex items-center px-2 py-2 cursor-pointer rounded-lg hover:bg-blue-50 transition-all duration-150"
                       >
                         <input
                           type="checkbox"
-                          checked={selectedCategories.includes(cat)}
+                          checked={selectedCategories.includes(cat.category_id)}
                           onChange={e => {
                             if (e.target.checked) {
-                              setSelectedCategories(prev => [...prev, cat]);
+                              setSelectedCategories(prev => [...prev, cat.category_id]);
                             } else {
-                              setSelectedCategories(prev => prev.filter(c => c !== cat));
+                              setSelectedCategories(prev => prev.filter(c => c !== cat.category_id));
                             }
                           }}
                           className="mr-2 accent-blue-600"
                         />
-                        <span className={selectedCategories.includes(cat) ? "font-bold text-blue-700" : "text-gray-800"}>{cat}</span>
+                        <span className={selectedCategories.includes(cat.category_id) ? "font-bold text-blue-700" : "text-gray-800"}>{cat.category_name}</span>
                       </label>
                     ))}
                     
@@ -682,6 +769,30 @@ const EventsScreen = ({ user }) => {
                 )}
               </div>
               
+              {/* Status Filter */}
+              <select
+                value={statusFilter}
+                onChange={e => setStatusFilter(e.target.value)}
+                className="px-4 py-2 rounded-lg border border-gray-300 bg-gray-100 text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-400"
+              >
+                <option value="">All statuses</option>
+                <option value="ongoing">On Going ({statusCounts.ongoing})</option>
+                <option value="upcoming">Up Coming ({statusCounts.upcoming})</option>
+                <option value="ended">Ended ({statusCounts.ended})</option>
+              </select>
+
+              {/* Sort Order */}
+              <select
+                value={sortOrder}
+                onChange={e => setSortOrder(e.target.value)}
+                className="px-4 py-2 rounded-lg border border-gray-300 bg-gray-100 text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-400"
+              >
+                <option value="start_time">Soonest first</option>
+                <option value="-start_time">Latest first</option>
+                <option value="event_title">Title A-Z</option>
+                <option value="-event_title">Title Z-A</option>
+              </select>
+
               {/* Toggle Buttons */}
               <button
                 onClick={() => setShowSaved(false)}
@@ -707,7 +818,36 @@ const EventsScreen = ({ user }) => {
 
       {/* EVENTS GRID */}
       <div className="p-6 pt-4">
-        {filteredEvents.length === 0 ? (
+        {!loading && !error && (
+          <div className="flex justify-between items-center mb-4">
+            <p className="text-sm text-gray-500">
+              Showing {events.length} of {total} event{total !== 1 ? "s" : ""}
+            </p>
+            {/* Calendar feed of the saved events, for calendar app subscriptions */}
+            {showSaved && savedEvents.length > 0 && (
+              <a
+                href={`${API_URL.replace(/^https?:/, "webcal:")}/calendar.ics?ids=${savedEvents.join(",")}`}
+                className="text-sm font-medium text-green-700 hover:underline"
+              >
+                📆 Subscribe in calendar
+              </a>
+            )}
+            {!showSaved && user?.email && (
+              <button
+                onClick={subscribeToMyEvents}
+                className="text-sm font-medium text-green-700 hover:underline"
+              >
+                📆 Calendar of my RSVPs
+              </button>
+            )}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="p-6 text-center text-gray-600">Loading events...</p>
+        ) : error ? (
+          <p className="p-6 text-center text-red-600">Error: {error}</p>
+        ) : events.length === 0 ? (
           <div className="text-center py-12">
             <p className="text-gray-600 text-lg">
               {searchTerm
@@ -719,13 +859,14 @@ const EventsScreen = ({ user }) => {
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {filteredEvents.map((event) => {
+            {events.map((event) => {
               const eventId = getEventId(event);
+              const occurrenceKey = getOccurrenceKey(event);
               const status = getEventStatus(event.start_time, event.end_time);
 
               return (
                 <div
-                  key={eventId}
+                  key={occurrenceKey}
                   className="bg-white border rounded-xl p-5 shadow-md transition-all duration-300 transform hover:scale-105 hover:shadow-xl hover:border-blue-300 flex flex-col h-full"
                 >
                   {/* Event Title */}
@@ -739,6 +880,13 @@ const EventsScreen = ({ user }) => {
                     {event.end_time && ` - ${formatDate(event.end_time)}`}
                   </p>
 
+                  {/* Recurrence */}
+                  {event.recurrence_rule && (
+                    <p className="text-purple-600 text-xs mb-2">
+                      🔁 {describeRecurrence(event.recurrence_rule)}
+                    </p>
+                  )}
+
                   {/* Categories - show as small badges under date/time */}
                   {(event.categories && event.categories.length > 0) ? (
                     <div className="flex flex-wrap gap-2 mb-3">
@@ -778,7 +926,7 @@ const EventsScreen = ({ user }) => {
                     <div className="grid grid-cols-2 gap-2">
                       {/* Rate Button */}
                       <button
-                        onClick={() => setShowRatingModal(showRatingModal === eventId ? null : eventId)}
+                        onClick={() => setShowRatingModal(showRatingModal === occurrenceKey ? null : occurrenceKey)}
                         className={`px-3 py-2 rounded-lg transition-all duration-300 font-medium text-sm whitespace-nowrap ${
                           status.label === "Ended"
                             ? "bg-yellow-100 text-yellow-700 hover:bg-yellow-200 border border-yellow-300"
@@ -795,7 +943,7 @@ const EventsScreen = ({ user }) => {
                           {/* Info Button */}
                           <button
                             className="px-3 py-2 rounded-lg transition-all duration-300 bg-blue-50 text-blue-600 hover:bg-blue-100 font-medium text-sm border border-blue-200"
-                            onClick={() => setExpandedEventId(expandedEventId === eventId ? null : eventId)}
+                            onClick={() => setExpandedEventId(expandedEventId === occurrenceKey ? null : occurrenceKey)}
                             title="View comments and attendance"
                           >
                             💬 Info
@@ -832,15 +980,25 @@ const EventsScreen = ({ user }) => {
                     </div>
                   </div>
 
+                  {/* Add to Calendar - downloads an .ics file */}
+                  <a
+                    href={`${API_URL}/events/${eventId}/ics`}
+                    download={`event-${eventId}.ics`}
+                    className="mt-2 block w-full text-center px-3 py-2 rounded-lg transition-all duration-300 bg-green-50 text-green-700 hover:bg-green-100 font-medium text-sm border border-green-200"
+                    title="Download an .ics file for your calendar app"
+                  >
+                    📆 Add to Calendar
+                  </a>
+
                   {/* Expandable Sections - NOW USING IMPORTED COMPONENTS */}
-                  {showRatingModal === eventId && (
-                    <RatingSection eventId={eventId} eventStatus={status.label} />
+                  {showRatingModal === occurrenceKey && (
+                    <RatingSection eventId={eventId} occurrence={event.occurrence_start} eventStatus={status.label} user={user} />
                   )}
                   
-                  {expandedEventId === eventId && (
+                  {expandedEventId === occurrenceKey && (
                     <>
-                      <AttendanceSection eventId={eventId} />
-                      <CommentSection eventId={eventId} user={user} />
+                      <AttendanceSection eventId={eventId} occurrence={event.occurrence_start} user={user} />
+                      <CommentSection eventId={eventId} occurrence={event.occurrence_start} user={user} canModerate={canModerate} />
                     </>
                   )}
                 </div>
@@ -848,6 +1006,19 @@ const EventsScreen = ({ user }) => {
             })}
           </div>
         )}
+
+        {/* Load More */}
+        {!loading && !error && nextCursor && (
+          <div className="flex justify-center mt-6">
+            <button
+              onClick={() => fetchEvents(nextCursor)}
+              disabled={loadingMore}
+              className="px-6 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 transition-all duration-200 disabled:bg-gray-400"
+            >
+              {loadingMore ? "Loading..." : "Load more"}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
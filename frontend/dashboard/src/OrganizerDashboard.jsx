@@ -290,7 +290,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from './supabaseClient';
-import { Calendar, DollarSign, Users, Bell, LogOut, AlertCircle } from 'lucide-react';
+import { clearTwoFactorToken, twoFactorHeaders } from './twoFactor';
+import { Calendar, DollarSign, Users, Bell, LogOut, AlertCircle, QrCode, ShieldAlert, ShieldCheck, UserCog, ClipboardCheck } from 'lucide-react';
 
 function OrganizerDashboard() {
   const navigate = useNavigate();
@@ -303,6 +304,7 @@ function OrganizerDashboard() {
     activeNotices: 0
   });
   const [authError, setAuthError] = useState('');
+  const [isAdmin, setIsAdmin] = useState(false);
 
   useEffect(() => {
     checkAuthAndLoadData();
@@ -325,12 +327,11 @@ function OrganizerDashboard() {
       console.log('🔍 Checking organizer access for:', session.user.email);
 
       // Verify organizer status with backend
-      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/verify-organizer', {
-        method: 'POST',
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/me', {
         headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email: session.user.email })
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
       });
 
       const result = await response.json();
@@ -345,7 +346,8 @@ function OrganizerDashboard() {
 
       console.log('✅ Organizer access verified');
       setUser(session.user);
-      loadStats();
+      setIsAdmin(result.user?.role === 'admin');
+      loadStats(session);
 
     } catch (error) {
       console.error('Auth check error:', error);
@@ -356,36 +358,22 @@ function OrganizerDashboard() {
     }
   };
 
-  const loadStats = async () => {
+  const loadStats = async (session) => {
     try {
-      // Load events count
-      const { count: eventsCount } = await supabase
-        .from('events')
-        .select('*', { count: 'exact', head: true });
-
-      // Load expenses total
-      const { data: expensesData } = await supabase
-        .from('expenses')
-        .select('amount');
-      const expensesTotal = expensesData?.reduce((sum, exp) => sum + (parseFloat(exp.amount) || 0), 0) || 0;
-
-      // Load committee members count
-      const { count: committeeCount } = await supabase
-        .from('committee')
-        .select('*', { count: 'exact', head: true });
-
-      // Load active notices count
-      const { count: noticesCount } = await supabase
-        .from('notices')
-        .select('*', { count: 'exact', head: true })
-        .eq('is_active', true);
-
-      setStats({
-        totalEvents: eventsCount || 0,
-        totalExpenses: expensesTotal,
-        committeeMembers: committeeCount || 0,
-        activeNotices: noticesCount || 0
+      // Counts and totals come from the organizer API
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/organizer/stats', {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
       });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load stats');
+      }
+
+      setStats(result.stats);
     } catch (error) {
       console.error('Error loading stats:', error);
     }
@@ -393,6 +381,7 @@ function OrganizerDashboard() {
 
   const handleLogout = async () => {
     try {
+      clearTwoFactorToken();
       await supabase.auth.signOut();
       navigate('/', { replace: true });
     } catch (error) {
@@ -511,6 +500,45 @@ function OrganizerDashboard() {
             onClick={() => navigate('/organizer/notices')}
             color="from-pink-500 to-pink-600"
           />
+          <ActionCard
+            icon={<QrCode className="w-12 h-12" />}
+            title="Check-In"
+            description="Scan attendee tickets"
+            onClick={() => navigate('/organizer/check-in')}
+            color="from-teal-500 to-teal-600"
+          />
+          <ActionCard
+            icon={<ShieldAlert className="w-12 h-12" />}
+            title="Moderation"
+            description="Review flagged comments"
+            onClick={() => navigate('/organizer/comments')}
+            color="from-orange-500 to-orange-600"
+          />
+          <ActionCard
+            icon={<ShieldCheck className="w-12 h-12" />}
+            title="Security"
+            description="Two-factor authentication"
+            onClick={() => navigate('/organizer/security')}
+            color="from-gray-600 to-gray-700"
+          />
+          {isAdmin && (
+            <ActionCard
+              icon={<UserCog className="w-12 h-12" />}
+              title="User Roles"
+              description="Promote or demote users"
+              onClick={() => navigate('/admin/users')}
+              color="from-red-500 to-red-600"
+            />
+          )}
+          {isAdmin && (
+            <ActionCard
+              icon={<ClipboardCheck className="w-12 h-12" />}
+              title="Applications"
+              description="Review organizer access requests"
+              onClick={() => navigate('/admin/applications')}
+              color="from-indigo-500 to-indigo-600"
+            />
+          )}
         </div>
 
         {/* Quick Info */}
@@ -461,33 +461,164 @@
 
 // export default UnifiedLogin;
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { supabase } from './supabaseClient';
-import { Eye, EyeOff, Mail, Lock, User, LogIn } from 'lucide-react';
+import { setTwoFactorToken, clearTwoFactorToken } from './twoFactor';
+import { toFieldErrors, hasFieldErrors } from './fieldErrors';
+import HoneypotField from '../components/HoneypotField';
+import FieldError from '../components/FieldError';
+import { Eye, EyeOff, Mail, Lock, User, LogIn, ArrowLeft } from 'lucide-react';
 
 const UnifiedLogin = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
+  // AuthCallback sends failures back as ?error=...
+  const [error, setError] = useState(() => new URLSearchParams(window.location.search).get('error') || '');
+  const [fieldErrors, setFieldErrors] = useState({});  // Per-input messages from the API
   const [loading, setLoading] = useState(false);
   const [loginType, setLoginType] = useState('attendee'); // 'attendee' or 'organizer'
   const [showSignup, setShowSignup] = useState(false); // Toggle between login/signup for attendees
   const [showPassword, setShowPassword] = useState(false);
 
+  // Account recovery: reset links open /?reset=<token>, verification links /?verify=<token>
+  const [view, setView] = useState(() =>
+    new URLSearchParams(window.location.search).get('reset') ? 'reset' : 'login'
+  ); // 'login', 'forgot', 'resend', 'reset' or 'twoFactor'
+  const [notice, setNotice] = useState('');           // Success message shown above the form
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmNewPassword, setConfirmNewPassword] = useState('');
+
+  // Organizer two-factor step after the password
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
   // Signup form state
   const [signupData, setSignupData] = useState({
     full_name: '',
     email: '',
     password: '',
-    confirmPassword: ''
+    confirmPassword: '',
+    website: ''         // Honeypot, stays empty for real users
   });
 
+  // =========================================
+  // ACCOUNT RECOVERY (RESET / VERIFICATION)
+  // =========================================
+
+  // POST to a backend auth endpoint and return the parsed result
+  const postAuth = async (path, body) => {
+    const response = await fetch(`https://event-manager-app-jade.vercel.app/api/auth${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    return response.json();
+  };
+
+  // Drop ?reset= / ?verify= so a reload doesn't reuse a spent token
+  const clearLinkToken = () => window.history.replaceState({}, '', window.location.pathname);
+
+  const showView = (next) => {
+    setError('');
+    setFieldErrors({});
+    setNotice('');
+    setView(next);
+  };
+
+  // Verification links confirm the email as soon as the page opens
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get('verify');
+    if (!token) return;
+
+    clearLinkToken();
+    setLoading(true);
+    postAuth('/verify-email', { token })
+      .then((result) => {
+        if (result.success) {
+          setNotice(result.message);
+        } else {
+          setError(result.error || 'Verification failed');
+        }
+      })
+      .catch(() => setError('Network error. Please try again.'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRecoveryRequest = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+    setNotice('');
+    setLoading(true);
+
+    try {
+      const path = view === 'forgot' ? '/password-reset/request' : '/resend-verification';
+      const result = await postAuth(path, { email: email.trim() });
+
+      if (result.success) {
+        setNotice(result.message);
+      } else if (hasFieldErrors(result)) {
+        setFieldErrors(toFieldErrors(result));
+      } else {
+        setError(result.error || 'Request failed');
+      }
+    } catch (err) {
+      console.error('💥 Recovery request error:', err);
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasswordReset = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+
+    if (newPassword.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (newPassword !== confirmNewPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const token = new URLSearchParams(window.location.search).get('reset');
+      const result = await postAuth('/password-reset/confirm', { token, password: newPassword });
+
+      if (result.success) {
+        clearLinkToken();
+        setNewPassword('');
+        setConfirmNewPassword('');
+        setView('login');
+        setNotice(result.message);
+      } else if (toFieldErrors(result).password) {
+        setFieldErrors(toFieldErrors(result));
+      } else {
+        setError(result.error || 'Password reset failed');
+      }
+    } catch (err) {
+      console.error('💥 Password reset error:', err);
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // =========================================
   // ATTENDEE SIGNUP FUNCTION
   // =========================================
   const handleAttendeeSignup = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     
     // Validation
     if (!signupData.full_name || !signupData.email || !signupData.password) {
@@ -518,7 +649,8 @@ const UnifiedLogin = () => {
         body: JSON.stringify({
           full_name: signupData.full_name.trim(),
           email: signupData.email.trim(),
-          password: signupData.password
+          password: signupData.password,
+          website: signupData.website
         }),
       });
 
@@ -527,15 +659,22 @@ const UnifiedLogin = () => {
       if (result.success) {
         console.log('✅ Signup successful');
         setError('');
-        alert('✅ Registration successful! You can now login with your credentials.');
+        if (result.requiresConfirmation) {
+          setNotice(result.message);
+        } else {
+          alert('✅ Registration successful! You can now login with your credentials.');
+        }
         setShowSignup(false); // Switch back to login
         setEmail(signupData.email); // Pre-fill email
         setSignupData({
           full_name: '',
           email: '',
           password: '',
-          confirmPassword: ''
+          confirmPassword: '',
+          website: ''
         });
+      } else if (hasFieldErrors(result)) {
+        setFieldErrors(toFieldErrors(result));
       } else {
         setError(result.error || 'Registration failed');
       }
@@ -617,6 +756,9 @@ const UnifiedLogin = () => {
 
     try {
       console.log('🚀 Starting organizer login for:', email);
+
+      // A new password login always asks for a new two-factor code
+      clearTwoFactorToken();
       
       // Step 1: Sign in with Supabase
       const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
@@ -632,20 +774,30 @@ const UnifiedLogin = () => {
       console.log('✅ Login successful, checking organizer role...');
 
       // Step 2: Verify organizer role via API
-      const apiResponse = await fetch('https://event-manager-app-jade.vercel.app/api/auth/verify-organizer', {
-        method: 'POST',
+      const apiResponse = await fetch('https://event-manager-app-jade.vercel.app/api/auth/me', {
         headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ 
-          email: email.trim() 
-        }),
+          'Authorization': `Bearer ${authData.session.access_token}`
+        }
       });
 
       const result = await apiResponse.json();
       console.log('📊 Organizer verification result:', result);
 
       if (result.success && result.isOrganizer) {
+        // Step 3: Second factor, when enabled or required
+        if (result.user?.twoFactorPending === 'verify') {
+          console.log('🔐 Two-factor code required');
+          setTwoFactorCode('');
+          setUseRecoveryCode(false);
+          showView('twoFactor');
+          return;
+        }
+        if (result.user?.twoFactorPending === 'enroll') {
+          console.log('🔐 Two-factor setup required');
+          window.location.href = '/organizer/security';
+          return;
+        }
+
         console.log('🎉 Organizer access granted! Redirecting...');
         window.location.href = '/organizer/dashboard';
       } else {
@@ -662,6 +814,55 @@ const UnifiedLogin = () => {
     }
   };
 
+  // =========================================
+  // ORGANIZER TWO-FACTOR STEP
+  // =========================================
+  const handleTwoFactorVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        showView('login');
+        return;
+      }
+
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/2fa/verify', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify(useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }),
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setTwoFactorToken(result.twoFactorToken);
+        if (result.recoveryCodesLeft !== undefined && result.recoveryCodesLeft <= 3) {
+          alert(`You have ${result.recoveryCodesLeft} recovery codes left. Create new ones on the Security page.`);
+        }
+        window.location.href = '/organizer/dashboard';
+      } else {
+        setError(result.error || 'Verification failed');
+      }
+    } catch (err) {
+      console.error('💥 Two-factor verification error:', err);
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = async () => {
+    await supabase.auth.signOut();
+    setTwoFactorCode('');
+    showView('login');
+  };
+
   // =========================================
   // MAIN SUBMIT HANDLER
   // =========================================
@@ -677,6 +878,163 @@ const UnifiedLogin = () => {
     }
   };
 
+  // =========================================
+  // RENDER - ACCOUNT RECOVERY SCREENS
+  // =========================================
+  if (view !== 'login') {
+    const titles = {
+      forgot: ['Reset your password', "Enter your email and we'll send you a reset link"],
+      resend: ['Verify your email', "Enter your email and we'll send a new verification link"],
+      reset: ['Choose a new password', 'Enter the new password for your account'],
+      twoFactor: [
+        'Two-factor authentication',
+        useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app'
+      ]
+    };
+    const submitHandler = { reset: handlePasswordReset, twoFactor: handleTwoFactorVerify }[view] || handleRecoveryRequest;
+
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          {/* Header */}
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">{titles[view][0]}</h2>
+            <p className="mt-2 text-center text-sm text-gray-600">{titles[view][1]}</p>
+          </div>
+
+          <form className="mt-4 space-y-4" onSubmit={submitHandler}>
+            {view === 'twoFactor' ? (
+              /* Authenticator / Recovery Code Field */
+              <div>
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-1">
+                  {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                  <input
+                    id="twoFactorCode"
+                    type="text"
+                    autoComplete="one-time-code"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoFocus
+                    required
+                    className="appearance-none rounded-md relative block w-full pl-10 pr-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 tracking-widest focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    placeholder={useRecoveryCode ? 'xxxx-xxxx-xxxx' : '123456'}
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => { setUseRecoveryCode(!useRecoveryCode); setTwoFactorCode(''); setError(''); }}
+                  className="mt-2 text-sm font-medium text-blue-600 hover:text-blue-500"
+                >
+                  {useRecoveryCode ? 'Use authenticator app instead' : 'Lost your device? Use a recovery code'}
+                </button>
+              </div>
+            ) : view === 'reset' ? (
+              <>
+                {/* New Password Fields */}
+                <div>
+                  <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    New Password
+                  </label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                    <input
+                      id="newPassword"
+                      type="password"
+                      autoComplete="new-password"
+                      required
+                      className="appearance-none rounded-md relative block w-full pl-10 pr-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                      placeholder="New password (min. 6 characters)"
+                      value={newPassword}
+                      onChange={(e) => setNewPassword(e.target.value)}
+                    />
+                  </div>
+                  <FieldError message={fieldErrors.password} />
+                </div>
+                <div>
+                  <label htmlFor="confirmNewPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    Confirm New Password
+                  </label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                    <input
+                      id="confirmNewPassword"
+                      type="password"
+                      autoComplete="new-password"
+                      required
+                      className="appearance-none rounded-md relative block w-full pl-10 pr-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                      placeholder="Confirm new password"
+                      value={confirmNewPassword}
+                      onChange={(e) => setConfirmNewPassword(e.target.value)}
+                    />
+                  </div>
+                </div>
+              </>
+            ) : (
+              /* Email Field */
+              <div>
+                <label htmlFor="recoveryEmail" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email address
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                  <input
+                    id="recoveryEmail"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    className="appearance-none rounded-md relative block w-full pl-10 pr-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    placeholder="user@example.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                  />
+                </div>
+                <FieldError message={fieldErrors.email} />
+              </div>
+            )}
+
+            {/* Success / Error Messages */}
+            {notice && (
+              <div className="rounded-md bg-green-50 p-4">
+                <div className="text-sm text-green-700">{notice}</div>
+              </div>
+            )}
+            {error && (
+              <div className="rounded-md bg-red-50 p-4">
+                <div className="text-sm text-red-700">{error}</div>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className={`w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+                loading ? 'opacity-50 cursor-not-allowed' : ''
+              }`}
+            >
+              {loading
+                ? 'Please wait...'
+                : { reset: 'Change password', forgot: 'Send reset link', twoFactor: 'Verify' }[view] || 'Send verification link'}
+            </button>
+          </form>
+
+          <div className="text-center">
+            <button
+              type="button"
+              onClick={view === 'twoFactor' ? cancelTwoFactor : () => { clearLinkToken(); showView('login'); }}
+              className="inline-flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-500"
+            >
+              <ArrowLeft className="w-4 h-4" /> Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // =========================================
   // RENDER
   // =========================================
@@ -761,6 +1119,7 @@ const UnifiedLogin = () => {
                   onChange={(e) => setSignupData({...signupData, full_name: e.target.value})}
                 />
               </div>
+              <FieldError message={fieldErrors.full_name} />
             </div>
           )}
 
@@ -787,6 +1146,7 @@ const UnifiedLogin = () => {
                 }
               />
             </div>
+            {showSignup && <FieldError message={fieldErrors.email} />}
           </div>
 
           {/* Password Field */}
@@ -819,6 +1179,18 @@ const UnifiedLogin = () => {
                 {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
               </button>
             </div>
+            {showSignup && <FieldError message={fieldErrors.password} />}
+            {!showSignup && (
+              <div className="mt-1 text-right">
+                <button
+                  type="button"
+                  onClick={() => showView('forgot')}
+                  className="text-xs font-medium text-blue-600 hover:text-blue-500"
+                >
+                  Forgot password?
+                </button>
+              </div>
+            )}
           </div>
 
           {/* Confirm Password Field (Signup only) */}
@@ -841,6 +1213,17 @@ const UnifiedLogin = () => {
                   onChange={(e) => setSignupData({...signupData, confirmPassword: e.target.value})}
                 />
               </div>
+              <HoneypotField
+                value={signupData.website}
+                onChange={(website) => setSignupData({ ...signupData, website })}
+              />
+            </div>
+          )}
+
+          {/* Success Message (verification, password reset, signup) */}
+          {notice && (
+            <div className="rounded-md bg-green-50 p-4">
+              <div className="text-sm text-green-700">{notice}</div>
             </div>
           )}
 
@@ -848,6 +1231,16 @@ const UnifiedLogin = () => {
           {error && (
             <div className="rounded-md bg-red-50 p-4">
               <div className="text-sm text-red-700">{error}</div>
+              {/* Supabase refuses logins until the email is confirmed */}
+              {/not confirmed/i.test(error) && (
+                <button
+                  type="button"
+                  onClick={() => showView('resend')}
+                  className="mt-2 text-sm font-medium text-red-800 underline"
+                >
+                  Resend verification email
+                </button>
+              )}
             </div>
           )}
 
@@ -888,17 +1281,26 @@ const UnifiedLogin = () => {
             {loginType === 'attendee' ? (
               <button
                 type="button"
-                onClick={() => setShowSignup(!showSignup)}
+                onClick={() => { setShowSignup(!showSignup); setFieldErrors({}); }}
                 className="font-medium text-blue-600 hover:text-blue-500"
               >
                 {showSignup ? 'Sign in here' : 'Sign up here'}
               </button>
             ) : (
               <span className="text-gray-500">
-                Contact admin for organizer account
+                Need organizer access? Sign in as an attendee and apply from the events page
               </span>
             )}
           </p>
+          {loginType === 'attendee' && (
+            <button
+              type="button"
+              onClick={() => showView('resend')}
+              className="mt-2 text-xs font-medium text-blue-600 hover:text-blue-500"
+            >
+              Didn't get the verification email?
+            </button>
+          )}
         </div>
 
         {/* Info Box */}
@@ -907,7 +1309,7 @@ const UnifiedLogin = () => {
             <strong>Current Mode:</strong> {showSignup ? 'Attendee Signup' : `${loginType} Login`}
             {loginType === 'organizer' && (
               <span className="block mt-1 text-xs">
-                Organizers must use email/password login. Contact support for organizer access.
+                Organizers must use email/password login. Attendees can apply for organizer access after signing in.
               </span>
             )}
             {loginType === 'attendee' && !showSignup && (
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import { twoFactorHeaders } from '../twoFactor';
+import { ClipboardCheck, ArrowLeft, Check, X, RefreshCw } from 'lucide-react';
+
+const API_URL = 'https://event-manager-app-jade.vercel.app/api';
+
+const TABS = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' }
+];
+
+function OrganizerApplications() {
+  const navigate = useNavigate();
+  const [tab, setTab] = useState('pending');
+  const [applications, setApplications] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [notes, setNotes] = useState({});        // application id -> review note being typed
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadApplications();
+  }, [tab]);
+
+  const authorizedFetch = async (path, options = {}) => {
+    // Get the JWT token from Supabase session
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      navigate('/');
+      throw new Error('No session found');
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+        ...twoFactorHeaders()
+      }
+    });
+
+    return response.json();
+  };
+
+  const loadApplications = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const result = await authorizedFetch(`/admin/organizer-applications?status=${tab}&limit=100`);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load applications');
+      }
+
+      setApplications(result.applications);
+      setTotal(result.total);
+    } catch (error) {
+      console.error('❌ Error loading applications:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const review = async (application, decision) => {
+    const note = (notes[application.application_id] || '').trim();
+    if (decision === 'reject' && !note) {
+      setError('Add a note explaining why the application is rejected');
+      return;
+    }
+
+    try {
+      setBusyId(application.application_id);
+      setError('');
+      const result = await authorizedFetch(`/admin/organizer-applications/${application.application_id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ decision, note })
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to review application');
+      }
+
+      // Drop it from the pending list
+      setApplications(applications.filter((a) => a.application_id !== application.application_id));
+      setTotal(total - 1);
+    } catch (error) {
+      console.error('❌ Error reviewing application:', error);
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (value) => new Date(value).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <div className="bg-white shadow-md">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate('/organizer/dashboard')}
+              className="p-2 hover:bg-gray-100 rounded-lg transition"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <ClipboardCheck className="w-8 h-8 text-indigo-600" />
+            <h1 className="text-2xl font-bold text-gray-800">Organizer Applications</h1>
+          </div>
+          <button
+            onClick={loadApplications}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition"
+            title="Reload"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8">
+        {/* Tabs */}
+        <div className="flex gap-2 mb-6">
+          {TABS.map((t) => (
+            <button
+              key={t.id}
+              onClick={() => setTab(t.id)}
+              className={`px-4 py-2 rounded-lg font-medium transition ${
+                tab === t.id ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {t.label}{tab === t.id && !loading ? ` (${total})` : ''}
+            </button>
+          ))}
+        </div>
+
+        {/* Error Display */}
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-600">Loading...</p>
+        ) : applications.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-lg p-8 text-center text-gray-600">
+            No {tab} applications
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {applications.map((application) => (
+              <div key={application.application_id} className="bg-white rounded-xl shadow-lg p-6">
+                <div className="flex justify-between items-start mb-3">
+                  <div>
+                    <p className="font-semibold text-gray-800">{application.user_name || application.user_email}</p>
+                    <p className="text-sm text-gray-500">{application.user_email}</p>
+                  </div>
+                  <span className="text-sm text-gray-500">{formatDate(application.created_at)}</span>
+                </div>
+
+                <p className="text-gray-700 whitespace-pre-wrap mb-4">{application.justification}</p>
+
+                {application.status === 'pending' ? (
+                  <div className="space-y-3">
+                    <textarea
+                      value={notes[application.application_id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [application.application_id]: e.target.value })}
+                      placeholder="Note to the applicant (required to reject)"
+                      rows={2}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => review(application, 'approve')}
+                        disabled={busyId === application.application_id}
+                        className="flex items-center gap-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+                      >
+                        <Check className="w-4 h-4" /> Approve
+                      </button>
+                      <button
+                        onClick={() => review(application, 'reject')}
+                        disabled={busyId === application.application_id}
+                        className="flex items-center gap-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+                      >
+                        <X className="w-4 h-4" /> Reject
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-sm text-gray-600 border-t pt-3">
+                    {application.status === 'approved' ? 'Approved' : 'Rejected'} by {application.reviewed_by_email}
+                    {application.reviewed_at && `, ${formatDate(application.reviewed_at)}`}
+                    {application.review_note && (
+                      <span className="block mt-1 italic">“{application.review_note}”</span>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OrganizerApplications;
@@ -0,0 +1,402 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import { twoFactorHeaders } from '../twoFactor';
+import { UserCog, ArrowLeft, Search, RefreshCw, History, ShieldCheck } from 'lucide-react';
+
+const API_URL = 'https://event-manager-app-jade.vercel.app/api';
+const PAGE_SIZE = 25;
+
+// Lowest to highest, same order as ROLES in backend/middleware/auth.js
+const ROLES = ['user', 'committee', 'organizer', 'admin'];
+
+const ROLE_BADGES = {
+  user: 'bg-gray-100 text-gray-700',
+  committee: 'bg-blue-100 text-blue-700',
+  organizer: 'bg-purple-100 text-purple-700',
+  admin: 'bg-red-100 text-red-700'
+};
+
+function UserRoles() {
+  const navigate = useNavigate();
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [search, setSearch] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [changes, setChanges] = useState([]);
+  const [pendingRoles, setPendingRoles] = useState({});   // user id -> role picked in the select
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [settings, setSettings] = useState(null);   // GET /admin/settings
+
+  useEffect(() => {
+    loadChanges();
+    loadSettings();
+  }, []);
+
+  // Wait for the admin to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => loadUsers(0), 300);
+    return () => clearTimeout(timer);
+  }, [search, roleFilter]);
+
+  const authorizedFetch = async (path, options = {}) => {
+    // Get the JWT token from Supabase session
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      navigate('/');
+      throw new Error('No session found');
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+        ...twoFactorHeaders()
+      }
+    });
+
+    return response.json();
+  };
+
+  const loadUsers = async (newOffset = offset) => {
+    try {
+      setLoading(true);
+      setError('');
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset: newOffset });
+      if (search.trim()) params.set('q', search.trim());
+      if (roleFilter) params.set('role', roleFilter);
+
+      const result = await authorizedFetch(`/admin/users?${params}`);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load users');
+      }
+
+      setUsers(result.users);
+      setTotal(result.total);
+      setOffset(newOffset);
+      setPendingRoles({});
+    } catch (error) {
+      console.error('❌ Error loading users:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadChanges = async () => {
+    try {
+      const result = await authorizedFetch('/admin/role-changes?limit=10');
+      if (result.success) {
+        setChanges(result.changes);
+      }
+    } catch (error) {
+      console.error('❌ Error loading role changes:', error);
+    }
+  };
+
+  const loadSettings = async () => {
+    try {
+      const result = await authorizedFetch('/admin/settings');
+      if (result.success) {
+        setSettings(result.settings);
+      }
+    } catch (error) {
+      console.error('❌ Error loading settings:', error);
+    }
+  };
+
+  const toggleRequire2fa = async () => {
+    const required = !settings.require_organizer_2fa;
+    if (required && !window.confirm('Require two-factor authentication for all organizers and admins? They will have to set it up before using the dashboard.')) {
+      return;
+    }
+
+    try {
+      setError('');
+      const result = await authorizedFetch('/admin/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ require_organizer_2fa: required })
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save setting');
+      }
+      setSettings(result.settings);
+    } catch (error) {
+      console.error('❌ Error saving setting:', error);
+      setError(error.message);
+    }
+  };
+
+  // For organizers who lost their authenticator and recovery codes
+  const resetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.email}? They will have to set it up again.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(user.id);
+      setError('');
+      const result = await authorizedFetch(`/admin/users/${user.id}/two-factor/reset`, { method: 'POST' });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to reset two-factor authentication');
+      }
+      loadUsers();
+    } catch (error) {
+      console.error('❌ Error resetting two-factor authentication:', error);
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const saveRole = async (user) => {
+    const role = pendingRoles[user.id];
+    const reason = window.prompt(`Change ${user.email} from ${user.role} to ${role}? Optional note:`, '');
+    if (reason === null) return;
+
+    try {
+      setBusyId(user.id);
+      setError('');
+      const result = await authorizedFetch(`/admin/users/${user.id}/role`, {
+        method: 'PUT',
+        body: JSON.stringify({ role, reason })
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to change role');
+      }
+
+      loadUsers();
+      loadChanges();
+    } catch (error) {
+      console.error('❌ Error changing role:', error);
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (value) => new Date(value).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <div className="bg-white shadow-md">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate('/organizer/dashboard')}
+              className="p-2 hover:bg-gray-100 rounded-lg transition"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <UserCog className="w-8 h-8 text-red-600" />
+            <h1 className="text-2xl font-bold text-gray-800">User Roles</h1>
+          </div>
+          <button
+            onClick={() => { loadUsers(); loadChanges(); }}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition"
+            title="Reload"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 space-y-6">
+        {/* Error Display */}
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {/* Site-wide security setting */}
+        {settings && (
+          <div className="bg-white rounded-xl shadow-lg p-6 flex items-center justify-between gap-4">
+            <div className="flex items-start gap-3">
+              <ShieldCheck className="w-6 h-6 text-indigo-600 mt-0.5" />
+              <div>
+                <p className="font-semibold text-gray-800">Require two-factor authentication for organizers</p>
+                <p className="text-sm text-gray-600">
+                  Organizers and admins without an authenticator app are sent to set one up before they can use the dashboard.
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={toggleRequire2fa}
+              className={`px-4 py-2 rounded-lg font-medium transition whitespace-nowrap ${
+                settings.require_organizer_2fa
+                  ? 'bg-green-600 text-white hover:bg-green-700'
+                  : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {settings.require_organizer_2fa ? 'Required' : 'Optional'}
+            </button>
+          </div>
+        )}
+
+        {/* Search and Filter */}
+        <div className="flex flex-col md:flex-row gap-3">
+          <div className="relative flex-1">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              placeholder="Search by name or email"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+          </div>
+          <select
+            value={roleFilter}
+            onChange={(e) => setRoleFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value="">All roles</option>
+            {ROLES.map((role) => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Users */}
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          {loading ? (
+            <p className="text-gray-600">Loading...</p>
+          ) : users.length === 0 ? (
+            <p className="text-gray-600">No users found</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Email</th>
+                    <th className="py-2 pr-4">Role</th>
+                    <th className="py-2 pr-4">Joined</th>
+                    <th className="py-2 pr-4">2FA</th>
+                    <th className="py-2">Change role</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((user) => {
+                    const picked = pendingRoles[user.id] || user.role;
+                    return (
+                      <tr key={user.id} className="border-b last:border-0">
+                        <td className="py-3 pr-4 font-medium text-gray-800">{user.full_name || '—'}</td>
+                        <td className="py-3 pr-4 text-gray-600">{user.email}</td>
+                        <td className="py-3 pr-4">
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${ROLE_BADGES[user.role] || ROLE_BADGES.user}`}>
+                            {user.role}
+                          </span>
+                        </td>
+                        <td className="py-3 pr-4 text-gray-500">
+                          {user.created_at ? new Date(user.created_at).toLocaleDateString() : '—'}
+                        </td>
+                        <td className="py-3 pr-4">
+                          {user.two_factor_enabled_at ? (
+                            <div className="flex items-center gap-2">
+                              <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">On</span>
+                              <button
+                                onClick={() => resetTwoFactor(user)}
+                                disabled={busyId === user.id}
+                                className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                              >
+                                Reset
+                              </button>
+                            </div>
+                          ) : (
+                            <span className="text-gray-400">—</span>
+                          )}
+                        </td>
+                        <td className="py-3">
+                          <div className="flex gap-2">
+                            <select
+                              value={picked}
+                              onChange={(e) => setPendingRoles({ ...pendingRoles, [user.id]: e.target.value })}
+                              disabled={busyId === user.id}
+                              className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+                            >
+                              {ROLES.map((role) => (
+                                <option key={role} value={role}>{role}</option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={() => saveRole(user)}
+                              disabled={picked === user.role || busyId === user.id}
+                              className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                            >
+                              Save
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {total > PAGE_SIZE && (
+            <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+              <span>
+                {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => loadUsers(Math.max(0, offset - PAGE_SIZE))}
+                  disabled={offset === 0 || loading}
+                  className="px-3 py-1 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => loadUsers(offset + PAGE_SIZE)}
+                  disabled={offset + PAGE_SIZE >= total || loading}
+                  className="px-3 py-1 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Recent role changes */}
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h2 className="text-lg font-bold text-gray-800 mb-4 flex items-center gap-2">
+            <History className="w-5 h-5" />
+            Recent Role Changes
+          </h2>
+          {changes.length === 0 ? (
+            <p className="text-gray-600 text-sm">No role changes yet</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {changes.map((change) => (
+                <li key={change.change_id} className="text-gray-700">
+                  <span className="font-medium">{change.user_email}</span>
+                  {' '}{change.old_role} → <span className="font-medium">{change.new_role}</span>
+                  <span className="text-gray-500"> by {change.changed_by_email}, {formatDate(change.created_at)}</span>
+                  {change.reason && <span className="text-gray-500 italic"> — {change.reason}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UserRoles;
@@ -0,0 +1,27 @@
+// ============================================================================
+// FIELD ERRORS FROM THE API
+// ============================================================================
+// Invalid requests get 400 { success: false, error, errors } where errors is
+// a list of { field, location, message } (see backend/middleware/validate.js).
+// Forms turn that list into a { field: message } map and show each message
+// next to its input with components/FieldError.jsx.
+
+// { field: message } for a failed response (first message per field).
+// Nested fields such as "recurrence.count" or "selectedCategories[0]" are
+// also listed under their top-level field, for forms that show one message
+// for the whole group.
+export function toFieldErrors(result) {
+  const fieldErrors = {};
+  for (const { field, message } of result?.errors || []) {
+    if (!field) continue;
+    for (const key of [field, field.split(/[.[]/)[0]]) {
+      if (!fieldErrors[key]) fieldErrors[key] = message;
+    }
+  }
+  return fieldErrors;
+}
+
+// True when a failed response listed errors for individual fields
+export function hasFieldErrors(result) {
+  return Object.keys(toFieldErrors(result)).length > 0;
+}
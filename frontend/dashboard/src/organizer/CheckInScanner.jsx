@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import { twoFactorHeaders } from '../twoFactor';
+import { QrCode, ArrowLeft, Camera, CameraOff, CheckCircle, XCircle, RefreshCw } from 'lucide-react';
+
+function CheckInScanner() {
+  const navigate = useNavigate();
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const scanningRef = useRef(false);
+  const selectedEventRef = useRef('');
+  const [events, setEvents] = useState([]);
+  const [selectedEventId, setSelectedEventId] = useState('');
+  const [report, setReport] = useState([]);
+  const [manualToken, setManualToken] = useState('');
+  const [cameraOn, setCameraOn] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  // Native QR scanning is only available in some browsers
+  const cameraSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  useEffect(() => {
+    checkAuth();
+    return () => stopCamera();
+  }, []);
+
+  // The scan loop reads the event through a ref so it sees later selections
+  useEffect(() => {
+    selectedEventRef.current = selectedEventId;
+  }, [selectedEventId]);
+
+  const checkAuth = async () => {
+    try {
+      setError('');
+      const { data: { session } } = await supabase.auth.getSession();
+
+      if (!session) {
+        console.log('❌ No session found');
+        navigate('/');
+        return;
+      }
+
+      // Verify organizer status
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/me', {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
+      });
+
+      const result = await response.json();
+
+      if (!result.success || !result.isOrganizer) {
+        setError('Organizer access required');
+        return;
+      }
+
+      loadEvents();
+      loadReport();
+    } catch (error) {
+      console.error('Auth check error:', error);
+      setError('Authentication failed');
+    }
+  };
+
+  const authorizedFetch = async (path, options = {}) => {
+    // Get the JWT token from Supabase session
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      throw new Error('No session found');
+    }
+
+    const response = await fetch(`https://event-manager-app-jade.vercel.app/api/organizer${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+        ...twoFactorHeaders()
+      }
+    });
+
+    return response.json();
+  };
+
+  const loadEvents = async () => {
+    try {
+      const result = await authorizedFetch('/events');
+      if (result.success) {
+        setEvents(result.events || []);
+      } else {
+        throw new Error(result.error || 'Failed to load events');
+      }
+    } catch (error) {
+      console.error('❌ Error loading events:', error);
+      setError(error.message);
+    }
+  };
+
+  const loadReport = async () => {
+    try {
+      const result = await authorizedFetch('/attendance-report');
+      if (result.success) {
+        setReport(result.report || []);
+      } else {
+        throw new Error(result.error || 'Failed to load attendance report');
+      }
+    } catch (error) {
+      console.error('❌ Error loading report:', error);
+      setError(error.message);
+    }
+  };
+
+  const checkIn = async (token) => {
+    if (!token || !token.trim()) return;
+
+    try {
+      setError('');
+      const result = await authorizedFetch('/check-in', {
+        method: 'POST',
+        body: JSON.stringify({
+          token: token.trim(),
+          event_id: selectedEventRef.current || undefined
+        })
+      });
+
+      setResult({
+        success: result.success,
+        message: result.success ? 'Checked in' : result.error,
+        attendee: result.attendee
+      });
+
+      if (result.success) {
+        setManualToken('');
+        loadReport();
+      }
+    } catch (error) {
+      console.error('❌ Error checking in:', error);
+      setResult({ success: false, message: error.message });
+    }
+  };
+
+  const startCamera = async () => {
+    try {
+      setError('');
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setCameraOn(true);
+      scanLoop(new window.BarcodeDetector({ formats: ['qr_code'] }));
+    } catch (error) {
+      console.error('❌ Camera error:', error);
+      setError('Could not access the camera');
+    }
+  };
+
+  const stopCamera = () => {
+    scanningRef.current = false;
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+    }
+    setCameraOn(false);
+  };
+
+  // Look for a QR code every half second, pausing after each hit so one ticket isn't sent twice
+  const scanLoop = (detector) => {
+    scanningRef.current = true;
+
+    const tick = async () => {
+      if (!scanningRef.current || !videoRef.current) return;
+
+      try {
+        const codes = await detector.detect(videoRef.current);
+        if (codes.length > 0) {
+          await checkIn(codes[0].rawValue);
+          setTimeout(tick, 2000);
+          return;
+        }
+      } catch (error) {
+        console.error('❌ Scan error:', error);
+      }
+
+      setTimeout(tick, 500);
+    };
+
+    tick();
+  };
+
+  const formatPercent = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <div className="bg-white shadow-md">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate('/organizer/dashboard')}
+              className="p-2 hover:bg-gray-100 rounded-lg transition"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <QrCode className="w-8 h-8 text-teal-600" />
+            <h1 className="text-2xl font-bold text-gray-800">Ticket Check-In</h1>
+          </div>
+          <button
+            onClick={loadReport}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition"
+            title="Reload report"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 space-y-6">
+        {/* Error Display */}
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {/* Scanner */}
+        <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Event
+            </label>
+            <select
+              value={selectedEventId}
+              onChange={(e) => setSelectedEventId(e.target.value)}
+              className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Any event</option>
+              {events.map((event) => (
+                <option key={event.event_id} value={event.event_id}>
+                  {event.event_title}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {cameraSupported ? (
+            <div className="space-y-3">
+              <video
+                ref={videoRef}
+                className={`w-full max-w-md mx-auto rounded-lg bg-black ${cameraOn ? '' : 'hidden'}`}
+                muted
+                playsInline
+              />
+              <button
+                onClick={cameraOn ? stopCamera : startCamera}
+                className="flex items-center gap-2 px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition"
+              >
+                {cameraOn ? <CameraOff className="w-5 h-5" /> : <Camera className="w-5 h-5" />}
+                {cameraOn ? 'Stop Camera' : 'Scan with Camera'}
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Camera scanning is not supported in this browser. Paste the ticket code below instead.
+            </p>
+          )}
+
+          {/* Manual entry */}
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              checkIn(manualToken);
+            }}
+            className="flex gap-3"
+          >
+            <input
+              type="text"
+              value={manualToken}
+              onChange={(e) => setManualToken(e.target.value)}
+              className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono text-sm"
+              placeholder="Ticket code..."
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+            >
+              Check In
+            </button>
+          </form>
+
+          {/* Last scan result */}
+          {result && (
+            <div className={`flex items-center gap-3 p-4 rounded-lg border ${
+              result.success ? 'bg-green-50 border-green-200 text-green-700' : 'bg-red-50 border-red-200 text-red-700'
+            }`}>
+              {result.success ? <CheckCircle className="w-6 h-6" /> : <XCircle className="w-6 h-6" />}
+              <div>
+                <p className="font-semibold">{result.message}</p>
+                {result.attendee && (
+                  <p className="text-sm">
+                    {result.attendee.user_name} — {result.attendee.event?.event_title}
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Attendance Report */}
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h2 className="text-xl font-bold text-gray-800 mb-4">Attendance Report</h2>
+          {report.length === 0 ? (
+            <p className="text-gray-600">No events yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Event</th>
+                    <th className="py-2 pr-4">RSVPs</th>
+                    <th className="py-2 pr-4">Checked In</th>
+                    <th className="py-2 pr-4">No-Shows</th>
+                    <th className="py-2">No-Show Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.map((row) => (
+                    <tr key={`${row.event_id}:${row.occurrence_start}`} className="border-b last:border-0">
+                      <td className="py-2 pr-4 font-medium text-gray-800">
+                        {row.event_title}
+                        {row.occurrence_start && (
+                          <span className="block text-xs font-normal text-gray-500">
+                            {new Date(row.start_time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">{row.rsvps}</td>
+                      <td className="py-2 pr-4">{row.checkedIn}</td>
+                      <td className="py-2 pr-4">{row.noShows === null ? '—' : row.noShows}</td>
+                      <td className="py-2">{formatPercent(row.noShowRate)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CheckInScanner;
@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import { twoFactorHeaders } from '../twoFactor';
+import { ShieldAlert, ArrowLeft, CheckCircle, EyeOff, Trash2, Flag, RefreshCw } from 'lucide-react';
+
+const API_URL = 'https://event-manager-app-jade.vercel.app/api';
+
+// Queues shown as tabs (see GET /api/organizer/comments/moderation)
+const QUEUES = [
+  { id: 'pending', label: 'Held for Review' },
+  { id: 'reported', label: 'Reported' },
+  { id: 'hidden', label: 'Hidden' }
+];
+
+function CommentModeration() {
+  const navigate = useNavigate();
+  const [queue, setQueue] = useState('pending');
+  const [comments, setComments] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, reported: 0, hidden: 0 });
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    checkAuth();
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+  }, [queue]);
+
+  const checkAuth = async () => {
+    try {
+      setError('');
+      const { data: { session } } = await supabase.auth.getSession();
+
+      if (!session) {
+        console.log('❌ No session found');
+        navigate('/');
+        return;
+      }
+
+      // Verify organizer status
+      const response = await fetch(`${API_URL}/auth/me`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
+      });
+
+      const result = await response.json();
+
+      if (!result.success || !result.isOrganizer) {
+        setError('Organizer access required');
+      }
+    } catch (error) {
+      console.error('Auth check error:', error);
+      setError('Authentication failed');
+    }
+  };
+
+  const authorizedFetch = async (path, options = {}) => {
+    // Get the JWT token from Supabase session
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      throw new Error('No session found');
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+        ...twoFactorHeaders()
+      }
+    });
+
+    return response.json();
+  };
+
+  const loadQueue = async () => {
+    try {
+      setLoading(true);
+      const result = await authorizedFetch(`/organizer/comments/moderation?status=${queue}`);
+      if (result.success) {
+        setComments(result.comments || []);
+        setCounts(result.counts || { pending: 0, reported: 0, hidden: 0 });
+      } else {
+        throw new Error(result.error || 'Failed to load comments');
+      }
+    } catch (error) {
+      console.error('❌ Error loading moderation queue:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Approve makes the comment visible again, hide takes it down
+  const moderate = async (commentId, action) => {
+    try {
+      setBusyId(commentId);
+      setError('');
+      const result = await authorizedFetch(`/organizer/comments/${commentId}/moderation`, {
+        method: 'PUT',
+        body: JSON.stringify({ action })
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to update comment');
+      }
+      loadQueue();
+    } catch (error) {
+      console.error('❌ Error moderating comment:', error);
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Delete is the moderator removal of DELETE /api/comments/:id (needs a reason)
+  const deleteComment = async (commentId) => {
+    const reason = window.prompt('Why are you deleting this comment?');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError('A reason is required to delete a comment');
+      return;
+    }
+
+    try {
+      setBusyId(commentId);
+      setError('');
+      const result = await authorizedFetch(`/comments/${commentId}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ reason: reason.trim() })
+      });
+
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      loadQueue();
+    } catch (error) {
+      console.error('❌ Error deleting comment:', error);
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (value) => new Date(value).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <div className="bg-white shadow-md">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate('/organizer/dashboard')}
+              className="p-2 hover:bg-gray-100 rounded-lg transition"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <ShieldAlert className="w-8 h-8 text-orange-600" />
+            <h1 className="text-2xl font-bold text-gray-800">Comment Moderation</h1>
+          </div>
+          <button
+            onClick={loadQueue}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition"
+            title="Reload"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 space-y-6">
+        {/* Error Display */}
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {/* Queue Tabs */}
+        <div className="flex gap-2">
+          {QUEUES.map((q) => (
+            <button
+              key={q.id}
+              onClick={() => setQueue(q.id)}
+              className={`px-4 py-2 rounded-lg font-medium transition ${
+                queue === q.id ? 'bg-orange-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {q.label} ({counts[q.id] || 0})
+            </button>
+          ))}
+        </div>
+
+        {/* Comments */}
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          {loading ? (
+            <p className="text-gray-600">Loading...</p>
+          ) : comments.length === 0 ? (
+            <p className="text-gray-600">Nothing to review</p>
+          ) : (
+            <div className="space-y-4">
+              {comments.map((comment) => (
+                <div key={comment.id} className="border rounded-lg p-4">
+                  <div className="flex justify-between items-start gap-4 mb-2">
+                    <div>
+                      <p className="font-semibold text-gray-800">
+                        {comment.author_name}
+                        {comment.author_role === 'organizer' && (
+                          <span className="ml-2 text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded">Organizer</span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {comment.event?.event_title || `Event #${comment.event_id}`}
+                        {comment.occurrence_start && ` · ${formatDate(comment.occurrence_start)}`}
+                        {' · '}posted {formatDate(comment.created_at)}
+                        {comment.parent_id && ' · reply'}
+                      </p>
+                    </div>
+                    {comment.flag_reason && (
+                      <span className="text-xs bg-orange-100 text-orange-700 px-2 py-1 rounded whitespace-nowrap">
+                        {comment.flag_reason}
+                      </span>
+                    )}
+                  </div>
+
+                  <p className="text-gray-700 mb-3 whitespace-pre-wrap">{comment.comment_text}</p>
+
+                  {/* Open reports */}
+                  {comment.reports.length > 0 && (
+                    <div className="mb-3 p-3 bg-red-50 rounded-lg space-y-1">
+                      {comment.reports.map((report) => (
+                        <p key={report.report_id} className="text-sm text-red-700 flex items-start gap-2">
+                          <Flag className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                          <span>
+                            {report.reason}
+                            <span className="text-xs text-red-500"> — {report.reporter_email}, {formatDate(report.created_at)}</span>
+                          </span>
+                        </p>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => moderate(comment.id, 'approve')}
+                      disabled={busyId === comment.id}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      {queue === 'hidden' ? 'Restore' : 'Approve'}
+                    </button>
+                    {queue !== 'hidden' && (
+                      <button
+                        onClick={() => moderate(comment.id, 'hide')}
+                        disabled={busyId === comment.id}
+                        className="flex items-center gap-1 px-3 py-1.5 bg-gray-600 text-white text-sm rounded-lg hover:bg-gray-700 transition disabled:opacity-50"
+                      >
+                        <EyeOff className="w-4 h-4" />
+                        Hide
+                      </button>
+                    )}
+                    <button
+                      onClick={() => deleteComment(comment.id)}
+                      disabled={busyId === comment.id}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CommentModeration;
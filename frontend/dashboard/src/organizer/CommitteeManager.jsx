@@ -495,6 +495,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
+import { twoFactorHeaders } from '../twoFactor';
+import { toFieldErrors, hasFieldErrors } from '../fieldErrors';
+import FieldError from '../../components/FieldError';
 import { Users, Plus, Edit, Trash2, ArrowLeft, Save, X, Mail, Phone, RefreshCw } from 'lucide-react';
 
 function CommitteeManager() {
@@ -504,6 +507,7 @@ function CommitteeManager() {
   const [showForm, setShowForm] = useState(false);
   const [editingMember, setEditingMember] = useState(null);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [user, setUser] = useState(null);
   
   const [formData, setFormData] = useState({
@@ -514,6 +518,7 @@ function CommitteeManager() {
     responsibilities: ''
   });
 
+  // Suggested roles; any role up to 100 characters can be typed in
   const roleOptions = [
     'President',
     'Vice President',
@@ -545,12 +550,11 @@ function CommitteeManager() {
       setUser(session.user);
       
       // Verify organizer status
-      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/verify-organizer', {
-        method: 'POST',
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/me', {
         headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email: session.user.email })
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
       });
 
       const result = await response.json();
@@ -591,7 +595,8 @@ function CommitteeManager() {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -614,6 +619,7 @@ function CommitteeManager() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     
     if (!formData.member_name || !formData.role) {
       setError('Member name and role are required');
@@ -642,7 +648,8 @@ function CommitteeManager() {
         method: method,
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         },
         body: JSON.stringify(formData)
       });
@@ -655,7 +662,8 @@ function CommitteeManager() {
         resetForm();
         loadMembers();
       } else {
-        throw new Error(result.error || 'Failed to save member');
+        setFieldErrors(toFieldErrors(result));
+        throw new Error(hasFieldErrors(result) ? 'Please correct the highlighted fields' : result.error || 'Failed to save member');
       }
     } catch (error) {
       console.error('❌ Error saving committee member:', error);
@@ -666,6 +674,7 @@ function CommitteeManager() {
   const handleEdit = (member) => {
     console.log('✏️ Editing committee member:', member);
     setEditingMember(member);
+    setFieldErrors({});
     setFormData({
       member_name: member.member_name,
       role: member.role,
@@ -695,7 +704,8 @@ function CommitteeManager() {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -725,6 +735,7 @@ function CommitteeManager() {
     setEditingMember(null);
     setShowForm(false);
     setError('');
+    setFieldErrors({});
   };
 
   const retryLoad = () => {
@@ -818,6 +829,7 @@ function CommitteeManager() {
                       placeholder="Enter full name"
                       required
                     />
+                    <FieldError message={fieldErrors.member_name} />
                   </div>
 
                   {/* Role */}
@@ -825,17 +837,22 @@ function CommitteeManager() {
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Role *
                     </label>
-                    <select
+                    <input
+                      type="text"
+                      list="committee-role-options"
                       value={formData.role}
                       onChange={(e) => setFormData({ ...formData, role: e.target.value })}
                       className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      placeholder="e.g. Treasurer"
+                      maxLength={100}
                       required
-                    >
-                      <option value="">Select Role</option>
+                    />
+                    <datalist id="committee-role-options">
                       {roleOptions.map((role) => (
-                        <option key={role} value={role}>{role}</option>
+                        <option key={role} value={role} />
                       ))}
-                    </select>
+                    </datalist>
+                    <FieldError message={fieldErrors.role} />
                   </div>
 
                   {/* Email */}
@@ -850,6 +867,7 @@ function CommitteeManager() {
                       className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                       placeholder="member@example.com"
                     />
+                    <FieldError message={fieldErrors.email} />
                   </div>
 
                   {/* Phone */}
@@ -864,6 +882,7 @@ function CommitteeManager() {
                       className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                       placeholder="+1 (555) 123-4567"
                     />
+                    <FieldError message={fieldErrors.phone} />
                   </div>
 
                   {/* Responsibilities */}
@@ -878,6 +897,7 @@ function CommitteeManager() {
                       rows="3"
                       placeholder="List key responsibilities..."
                     />
+                    <FieldError message={fieldErrors.responsibilities} />
                   </div>
 
                   {/* Submit Buttons */}
@@ -566,8 +566,21 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
+import { twoFactorHeaders } from '../twoFactor';
+import { toFieldErrors, hasFieldErrors } from '../fieldErrors';
+import FieldError from '../../components/FieldError';
 import { Calendar, Plus, Edit, Trash2, ArrowLeft, Save, X, RefreshCw } from 'lucide-react';
 
+const EMPTY_RECURRENCE = {
+  freq: '',          // '' = does not repeat
+  interval: '1',
+  endType: 'never',  // never | count | until
+  count: '',
+  until: '',
+  exdates: [],
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone  // New series repeat at this local time
+};
+
 function EventManager() {
   const navigate = useNavigate();
   const [events, setEvents] = useState([]);
@@ -576,7 +589,9 @@ function EventManager() {
   const [showForm, setShowForm] = useState(false);
   const [editingEvent, setEditingEvent] = useState(null);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [user, setUser] = useState(null);
+  const [occurrences, setOccurrences] = useState([]);
   
   const [formData, setFormData] = useState({
     event_title: '',
@@ -584,7 +599,11 @@ function EventManager() {
     end_time: '',
     location: '',
     description: '',
-    selectedCategories: []
+    capacity: '',
+    selectedCategories: [],
+    recurrence: EMPTY_RECURRENCE,
+    scope: 'all',
+    occurrence: ''
   });
 
   useEffect(() => {
@@ -605,12 +624,11 @@ function EventManager() {
       setUser(session.user);
       
       // Verify organizer status
-      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/verify-organizer', {
-        method: 'POST',
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/me', {
         headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email: session.user.email })
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
       });
 
       const result = await response.json();
@@ -652,7 +670,8 @@ function EventManager() {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -686,7 +705,8 @@ function EventManager() {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -703,9 +723,108 @@ function EventManager() {
     }
   };
 
+  const loadOccurrences = async (eventId) => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        throw new Error('No session found');
+      }
+
+      const response = await fetch(`https://event-manager-app-jade.vercel.app/api/organizer/events/${eventId}/occurrences`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setOccurrences(result.occurrences || []);
+      } else {
+        throw new Error(result.error || 'Failed to load occurrences');
+      }
+    } catch (error) {
+      console.error('❌ Error loading occurrences:', error);
+      setError(error.message);
+    }
+  };
+
+  // Split an RRULE like FREQ=WEEKLY;INTERVAL=1;COUNT=5 into form fields
+  const parseRecurrenceRule = (rule, exdates, timeZone) => {
+    if (!rule) return EMPTY_RECURRENCE;
+
+    const parts = Object.fromEntries(rule.split(';').map((part) => part.split('=')));
+    const until = parts.UNTIL
+      ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`
+      : '';
+
+    return {
+      freq: parts.FREQ || '',
+      interval: parts.INTERVAL || '1',
+      endType: parts.COUNT ? 'count' : until ? 'until' : 'never',
+      count: parts.COUNT || '',
+      until,
+      exdates: exdates || [],
+      timeZone: timeZone || null   // null: older series that repeat in UTC
+    };
+  };
+
+  const describeRecurrence = (rule) => {
+    const { freq, interval, endType, count, until } = parseRecurrenceRule(rule);
+    const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[freq];
+    let text = interval === '1' ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+    if (endType === 'count') text += `, ${count} times`;
+    if (endType === 'until') text += `, until ${until}`;
+    return text;
+  };
+
+  const updateRecurrence = (changes) => {
+    setFormData(prev => ({ ...prev, recurrence: { ...prev.recurrence, ...changes } }));
+  };
+
+  // Editing a single occurrence starts from that occurrence's times
+  const selectOccurrence = (occurrenceStart) => {
+    const selected = occurrences.find((o) => o.occurrence_start === occurrenceStart);
+    setFormData(prev => ({
+      ...prev,
+      occurrence: occurrenceStart,
+      start_time: selected ? selected.start_time.slice(0, 16) : prev.start_time,
+      end_time: selected ? selected.end_time.slice(0, 16) : prev.end_time
+    }));
+  };
+
+  // Body for POST/PUT: recurrence end fields are only sent for the chosen end type
+  const buildPayload = () => {
+    const { recurrence, scope, occurrence, ...fields } = formData;
+    const payload = {
+      ...fields,
+      recurrence: recurrence.freq
+        ? {
+          freq: recurrence.freq,
+          interval: recurrence.interval,
+          count: recurrence.endType === 'count' ? recurrence.count : null,
+          until: recurrence.endType === 'until' ? recurrence.until : null,
+          exdates: recurrence.exdates,
+          timeZone: recurrence.timeZone
+        }
+        : null
+    };
+
+    if (editingEvent?.recurrence_rule && scope !== 'all') {
+      payload.scope = scope;
+      payload.occurrence = occurrence;
+    }
+
+    return payload;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     
     if (!formData.event_title || !formData.start_time || !formData.end_time) {
       setError('Event title, start time, and end time are required');
@@ -717,6 +836,11 @@ function EventManager() {
       return;
     }
 
+    if (formData.scope !== 'all' && !formData.occurrence) {
+      setError('Choose which occurrence to edit');
+      return;
+    }
+
     try {
       // Get the JWT token from Supabase session
       const { data: { session } } = await supabase.auth.getSession();
@@ -736,9 +860,10 @@ function EventManager() {
         method: method,
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         },
-        body: JSON.stringify(formData)
+        body: JSON.stringify(buildPayload())
       });
 
       const result = await response.json();
@@ -748,7 +873,8 @@ function EventManager() {
         resetForm();
         loadEvents();
       } else {
-        throw new Error(result.error || 'Failed to save event');
+        setFieldErrors(toFieldErrors(result));
+        throw new Error(hasFieldErrors(result) ? 'Please correct the highlighted fields' : result.error || 'Failed to save event');
       }
     } catch (error) {
       console.error('❌ Error saving event:', error);
@@ -758,17 +884,64 @@ function EventManager() {
 
   const handleEdit = (event) => {
     setEditingEvent(event);
+    setFieldErrors({});
     setFormData({
       event_title: event.event_title,
       start_time: event.start_time ? event.start_time.slice(0, 16) : '',
       end_time: event.end_time ? event.end_time.slice(0, 16) : '',
       location: event.location || '',
       description: event.description || '',
-      selectedCategories: event.event_categories?.map(ec => ec.category_id.toString()) || []
+      capacity: event.capacity ? event.capacity.toString() : '',
+      selectedCategories: event.event_categories?.map(ec => ec.category_id.toString()) || [],
+      recurrence: parseRecurrenceRule(event.recurrence_rule, event.recurrence_exdates, event.recurrence_tzid),
+      scope: 'all',
+      occurrence: ''
     });
+    setOccurrences([]);
+    if (event.recurrence_rule) {
+      loadOccurrences(event.event_id);
+    }
     setShowForm(true);
   };
 
+  // Skip one occurrence of a recurring event
+  const handleCancelOccurrence = async () => {
+    if (!formData.occurrence) return;
+    if (!window.confirm('Cancel this occurrence? Its attendance, ratings and comments will be removed.')) return;
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        throw new Error('No session found');
+      }
+
+      const response = await fetch(
+        `https://event-manager-app-jade.vercel.app/api/organizer/events/${editingEvent.event_id}?scope=this&occurrence=${encodeURIComponent(formData.occurrence)}`,
+        {
+          method: 'DELETE',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${session.access_token}`,
+            ...twoFactorHeaders()
+          }
+        }
+      );
+
+      const result = await response.json();
+
+      if (result.success) {
+        alert('Occurrence cancelled successfully!');
+        resetForm();
+        loadEvents();
+      } else {
+        throw new Error(result.error || 'Failed to cancel occurrence');
+      }
+    } catch (error) {
+      console.error('❌ Error cancelling occurrence:', error);
+      setError(error.message);
+    }
+  };
+
   const handleDelete = async (eventId) => {
     if (!window.confirm('Are you sure you want to delete this event? This action cannot be undone.')) return;
 
@@ -785,7 +958,8 @@ function EventManager() {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -810,11 +984,17 @@ function EventManager() {
       end_time: '',
       location: '',
       description: '',
-      selectedCategories: []
+      capacity: '',
+      selectedCategories: [],
+      recurrence: EMPTY_RECURRENCE,
+      scope: 'all',
+      occurrence: ''
     });
+    setOccurrences([]);
     setEditingEvent(null);
     setShowForm(false);
     setError('');
+    setFieldErrors({});
   };
 
   const retryLoad = () => {
@@ -923,6 +1103,50 @@ function EventManager() {
                 </div>
 
                 <form onSubmit={handleSubmit} className="space-y-4">
+                  {/* Which occurrences an edit applies to */}
+                  {editingEvent?.recurrence_rule && (
+                    <div className="p-4 bg-purple-50 border border-purple-200 rounded-lg space-y-3">
+                      <label className="block text-sm font-medium text-gray-700">
+                        Apply changes to
+                      </label>
+                      <select
+                        value={formData.scope}
+                        onChange={(e) => setFormData({ ...formData, scope: e.target.value })}
+                        className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="all">All occurrences</option>
+                        <option value="this">Only this occurrence</option>
+                        <option value="future">This and all future occurrences</option>
+                      </select>
+                      {formData.scope !== 'all' && (
+                        <div className="flex gap-3">
+                          <select
+                            value={formData.occurrence}
+                            onChange={(e) => selectOccurrence(e.target.value)}
+                            className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            <option value="">Choose an occurrence...</option>
+                            {occurrences.map((o) => (
+                              <option key={o.occurrence_start} value={o.occurrence_start}>
+                                {formatDateTime(o.start_time)}
+                              </option>
+                            ))}
+                          </select>
+                          {formData.scope === 'this' && formData.occurrence && (
+                            <button
+                              type="button"
+                              onClick={handleCancelOccurrence}
+                              className="px-3 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition text-sm"
+                            >
+                              Cancel Occurrence
+                            </button>
+                          )}
+                        </div>
+                      )}
+                      <FieldError message={fieldErrors.scope || fieldErrors.occurrence} />
+                    </div>
+                  )}
+
                   {/* Event Title */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -936,6 +1160,7 @@ function EventManager() {
                       placeholder="Enter event title..."
                       required
                     />
+                    <FieldError message={fieldErrors.event_title} />
                   </div>
 
                   {/* Start Time */}
@@ -950,6 +1175,7 @@ function EventManager() {
                       className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       required
                     />
+                    <FieldError message={fieldErrors.start_time} />
                   </div>
 
                   {/* End Time */}
@@ -964,6 +1190,7 @@ function EventManager() {
                       className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       required
                     />
+                    <FieldError message={fieldErrors.end_time} />
                   </div>
 
                   {/* Location */}
@@ -978,6 +1205,7 @@ function EventManager() {
                       className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       placeholder="Enter event location..."
                     />
+                    <FieldError message={fieldErrors.location} />
                   </div>
 
                   {/* Description */}
@@ -992,8 +1220,124 @@ function EventManager() {
                       rows="4"
                       placeholder="Enter event description..."
                     />
+                    <FieldError message={fieldErrors.description} />
                   </div>
 
+                  {/* Capacity */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Capacity
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={formData.capacity}
+                      onChange={(e) => setFormData({ ...formData, capacity: e.target.value })}
+                      className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Leave empty for unlimited"
+                    />
+                    <FieldError message={fieldErrors.capacity} />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Once full, new attendees join a waitlist and are promoted as seats free up.
+                    </p>
+                  </div>
+
+                  {/* Recurrence - hidden when editing a single occurrence */}
+                  {formData.scope !== 'this' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Repeat
+                      </label>
+                      <div className="grid grid-cols-2 gap-3">
+                        <select
+                          value={formData.recurrence.freq}
+                          onChange={(e) => updateRecurrence({ freq: e.target.value })}
+                          className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="">Does not repeat</option>
+                          <option value="DAILY">Daily</option>
+                          <option value="WEEKLY">Weekly</option>
+                          <option value="MONTHLY">Monthly</option>
+                        </select>
+                        {formData.recurrence.freq && (
+                          <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={formData.recurrence.interval}
+                            onChange={(e) => updateRecurrence({ interval: e.target.value })}
+                            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            title="Repeat every N days / weeks / months"
+                          />
+                        )}
+                      </div>
+
+                      {formData.recurrence.freq && (
+                        <div className="grid grid-cols-2 gap-3 mt-3">
+                          <select
+                            value={formData.recurrence.endType}
+                            onChange={(e) => updateRecurrence({ endType: e.target.value })}
+                            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            <option value="never">Never ends</option>
+                            <option value="count">Ends after</option>
+                            <option value="until">Ends on</option>
+                          </select>
+                          {formData.recurrence.endType === 'count' && (
+                            <input
+                              type="number"
+                              min="1"
+                              step="1"
+                              value={formData.recurrence.count}
+                              onChange={(e) => updateRecurrence({ count: e.target.value })}
+                              className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              placeholder="Number of occurrences"
+                            />
+                          )}
+                          {formData.recurrence.endType === 'until' && (
+                            <input
+                              type="date"
+                              value={formData.recurrence.until}
+                              onChange={(e) => updateRecurrence({ until: e.target.value })}
+                              className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            />
+                          )}
+                        </div>
+                      )}
+
+                      {formData.recurrence.freq && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          {formData.recurrence.timeZone
+                            ? `Repeats at the same local time in ${formData.recurrence.timeZone}, also when daylight saving time starts or ends.`
+                            : 'Repeats in UTC: in places with daylight saving time, occurrences move by an hour when it starts or ends.'}
+                        </p>
+                      )}
+
+                      {formData.recurrence.exdates.length > 0 && (
+                        <div className="mt-3">
+                          <p className="text-xs text-gray-500 mb-1">Skipped dates</p>
+                          <div className="flex flex-wrap gap-2">
+                            {formData.recurrence.exdates.map((date) => (
+                              <span key={date} className="flex items-center gap-1 px-2 py-1 bg-gray-100 text-gray-700 text-xs rounded-full">
+                                {formatDateTime(date)}
+                                <button
+                                  type="button"
+                                  onClick={() => updateRecurrence({ exdates: formData.recurrence.exdates.filter((d) => d !== date) })}
+                                  className="hover:text-red-600"
+                                  title="Restore this occurrence"
+                                >
+                                  <X className="w-3 h-3" />
+                                </button>
+                              </span>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      <FieldError message={fieldErrors.recurrence} />
+                    </div>
+                  )}
+
                   {/* Categories */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -1012,6 +1356,7 @@ function EventManager() {
                         </label>
                       ))}
                     </div>
+                    <FieldError message={fieldErrors.selectedCategories} />
                   </div>
 
                   {/* Submit Buttons */}
@@ -1080,6 +1425,16 @@ function EventManager() {
                             {event.location}
                           </p>
                         )}
+                        <p className="flex items-center gap-2">
+                          <span className="font-semibold">👥 Capacity:</span>
+                          {event.capacity || 'Unlimited'}
+                        </p>
+                        {event.recurrence_rule && (
+                          <p className="flex items-center gap-2">
+                            <span className="font-semibold">🔁 Repeats:</span>
+                            {describeRecurrence(event.recurrence_rule)}
+                          </p>
+                        )}
                         {event.description && (
                           <p className="text-gray-700 mt-2">{event.description}</p>
                         )}
@@ -605,6 +605,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
+import { twoFactorHeaders } from '../twoFactor';
+import { toFieldErrors, hasFieldErrors } from '../fieldErrors';
+import FieldError from '../../components/FieldError';
 import { DollarSign, Plus, Edit, Trash2, ArrowLeft, Save, X, RefreshCw, Database } from 'lucide-react';
 
 function ExpensesManager() {
@@ -615,6 +618,7 @@ function ExpensesManager() {
   const [showForm, setShowForm] = useState(false);
   const [editingExpense, setEditingExpense] = useState(null);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [user, setUser] = useState(null);
   const [totalExpenses, setTotalExpenses] = useState(0);
   
@@ -626,6 +630,7 @@ function ExpensesManager() {
     expense_date: new Date().toISOString().split('T')[0]
   });
 
+  // Same list as EXPENSE_CATEGORIES in backend/routes/organizer.js
   const expenseCategories = [
     'Venue',
     'Catering',
@@ -661,12 +666,11 @@ function ExpensesManager() {
       setUser(session.user);
       
       // Verify organizer status
-      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/verify-organizer', {
-        method: 'POST',
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/me', {
         headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email: session.user.email })
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
       });
 
       const result = await response.json();
@@ -708,7 +712,8 @@ function ExpensesManager() {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -746,7 +751,8 @@ function ExpensesManager() {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -766,6 +772,7 @@ function ExpensesManager() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     
     if (!formData.event_id || !formData.expense_category || !formData.amount) {
       setError('Event, category, and amount are required');
@@ -791,7 +798,8 @@ function ExpensesManager() {
         method: method,
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         },
         body: JSON.stringify({
           ...formData,
@@ -806,7 +814,8 @@ function ExpensesManager() {
         resetForm();
         loadExpenses();
       } else {
-        throw new Error(result.error || 'Failed to save expense');
+        setFieldErrors(toFieldErrors(result));
+        throw new Error(hasFieldErrors(result) ? 'Please correct the highlighted fields' : result.error || 'Failed to save expense');
       }
     } catch (error) {
       console.error('❌ Error saving expense:', error);
@@ -816,6 +825,7 @@ function ExpensesManager() {
 
   const handleEdit = (expense) => {
     setEditingExpense(expense);
+    setFieldErrors({});
     setFormData({
       event_id: expense.event_id.toString(),
       expense_category: expense.expense_category,
@@ -842,7 +852,8 @@ function ExpensesManager() {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -875,7 +886,8 @@ function ExpensesManager() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...twoFactorHeaders()
         }
       });
 
@@ -904,6 +916,7 @@ function ExpensesManager() {
     setEditingExpense(null);
     setShowForm(false);
     setError('');
+    setFieldErrors({});
   };
 
   const retryLoad = () => {
@@ -1036,6 +1049,7 @@ function ExpensesManager() {
                         </option>
                       ))}
                     </select>
+                    <FieldError message={fieldErrors.event_id} />
                   </div>
 
                   {/* Category */}
@@ -1054,6 +1068,7 @@ function ExpensesManager() {
                         <option key={cat} value={cat}>{cat}</option>
                       ))}
                     </select>
+                    <FieldError message={fieldErrors.expense_category} />
                   </div>
 
                   {/* Amount */}
@@ -1071,6 +1086,7 @@ function ExpensesManager() {
                       placeholder="0.00"
                       required
                     />
+                    <FieldError message={fieldErrors.amount} />
                   </div>
 
                   {/* Date */}
@@ -1085,6 +1101,7 @@ function ExpensesManager() {
                       className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
                       required
                     />
+                    <FieldError message={fieldErrors.expense_date} />
                   </div>
 
                   {/* Description */}
@@ -1099,6 +1116,7 @@ function ExpensesManager() {
                       rows="3"
                       placeholder="Enter expense description..."
                     />
+                    <FieldError message={fieldErrors.description} />
                   </div>
 
                   {/* Submit Buttons */}
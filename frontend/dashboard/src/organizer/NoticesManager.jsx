@@ -380,6 +380,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
+import { twoFactorHeaders } from '../twoFactor';
 import { Bell, Plus, Edit, Trash2, ArrowLeft, Save, X, Eye, EyeOff } from 'lucide-react';
 
 function NoticesManager() {
@@ -409,33 +410,60 @@ function NoticesManager() {
   }, []);
 
   const checkAuth = async () => {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
       navigate('/organizer-login');
       return;
     }
 
-    const { data: userData } = await supabase
-      .from('users')
-      .select('role')
-      .eq('id', user.id)
-      .single();
-
-    if (userData?.role !== 'organizer') {
+    // Role comes from the token's user (admins count as organizers)
+    try {
+      const response = await fetch('https://event-manager-app-jade.vercel.app/api/auth/me', {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          ...twoFactorHeaders()
+        }
+      });
+      const result = await response.json();
+
+      if (!result.success || !result.isOrganizer) {
+        navigate('/organizer-login');
+      }
+    } catch (error) {
+      console.error('Auth check error:', error);
       navigate('/organizer-login');
     }
   };
 
+  // Notices go through the organizer API, which checks the role and the
+  // two-factor session before touching the table
+  const noticesRequest = async (path = '', options = {}) => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      throw new Error('No session found');
+    }
+
+    const response = await fetch(`https://event-manager-app-jade.vercel.app/api/organizer/notices${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+        ...twoFactorHeaders()
+      }
+    });
+
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Request failed');
+    }
+    return result;
+  };
+
   const loadNotices = async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
-        .from('notices')
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      setNotices(data || []);
+      const result = await noticesRequest();
+      setNotices(result.notices || []);
     } catch (error) {
       console.error('Error loading notices:', error);
       alert('Failed to load notices');
@@ -453,30 +481,18 @@ function NoticesManager() {
     }
 
     try {
+      const body = JSON.stringify({
+        notice_title: formData.notice_title,
+        notice_content: formData.notice_content,
+        priority: formData.priority,
+        is_active: formData.is_active
+      });
+
       if (editingNotice) {
-        const { error } = await supabase
-          .from('notices')
-          .update({
-            notice_title: formData.notice_title,
-            notice_content: formData.notice_content,
-            priority: formData.priority,
-            is_active: formData.is_active
-          })
-          .eq('notice_id', editingNotice.notice_id);
-
-        if (error) throw error;
+        await noticesRequest(`/${editingNotice.notice_id}`, { method: 'PUT', body });
         alert('Notice updated successfully!');
       } else {
-        const { error } = await supabase
-          .from('notices')
-          .insert([{
-            notice_title: formData.notice_title,
-            notice_content: formData.notice_content,
-            priority: formData.priority,
-            is_active: formData.is_active
-          }]);
-
-        if (error) throw error;
+        await noticesRequest('', { method: 'POST', body });
         alert('Notice created successfully!');
       }
 
@@ -503,12 +519,7 @@ function NoticesManager() {
     if (!window.confirm('Are you sure you want to delete this notice?')) return;
 
     try {
-      const { error } = await supabase
-        .from('notices')
-        .delete()
-        .eq('notice_id', noticeId);
-
-      if (error) throw error;
+      await noticesRequest(`/${noticeId}`, { method: 'DELETE' });
       
       alert('Notice deleted successfully!');
       loadNotices();
@@ -520,12 +531,10 @@ function NoticesManager() {
 
   const toggleActive = async (notice) => {
     try {
-      const { error } = await supabase
-        .from('notices')
-        .update({ is_active: !notice.is_active })
-        .eq('notice_id', notice.notice_id);
-
-      if (error) throw error;
+      await noticesRequest(`/${notice.notice_id}/active`, {
+        method: 'PUT',
+        body: JSON.stringify({ is_active: !notice.is_active })
+      });
       loadNotices();
     } catch (error) {
       console.error('Error toggling notice:', error);
@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { QRCodeSVG } from 'qrcode.react';
+import { supabase } from '../supabaseClient';
+import { twoFactorHeaders, setTwoFactorToken } from '../twoFactor';
+import { ShieldCheck, ShieldAlert, ShieldOff, ArrowLeft, KeyRound, Copy, RefreshCw } from 'lucide-react';
+
+const API_URL = 'https://event-manager-app-jade.vercel.app/api';
+
+// Two-factor authentication for organizers (see /api/auth/2fa). Organizer
+// routes redirect here while the code still has to be entered or, when an
+// admin requires it, while two-factor authentication is not set up yet.
+function TwoFactorSettings() {
+  const navigate = useNavigate();
+  const [status, setStatus] = useState(null);          // GET /auth/2fa/status
+  const [enrollment, setEnrollment] = useState(null);  // { secret, otpauthUrl } while setting up
+  const [recoveryCodes, setRecoveryCodes] = useState(null);  // Shown once after enable/regenerate
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const authorizedFetch = async (path, options = {}) => {
+    // Get the JWT token from Supabase session
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) {
+      navigate('/');
+      throw new Error('No session found');
+    }
+
+    const response = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`,
+        ...twoFactorHeaders()
+      }
+    });
+
+    return response.json();
+  };
+
+  const loadStatus = async () => {
+    try {
+      setLoading(true);
+      const result = await authorizedFetch('/auth/2fa/status');
+      if (result.success) {
+        setStatus(result);
+      } else {
+        throw new Error(result.error || 'Failed to load two-factor status');
+      }
+    } catch (error) {
+      console.error('❌ Error loading two-factor status:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // POST to a /auth/2fa endpoint; returns the result or null after showing the error
+  const post = async (path, body = {}) => {
+    try {
+      setBusy(true);
+      setError('');
+      setNotice('');
+      const result = await authorizedFetch(`/auth/2fa${path}`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Request failed');
+      }
+      return result;
+    } catch (error) {
+      console.error(`❌ Two-factor ${path} failed:`, error);
+      setError(error.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const codeBody = () => (useRecoveryCode ? { recoveryCode: code } : { code });
+
+  const startEnrollment = async () => {
+    const result = await post('/enroll');
+    if (result) {
+      setEnrollment({ secret: result.secret, otpauthUrl: result.otpauthUrl });
+      setCode('');
+    }
+  };
+
+  const finishEnrollment = async (e) => {
+    e.preventDefault();
+    const result = await post('/enable', { code });
+    if (result) {
+      setTwoFactorToken(result.twoFactorToken);
+      setEnrollment(null);
+      setRecoveryCodes(result.recoveryCodes);
+      setCode('');
+      setNotice('Two-factor authentication is on. Save your recovery codes now.');
+      loadStatus();
+    }
+  };
+
+  const verify = async (e) => {
+    e.preventDefault();
+    const result = await post('/verify', codeBody());
+    if (result) {
+      setTwoFactorToken(result.twoFactorToken);
+      navigate('/organizer/dashboard');
+    }
+  };
+
+  const regenerateCodes = async () => {
+    const result = await post('/recovery-codes', { code });
+    if (result) {
+      setRecoveryCodes(result.recoveryCodes);
+      setCode('');
+      setNotice('New recovery codes created. The old ones no longer work.');
+      loadStatus();
+    }
+  };
+
+  const disable = async () => {
+    if (!window.confirm('Turn off two-factor authentication for your account?')) return;
+
+    const result = await post('/disable', codeBody());
+    if (result) {
+      setCode('');
+      setNotice(result.message);
+      loadStatus();
+    }
+  };
+
+  const copyRecoveryCodes = () => {
+    navigator.clipboard?.writeText(recoveryCodes.join('\n'));
+  };
+
+  const codeInput = (
+    <div>
+      <input
+        type="text"
+        autoComplete="one-time-code"
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={useRecoveryCode ? 'xxxx-xxxx-xxxx' : '123456'}
+        className="w-full max-w-xs px-3 py-2 border rounded-lg tracking-widest"
+        required
+      />
+    </div>
+  );
+
+  // Only verify and disable accept recovery codes
+  const recoveryToggle = (
+    <button
+      type="button"
+      onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}
+      className="text-sm text-indigo-600 hover:text-indigo-800"
+    >
+      {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+    </button>
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <div className="bg-white shadow-md">
+        <div className="max-w-3xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate('/organizer/dashboard')}
+              className="p-2 hover:bg-gray-100 rounded-lg transition"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <ShieldCheck className="w-8 h-8 text-indigo-600" />
+            <h1 className="text-2xl font-bold text-gray-800">Security</h1>
+          </div>
+          <button
+            onClick={loadStatus}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition"
+            title="Reload"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-6 py-8 space-y-6">
+        {/* Messages */}
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+        {notice && (
+          <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
+            <p className="text-green-700">{notice}</p>
+          </div>
+        )}
+
+        {status?.pending === 'enroll' && (
+          <div className="p-4 bg-orange-50 border border-orange-200 rounded-lg flex items-start gap-3">
+            <ShieldAlert className="w-5 h-5 text-orange-600 mt-0.5 flex-shrink-0" />
+            <p className="text-orange-800">
+              Two-factor authentication is required for organizer accounts.
+              Set it up to continue to the dashboard.
+            </p>
+          </div>
+        )}
+
+        {/* Recovery codes, shown once */}
+        {recoveryCodes && (
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-2 flex items-center gap-2">
+              <KeyRound className="w-5 h-5 text-indigo-600" /> Recovery codes
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Each code signs you in once if you lose your authenticator. They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 rounded-lg p-4 mb-4">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={copyRecoveryCodes}
+                className="flex items-center gap-1 px-3 py-1.5 bg-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-300 transition"
+              >
+                <Copy className="w-4 h-4" /> Copy
+              </button>
+              <button
+                onClick={() => setRecoveryCodes(null)}
+                className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition"
+              >
+                I have saved them
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          {loading || !status ? (
+            <p className="text-gray-600">Loading...</p>
+          ) : status.pending === 'verify' ? (
+            /* Signed in, code not entered yet */
+            <form onSubmit={verify} className="space-y-4">
+              <h2 className="text-lg font-semibold text-gray-800">Enter your code</h2>
+              <p className="text-sm text-gray-600">
+                {useRecoveryCode
+                  ? 'Enter one of your recovery codes.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
+              </p>
+              {codeInput}
+              <div className="flex items-center gap-4">
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                >
+                  Verify
+                </button>
+                {recoveryToggle}
+              </div>
+            </form>
+          ) : !status.enabled ? (
+            enrollment ? (
+              /* Scan the QR code, confirm with the first code */
+              <form onSubmit={finishEnrollment} className="space-y-4">
+                <h2 className="text-lg font-semibold text-gray-800">Scan with your authenticator app</h2>
+                <div className="flex flex-col sm:flex-row gap-6 items-start">
+                  <div className="p-3 bg-white border rounded-lg">
+                    <QRCodeSVG value={enrollment.otpauthUrl} size={180} />
+                  </div>
+                  <div className="space-y-2 text-sm text-gray-600">
+                    <p>Can't scan it? Enter this key in the app instead:</p>
+                    <p className="font-mono text-gray-800 break-all bg-gray-50 rounded p-2">
+                      {enrollment.secret.match(/.{1,4}/g).join(' ')}
+                    </p>
+                  </div>
+                </div>
+                <p className="text-sm text-gray-600">Then enter the 6-digit code the app shows:</p>
+                {codeInput}
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    disabled={busy}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                  >
+                    Turn on
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => { setEnrollment(null); setCode(''); }}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="space-y-4">
+                <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+                  <ShieldOff className="w-5 h-5 text-gray-500" /> Two-factor authentication is off
+                </h2>
+                <p className="text-sm text-gray-600">
+                  Protect your organizer account with a code from an authenticator app
+                  (Google Authenticator, Authy, 1Password, ...) in addition to your password.
+                </p>
+                <button
+                  onClick={startEnrollment}
+                  disabled={busy}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                >
+                  Set up two-factor authentication
+                </button>
+              </div>
+            )
+          ) : (
+            /* Enabled and verified */
+            <div className="space-y-4">
+              <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+                <ShieldCheck className="w-5 h-5 text-green-600" /> Two-factor authentication is on
+              </h2>
+              <p className="text-sm text-gray-600">
+                {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left.
+                {status.required && ' Two-factor authentication is required for organizers, so it cannot be turned off.'}
+              </p>
+              <p className="text-sm text-gray-600">Confirm changes with a current code:</p>
+              {codeInput}
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  onClick={regenerateCodes}
+                  disabled={busy || !code || useRecoveryCode}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                >
+                  <KeyRound className="w-4 h-4" /> New recovery codes
+                </button>
+                {!status.required && (
+                  <>
+                    <button
+                      onClick={disable}
+                      disabled={busy || !code}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+                    >
+                      <ShieldOff className="w-4 h-4" /> Turn off
+                    </button>
+                    {recoveryToggle}
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
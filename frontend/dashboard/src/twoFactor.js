@@ -0,0 +1,27 @@
+// ============================================================================
+// TWO-FACTOR SESSION TOKEN
+// ============================================================================
+// After an organizer enters their authenticator code the backend returns a
+// two-factor token. Organizer and admin API calls send it in the
+// X-Two-Factor-Token header. It is kept in sessionStorage, so closing the
+// browser (or signing out) asks for a code again.
+
+const STORAGE_KEY = 'twoFactorToken';
+
+export function getTwoFactorToken() {
+  return sessionStorage.getItem(STORAGE_KEY);
+}
+
+export function setTwoFactorToken(token) {
+  sessionStorage.setItem(STORAGE_KEY, token);
+}
+
+export function clearTwoFactorToken() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+// Extra request headers for organizer/admin API calls
+export function twoFactorHeaders() {
+  const token = getTwoFactorToken();
+  return token ? { 'X-Two-Factor-Token': token } : {};
+}